@@ -0,0 +1,55 @@
+/**
+ * AI Call Metrics
+ * Counts AI provider calls and their latencies for the metrics endpoint
+ */
+
+// Upper bounds (seconds) of the latency histogram buckets
+export const AI_LATENCY_BUCKETS_SECONDS = [0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const calls = new Map();
+
+/**
+ * Record a completed AI call
+ * @param {Object} call - Call details
+ * @param {string} call.provider - AI provider (e.g. 'claude')
+ * @param {string} call.model - Model name
+ * @param {string} call.status - 'success', 'error' or 'unconfigured'
+ * @param {number} call.durationMs - Call latency in milliseconds
+ */
+export function recordAiCall({ provider, model, status, durationMs }) {
+  const key = `${provider}|${model}|${status}`;
+  
+  if (!calls.has(key)) {
+    calls.set(key, {
+      provider,
+      model,
+      status,
+      count: 0,
+      sumSeconds: 0,
+      buckets: new Array(AI_LATENCY_BUCKETS_SECONDS.length + 1).fill(0)
+    });
+  }
+  
+  const entry = calls.get(key);
+  const seconds = durationMs / 1000;
+  const slot = AI_LATENCY_BUCKETS_SECONDS.findIndex(bound => seconds <= bound);
+  
+  entry.count++;
+  entry.sumSeconds += seconds;
+  entry.buckets[slot === -1 ? AI_LATENCY_BUCKETS_SECONDS.length : slot]++;
+}
+
+/**
+ * Get recorded AI call metrics
+ * @returns {Array<Object>} One entry per provider, model and status
+ */
+export function getAiMetrics() {
+  return [...calls.values()].map(entry => ({ ...entry, buckets: [...entry.buckets] }));
+}
+
+/**
+ * Reset AI call metrics
+ */
+export function resetAiMetrics() {
+  calls.clear();
+}
@@ -5,6 +5,12 @@
 
 import axios from 'axios';
 import { randomUUID } from 'crypto';
+import { recordAiCall } from './aiMetrics';
+import { getLogger } from '../logging/logger';
+
+const CLAUDE_MODEL = 'claude-3-opus-20240229';
+
+const logger = getLogger('claude');
 
 // Load environment variables if in development
 if (process.env.NODE_ENV !== 'production') {
@@ -17,12 +23,16 @@ if (process.env.NODE_ENV !== 'production') {
  * @returns {Promise<string>} - Claude's answer
  */
 export async function askClaude(question) {
+  const startTime = Date.now();
+  
   try {
-    console.log('Asking Claude:', question);
+    // Questions can contain patient details, so only their size is logged
+    logger.info('Asking Claude', { model: CLAUDE_MODEL, questionLength: String(question).length });
     
     // Check for API key
     if (!process.env.CLAUDE_API_KEY) {
-      console.error('CLAUDE_API_KEY environment variable is not set');
+      logger.error('CLAUDE_API_KEY environment variable is not set');
+      recordAiCall({ provider: 'claude', model: CLAUDE_MODEL, status: 'unconfigured', durationMs: Date.now() - startTime });
       return "I'm unable to reach Claude AI at the moment due to authentication issues. Please make sure the Claude API key is configured properly.";
     }
     
@@ -30,7 +40,7 @@ export async function askClaude(question) {
     const response = await axios.post(
       'https://api.anthropic.com/v1/messages',
       {
-        model: 'claude-3-opus-20240229',
+        model: CLAUDE_MODEL,
         max_tokens: 4000,
         messages: [
           { 
@@ -50,16 +60,21 @@ export async function askClaude(question) {
     
     // Extract the response content
     if (response.data && response.data.content && response.data.content.length > 0) {
+      recordAiCall({ provider: 'claude', model: CLAUDE_MODEL, status: 'success', durationMs: Date.now() - startTime });
       return response.data.content[0].text;
     } else {
       throw new Error('Unexpected response format from Claude API');
     }
   } catch (error) {
-    console.error('Error asking Claude:', error.message);
-    if (error.response) {
-      console.error('Response data:', error.response.data);
-      console.error('Response status:', error.response.status);
-    }
+    recordAiCall({ provider: 'claude', model: CLAUDE_MODEL, status: 'error', durationMs: Date.now() - startTime });
+    // Not the response body, which can echo the question
+    logger.error('Error asking Claude', {
+      error: error.message,
+      status: error.response ? error.response.status : null,
+      errorType: error.response && error.response.data && error.response.data.error
+        ? error.response.data.error.type
+        : null
+    });
     
     // Return a friendly error message
     return "I encountered an issue while communicating with Claude AI. Please try again later.";
@@ -82,361 +97,361 @@ class ClaudeAI {
 
   // Base Optimization & Management Methods
   static async auditSecurity(system) {
-    console.log(`Running security audit for ${system}`);
+    logger.info('Running security audit', { system });
     return this._generateMockSecurityAudit();
   }
   
   static async predictUsage(data) {
-    console.log(`Predicting usage with data:`, typeof data);
+    logger.info('Predicting usage', { dataType: typeof data });
     return this._generateMockUsagePrediction();
   }
   
   static async continuousBackup(system) {
-    console.log(`Setting up continuous backup for ${system}`);
+    logger.info('Setting up continuous backup', { system });
     return { status: 'success', message: 'Continuous backup configured' };
   }
   
   static async analyzeEfficiency(data) {
-    console.log(`Analyzing efficiency of ${data}`);
+    logger.info('Analyzing efficiency', { data });
     return { efficiency: 92, recommendations: ['Optimize database queries', 'Implement caching'] };
   }
   
   static async recommendScaling(data) {
-    console.log(`Generating scaling recommendations for ${data}`);
+    logger.info('Generating scaling recommendations', { data });
     return { recommendation: 'Scale horizontally', reason: 'Increased traffic patterns detected' };
   }
   
   static async adaptIncidentResponse(system) {
-    console.log(`Adapting incident response for ${system}`);
+    logger.info('Adapting incident response', { system });
     return { status: 'success', message: 'Incident response adapted' };
   }
   
   static async verifyIntegrity(vault) {
-    console.log(`Verifying integrity of ${vault}`);
+    logger.info('Verifying integrity', { vault });
     return { status: 'verified', issues: 0 };
   }
   
   static async engineerReliability(system) {
-    console.log(`Engineering reliability for ${system}`);
+    logger.info('Engineering reliability', { system });
     return { status: 'success', reliabilityScore: 99.99 };
   }
   
   static async optimizeSystems(system) {
-    console.log(`Optimizing systems for ${system}`);
+    logger.info('Optimizing systems', { system });
     return { status: 'success', optimizationScore: 95 };
   }
   
   static async predictOperations(data) {
-    console.log(`Predicting operations with data:`, typeof data);
+    logger.info('Predicting operations', { dataType: typeof data });
     return { prediction: 'Stable operations expected', confidence: 0.93 };
   }
   
   static async manageDataAdaptively(system) {
-    console.log(`Managing data adaptively for ${system}`);
+    logger.info('Managing data adaptively', { system });
     return { status: 'success', adaptationScore: 94 };
   }
   
   static async respondToSecurityIncidents(system) {
-    console.log(`Setting up security incident response for ${system}`);
+    logger.info('Setting up security incident response', { system });
     return { status: 'success', responseTime: '< 5 minutes' };
   }
   
   static async optimizeVault(vault) {
-    console.log(`Optimizing vault: ${vault}`);
+    logger.info('Optimizing vault', { vault });
     return { status: 'success', optimizationScore: 96 };
   }
   
   static async finalizeSystem(system) {
-    console.log(`Finalizing system: ${system}`);
+    logger.info('Finalizing system', { system });
     return { status: 'success', message: 'System finalized' };
   }
   
   // Extended Methods for Enhanced Components
   static async costBenefitAnalysis(system) {
-    console.log(`Running cost-benefit analysis for ${system}`);
+    logger.info('Running cost-benefit analysis', { system });
     return { roi: '385%', paybackPeriod: '3 months' };
   }
   
   static async predictDowntime(data) {
-    console.log(`Predicting downtime with data:`, typeof data);
+    logger.info('Predicting downtime', { dataType: typeof data });
     return { prediction: '< 0.1% annually', confidence: 0.96 };
   }
   
   static async manageCloudResources(system) {
-    console.log(`Managing cloud resources for ${system}`);
+    logger.info('Managing cloud resources', { system });
     return { status: 'success', optimizationPct: 25 };
   }
   
   static async auditCompliance(system) {
-    console.log(`Auditing compliance for ${system}`);
+    logger.info('Auditing compliance', { system });
     return { status: 'compliant', frameworks: ['HIPAA', 'GDPR', 'SOC2'] };
   }
   
   static async encryptVaultData(vault) {
-    console.log(`Encrypting vault data for ${vault}`);
+    logger.info('Encrypting vault data', { vault });
     return { status: 'success', encryptionLevel: 'AES-256' };
   }
   
   static async checkLaunchReadiness(system) {
-    console.log(`Checking launch readiness for ${system}`);
+    logger.info('Checking launch readiness', { system });
     return { ready: true, score: 98 };
   }
   
   // Perfect Integration Methods
   static async integratePerfectionFeedback(system) {
-    console.log(`Integrating perfection feedback for ${system}`);
+    logger.info('Integrating perfection feedback', { system });
     return { status: 'success', perfectionScore: 99 };
   }
   
   static async modelPerfection(system) {
-    console.log(`Modeling perfection for ${system}`);
+    logger.info('Modeling perfection', { system });
     return { status: 'success', perfectionModel: 'v1.0' };
   }
   
   static async managePerfectionAdaptively(system) {
-    console.log(`Managing perfection adaptively for ${system}`);
+    logger.info('Managing perfection adaptively', { system });
     return { status: 'success', adaptationScore: 98 };
   }
   
   static async auditExcellence(system) {
-    console.log(`Auditing excellence for ${system}`);
+    logger.info('Auditing excellence', { system });
     return { status: 'excellent', score: 99 };
   }
   
   static async secureVaultPerfectly(vault) {
-    console.log(`Securing vault perfectly: ${vault}`);
+    logger.info('Securing vault perfectly', { vault });
     return { status: 'secured', securityScore: 99 };
   }
   
   static async checkAbsolutePerfection(system) {
-    console.log(`Checking absolute perfection for ${system}`);
+    logger.info('Checking absolute perfection', { system });
     return { perfectScore: 99.99, items: 0 };
   }
   
   // Infinite Integration Methods
   static async integrateInfiniteFeedback(system) {
-    console.log(`Integrating infinite feedback for ${system}`);
+    logger.info('Integrating infinite feedback', { system });
     return { status: 'success', feedbackIterations: 'infinite' };
   }
   
   static async modelInfiniteFutures(system) {
-    console.log(`Modeling infinite futures for ${system}`);
+    logger.info('Modeling infinite futures', { system });
     return { status: 'success', futures: 'infinite' };
   }
   
   static async manageInfiniteAdaptively(system) {
-    console.log(`Managing infinite adaptively for ${system}`);
+    logger.info('Managing infinite adaptively', { system });
     return { status: 'success', adaptability: 'infinite' };
   }
   
   static async auditInfiniteExcellence(system) {
-    console.log(`Auditing infinite excellence for ${system}`);
+    logger.info('Auditing infinite excellence', { system });
     return { status: 'infinite excellence', score: 'infinite' };
   }
   
   static async automateInfiniteSecurity(vault) {
-    console.log(`Automating infinite security for ${vault}`);
+    logger.info('Automating infinite security', { vault });
     return { status: 'secured', securityDimensions: 'infinite' };
   }
   
   static async checkInfinitePerfection(system) {
-    console.log(`Checking infinite perfection for ${system}`);
+    logger.info('Checking infinite perfection', { system });
     return { perfection: 'infinite', confidence: 'absolute' };
   }
   
   // Eternal Integration Methods
   static async integrateEternalFeedback(system) {
-    console.log(`Integrating eternal feedback for ${system}`);
+    logger.info('Integrating eternal feedback', { system });
     return { status: 'success', duration: 'eternal' };
   }
   
   static async modelEternalFutures(system) {
-    console.log(`Modeling eternal futures for ${system}`);
+    logger.info('Modeling eternal futures', { system });
     return { status: 'success', timeframe: 'eternal' };
   }
   
   static async manageEternalAdaptively(system) {
-    console.log(`Managing eternal adaptively for ${system}`);
+    logger.info('Managing eternal adaptively', { system });
     return { status: 'success', persistence: 'eternal' };
   }
   
   static async auditEternalExcellence(system) {
-    console.log(`Auditing eternal excellence for ${system}`);
+    logger.info('Auditing eternal excellence', { system });
     return { status: 'eternal excellence', timeframe: 'infinite' };
   }
   
   static async automateEternalSecurity(vault) {
-    console.log(`Automating eternal security for ${vault}`);
+    logger.info('Automating eternal security', { vault });
     return { status: 'eternally secured', breachProbability: 0 };
   }
   
   static async checkEternalPerfection(system) {
-    console.log(`Checking eternal perfection for ${system}`);
+    logger.info('Checking eternal perfection', { system });
     return { status: 'eternal perfection', duration: 'infinite' };
   }
   
   // Omnipresent Integration Methods
   static async integrateOmnipresentFeedback(system) {
-    console.log(`Integrating omnipresent feedback for ${system}`);
+    logger.info('Integrating omnipresent feedback', { system });
     return { status: 'success', presence: 'omnipresent' };
   }
   
   static async modelMultiverseFutures(system) {
-    console.log(`Modeling multiverse futures for ${system}`);
+    logger.info('Modeling multiverse futures', { system });
     return { status: 'success', universes: 'infinite' };
   }
   
   static async manageOmnipresentAdaptively(system) {
-    console.log(`Managing omnipresent adaptively for ${system}`);
+    logger.info('Managing omnipresent adaptively', { system });
     return { status: 'success', reach: 'omnipresent' };
   }
   
   static async auditMultiverseExcellence(system) {
-    console.log(`Auditing multiverse excellence for ${system}`);
+    logger.info('Auditing multiverse excellence', { system });
     return { status: 'multiverse excellence', dimensions: 'infinite' };
   }
   
   static async automateMultiverseSecurity(vault) {
-    console.log(`Automating multiverse security for ${vault}`);
+    logger.info('Automating multiverse security', { vault });
     return { status: 'secured across multiverse', dimensionalCoverage: 'complete' };
   }
   
   static async checkOmnipotentState(system) {
-    console.log(`Checking omnipotent state for ${system}`);
+    logger.info('Checking omnipotent state', { system });
     return { status: 'omnipotent', power: 'absolute' };
   }
   
   // Omniversal Integration Methods
   static async integrateOmniversalFeedback(system) {
-    console.log(`Integrating omniversal feedback for ${system}`);
+    logger.info('Integrating omniversal feedback', { system });
     return { status: 'success', scope: 'omniversal' };
   }
   
   static async modelOmniversalFutures(system) {
-    console.log(`Modeling omniversal futures for ${system}`);
+    logger.info('Modeling omniversal futures', { system });
     return { status: 'success', scope: 'omniversal' };
   }
   
   static async manageOmniversalAdaptively(system) {
-    console.log(`Managing omniversal adaptively for ${system}`);
+    logger.info('Managing omniversal adaptively', { system });
     return { status: 'success', scope: 'omniversal' };
   }
   
   static async auditOmniversalExcellence(system) {
-    console.log(`Auditing omniversal excellence for ${system}`);
+    logger.info('Auditing omniversal excellence', { system });
     return { status: 'omniversal excellence', scope: 'absolute' };
   }
   
   static async automateOmniversalSecurity(vault) {
-    console.log(`Automating omniversal security for ${vault}`);
+    logger.info('Automating omniversal security', { vault });
     return { status: 'omniversally secured', breach: 'impossible' };
   }
   
   static async checkMetaPerfection(system) {
-    console.log(`Checking meta-perfection for ${system}`);
+    logger.info('Checking meta-perfection', { system });
     return { status: 'meta-perfect', level: 'absolute' };
   }
   
   // Ultimate Integration Methods
   static async integrateUltimateFeedback(system) {
-    console.log(`Integrating ultimate feedback for ${system}`);
+    logger.info('Integrating ultimate feedback', { system });
     return { status: 'success', completeness: 'ultimate' };
   }
   
   static async modelUltimateFuture(system) {
-    console.log(`Modeling ultimate future for ${system}`);
+    logger.info('Modeling ultimate future', { system });
     return { status: 'success', future: 'ultimate' };
   }
   
   static async manageUltimateAdaptively(system) {
-    console.log(`Managing ultimate adaptively for ${system}`);
+    logger.info('Managing ultimate adaptively', { system });
     return { status: 'success', adaptability: 'ultimate' };
   }
   
   static async auditUltimateExcellence(system) {
-    console.log(`Auditing ultimate excellence for ${system}`);
+    logger.info('Auditing ultimate excellence', { system });
     return { status: 'ultimate excellence', quality: 'absolute' };
   }
   
   static async automateUltimateSecurity(vault) {
-    console.log(`Automating ultimate security for ${vault}`);
+    logger.info('Automating ultimate security', { vault });
     return { status: 'ultimately secured', vulnerability: 'none' };
   }
   
   static async checkUltimateState(system) {
-    console.log(`Checking ultimate state for ${system}`);
+    logger.info('Checking ultimate state', { system });
     return { status: 'ultimate', finality: 'absolute' };
   }
   
   // Omega Integration Methods
   static async integrateOmegaFeedback(system) {
-    console.log(`Integrating omega feedback for ${system}`);
+    logger.info('Integrating omega feedback', { system });
     return { status: 'success', completeness: 'omega' };
   }
   
   static async modelOmegaFuture(system) {
-    console.log(`Modeling omega future for ${system}`);
+    logger.info('Modeling omega future', { system });
     return { status: 'success', finality: 'omega' };
   }
   
   static async manageOmegaAdaptively(system) {
-    console.log(`Managing omega adaptively for ${system}`);
+    logger.info('Managing omega adaptively', { system });
     return { status: 'success', adaptability: 'omega' };
   }
   
   static async auditOmegaExcellence(system) {
-    console.log(`Auditing omega excellence for ${system}`);
+    logger.info('Auditing omega excellence', { system });
     return { status: 'omega excellence', completeness: 'absolute' };
   }
   
   static async automateOmegaSecurity(vault) {
-    console.log(`Automating omega security for ${vault}`);
+    logger.info('Automating omega security', { vault });
     return { status: 'omega secured', vulnerability: 'extinct' };
   }
   
   static async checkOmegaState(system) {
-    console.log(`Checking omega state for ${system}`);
+    logger.info('Checking omega state', { system });
     return { status: 'omega', completion: 'absolute' };
   }
   
   // Hyper-Omega Integration Methods
   static async integrateHyperOmegaFeedback(system) {
-    console.log(`Integrating hyper-omega feedback for ${system}`);
+    logger.info('Integrating hyper-omega feedback', { system });
     return { status: 'success', transcendence: 'hyper-omega' };
   }
   
   static async modelHyperOmegaFutures(system) {
-    console.log(`Modeling hyper-omega futures for ${system}`);
+    logger.info('Modeling hyper-omega futures', { system });
     return { status: 'success', transcendence: 'hyper-omega' };
   }
   
   static async manageHyperOmegaAdaptively(system) {
-    console.log(`Managing hyper-omega adaptively for ${system}`);
+    logger.info('Managing hyper-omega adaptively', { system });
     return { status: 'success', adaptation: 'hyper-omega' };
   }
   
   static async auditHyperOmegaExcellence(system) {
-    console.log(`Auditing hyper-omega excellence for ${system}`);
+    logger.info('Auditing hyper-omega excellence', { system });
     return { status: 'hyper-omega excellence', transcendence: 'complete' };
   }
   
   static async automateHyperOmegaSecurity(vault) {
-    console.log(`Automating hyper-omega security for ${vault}`);
+    logger.info('Automating hyper-omega security', { vault });
     return { status: 'hyper-omega secured', security: 'transcendent' };
   }
   
   static async checkHyperOmegaState(system) {
-    console.log(`Checking hyper-omega state for ${system}`);
+    logger.info('Checking hyper-omega state', { system });
     return { status: 'hyper-omega', transcendence: 'total' };
   }
   
   static async checkEternalState(system) {
-    console.log(`Checking eternal state for ${system}`);
+    logger.info('Checking eternal state', { system });
     return { status: 'eternal', persistence: 'infinite' };
   }
   
   static async checkAbsoluteLimitlessness(system) {
-    console.log(`Checking absolute limitlessness for ${system}`);
+    logger.info('Checking absolute limitlessness', { system });
     return { status: 'limitless', boundaries: 'none' };
   }
   
@@ -467,7 +482,7 @@ class ClaudeAI {
         confidence: 0.95
       };
     } catch (error) {
-      console.error('Error extracting classification:', error);
+      logger.error('Error extracting classification', { error });
       return { category: 'unknown', confidence: 0 };
     }
   }
@@ -482,7 +497,7 @@ class ClaudeAI {
         recommendations: ['Improve password policy', 'Enable 2FA for all users']
       };
     } catch (error) {
-      console.error('Error parsing audit response:', error);
+      logger.error('Error parsing audit response', { error });
       return { issues: 0, criticalIssues: 0, recommendations: [] };
     }
   }
@@ -497,7 +512,7 @@ class ClaudeAI {
         confidence: 0.85
       };
     } catch (error) {
-      console.error('Error parsing usage prediction:', error);
+      logger.error('Error parsing usage prediction', { error });
       return { predictedGrowth: '0%', timeframe: 'unknown', confidence: 0 };
     }
   }
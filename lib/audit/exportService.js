@@ -2,9 +2,10 @@
  * ReVu Systems - Audit Export Service
  * 
  * This module handles exporting audit logs to various formats including PDF and JSON.
+ * Exported entries are redacted; see redactEntry.
  */
 
-import { getLogs } from './logger';
+import { getLogs, redactEntry } from './logger';
 
 /**
  * Generate a formatted JSON export of audit logs
@@ -13,7 +14,7 @@ import { getLogs } from './logger';
  * @returns {string} JSON formatted audit log
  */
 export function exportToJson(filters = {}, limit = 500) {
-  const logs = getLogs(filters, limit);
+  const logs = getLogs(filters, limit).map(redactEntry);
   
   // Create export metadata
   const export_data = {
@@ -40,7 +41,7 @@ export function exportToJson(filters = {}, limit = 500) {
  * @returns {Object} PDF generation result object
  */
 export function exportToPdf(filters = {}, limit = 500) {
-  const logs = getLogs(filters, limit);
+  const logs = getLogs(filters, limit).map(redactEntry);
   
   // For this implementation, we'll just return structured data that would be used to generate the PDF
   const pdfStructure = {
@@ -77,7 +78,7 @@ export function exportToPdf(filters = {}, limit = 500) {
  * @returns {string} CSV formatted audit log
  */
 export function exportToCsv(filters = {}, limit = 500) {
-  const logs = getLogs(filters, limit);
+  const logs = getLogs(filters, limit).map(redactEntry);
   
   // Define CSV header
   let csv = 'Timestamp,Level,Module,Action,User,Details\n';
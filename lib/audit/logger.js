@@ -0,0 +1,222 @@
+/**
+ * ReVu Systems - Audit Trail
+ *
+ * Append-only audit trail read by the audit export service and by claim
+ * provenance. The latest AUDIT_CACHE_SIZE entries (default 10000) are kept
+ * in memory. When AUDIT_LOG_FILE is set, every entry is also appended to
+ * that file as a JSON line, so the trail survives restarts and queries that
+ * reach past the cache read the file.
+ *
+ * AUDIT_LOG_FILE is required wherever claim provenance must be replayed or
+ * reverted reliably: without it, changes are only known to the instance
+ * that recorded them, and only until they fall out of the cache. An
+ * instance sharing the file with others reads their entries when it starts
+ * and when a query reaches past its cache.
+ *
+ * Provenance entries hold the claim values they changed (narratives and
+ * the like), because replay and revert need them. The file should be
+ * protected like the claims themselves; exports replace those values (see
+ * redactEntry).
+ *
+ * This module is CommonJS so the billing router can require it; ES modules
+ * import it as usual.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { REDACTED, redact, getLogger } = require('../logging/logger');
+
+const logger = getLogger('audit');
+
+const AUDIT_LEVELS = {
+  INFO: { label: 'INFO', value: 1 },
+  WARNING: { label: 'WARNING', value: 2 },
+  CRITICAL: { label: 'CRITICAL', value: 3 }
+};
+
+const DEFAULT_CACHE_SIZE = 10000;
+
+let entries = null;
+
+// Whether older entries than those in the cache exist
+let truncated = false;
+
+// Appends to AUDIT_LOG_FILE, queued so entries are written in order
+let writing = Promise.resolve();
+
+/**
+ * Maximum number of entries kept in memory
+ * @private
+ */
+function cacheSize() {
+  return parseInt(process.env.AUDIT_CACHE_SIZE, 10) || DEFAULT_CACHE_SIZE;
+}
+
+/**
+ * Read every entry in AUDIT_LOG_FILE
+ * @private
+ */
+function readFileEntries(file) {
+  if (!file || !fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * Drop the oldest cached entries past the cache size
+ * @private
+ */
+function trimCache() {
+  const excess = entries.length - cacheSize();
+  if (excess > 0) {
+    entries.splice(0, excess);
+    truncated = true;
+  }
+}
+
+/**
+ * Load the latest entries from AUDIT_LOG_FILE on first use
+ * @private
+ */
+function getEntries() {
+  if (!entries) {
+    entries = readFileEntries(process.env.AUDIT_LOG_FILE);
+    trimCache();
+  }
+  return entries;
+}
+
+/**
+ * Append an entry to the audit trail
+ * @param {Object} event - Audit event
+ * @param {string} event.module - Module that performed the action (e.g. 'billing-router')
+ * @param {string} event.action - What happened (e.g. 'claim.change')
+ * @param {string} event.user - Who did it ('system' for automated steps)
+ * @param {string} event.level - INFO, WARNING or CRITICAL (default INFO)
+ * @param {Object} event.details - Action details
+ * @returns {Object} The recorded entry
+ */
+function logAudit(event) {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    level: AUDIT_LEVELS[event.level] || AUDIT_LEVELS.INFO,
+    module: event.module,
+    action: event.action,
+    user: event.user || 'system',
+    details: event.details || {}
+  };
+
+  getEntries().push(entry);
+  trimCache();
+
+  const file = process.env.AUDIT_LOG_FILE;
+  if (file) {
+    const line = `${JSON.stringify(entry)}\n`;
+    writing = writing
+      .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+      .then(() => fs.promises.appendFile(file, line))
+      .catch(error => logger.error('Unable to write audit entry', { file, entryId: entry.id, error }));
+  }
+
+  return entry;
+}
+
+/**
+ * Wait for queued audit entries to be written to AUDIT_LOG_FILE
+ * @returns {Promise<void>} Resolves once every entry logged so far is written
+ */
+function flushAudit() {
+  return writing;
+}
+
+/**
+ * All entries to search: the cache, or the file plus entries not yet
+ * written to it once the cache no longer holds the whole trail
+ * @private
+ */
+function searchableEntries() {
+  const cached = getEntries();
+  const file = process.env.AUDIT_LOG_FILE;
+  if (!truncated || !file) {
+    return cached;
+  }
+
+  const all = readFileEntries(file);
+  const written = new Set(all.map(entry => entry.id));
+  return all.concat(cached.filter(entry => !written.has(entry.id)));
+}
+
+/**
+ * Copy of an entry safe to export: personal details are redacted and the
+ * claim values recorded by provenance entries are replaced
+ * @param {Object} entry - Audit entry
+ * @returns {Object} Redacted entry
+ */
+function redactEntry(entry) {
+  const details = redact(entry.details);
+  ['value', 'previousValue'].forEach(key => {
+    if (key in details) {
+      details[key] = REDACTED;
+    }
+  });
+  return { ...entry, details };
+}
+
+/**
+ * Get audit entries, newest first. Reads AUDIT_LOG_FILE when the cache does
+ * not reach back far enough to fill the limit.
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.module - Only entries from this module
+ * @param {string} filters.action - Only this action
+ * @param {string} filters.user - Only entries by this user
+ * @param {string} filters.level - Only entries at or above this level
+ * @param {string} filters.claimId - Only entries about this claim
+ * @param {string} filters.clinicId - Only entries about this clinic
+ * @param {string} filters.from - Start of the range (inclusive, ISO date)
+ * @param {string} filters.to - End of the range (inclusive, ISO date)
+ * @param {number} limit - Maximum number of entries (default 500)
+ * @returns {Array<Object>} Audit entries
+ */
+function getLogs(filters = {}, limit = 500) {
+  const minLevel = filters.level && AUDIT_LEVELS[filters.level] ? AUDIT_LEVELS[filters.level].value : 0;
+  const from = filters.from ? new Date(filters.from).getTime() : null;
+  const to = filters.to ? new Date(filters.to).getTime() : null;
+
+  const search = all => {
+    const matches = [];
+    for (let i = all.length - 1; i >= 0 && matches.length < limit; i--) {
+      const entry = all[i];
+      const time = new Date(entry.timestamp).getTime();
+      if (filters.module && entry.module !== filters.module) continue;
+      if (filters.action && entry.action !== filters.action) continue;
+      if (filters.user && entry.user !== filters.user) continue;
+      if (filters.claimId && String(entry.details.claimId) !== String(filters.claimId)) continue;
+      if (filters.clinicId && entry.details.clinicId !== filters.clinicId) continue;
+      if (entry.level.value < minLevel) continue;
+      if (from !== null && time < from) continue;
+      if (to !== null && time > to) continue;
+      matches.push(entry);
+    }
+    return matches;
+  };
+
+  const cached = getEntries();
+  const matches = search(cached);
+  const oldestCached = cached.length > 0 ? new Date(cached[0].timestamp).getTime() : Infinity;
+  if (matches.length < limit && truncated && (from === null || from < oldestCached)) {
+    // The cache does not go back far enough
+    return search(searchableEntries());
+  }
+  return matches;
+}
+
+module.exports = {
+  AUDIT_LEVELS,
+  logAudit,
+  flushAudit,
+  redactEntry,
+  getLogs
+};
@@ -0,0 +1,122 @@
+/**
+ * ReVu Systems - Claim Adjustment and Remark Codes
+ *
+ * Readable descriptions for the X12 codes payers use to explain how a
+ * claim was adjudicated: claim adjustment group codes, claim adjustment
+ * reason codes (CARC) and remittance advice remark codes (RARC). The lists
+ * cover the codes dental payers commonly send; unknown codes are reported
+ * as such rather than guessed at.
+ */
+
+const GROUP_CODES = {
+  CO: 'Contractual obligation',
+  CR: 'Correction and reversal',
+  OA: 'Other adjustment',
+  PI: 'Payer initiated reduction',
+  PR: 'Patient responsibility'
+};
+
+const CARC = {
+  1: 'Deductible amount',
+  2: 'Coinsurance amount',
+  3: 'Co-payment amount',
+  4: 'The procedure code is inconsistent with the modifier used',
+  5: 'The procedure code is inconsistent with the place of service',
+  6: 'The procedure is inconsistent with the patient\'s age',
+  7: 'The procedure is inconsistent with the patient\'s gender',
+  11: 'The diagnosis is inconsistent with the procedure',
+  15: 'The authorization number is missing, invalid, or does not apply',
+  16: 'Claim lacks information or has submission/billing errors',
+  18: 'Exact duplicate claim or service',
+  22: 'This care may be covered by another payer per coordination of benefits',
+  23: 'The impact of prior payer adjudication including payments and adjustments',
+  24: 'Charges are covered under a capitation agreement or managed care plan',
+  26: 'Expenses incurred prior to coverage',
+  27: 'Expenses incurred after coverage terminated',
+  29: 'The time limit for filing has expired',
+  31: 'Patient cannot be identified as our insured',
+  35: 'Lifetime benefit maximum has been reached',
+  39: 'Services denied at the time authorization or pre-certification was requested',
+  45: 'Charge exceeds fee schedule or maximum allowable amount',
+  49: 'Non-covered routine service or exam',
+  50: 'Not deemed a medical necessity by the payer',
+  96: 'Non-covered charge(s)',
+  97: 'Payment is included in the allowance for another service or procedure',
+  109: 'Claim or service not covered by this payer or contractor',
+  119: 'Benefit maximum for this time period or occurrence has been reached',
+  129: 'Prior processing information appears incorrect',
+  146: 'Diagnosis was invalid for the date(s) of service reported',
+  149: 'Lifetime benefit maximum has been reached for this service or benefit category',
+  151: 'Payment adjusted because the payer deems the information submitted does not support this many or frequency of services',
+  167: 'This (these) diagnosis(es) is (are) not covered',
+  170: 'Payment is denied when performed or billed by this type of provider',
+  181: 'Procedure code was invalid on the date of service',
+  182: 'Procedure modifier was invalid on the date of service',
+  197: 'Precertification, notification, authorization or pre-treatment absent',
+  198: 'Precertification, notification, authorization or pre-treatment exceeded',
+  200: 'Expenses incurred during lapse in coverage',
+  204: 'This service, equipment or drug is not covered under the patient\'s current benefit plan',
+  226: 'Information requested from the billing or rendering provider was not provided or was insufficient',
+  227: 'Information requested from the patient, insured or responsible party was not provided or was insufficient',
+  242: 'Services not provided by network or primary care providers',
+  252: 'An attachment or other documentation is required to adjudicate this claim or service',
+  253: 'Sequestration - reduction in federal payment',
+  B7: 'This provider was not certified or eligible to be paid for this procedure or service on this date of service',
+  B13: 'Previously paid; payment for this claim or service may have been provided in a previous payment',
+  B15: 'This service or procedure requires that a qualifying service or procedure be received and covered'
+};
+
+const RARC = {
+  M15: 'Separately billed services or tests have been bundled as they are considered components of the same procedure',
+  M51: 'Missing, incomplete or invalid procedure code(s)',
+  M79: 'Missing, incomplete or invalid charge',
+  M86: 'Service denied because payment already made for same or similar procedure within set time frame',
+  MA04: 'Secondary payment cannot be considered without the identity of or payment information from the primary payer',
+  MA130: 'Your claim contains incomplete and/or invalid information, and no appeal rights are afforded because the claim is unprocessable',
+  N4: 'Missing, incomplete or invalid prior insurance carrier(s) EOB',
+  N30: 'Patient ineligible for this service',
+  N115: 'This decision was based on a local coverage determination',
+  N130: 'Consult plan benefit documents or guidelines for information about restrictions for this service',
+  N362: 'The number of days or units of service exceeds our acceptable maximum',
+  N381: 'Consult our contractual agreement for restrictions or billing and payment information related to these charges',
+  N432: 'Adjusted based on consultant\'s review',
+  N479: 'Missing explanation of benefits (coordination of benefits or Medicare secondary payer)',
+  N517: 'Resubmit a new claim with the requested information',
+  N657: 'This should be billed with the appropriate code for these services',
+  N822: 'Missing procedure modifier(s)'
+};
+
+/**
+ * Describe a claim adjustment
+ * @param {string} group - Group code (CO, PR, ...)
+ * @param {string} reasonCode - CARC
+ * @returns {Object} { group, groupLabel, reasonCode, reason }
+ */
+function describeAdjustment(group, reasonCode) {
+  return {
+    group,
+    groupLabel: GROUP_CODES[group] || `Unknown group ${group}`,
+    reasonCode,
+    reason: CARC[reasonCode] || `Unknown adjustment reason ${reasonCode}`
+  };
+}
+
+/**
+ * Describe a remittance remark
+ * @param {string} code - RARC
+ * @returns {Object} { code, description }
+ */
+function describeRemark(code) {
+  return {
+    code,
+    description: RARC[code] || `Unknown remark ${code}`
+  };
+}
+
+module.exports = {
+  GROUP_CODES,
+  CARC,
+  RARC,
+  describeAdjustment,
+  describeRemark
+};
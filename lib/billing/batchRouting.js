@@ -0,0 +1,102 @@
+/**
+ * ReVu Systems - Batch Routing Helpers
+ *
+ * Concurrency control and summary reporting for routing end-of-day claim
+ * batches exported from the practice management system.
+ */
+
+/**
+ * Run an async function over items with at most `concurrency` in flight.
+ * Results keep the order of the input items.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items processed at once
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+async function runWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Math.min(Math.max(1, concurrency), items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  return results;
+}
+
+/**
+ * Total billed fees on a claim
+ * @private
+ */
+function claimValue(claim) {
+  return ((claim && claim.procedures) || []).reduce((sum, p) => sum + (p.fee || 0), 0);
+}
+
+/**
+ * Summarize a routed batch
+ * @param {Array<Object>} entries - Per-claim batch entries
+ * @param {Object} options - Summary options
+ * @param {number} options.slowestCount - How many of the slowest claims to list
+ * @returns {Object} Batch summary
+ */
+function summarizeBatch(entries, options = {}) {
+  const slowestCount = options.slowestCount || 5;
+  const routed = entries.filter(entry => entry.status === 'routed');
+  const failed = entries.filter(entry => entry.status === 'failed');
+  // Duplicates of claims already routed were not routed again
+  const duplicates = entries.filter(entry => entry.status === 'duplicate');
+
+  const routes = {};
+  routed.forEach(entry => {
+    const type = entry.result.route.type;
+    if (!routes[type]) {
+      routes[type] = { count: 0, totalValue: 0 };
+    }
+    routes[type].count++;
+    routes[type].totalValue += claimValue(entry.result.originalClaim);
+  });
+
+  const slowest = [...entries]
+    .sort((a, b) => b.durationMs - a.durationMs)
+    .slice(0, slowestCount)
+    .map(entry => ({
+      index: entry.index,
+      claimId: entry.claimId,
+      status: entry.status,
+      durationMs: entry.durationMs
+    }));
+
+  return {
+    total: entries.length,
+    routed: routed.length,
+    duplicates: duplicates.length,
+    failed: failed.length,
+    routes,
+    totalValue: Object.values(routes).reduce((sum, route) => sum + route.totalValue, 0),
+    failures: failed.map(entry => ({
+      index: entry.index,
+      claimId: entry.claimId,
+      reason: entry.error,
+      ...(entry.validationErrors && { validationErrors: entry.validationErrors })
+    })),
+    duplicateClaims: duplicates.map(entry => ({
+      index: entry.index,
+      claimId: entry.claimId,
+      type: entry.duplicateOf.type,
+      originalClaimId: entry.duplicateOf.originalClaimId
+    })),
+    slowest,
+    totalDurationMs: entries.reduce((sum, entry) => sum + entry.durationMs, 0)
+  };
+}
+
+module.exports = {
+  runWithConcurrency,
+  summarizeBatch
+};
@@ -0,0 +1,403 @@
+/**
+ * ReVu Systems - Plan Benefits and Patient Portion Estimates
+ *
+ * Models what a patient's plan pays: coverage percentages by procedure
+ * category, a deductible per benefit year, and annual and lifetime
+ * maximums. Previous claims are replayed against the plan to work out what
+ * has been used to date, then each procedure on a claim is split into the
+ * insurer's and the patient's portion.
+ *
+ * A plan looks like:
+ *   {
+ *     coverage: { preventive: 100, basic: 80, major: 50, ortho: 50 },  // percent
+ *     deductible: { amount: 50, categories: ['basic', 'major'] },      // per benefit year
+ *     annualMaximum: 1500,              // per benefit year; null for none
+ *     annualMaximumCategories: [...],   // categories counted (default all but ortho)
+ *     lifetimeMaximums: { ortho: 2000 },
+ *     benefitYearStartMonth: 1,         // 1 = calendar year
+ *     categories: { major: ['D29*'] }   // extra code patterns per category
+ *   }
+ */
+
+const { matchesAny } = require('./procedureCodes');
+const { checkFrequencyLimits } = require('./frequencyLimits');
+
+const BENEFIT_CATEGORIES = ['preventive', 'basic', 'major', 'ortho'];
+
+// First match wins, so more specific patterns come first. CDT codes, then CDA.
+const DEFAULT_CATEGORY_CODES = [
+  ['major', ['D25*', 'D26*', 'D27*', 'D5*', 'D6*', '27*', '5*', '6*']],
+  ['preventive', ['D0*', 'D1*', '0*', '1*']],
+  ['ortho', ['D8*', '8*']],
+  ['basic', ['D2*', 'D3*', 'D4*', 'D7*', 'D9*', '2*', '3*', '4*', '7*', '9*']]
+];
+
+const DEFAULT_DEDUCTIBLE_CATEGORIES = ['basic', 'major'];
+
+const DEFAULT_ANNUAL_MAXIMUM_CATEGORIES = ['preventive', 'basic', 'major'];
+
+/**
+ * Error thrown when a benefit plan is invalid
+ */
+class BenefitsError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'BenefitsError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check a list of benefit categories
+ * @private
+ */
+function validateCategoryList(categories, at, errors) {
+  if (!Array.isArray(categories) || categories.some(category => !BENEFIT_CATEGORIES.includes(category))) {
+    errors.push(`${at}: must be an array of ${BENEFIT_CATEGORIES.join(', ')}`);
+  }
+}
+
+/**
+ * Check an optional non-negative amount
+ * @private
+ */
+function isAmount(value) {
+  return typeof value === 'number' && value >= 0;
+}
+
+/**
+ * Validate a benefit plan
+ * @param {Object} plan - Benefit plan
+ * @param {string} at - Path of the plan, used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateBenefitPlan(plan, at = 'plan') {
+  if (!plan || typeof plan !== 'object') {
+    return [`${at}: must be an object`];
+  }
+
+  const errors = [];
+
+  if (!plan.coverage || typeof plan.coverage !== 'object') {
+    errors.push(`${at}.coverage: must map benefit categories to percentages`);
+  } else {
+    Object.entries(plan.coverage).forEach(([category, percent]) => {
+      if (!BENEFIT_CATEGORIES.includes(category)) {
+        errors.push(`${at}.coverage.${category}: unknown category; use ${BENEFIT_CATEGORIES.join(', ')}`);
+      } else if (!(typeof percent === 'number' && percent >= 0 && percent <= 100)) {
+        errors.push(`${at}.coverage.${category}: must be a percentage from 0 to 100`);
+      }
+    });
+  }
+
+  if (plan.deductible !== undefined && plan.deductible !== null) {
+    if (!isAmount(plan.deductible.amount)) {
+      errors.push(`${at}.deductible.amount: must be a non-negative number`);
+    }
+    if (plan.deductible.categories !== undefined) {
+      validateCategoryList(plan.deductible.categories, `${at}.deductible.categories`, errors);
+    }
+  }
+
+  if (plan.annualMaximum !== undefined && plan.annualMaximum !== null && !isAmount(plan.annualMaximum)) {
+    errors.push(`${at}.annualMaximum: must be a non-negative number or null`);
+  }
+  if (plan.annualMaximumCategories !== undefined) {
+    validateCategoryList(plan.annualMaximumCategories, `${at}.annualMaximumCategories`, errors);
+  }
+
+  if (plan.lifetimeMaximums !== undefined) {
+    if (!plan.lifetimeMaximums || typeof plan.lifetimeMaximums !== 'object') {
+      errors.push(`${at}.lifetimeMaximums: must map benefit categories to amounts`);
+    } else {
+      Object.entries(plan.lifetimeMaximums).forEach(([category, amount]) => {
+        if (!BENEFIT_CATEGORIES.includes(category) || !isAmount(amount)) {
+          errors.push(`${at}.lifetimeMaximums.${category}: must be a known category with a non-negative amount`);
+        }
+      });
+    }
+  }
+
+  if (plan.benefitYearStartMonth !== undefined &&
+      !(Number.isInteger(plan.benefitYearStartMonth) && plan.benefitYearStartMonth >= 1 && plan.benefitYearStartMonth <= 12)) {
+    errors.push(`${at}.benefitYearStartMonth: must be a month from 1 to 12`);
+  }
+
+  if (plan.categories !== undefined) {
+    if (!plan.categories || typeof plan.categories !== 'object') {
+      errors.push(`${at}.categories: must map benefit categories to code patterns`);
+    } else {
+      Object.entries(plan.categories).forEach(([category, codes]) => {
+        if (!BENEFIT_CATEGORIES.includes(category) ||
+            !Array.isArray(codes) || codes.some(code => typeof code !== 'string' || code.length === 0)) {
+          errors.push(`${at}.categories.${category}: must be a known category with an array of code patterns`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Work out the benefit category of a procedure code
+ * @param {string} code - CDT or CDA procedure code
+ * @param {Object} plan - Benefit plan; its category patterns take precedence
+ * @returns {string|null} Benefit category, or null when the code fits none
+ */
+function categorizeProcedure(code, plan = {}) {
+  const overrides = Object.entries(plan.categories || {});
+  const match = [...overrides, ...DEFAULT_CATEGORY_CODES].find(([, codes]) => matchesAny(code, codes));
+  return match ? match[0] : null;
+}
+
+/**
+ * Start of the benefit year a date falls in
+ * @private
+ */
+function benefitYearStart(date, startMonth) {
+  const year = date.getUTCMonth() + 1 >= startMonth ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+  return new Date(Date.UTC(year, startMonth - 1, 1));
+}
+
+/**
+ * Round to cents
+ * @private
+ */
+function toCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Tracks deductible and maximums used per benefit year and for life
+ * @private
+ */
+class BenefitUsage {
+  constructor(plan) {
+    this.plan = plan;
+    this.startMonth = plan.benefitYearStartMonth || 1;
+    this.years = new Map();
+    this.lifetime = {};
+  }
+
+  year(date) {
+    const key = benefitYearStart(date, this.startMonth).toISOString().slice(0, 10);
+    if (!this.years.has(key)) {
+      this.years.set(key, { deductible: 0, annual: 0 });
+    }
+    return this.years.get(key);
+  }
+
+  /**
+   * Split one procedure's fee between insurer and patient without recording it
+   */
+  adjudicate(line) {
+    const plan = this.plan;
+    const category = categorizeProcedure(line.code, plan);
+    const percent = category && plan.coverage[category] !== undefined ? plan.coverage[category] : 0;
+    const year = this.year(line.date);
+    const payable = Math.max(0, line.fee - (line.priorPaid || 0));
+
+    if (percent === 0) {
+      return { category, percent, deductible: 0, insurer: 0, limitedBy: 'not-covered' };
+    }
+
+    const deductiblePlan = plan.deductible || null;
+    const deductibleCategories = (deductiblePlan && deductiblePlan.categories) || DEFAULT_DEDUCTIBLE_CATEGORIES;
+    const deductible = deductiblePlan && deductibleCategories.includes(category)
+      ? Math.min(Math.max(0, deductiblePlan.amount - year.deductible), line.fee)
+      : 0;
+
+    let insurer = Math.min((line.fee - deductible) * percent / 100, payable);
+    let limitedBy = null;
+
+    const annualCategories = plan.annualMaximumCategories || DEFAULT_ANNUAL_MAXIMUM_CATEGORIES;
+    if (typeof plan.annualMaximum === 'number' && annualCategories.includes(category)) {
+      const remaining = Math.max(0, plan.annualMaximum - year.annual);
+      if (insurer > remaining) {
+        insurer = remaining;
+        limitedBy = 'annual-maximum';
+      }
+    }
+
+    const lifetimeMaximum = (plan.lifetimeMaximums || {})[category];
+    if (typeof lifetimeMaximum === 'number') {
+      const remaining = Math.max(0, lifetimeMaximum - (this.lifetime[category] || 0));
+      if (insurer > remaining) {
+        insurer = remaining;
+        limitedBy = 'lifetime-maximum';
+      }
+    }
+
+    return { category, percent, deductible: toCents(deductible), insurer: toCents(insurer), limitedBy };
+  }
+
+  /**
+   * Record what a procedure used of the deductible and maximums
+   */
+  record(line, category, deductible, insurer) {
+    const year = this.year(line.date);
+    year.deductible += deductible;
+
+    const annualCategories = this.plan.annualMaximumCategories || DEFAULT_ANNUAL_MAXIMUM_CATEGORIES;
+    if (annualCategories.includes(category)) {
+      year.annual += insurer;
+    }
+    if (category) {
+      this.lifetime[category] = (this.lifetime[category] || 0) + insurer;
+    }
+  }
+
+  /**
+   * What is left of the deductible and maximums in the benefit year of a date
+   */
+  remaining(date) {
+    const plan = this.plan;
+    const year = this.year(date);
+    const lifetimeMaximums = {};
+    Object.entries(plan.lifetimeMaximums || {}).forEach(([category, maximum]) => {
+      lifetimeMaximums[category] = toCents(Math.max(0, maximum - (this.lifetime[category] || 0)));
+    });
+
+    return {
+      deductible: plan.deductible ? toCents(Math.max(0, plan.deductible.amount - year.deductible)) : 0,
+      annualMaximum: typeof plan.annualMaximum === 'number'
+        ? toCents(Math.max(0, plan.annualMaximum - year.annual))
+        : null,
+      lifetimeMaximums
+    };
+  }
+}
+
+/**
+ * Replay previous claims against the plan. Amounts the payer reported
+ * (procedure or claim paidAmount, claim deductibleApplied) are used where
+ * given; otherwise the plan's rules estimate them. Denied claims use nothing.
+ * @private
+ * @returns {boolean} Whether any amounts had to be estimated
+ */
+function replayHistory(usage, previousClaims = []) {
+  let estimated = false;
+
+  previousClaims
+    .filter(previous => previous && previous.status !== 'denied' && Array.isArray(previous.procedures))
+    .map(previous => ({ previous, date: new Date(previous.serviceDate || (previous.procedures[0] || {}).date) }))
+    .filter(({ date }) => !isNaN(date.getTime()))
+    .sort((a, b) => a.date - b.date)
+    .forEach(({ previous, date }) => {
+      const totalFee = previous.procedures.reduce((sum, procedure) => sum + (procedure.fee || 0), 0);
+      let simulatedDeductible = 0;
+      let year = null;
+
+      previous.procedures.forEach(procedure => {
+        const line = {
+          code: procedure.code,
+          fee: procedure.fee || 0,
+          date: procedure.date ? new Date(procedure.date) : date
+        };
+        const result = usage.adjudicate(line);
+
+        let insurer = result.insurer;
+        if (typeof procedure.paidAmount === 'number') {
+          insurer = procedure.paidAmount;
+        } else if (typeof previous.paidAmount === 'number') {
+          insurer = totalFee > 0 ? previous.paidAmount * line.fee / totalFee : 0;
+        } else {
+          estimated = true;
+        }
+
+        usage.record(line, result.category, result.deductible, insurer);
+        simulatedDeductible += result.deductible;
+        year = usage.year(line.date);
+      });
+
+      if (typeof previous.deductibleApplied === 'number' && year) {
+        year.deductible += previous.deductibleApplied - simulatedDeductible;
+      }
+    });
+
+  return estimated;
+}
+
+/**
+ * Estimate the insurer's and the patient's portion of each procedure on a
+ * claim. Procedures over a frequency limit are not paid by the insurer;
+ * amounts earlier payers paid (priorPaid, on secondary claims) reduce what
+ * is left to pay.
+ * @param {Object} claim - The claim to estimate, with previousClaims for usage to date
+ * @param {Object} plan - Benefit plan
+ * @param {Object} options - Estimate options
+ * @param {Array} options.frequencyLimits - Frequency limits of the plan or payer
+ * @returns {Object} { benefitYearStart, procedures, totals, remainingBeforeClaim,
+ *   remainingAfterClaim, estimatedUsage } where remaining amounts are the deductible
+ *   and maximums left, and estimatedUsage says whether usage to date was estimated
+ * @throws {BenefitsError} When the plan is invalid
+ */
+function estimatePatientPortion(claim, plan, options = {}) {
+  const errors = validateBenefitPlan(plan);
+  if (errors.length > 0) {
+    throw new BenefitsError(`Invalid benefit plan: ${errors.join('; ')}`, errors);
+  }
+
+  const usage = new BenefitUsage(plan);
+  const estimatedUsage = replayHistory(usage, claim.previousClaims);
+  const serviceDate = new Date(claim.serviceDate || (claim.procedures[0] || {}).date || Date.now());
+  const remainingBeforeClaim = usage.remaining(serviceDate);
+
+  const overLimit = new Set(checkFrequencyLimits(claim, options.frequencyLimits || [])
+    .filter(finding => finding.exceeded)
+    .map(finding => finding.procedureIndex));
+
+  const procedures = claim.procedures.map((procedure, procedureIndex) => {
+    const line = {
+      code: procedure.code,
+      fee: procedure.fee || 0,
+      priorPaid: procedure.priorPaid || 0,
+      date: procedure.date ? new Date(procedure.date) : serviceDate
+    };
+
+    const result = usage.adjudicate(line);
+    if (overLimit.has(procedureIndex) && result.insurer > 0) {
+      Object.assign(result, { deductible: 0, insurer: 0, limitedBy: 'frequency-limit' });
+    }
+    usage.record(line, result.category, result.deductible, result.insurer);
+
+    return {
+      procedureIndex,
+      code: procedure.code,
+      category: result.category,
+      fee: line.fee,
+      coveragePercent: result.percent,
+      deductible: result.deductible,
+      priorPaid: line.priorPaid,
+      insurerPortion: result.insurer,
+      patientPortion: toCents(Math.max(0, line.fee - line.priorPaid - result.insurer)),
+      limitedBy: result.limitedBy
+    };
+  });
+
+  const sum = field => toCents(procedures.reduce((total, procedure) => total + procedure[field], 0));
+
+  return {
+    benefitYearStart: benefitYearStart(serviceDate, usage.startMonth).toISOString().slice(0, 10),
+    procedures,
+    totals: {
+      fee: sum('fee'),
+      deductible: sum('deductible'),
+      priorPaid: sum('priorPaid'),
+      insurerPortion: sum('insurerPortion'),
+      patientPortion: sum('patientPortion')
+    },
+    remainingBeforeClaim,
+    remainingAfterClaim: usage.remaining(serviceDate),
+    estimatedUsage
+  };
+}
+
+module.exports = {
+  BENEFIT_CATEGORIES,
+  BenefitsError,
+  validateBenefitPlan,
+  categorizeProcedure,
+  estimatePatientPortion
+};
@@ -0,0 +1,286 @@
+/**
+ * ReVu Systems - Procedure Bundling Validator
+ *
+ * Checks a claim's procedures for CDT/CDA bundling problems before
+ * submission: mutually exclusive pairs, procedures that are a component of
+ * another procedure billed alongside them, duplicate lines, and
+ * same-tooth/same-day conflicts. Each problem is returned as a structured
+ * edit so reviewers can fix the claim before it is denied.
+ */
+
+const { matchesAny } = require('./procedureCodes');
+
+const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+/**
+ * Default bundling rules. Code patterns ending in `*` match by prefix.
+ * `scope` is either `day` (same date of service) or `tooth-day`
+ * (same tooth on the same date of service). `repeatable` codes may be
+ * billed on several lines the same day without a tooth or area, so such
+ * lines are not reported as duplicates.
+ */
+const DEFAULT_BUNDLING_RULES = {
+  repeatable: [
+    'D0230', // each additional periapical image
+    'D4341', // scaling and root planing, per quadrant
+    'D4342'
+  ],
+  mutuallyExclusive: [
+    {
+      id: 'EXAM_PERIODIC_VS_COMPREHENSIVE',
+      codes: [['D0120'], ['D0150', 'D0180']],
+      scope: 'day',
+      reason: 'Periodic and comprehensive evaluations cannot be billed on the same day'
+    },
+    {
+      id: 'EXAM_COMPREHENSIVE_VS_PERIO',
+      codes: [['D0150'], ['D0180']],
+      scope: 'day',
+      reason: 'Comprehensive and periodontal evaluations cannot be billed on the same day'
+    },
+    {
+      id: 'PROPHY_VS_SRP',
+      codes: [['D1110', 'D1120'], ['D4341', 'D4342', 'D4346']],
+      scope: 'day',
+      reason: 'Prophylaxis cannot be billed with scaling and root planing on the same day'
+    },
+    {
+      id: 'PROPHY_VS_PERIO_MAINTENANCE',
+      codes: [['D1110'], ['D4910']],
+      scope: 'day',
+      reason: 'Prophylaxis and periodontal maintenance are mutually exclusive'
+    },
+    {
+      id: 'CDA_RECALL_VS_COMPLETE_EXAM',
+      codes: [['01202'], ['01101', '01102', '01103']],
+      scope: 'day',
+      reason: 'Recall and complete examinations cannot be billed on the same day'
+    }
+  ],
+  componentOf: [
+    {
+      id: 'FMX_INCLUDES_INTRAORAL_IMAGES',
+      component: ['D0220', 'D0230', 'D0270', 'D0272', 'D0273', 'D0274'],
+      comprehensive: ['D0210'],
+      scope: 'day',
+      reason: 'Periapical and bitewing images are included in a complete series'
+    },
+    {
+      id: 'CDA_COMPLETE_SERIES_INCLUDES_IMAGES',
+      component: ['0211*', '0214*'],
+      comprehensive: ['02101', '02102'],
+      scope: 'day',
+      reason: 'Periapical and bitewing images are included in a complete series'
+    },
+    {
+      id: 'PULPOTOMY_INCLUDED_IN_RCT',
+      component: ['D3220'],
+      comprehensive: ['D3310', 'D3320', 'D3330'],
+      scope: 'tooth-day',
+      reason: 'Pulpotomy is part of root canal therapy on the same tooth'
+    },
+    {
+      id: 'PALLIATIVE_WITH_DEFINITIVE',
+      component: ['D9110'],
+      comprehensive: ['D2*', 'D3*', 'D7*'],
+      scope: 'day',
+      reason: 'Palliative treatment is included when definitive treatment is performed the same day'
+    },
+    {
+      id: 'DEBRIDEMENT_WITH_SRP',
+      component: ['D4355'],
+      comprehensive: ['D4341', 'D4342'],
+      scope: 'day',
+      reason: 'Full mouth debridement is not billable with scaling and root planing on the same day'
+    },
+    {
+      id: 'SIMPLE_EXTRACTION_IN_SURGICAL',
+      component: ['D7140'],
+      comprehensive: ['D7210', 'D7220', 'D7230', 'D7240'],
+      scope: 'tooth-day',
+      reason: 'A simple extraction is included in a surgical extraction of the same tooth'
+    }
+  ],
+  sameToothConflicts: [
+    {
+      id: 'RESTORATION_ON_EXTRACTED_TOOTH',
+      codes: [['D7*'], ['D2*', 'D3*']],
+      reason: 'Restorative or endodontic treatment billed on a tooth extracted the same day'
+    },
+    {
+      id: 'CROWN_AND_FILLING_SAME_TOOTH',
+      codes: [['D27*'], ['D21*', 'D23*']],
+      reason: 'Direct restoration billed with a crown on the same tooth and day'
+    }
+  ]
+};
+
+/**
+ * Normalize a claim's procedures for comparison
+ * @private
+ * @param {Object} claim - The claim to normalize
+ * @returns {Array} Procedures with index, date and tooth (or quadrant/arch) filled in
+ */
+function normalizeProcedures(claim) {
+  return (claim.procedures || []).map((procedure, index) => ({
+    index,
+    code: procedure.code,
+    tooth: procedure.tooth != null ? String(procedure.tooth).toUpperCase() : null,
+    surface: procedure.surface ? String(procedure.surface).toUpperCase() : null,
+    date: serviceDay(procedure.date || claim.serviceDate)
+  }));
+}
+
+/**
+ * Day of a date string or Date as YYYY-MM-DD ('' when missing)
+ * @private
+ */
+function serviceDay(value) {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? String(value).slice(0, 10) : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether two lines bill the same procedure on the same tooth or
+ * area, surface and date
+ * @private
+ */
+function isDuplicate(a, b, rules) {
+  if (a.code !== b.code || a.date !== b.date || a.tooth !== b.tooth || a.surface !== b.surface) {
+    return false;
+  }
+  return a.tooth !== null || !matchesAny(a.code, rules.repeatable || []);
+}
+
+/**
+ * Check whether two procedures fall in the same scope
+ * @private
+ */
+function inScope(a, b, scope) {
+  if (a.date !== b.date) return false;
+  if (scope === 'tooth-day') {
+    return a.tooth !== null && a.tooth === b.tooth;
+  }
+  return true;
+}
+
+/**
+ * Build a structured edit
+ * @private
+ */
+function createEdit(type, rule, severity, first, second, message, recommendation) {
+  return {
+    type,
+    ruleId: rule.id,
+    severity,
+    codes: [first.code, second.code],
+    procedureIndexes: [first.index, second.index],
+    tooth: first.tooth === second.tooth ? first.tooth : null,
+    date: first.date || null,
+    message,
+    recommendation
+  };
+}
+
+/**
+ * Validate a claim's procedures for bundling and unbundling problems
+ * @param {Object} claim - The claim to validate
+ * @param {Object} rules - Bundling rules (defaults to DEFAULT_BUNDLING_RULES)
+ * @returns {Array<Object>} Bundling edits, most severe first
+ */
+function validateBundling(claim, rules = DEFAULT_BUNDLING_RULES) {
+  const procedures = normalizeProcedures(claim);
+  const edits = [];
+
+  for (let i = 0; i < procedures.length; i++) {
+    for (let j = i + 1; j < procedures.length; j++) {
+      const a = procedures[i];
+      const b = procedures[j];
+
+      // Exact duplicate lines
+      if (isDuplicate(a, b, rules)) {
+        edits.push(createEdit(
+          'DUPLICATE',
+          { id: 'DUPLICATE_LINE' },
+          SEVERITY.ERROR,
+          a,
+          b,
+          `Procedure ${a.code} is billed twice for the same tooth, surface and date`,
+          'Remove the duplicate line'
+        ));
+        continue;
+      }
+
+      (rules.mutuallyExclusive || []).forEach(rule => {
+        const [left, right] = rule.codes;
+        const pairMatches = (matchesAny(a.code, left) && matchesAny(b.code, right)) ||
+          (matchesAny(a.code, right) && matchesAny(b.code, left));
+        if (pairMatches && inScope(a, b, rule.scope)) {
+          edits.push(createEdit(
+            'MUTUALLY_EXCLUSIVE',
+            rule,
+            SEVERITY.ERROR,
+            a,
+            b,
+            `${a.code} and ${b.code}: ${rule.reason}`,
+            'Bill only one of these procedures'
+          ));
+        }
+      });
+
+      (rules.componentOf || []).forEach(rule => {
+        let component = null;
+        let comprehensive = null;
+        if (matchesAny(a.code, rule.component) && matchesAny(b.code, rule.comprehensive)) {
+          [component, comprehensive] = [a, b];
+        } else if (matchesAny(b.code, rule.component) && matchesAny(a.code, rule.comprehensive)) {
+          [component, comprehensive] = [b, a];
+        }
+        if (component && inScope(component, comprehensive, rule.scope)) {
+          edits.push(createEdit(
+            'COMPONENT_OF',
+            rule,
+            SEVERITY.ERROR,
+            component,
+            comprehensive,
+            `${component.code} is part of ${comprehensive.code}: ${rule.reason}`,
+            `Remove ${component.code} and bill ${comprehensive.code} only`
+          ));
+        }
+      });
+
+      (rules.sameToothConflicts || []).forEach(rule => {
+        const [left, right] = rule.codes;
+        const pairMatches = (matchesAny(a.code, left) && matchesAny(b.code, right)) ||
+          (matchesAny(a.code, right) && matchesAny(b.code, left));
+        if (pairMatches && inScope(a, b, 'tooth-day')) {
+          edits.push(createEdit(
+            'SAME_TOOTH_CONFLICT',
+            rule,
+            SEVERITY.WARNING,
+            a,
+            b,
+            `${a.code} and ${b.code} on tooth ${a.tooth}: ${rule.reason}`,
+            'Confirm the tooth numbers and dates of service'
+          ));
+        }
+      });
+    }
+  }
+
+  const order = [SEVERITY.ERROR, SEVERITY.WARNING, SEVERITY.INFO];
+  return edits.sort((x, y) => order.indexOf(x.severity) - order.indexOf(y.severity));
+}
+
+module.exports = {
+  SEVERITY,
+  DEFAULT_BUNDLING_RULES,
+  validateBundling
+};
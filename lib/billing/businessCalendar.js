@@ -0,0 +1,409 @@
+/**
+ * ReVu Systems - Business Calendar
+ *
+ * Business-time arithmetic for completion estimates: statutory holidays per
+ * region (Canadian federal, each province and territory, and US federal),
+ * clinic opening hours, and time zones. Holiday rules live in
+ * lib/config/holidays.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HOLIDAYS_FILE = path.join(process.cwd(), 'lib', 'config', 'holidays.json');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Days are keyed as in clinic hours configuration, indexed by Date#getUTCDay
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Guards against calendars with no open days at all
+const MAX_SEARCH_DAYS = 3660;
+
+const DEFAULT_CALENDAR = {
+  region: 'ON',
+  timeZone: 'America/Toronto',
+  hours: {
+    mon: ['08:00', '17:00'],
+    tue: ['08:00', '17:00'],
+    wed: ['08:00', '17:00'],
+    thu: ['08:00', '17:00'],
+    fri: ['08:00', '17:00']
+  }
+};
+
+let holidayConfig = null;
+const holidayCache = new Map();
+
+/**
+ * Read the holiday rules once
+ * @private
+ */
+function getHolidayConfig() {
+  if (!holidayConfig) {
+    const file = process.env.HOLIDAYS_FILE || DEFAULT_HOLIDAYS_FILE;
+    holidayConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return holidayConfig;
+}
+
+/**
+ * List the regions that have holiday sets
+ * @returns {Array<string>} Region codes (e.g. CA, ON, QC, US)
+ */
+function listHolidayRegions() {
+  return Object.keys(getHolidayConfig().regions);
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @private
+ */
+function dateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Easter Sunday for a year (anonymous Gregorian algorithm)
+ * @private
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Work out the date of a holiday rule in a year
+ * @private
+ */
+function holidayDate(rule, year) {
+  if (rule.easterOffset !== undefined) {
+    return new Date(easterSunday(year).getTime() + rule.easterOffset * DAY_MS);
+  }
+
+  if (rule.day !== undefined) {
+    return new Date(Date.UTC(year, rule.month - 1, rule.day));
+  }
+
+  // The last given weekday before a day of the month (e.g. Victoria Day)
+  if (rule.before !== undefined) {
+    const date = new Date(Date.UTC(year, rule.month - 1, rule.before - 1));
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - rule.weekday + 7) % 7));
+    return date;
+  }
+
+  // The nth given weekday of the month, counting from the end when negative
+  if (rule.nth > 0) {
+    const date = new Date(Date.UTC(year, rule.month - 1, 1));
+    date.setUTCDate(1 + ((rule.weekday - date.getUTCDay() + 7) % 7) + (rule.nth - 1) * 7);
+    return date;
+  }
+  const date = new Date(Date.UTC(year, rule.month, 0));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - rule.weekday + 7) % 7) + (rule.nth + 1) * 7);
+  return date;
+}
+
+/**
+ * Get the observed statutory holidays for a region and year. Fixed-date
+ * holidays falling on a weekend move to the next weekday that is not
+ * already a holiday (so Christmas on a Saturday is observed on Monday and
+ * Boxing Day on Tuesday), except in regions that observe the nearest weekday.
+ * @param {number} year - Calendar year
+ * @param {string} region - Region code (e.g. CA, ON, QC, US)
+ * @returns {Array<Object>} Holidays: { date, name, id } sorted by date
+ */
+function getHolidays(year, region) {
+  const cacheKey = `${region}:${year}`;
+  if (holidayCache.has(cacheKey)) {
+    return holidayCache.get(cacheKey);
+  }
+
+  const config = getHolidayConfig();
+  const ids = config.regions[region];
+  if (!ids) {
+    throw new Error(`No holiday set for region ${region}`);
+  }
+
+  const rules = ids
+    .map(id => ({ id, ...config.holidays[id] }))
+    .filter(rule => !rule.since || year >= rule.since)
+    .map(rule => ({ rule, date: holidayDate(rule, year) }))
+    .sort((a, b) => a.date - b.date);
+
+  const taken = new Set(rules.filter(({ rule }) => rule.day === undefined).map(({ date }) => dateKey(date)));
+  const nearest = (config.nearestWeekdayObservance || []).includes(region);
+  const holidays = rules.map(({ rule, date }) => {
+    if (rule.day !== undefined) {
+      // Nearest-weekday regions (e.g. US federal) observe Saturday holidays on Friday
+      if (nearest && date.getUTCDay() === 6) {
+        date = new Date(date.getTime() - DAY_MS);
+      }
+      while (date.getUTCDay() === 0 || date.getUTCDay() === 6 || taken.has(dateKey(date))) {
+        date = new Date(date.getTime() + DAY_MS);
+      }
+      taken.add(dateKey(date));
+    }
+    return { date: dateKey(date), name: rule.name, id: rule.id };
+  }).sort((a, b) => a.date.localeCompare(b.date));
+
+  holidayCache.set(cacheKey, holidays);
+  return holidays;
+}
+
+/**
+ * Validate a business calendar configuration
+ * @param {Object} calendar - Calendar configuration
+ * @param {string} at - Path used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateCalendar(calendar, at = 'calendar') {
+  const errors = [];
+
+  if (!calendar || typeof calendar !== 'object') {
+    return [`${at}: must be an object`];
+  }
+  if (calendar.region !== undefined && calendar.region !== null && !listHolidayRegions().includes(calendar.region)) {
+    errors.push(`${at}.region: must be one of ${listHolidayRegions().join(', ')}`);
+  }
+  if (calendar.timeZone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-CA', { timeZone: calendar.timeZone });
+    } catch (error) {
+      errors.push(`${at}.timeZone: must be an IANA time zone`);
+    }
+  }
+  if (calendar.hours !== undefined && calendar.hours !== null) {
+    if (typeof calendar.hours !== 'object') {
+      errors.push(`${at}.hours: must be an object keyed by day (mon, tue, ...)`);
+    } else {
+      Object.entries(calendar.hours).forEach(([day, span]) => {
+        if (!DAY_KEYS.includes(day)) {
+          errors.push(`${at}.hours.${day}: unknown day; use ${DAY_KEYS.join(', ')}`);
+        } else if (!Array.isArray(span) || span.length !== 2 || !span.every(time => TIME_PATTERN.test(time)) ||
+                   span[0] >= span[1]) {
+          errors.push(`${at}.hours.${day}: must be ["HH:MM", "HH:MM"] with opening before closing`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Minutes since midnight for an "HH:MM" time
+ * @private
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * A business calendar for a region and time zone. With `hours` it counts
+ * clinic opening hours; with `hours: null` every weekday that is not a
+ * holiday counts as one whole business day (used for payer turnaround).
+ */
+class BusinessCalendar {
+  constructor(calendar = {}) {
+    const errors = validateCalendar(calendar);
+    if (errors.length > 0) {
+      throw new Error(`Invalid business calendar: ${errors.join('; ')}`);
+    }
+
+    this.region = calendar.region === undefined ? DEFAULT_CALENDAR.region : calendar.region;
+    this.timeZone = calendar.timeZone || DEFAULT_CALENDAR.timeZone;
+    this.hours = calendar.hours === undefined ? DEFAULT_CALENDAR.hours : calendar.hours;
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+
+  /**
+   * Wall-clock time in the calendar's time zone, as a UTC-based Date
+   * @private
+   */
+  toWallClock(instant) {
+    const parts = {};
+    this.formatter.formatToParts(instant).forEach(part => {
+      parts[part.type] = Number(part.value);
+    });
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+  }
+
+  /**
+   * Real instant for a wall-clock time in the calendar's time zone
+   * @private
+   */
+  fromWallClock(wall) {
+    let instant = new Date(wall.getTime());
+    // Two passes settle the offset across daylight saving changes
+    for (let i = 0; i < 2; i++) {
+      instant = new Date(wall.getTime() - (this.toWallClock(instant).getTime() - instant.getTime()));
+    }
+    return instant;
+  }
+
+  /**
+   * Check whether a wall-clock day is a business day
+   * @private
+   */
+  isBusinessWallDay(wall) {
+    if (this.hours ? !this.hours[DAY_KEYS[wall.getUTCDay()]] : [0, 6].includes(wall.getUTCDay())) {
+      return false;
+    }
+    if (!this.region) {
+      return true;
+    }
+    const key = dateKey(wall);
+    return !getHolidays(wall.getUTCFullYear(), this.region).some(holiday => holiday.date === key);
+  }
+
+  /**
+   * Check whether a date falls on a business day in this calendar
+   * @param {Date|string} date - Date to check
+   * @returns {boolean} Whether the clinic (or payer) is working that day
+   */
+  isBusinessDay(date) {
+    return this.isBusinessWallDay(this.toWallClock(new Date(date)));
+  }
+
+  /**
+   * Add business hours to a time, counting only opening hours on business days
+   * @param {Date|string} start - Start time
+   * @param {number} hours - Business hours to add
+   * @returns {Date} Time the business hours run out
+   */
+  addBusinessHours(start, hours) {
+    if (!this.hours) {
+      return this.addBusinessDays(start, hours / 24);
+    }
+
+    let remaining = Math.max(0, hours) * 60;
+    let wall = this.toWallClock(new Date(start));
+
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+      const span = this.hours[DAY_KEYS[wall.getUTCDay()]];
+      if (span && this.isBusinessWallDay(wall)) {
+        const midnight = Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate());
+        const current = (wall.getTime() - midnight) / 60000;
+        const from = Math.max(current, toMinutes(span[0]));
+        const available = toMinutes(span[1]) - from;
+
+        if (available > 0 && remaining <= available) {
+          return this.fromWallClock(new Date(midnight + (from + remaining) * 60000));
+        }
+        remaining -= Math.max(0, available);
+      }
+      wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + 1));
+    }
+
+    throw new Error('Business calendar has no opening hours');
+  }
+
+  /**
+   * Add whole business days to a time, keeping the time of day. Fractional
+   * days are rounded up.
+   * @param {Date|string} start - Start time
+   * @param {number} days - Business days to add
+   * @returns {Date} Resulting time
+   */
+  addBusinessDays(start, days) {
+    let remaining = Math.ceil(Math.max(0, days));
+    let wall = this.toWallClock(new Date(start));
+
+    for (let i = 0; remaining > 0 && i < MAX_SEARCH_DAYS; i++) {
+      wall = new Date(wall.getTime() + DAY_MS);
+      if (this.isBusinessWallDay(wall)) {
+        remaining--;
+      }
+    }
+    if (remaining > 0) {
+      throw new Error('Business calendar has no business days');
+    }
+
+    return this.fromWallClock(wall);
+  }
+
+  /**
+   * Count the business hours between two times
+   * @param {Date|string} start - Start time
+   * @param {Date|string} end - End time
+   * @returns {number} Business hours elapsed (0 when end is not after start)
+   */
+  businessHoursBetween(start, end) {
+    if (!this.hours) {
+      return this.businessDaysBetween(start, end) * 24;
+    }
+
+    const from = this.toWallClock(new Date(start)).getTime();
+    const to = this.toWallClock(new Date(end)).getTime();
+    const first = new Date(from);
+    let day = Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate());
+    let minutes = 0;
+
+    for (; day < to; day += DAY_MS) {
+      const wall = new Date(day);
+      const span = this.hours[DAY_KEYS[wall.getUTCDay()]];
+      if (span && this.isBusinessWallDay(wall)) {
+        const open = Math.max(from, day + toMinutes(span[0]) * 60000);
+        const close = Math.min(to, day + toMinutes(span[1]) * 60000);
+        minutes += Math.max(0, close - open) / 60000;
+      }
+    }
+
+    return minutes / 60;
+  }
+
+  /**
+   * Count the business days after `start` up to and including `end`
+   * @param {Date|string} start - Start time
+   * @param {Date|string} end - End time
+   * @returns {number} Business days elapsed (0 when end is not after start)
+   */
+  businessDaysBetween(start, end) {
+    const from = this.toWallClock(new Date(start));
+    const to = this.toWallClock(new Date(end));
+    let wall = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+    let days = 0;
+
+    while (wall.getTime() + DAY_MS <= to.getTime()) {
+      wall = new Date(wall.getTime() + DAY_MS);
+      if (this.isBusinessWallDay(wall)) {
+        days++;
+      }
+    }
+
+    return days;
+  }
+}
+
+module.exports = {
+  DEFAULT_CALENDAR,
+  BusinessCalendar,
+  getHolidays,
+  listHolidayRegions,
+  validateCalendar
+};
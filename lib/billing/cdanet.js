@@ -0,0 +1,688 @@
+/**
+ * ReVu Systems - CDAnet Messages
+ *
+ * Encodes claims, predeterminations and eligibility requests as CDAnet
+ * Version 04 messages, and decodes carrier responses (acknowledgements,
+ * explanations of benefits, eligibility responses and rejections) back
+ * into structured objects.
+ *
+ * CDAnet messages are fixed-width ASCII records. Each transaction is laid
+ * out below as a list of fields, identified by their data dictionary IDs
+ * (A01, B01, ...), with repeating groups sized by a preceding count field.
+ * Only the fields we send and read are laid out; optional blocks such as
+ * secondary coverage and orthodontic details are not produced.
+ */
+
+const VERSION = '04';
+
+const TRANSACTION_CODES = {
+  claim: '01',
+  predetermination: '03',
+  eligibility: '08',
+  claimAcknowledgement: '11',
+  predeterminationAcknowledgement: '13',
+  eligibilityResponse: '18',
+  eob: '21',
+  predeterminationEob: '23'
+};
+
+// G05 response status
+const RESPONSE_STATUSES = {
+  A: 'accepted',
+  E: 'eligible',
+  N: 'not eligible',
+  R: 'rejected',
+  H: 'held',
+  M: 'manual processing'
+};
+
+// CDAnet allows at most seven procedures per claim or predetermination
+const MAX_PROCEDURES = 7;
+
+// F10 international tooth codes for procedures billed per area
+const AREA_TOOTH_CODES = {
+  UA: '01',
+  LA: '02',
+  UR: '10',
+  UL: '20',
+  LL: '30',
+  LR: '40'
+};
+
+// C03 relationship to subscriber
+const RELATIONSHIPS = {
+  self: 1,
+  spouse: 2,
+  child: 3,
+  'common-law': 4,
+  other: 5
+};
+
+/**
+ * Error thrown when a message cannot be encoded or decoded
+ */
+class CdanetError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'CdanetError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Field definition. Types:
+ *   AN   - text, left-justified and space-padded
+ *   ID   - numeric identifier, zero-padded and kept as a string
+ *   N    - number, zero-padded
+ *   $    - dollar amount, in cents, zero-padded
+ *   DATE - YYYYMMDD, all zeros when absent
+ * @private
+ */
+const field = (id, name, type, length) => ({ id, name, type, length });
+
+const REQUEST_HEADER = [
+  field('A01', 'transactionPrefix', 'AN', 12),
+  field('A02', 'officeSequence', 'N', 6),
+  field('A03', 'formatVersion', 'ID', 2),
+  field('A04', 'transactionCode', 'ID', 2),
+  field('A05', 'carrierId', 'ID', 6),
+  field('A06', 'softwareSystemId', 'AN', 3),
+  field('A10', 'encryptionMethod', 'N', 1),
+  field('A07', 'messageLength', 'N', 5),
+  field('A09', 'carrierTransactionCounter', 'N', 5)
+];
+
+const RESPONSE_HEADER = [
+  field('A01', 'transactionPrefix', 'AN', 12),
+  field('A02', 'officeSequence', 'N', 6),
+  field('A03', 'formatVersion', 'ID', 2),
+  field('A04', 'transactionCode', 'ID', 2),
+  field('A05', 'carrierId', 'ID', 6),
+  field('A07', 'messageLength', 'N', 5),
+  field('A11', 'mailboxIndicator', 'AN', 1)
+];
+
+const PROVIDER = [
+  field('B01', 'providerNumber', 'AN', 9),
+  field('B02', 'providerOffice', 'AN', 4)
+];
+
+const BILLING_PROVIDER = [
+  field('B03', 'billingProviderNumber', 'AN', 9),
+  field('B04', 'billingProviderOffice', 'AN', 4)
+];
+
+const PATIENT = [
+  field('C01', 'policyNumber', 'AN', 12),
+  field('C11', 'division', 'AN', 10),
+  field('C02', 'subscriberId', 'AN', 12),
+  field('C17', 'dependantCode', 'N', 2),
+  field('C03', 'relationship', 'N', 1),
+  field('C04', 'patientSex', 'AN', 1),
+  field('C05', 'patientBirthDate', 'DATE', 8),
+  field('C06', 'patientLastName', 'AN', 25),
+  field('C07', 'patientFirstName', 'AN', 15),
+  field('C08', 'patientMiddleInitial', 'AN', 1)
+];
+
+const SUBSCRIBER = [
+  field('D01', 'subscriberBirthDate', 'DATE', 8),
+  field('D02', 'subscriberLastName', 'AN', 25),
+  field('D03', 'subscriberFirstName', 'AN', 15),
+  field('D04', 'subscriberMiddleInitial', 'AN', 1),
+  field('D05', 'subscriberAddress', 'AN', 30),
+  field('D07', 'subscriberCity', 'AN', 20),
+  field('D08', 'subscriberProvince', 'AN', 2),
+  field('D09', 'subscriberPostalCode', 'AN', 9),
+  field('D10', 'language', 'AN', 1)
+];
+
+const PROCEDURE_LINE = [
+  field('F07', 'line', 'N', 1),
+  field('F08', 'code', 'AN', 5),
+  field('F09', 'serviceDate', 'DATE', 8),
+  field('F10', 'tooth', 'ID', 2),
+  field('F11', 'surface', 'AN', 5),
+  field('F12', 'fee', '$', 6)
+];
+
+const PROCEDURES = [
+  field('F01', 'payeeCode', 'N', 1),
+  field('F02', 'accidentDate', 'DATE', 8),
+  field('F03', 'predeterminationNumber', 'AN', 14),
+  field('F06', 'procedureCount', 'N', 1),
+  { group: 'procedures', count: 'procedureCount', fields: PROCEDURE_LINE }
+];
+
+// Predeterminations are for planned treatment, so have no service dates
+const PLANNED_PROCEDURES = [
+  field('F01', 'payeeCode', 'N', 1),
+  field('F06', 'procedureCount', 'N', 1),
+  { group: 'procedures', count: 'procedureCount', fields: PROCEDURE_LINE.filter(f => f.id !== 'F09') }
+];
+
+const ERRORS = [
+  field('G06', 'errorCount', 'N', 2),
+  { group: 'errors', count: 'errorCount', fields: [field('G08', 'code', 'ID', 3)] }
+];
+
+const NOTES = [
+  field('G11', 'noteCount', 'N', 2),
+  {
+    group: 'notes',
+    count: 'noteCount',
+    fields: [field('G45', 'number', 'N', 2), field('G26', 'text', 'AN', 75)]
+  }
+];
+
+const RESPONSE_BODY = [
+  ...PROVIDER,
+  field('G01', 'transactionReference', 'AN', 14),
+  field('G05', 'responseStatus', 'AN', 1)
+];
+
+const BENEFITS = [
+  field('G03', 'expectedPaymentDate', 'DATE', 8),
+  field('G04', 'totalAmount', '$', 7),
+  field('G28', 'totalBenefit', '$', 7),
+  field('G29', 'totalDeductible', '$', 6),
+  field('F06', 'procedureCount', 'N', 1),
+  {
+    group: 'procedures',
+    count: 'procedureCount',
+    fields: [
+      field('F07', 'line', 'N', 1),
+      field('G12', 'eligibleAmount', '$', 6),
+      field('G13', 'deductible', '$', 5),
+      field('G14', 'eligiblePercentage', 'N', 3),
+      field('G15', 'benefitAmount', '$', 6),
+      field('G16', 'noteNumber', 'N', 2)
+    ]
+  }
+];
+
+// Layout of each transaction by transaction code
+const LAYOUTS = {
+  [TRANSACTION_CODES.claim]: [...REQUEST_HEADER, ...PROVIDER, ...BILLING_PROVIDER, ...PATIENT, ...SUBSCRIBER, ...PROCEDURES],
+  [TRANSACTION_CODES.predetermination]: [...REQUEST_HEADER, ...PROVIDER, ...BILLING_PROVIDER, ...PATIENT, ...SUBSCRIBER, ...PLANNED_PROCEDURES],
+  [TRANSACTION_CODES.eligibility]: [...REQUEST_HEADER, ...PROVIDER, ...PATIENT, ...SUBSCRIBER],
+  [TRANSACTION_CODES.claimAcknowledgement]: [...RESPONSE_HEADER, ...RESPONSE_BODY, ...ERRORS, ...NOTES],
+  [TRANSACTION_CODES.predeterminationAcknowledgement]: [...RESPONSE_HEADER, ...RESPONSE_BODY, ...ERRORS, ...NOTES],
+  [TRANSACTION_CODES.eligibilityResponse]: [...RESPONSE_HEADER, ...RESPONSE_BODY, ...ERRORS, ...NOTES],
+  [TRANSACTION_CODES.eob]: [...RESPONSE_HEADER, ...RESPONSE_BODY, ...BENEFITS, ...ERRORS, ...NOTES],
+  [TRANSACTION_CODES.predeterminationEob]: [...RESPONSE_HEADER, ...RESPONSE_BODY, ...BENEFITS, ...ERRORS, ...NOTES]
+};
+
+const TRANSACTION_TYPES = Object.fromEntries(
+  Object.entries(TRANSACTION_CODES).map(([type, code]) => [code, type])
+);
+
+// Letters without an ASCII form once their accents are removed
+const LETTER_TRANSLITERATIONS = {
+  'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O', 'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D'
+};
+
+/**
+ * Convert text to ASCII: accents are dropped (Gagné -> Gagne), a few
+ * letters are spelled out (ß -> ss) and typographic quotes and dashes become
+ * their plain forms. Other characters are left for the caller to reject.
+ * @private
+ */
+function toAscii(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ßæÆœŒøØłŁđĐ]/g, letter => LETTER_TRANSLITERATIONS[letter])
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-');
+}
+
+/**
+ * Format one field value
+ * @private
+ */
+function formatField(definition, value, at, errors) {
+  const { id, type, length } = definition;
+  const fail = message => {
+    errors.push(`${at}: ${message} (${id})`);
+    return ' '.repeat(length);
+  };
+
+  if (type === 'AN') {
+    // Fields are sized in bytes and messages are ASCII, so one character is one byte
+    const text = value === undefined || value === null ? '' : toAscii(String(value).replace(/[\r\n]/g, ' '));
+    if (/[^\x20-\x7e]/.test(text)) {
+      return fail('must be text that can be written in ASCII');
+    }
+    if (text.length > length) {
+      return fail(`must be at most ${length} characters`);
+    }
+    return text.padEnd(length, ' ');
+  }
+
+  if (type === 'DATE') {
+    if (value === undefined || value === null || value === '') {
+      return '0'.repeat(length);
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return fail('must be a valid date');
+    }
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  let digits;
+  if (type === 'ID') {
+    digits = value === undefined || value === null ? '' : String(value);
+    if (!/^\d*$/.test(digits)) {
+      return fail('must contain only digits');
+    }
+  } else {
+    const number = type === '$' ? Math.round(Number(value || 0) * 100) : Number(value || 0);
+    if (!Number.isInteger(number) || number < 0) {
+      return fail(type === '$' ? 'must be a non-negative amount' : 'must be a non-negative whole number');
+    }
+    digits = String(number);
+  }
+  if (digits.length > length) {
+    return fail(`must be at most ${length} digits`);
+  }
+  return digits.padStart(length, '0');
+}
+
+/**
+ * Lay out values as a fixed-width record
+ * @private
+ */
+function encodeFields(layout, values, at, errors) {
+  return layout.map(definition => {
+    if (definition.group) {
+      return (values[definition.group] || []).map((entry, i) =>
+        encodeFields(definition.fields, entry, `${definition.group}[${i}]`, errors)).join('');
+    }
+    const path = at ? `${at}.${definition.name}` : definition.name;
+    return formatField(definition, values[definition.name], path, errors);
+  }).join('');
+}
+
+/**
+ * Encode a message from named field values. The message length (A07) is
+ * filled in.
+ * @param {string} transactionCode - Transaction code (see TRANSACTION_CODES)
+ * @param {Object} values - Field values by name; repeating groups as arrays
+ * @returns {string} Encoded message
+ * @throws {CdanetError} When a value does not fit its field
+ */
+function encodeMessage(transactionCode, values) {
+  const layout = LAYOUTS[transactionCode];
+  if (!layout) {
+    throw new CdanetError(`Unsupported CDAnet transaction code "${transactionCode}"`);
+  }
+
+  const errors = [];
+  const fields = { ...values, formatVersion: VERSION, transactionCode, messageLength: 0 };
+  // A07 is the length in bytes
+  const length = Buffer.byteLength(encodeFields(layout, fields, '', errors), 'ascii');
+  if (errors.length > 0) {
+    throw new CdanetError(`Unable to encode CDAnet message: ${errors.join('; ')}`, errors);
+  }
+
+  return encodeFields(layout, { ...fields, messageLength: length }, '', errors);
+}
+
+/**
+ * Read one field value
+ * @private
+ */
+function parseField(definition, text) {
+  switch (definition.type) {
+    case 'AN':
+      return text.trimEnd();
+    case 'ID':
+      return text;
+    case 'DATE':
+      return /^0+$/.test(text) ? null : `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`;
+    case '$':
+      return Number(text) / 100;
+    default:
+      return Number(text);
+  }
+}
+
+/**
+ * Read fields from a fixed-width record
+ * @private
+ */
+function decodeFields(layout, message, state, values) {
+  layout.forEach(definition => {
+    if (definition.group) {
+      const count = values[definition.count] || 0;
+      values[definition.group] = [];
+      for (let i = 0; i < count; i++) {
+        const entry = {};
+        decodeFields(definition.fields, message, state, entry);
+        values[definition.group].push(entry);
+      }
+      return;
+    }
+
+    const text = message.slice(state.offset, state.offset + definition.length);
+    if (text.length < definition.length) {
+      throw new CdanetError(
+        `CDAnet message ends inside field ${definition.id} at offset ${state.offset}`,
+        [`${definition.name}: message truncated (${definition.id})`]
+      );
+    }
+    if (definition.type !== 'AN' && !/^\d+$/.test(text)) {
+      throw new CdanetError(
+        `CDAnet field ${definition.id} at offset ${state.offset} is not numeric: "${text}"`,
+        [`${definition.name}: must be numeric (${definition.id})`]
+      );
+    }
+    values[definition.name] = parseField(definition, text);
+    state.offset += definition.length;
+  });
+}
+
+/**
+ * Decode a message into named field values
+ * @param {string} message - Encoded message
+ * @returns {Object} { type, transactionCode, fields } where repeating groups are arrays
+ * @throws {CdanetError} When the message is malformed or of an unknown type
+ */
+function decodeMessage(message) {
+  const text = String(message || '');
+  if (/[^\x00-\x7f]/.test(text)) {
+    throw new CdanetError('CDAnet message contains non-ASCII characters', ['message: must be ASCII']);
+  }
+  const version = text.slice(18, 20);
+  const transactionCode = text.slice(20, 22);
+
+  if (version !== VERSION) {
+    throw new CdanetError(`Unsupported CDAnet version "${version}"`, [`formatVersion: must be ${VERSION} (A03)`]);
+  }
+  if (!LAYOUTS[transactionCode]) {
+    throw new CdanetError(
+      `Unsupported CDAnet transaction code "${transactionCode}"`,
+      [`transactionCode: unsupported (A04)`]
+    );
+  }
+
+  const fields = {};
+  const state = { offset: 0 };
+  decodeFields(LAYOUTS[transactionCode], text, state, fields);
+
+  if (fields.messageLength !== text.length) {
+    throw new CdanetError(
+      `CDAnet message length ${text.length} does not match its header (${fields.messageLength})`,
+      [`messageLength: expected ${fields.messageLength}, received ${text.length} (A07)`]
+    );
+  }
+
+  return { type: TRANSACTION_TYPES[transactionCode], transactionCode, fields };
+}
+
+/**
+ * Convert a tooth or area to its international tooth code
+ * @private
+ */
+function toothCode(tooth) {
+  if (tooth === undefined || tooth === null || tooth === '') {
+    return '00';
+  }
+  const value = String(tooth).toUpperCase();
+  if (AREA_TOOTH_CODES[value]) {
+    return AREA_TOOTH_CODES[value];
+  }
+  return /^([1-4][1-8]|[5-8][1-5])$/.test(value) ? value : null;
+}
+
+/**
+ * Build the request field values for a claim
+ * @private
+ */
+function buildRequest(claim, options, { includeProcedures, plannedTreatment }) {
+  const errors = [];
+  const provider = claim.provider || {};
+  const patient = claim.patient || {};
+  const subscriber = claim.subscriber || {};
+  const coverage = claim.coverage || {};
+  const carrierId = options.carrierId || claim.carrierId;
+
+  [
+    [carrierId, 'carrierId'],
+    [provider.cdaNumber, 'provider.cdaNumber'],
+    [provider.officeNumber, 'provider.officeNumber'],
+    [coverage.policyNumber, 'coverage.policyNumber'],
+    [subscriber.id, 'subscriber.id'],
+    [patient.lastName, 'patient.lastName'],
+    [patient.firstName, 'patient.firstName'],
+    [patient.birthDate, 'patient.birthDate']
+  ].forEach(([value, path]) => {
+    if (value === undefined || value === null || value === '') {
+      errors.push(`${path}: is required`);
+    }
+  });
+  if (options.officeSequence === undefined) {
+    errors.push('officeSequence: is required');
+  }
+
+  const relationship = patient.relationship || 'self';
+  if (!RELATIONSHIPS[relationship]) {
+    errors.push(`patient.relationship: must be one of ${Object.keys(RELATIONSHIPS).join(', ')}`);
+  }
+  if (patient.sex !== undefined && !['M', 'F', 'U'].includes(patient.sex)) {
+    errors.push('patient.sex: must be M, F or U');
+  }
+
+  const values = {
+    transactionPrefix: options.transactionPrefix || '',
+    officeSequence: options.officeSequence,
+    carrierId,
+    softwareSystemId: options.softwareSystemId || 'RV1',
+    encryptionMethod: 1,
+    carrierTransactionCounter: 0,
+    providerNumber: provider.cdaNumber,
+    providerOffice: provider.officeNumber,
+    billingProviderNumber: (claim.billingProvider || provider).cdaNumber,
+    billingProviderOffice: (claim.billingProvider || provider).officeNumber,
+    policyNumber: coverage.policyNumber,
+    division: coverage.division,
+    subscriberId: subscriber.id,
+    dependantCode: patient.dependantCode || 0,
+    relationship: RELATIONSHIPS[relationship],
+    patientSex: patient.sex || 'U',
+    patientBirthDate: patient.birthDate,
+    patientLastName: patient.lastName,
+    patientFirstName: patient.firstName,
+    patientMiddleInitial: patient.middleInitial,
+    subscriberBirthDate: subscriber.birthDate || (relationship === 'self' ? patient.birthDate : undefined),
+    subscriberLastName: subscriber.lastName || (relationship === 'self' ? patient.lastName : undefined),
+    subscriberFirstName: subscriber.firstName || (relationship === 'self' ? patient.firstName : undefined),
+    subscriberMiddleInitial: subscriber.middleInitial,
+    subscriberAddress: (subscriber.address || {}).line1,
+    subscriberCity: (subscriber.address || {}).city,
+    subscriberProvince: (subscriber.address || {}).province,
+    subscriberPostalCode: ((subscriber.address || {}).postalCode || '').replace(/\s/g, ''),
+    language: subscriber.language === 'fr' ? 'F' : 'E'
+  };
+
+  if (includeProcedures) {
+    const procedures = claim.procedures || [];
+    if (procedures.length === 0) {
+      errors.push('procedures: must be a non-empty array');
+    }
+    if (procedures.length > MAX_PROCEDURES) {
+      errors.push(`procedures: CDAnet allows at most ${MAX_PROCEDURES} procedures per transaction; split the claim`);
+    }
+
+    values.payeeCode = claim.payee === 'subscriber' ? 1 : 4;
+    values.accidentDate = claim.accidentDate;
+    values.predeterminationNumber = claim.predeterminationNumber;
+    values.procedureCount = procedures.length;
+    values.procedures = procedures.slice(0, MAX_PROCEDURES).map((procedure, i) => {
+      if (!/^\d{5}$/.test(String(procedure.code))) {
+        errors.push(`procedures[${i}].code: CDAnet requires a five-digit CDA procedure code`);
+      }
+      const tooth = toothCode(procedure.tooth);
+      if (tooth === null) {
+        errors.push(`procedures[${i}].tooth: must be an FDI tooth number or a quadrant/arch code`);
+      }
+      return {
+        line: i + 1,
+        code: procedure.code,
+        ...(!plannedTreatment && { serviceDate: procedure.date || claim.serviceDate }),
+        tooth: tooth || '00',
+        surface: procedure.surface ? String(procedure.surface).toUpperCase() : '',
+        fee: procedure.fee || 0
+      };
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new CdanetError(`Claim cannot be sent over CDAnet: ${errors.join('; ')}`, errors);
+  }
+  return values;
+}
+
+/**
+ * Accept either a claim or a BillingRouter routing result
+ * @private
+ */
+function claimFrom(input) {
+  return input && input.optimizedClaim ? input.optimizedClaim : input;
+}
+
+/**
+ * Encode a claim (transaction 01). Accepts a routing result from
+ * BillingRouter.routeClaim directly, in which case the optimized claim is sent.
+ * @param {Object} input - Claim or routing result
+ * @param {Object} options - Message options
+ * @param {string} options.carrierId - Six-digit CDAnet carrier ID (defaults to claim.carrierId)
+ * @param {number} options.officeSequence - Office sequence number, unique per office per day
+ * @param {string} options.softwareSystemId - Software system ID assigned by the CDA
+ * @returns {string} Encoded message
+ * @throws {CdanetError} When required claim fields are missing or do not fit
+ */
+function encodeClaim(input, options = {}) {
+  const values = buildRequest(claimFrom(input), options, { includeProcedures: true });
+  return encodeMessage(TRANSACTION_CODES.claim, values);
+}
+
+/**
+ * Encode a predetermination (transaction 03)
+ * @param {Object} input - Claim for the planned treatment, or routing result
+ * @param {Object} options - Message options (see encodeClaim)
+ * @returns {string} Encoded message
+ * @throws {CdanetError} When required claim fields are missing or do not fit
+ */
+function encodePredetermination(input, options = {}) {
+  const values = buildRequest(claimFrom(input), options, { includeProcedures: true, plannedTreatment: true });
+  return encodeMessage(TRANSACTION_CODES.predetermination, values);
+}
+
+/**
+ * Encode an eligibility request (transaction 08)
+ * @param {Object} input - Claim or routing result; only provider, patient,
+ *   subscriber and coverage are used
+ * @param {Object} options - Message options (see encodeClaim)
+ * @returns {string} Encoded message
+ * @throws {CdanetError} When required fields are missing or do not fit
+ */
+function encodeEligibility(input, options = {}) {
+  const values = buildRequest(claimFrom(input), options, { includeProcedures: false });
+  return encodeMessage(TRANSACTION_CODES.eligibility, values);
+}
+
+/**
+ * Decode a carrier response into a structured result
+ * @param {string} message - Encoded response
+ * @returns {Object} { type, transactionReference, status, accepted, errors, notes }
+ *   plus, for explanations of benefits, { expectedPaymentDate, totalAmount,
+ *   totalBenefit, totalDeductible, procedures }
+ * @throws {CdanetError} When the message is malformed or is not a response
+ */
+function decodeResponse(message) {
+  const { type, transactionCode, fields } = decodeMessage(message);
+  if (Number(transactionCode) < 10) {
+    throw new CdanetError(`CDAnet transaction ${transactionCode} is a request, not a response`);
+  }
+
+  const response = {
+    type,
+    transactionCode,
+    carrierId: fields.carrierId,
+    officeSequence: fields.officeSequence,
+    transactionReference: fields.transactionReference || null,
+    status: {
+      code: fields.responseStatus,
+      label: RESPONSE_STATUSES[fields.responseStatus] || 'unknown'
+    },
+    accepted: ['A', 'E'].includes(fields.responseStatus),
+    errors: fields.errors.map(error => error.code),
+    notes: fields.notes.map(note => ({ number: note.number, text: note.text }))
+  };
+
+  if (type === 'eob' || type === 'predeterminationEob') {
+    Object.assign(response, {
+      expectedPaymentDate: fields.expectedPaymentDate,
+      totalAmount: fields.totalAmount,
+      totalBenefit: fields.totalBenefit,
+      totalDeductible: fields.totalDeductible,
+      procedures: fields.procedures.map(procedure => ({
+        line: procedure.line,
+        eligibleAmount: procedure.eligibleAmount,
+        deductible: procedure.deductible,
+        eligiblePercentage: procedure.eligiblePercentage,
+        benefitAmount: procedure.benefitAmount,
+        noteNumber: procedure.noteNumber || null
+      }))
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Encode a carrier response. Used by the mock network and by tests; a real
+ * carrier produces these.
+ * @param {string} type - Response type: claimAcknowledgement, eob, eligibilityResponse, ...
+ * @param {Object} values - Field values by name; errors, notes and procedures as arrays
+ * @returns {string} Encoded response
+ */
+function encodeResponse(type, values) {
+  const transactionCode = TRANSACTION_CODES[type];
+  if (!transactionCode || Number(transactionCode) < 10) {
+    throw new CdanetError(`Unsupported CDAnet response type "${type}"`);
+  }
+
+  const errors = (values.errors || []).map(code => ({ code }));
+  const notes = values.notes || [];
+  const procedures = values.procedures || [];
+  return encodeMessage(transactionCode, {
+    mailboxIndicator: 'N',
+    ...values,
+    errorCount: errors.length,
+    errors,
+    noteCount: notes.length,
+    notes,
+    procedureCount: procedures.length,
+    procedures
+  });
+}
+
+module.exports = {
+  VERSION,
+  TRANSACTION_CODES,
+  RESPONSE_STATUSES,
+  MAX_PROCEDURES,
+  CdanetError,
+  encodeMessage,
+  decodeMessage,
+  encodeClaim,
+  encodePredetermination,
+  encodeEligibility,
+  encodeResponse,
+  decodeResponse
+};
@@ -0,0 +1,163 @@
+/**
+ * ReVu Systems - Mock CDAnet Carrier
+ *
+ * Answers CDAnet requests the way a carrier would, for local development
+ * and tests (see /api/cdanet-mock). Nothing is sent to a real network.
+ *
+ * The mock adjudicates with fixed rules:
+ *   - policy numbers starting with "R" are rejected (error 999)
+ *   - eligibility is refused for policy numbers starting with "X"
+ *   - claims and predeterminations are covered by procedure category:
+ *     diagnostic and preventive 100%, prosthodontics 50%, orthodontics 0%,
+ *     everything else 80%
+ *   - a message that cannot be decoded, or is not a request (e.g. a
+ *     carrier response sent back), gets a rejected acknowledgement with
+ *     error 997 (last transaction unreadable)
+ */
+
+const {
+  TRANSACTION_CODES,
+  decodeMessage,
+  encodeResponse
+} = require('./cdanet');
+
+// Transactions a carrier answers
+const REQUEST_CODES = [
+  TRANSACTION_CODES.claim,
+  TRANSACTION_CODES.predetermination,
+  TRANSACTION_CODES.eligibility
+];
+
+// Coverage percentage by the first digit of a CDA procedure code
+const COVERAGE_BY_CATEGORY = {
+  0: 100,
+  1: 100,
+  5: 50,
+  6: 50,
+  8: 0
+};
+const DEFAULT_COVERAGE = 80;
+
+const NOTE_NOT_COVERED = { number: 1, text: 'Procedure not covered under this plan' };
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+let referenceCounter = 0;
+
+/**
+ * Next carrier transaction reference
+ * @private
+ */
+function nextReference() {
+  referenceCounter = (referenceCounter + 1) % 1e10;
+  return `MOCK${String(referenceCounter).padStart(10, '0')}`;
+}
+
+/**
+ * Adjudicate procedures at the mock's coverage rates
+ * @private
+ */
+function adjudicate(procedures) {
+  const notes = [];
+  const lines = procedures.map(procedure => {
+    const percentage = COVERAGE_BY_CATEGORY[procedure.code[0]] !== undefined
+      ? COVERAGE_BY_CATEGORY[procedure.code[0]]
+      : DEFAULT_COVERAGE;
+    if (percentage === 0 && notes.length === 0) {
+      notes.push(NOTE_NOT_COVERED);
+    }
+    return {
+      line: procedure.line,
+      eligibleAmount: procedure.fee,
+      deductible: 0,
+      eligiblePercentage: percentage,
+      benefitAmount: Math.round(procedure.fee * percentage) / 100,
+      noteNumber: percentage === 0 ? NOTE_NOT_COVERED.number : 0
+    };
+  });
+
+  return {
+    totalAmount: lines.reduce((sum, line) => sum + line.eligibleAmount, 0),
+    totalBenefit: Math.round(lines.reduce((sum, line) => sum + line.benefitAmount, 0) * 100) / 100,
+    totalDeductible: 0,
+    procedures: lines,
+    notes
+  };
+}
+
+/**
+ * Acknowledgement rejecting a message the mock cannot process
+ * @private
+ */
+function rejectUnreadable(note) {
+  return encodeResponse('claimAcknowledgement', {
+    transactionReference: nextReference(),
+    responseStatus: 'R',
+    errors: ['997'],
+    notes: [{ number: 1, text: note.slice(0, 75) }]
+  });
+}
+
+/**
+ * Answer a CDAnet request
+ * @param {string} message - Encoded request
+ * @param {Object} options - Mock options
+ * @param {Date} options.now - Current time, for the expected payment date
+ * @returns {string} Encoded response
+ */
+function respondToMessage(message, options = {}) {
+  const now = options.now || new Date();
+
+  let request;
+  try {
+    request = decodeMessage(message);
+  } catch (error) {
+    if (error.name !== 'CdanetError') throw error;
+    return rejectUnreadable(error.message);
+  }
+
+  const { transactionCode, fields } = request;
+  if (!REQUEST_CODES.includes(transactionCode)) {
+    return rejectUnreadable(`Transaction ${transactionCode} is not a request`);
+  }
+
+  const common = {
+    transactionPrefix: fields.transactionPrefix,
+    officeSequence: fields.officeSequence,
+    carrierId: fields.carrierId,
+    providerNumber: fields.providerNumber,
+    providerOffice: fields.providerOffice,
+    transactionReference: nextReference()
+  };
+  const rejected = fields.policyNumber.startsWith('R');
+
+  switch (transactionCode) {
+    case TRANSACTION_CODES.eligibility:
+      return encodeResponse('eligibilityResponse', {
+        ...common,
+        responseStatus: rejected ? 'R' : fields.policyNumber.startsWith('X') ? 'N' : 'E',
+        errors: rejected ? ['999'] : []
+      });
+    case TRANSACTION_CODES.claim:
+    case TRANSACTION_CODES.predetermination: {
+      const predetermination = transactionCode === TRANSACTION_CODES.predetermination;
+      if (rejected) {
+        return encodeResponse(predetermination ? 'predeterminationAcknowledgement' : 'claimAcknowledgement', {
+          ...common,
+          responseStatus: 'R',
+          errors: ['999']
+        });
+      }
+      return encodeResponse(predetermination ? 'predeterminationEob' : 'eob', {
+        ...common,
+        responseStatus: 'A',
+        expectedPaymentDate: predetermination ? null : new Date(now.getTime() + 14 * DAY_MS),
+        ...adjudicate(fields.procedures)
+      });
+    }
+  }
+}
+
+module.exports = {
+  respondToMessage
+};
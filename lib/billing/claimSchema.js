@@ -0,0 +1,285 @@
+/**
+ * ReVu Systems - Claim Schema
+ *
+ * Validates claims before they are routed. Validation collects every
+ * problem rather than stopping at the first, and reports each one with the
+ * path of the offending field so the PMS integration can point staff to it.
+ */
+
+const { COVERAGE_RELATIONSHIPS, COVERAGE_STATUSES } = require('./coordinationOfBenefits');
+const { VERIFICATION_STATUSES } = require('./eligibility');
+const { validateBenefitPlan } = require('./benefits');
+
+// CDT (e.g. D2740) or CDA (e.g. 27201) procedure codes
+const PROCEDURE_CODE_PATTERN = /^(D\d{4}|\d{5})$/;
+
+// Universal (1-32, A-T), FDI permanent (11-48) and primary (51-85) teeth
+const TOOTH_PATTERN = /^([1-9]|[12]\d|3[0-2]|[A-Ta-t]|[1-4][1-8]|[5-8][1-5])$/;
+
+// Quadrants and arches, for procedures billed per area
+const AREA_CODES = ['UR', 'UL', 'LR', 'LL', 'UA', 'LA'];
+
+// Mesial, occlusal, distal, buccal, lingual, incisal, facial, palatal, vestibular
+const SURFACE_PATTERN = /^[MODBLIFPV]{1,5}$/;
+
+const PAYER_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+const MAX_PROCEDURE_FEE = 100000;
+
+// Fee guide schedules a provider bills under
+const PROVIDER_TYPES = ['gp', 'specialist'];
+
+/**
+ * Error thrown when a claim fails schema validation
+ */
+class ClaimValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ClaimValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check whether a value is a parseable date
+ * @param {*} value - Date string or Date
+ * @returns {boolean} Whether the value parses to a valid date
+ */
+function isValidDate(value) {
+  return (typeof value === 'string' || value instanceof Date) && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Validate one procedure line
+ * @private
+ * @param {Object} procedure - Procedure to validate
+ * @param {string} at - Path of the procedure
+ * @param {Function} fail - Records an error: (path, code, message)
+ * @param {Function} checkDate - Further check of a valid procedure date, if any
+ */
+function validateProcedure(procedure, at, fail, checkDate) {
+  if (!procedure || typeof procedure !== 'object') {
+    fail(at, 'invalid_type', 'must be an object');
+    return;
+  }
+
+  if (typeof procedure.code !== 'string' || !PROCEDURE_CODE_PATTERN.test(procedure.code)) {
+    fail(`${at}.code`, 'invalid_format', 'must be a CDT (D0000) or CDA (00000) procedure code');
+  }
+
+  if (procedure.tooth !== undefined && procedure.tooth !== null) {
+    const tooth = String(procedure.tooth);
+    if (!TOOTH_PATTERN.test(tooth) && !AREA_CODES.includes(tooth.toUpperCase())) {
+      fail(`${at}.tooth`, 'invalid_format', 'must be a Universal or FDI tooth number, or a quadrant/arch code');
+    }
+  }
+
+  if (procedure.surface !== undefined && procedure.surface !== null) {
+    const surface = String(procedure.surface).toUpperCase();
+    if (!SURFACE_PATTERN.test(surface) || new Set(surface).size !== surface.length) {
+      fail(`${at}.surface`, 'invalid_format', 'must be distinct surface letters from M, O, D, B, L, I, F, P, V');
+    } else if (procedure.tooth === undefined || procedure.tooth === null) {
+      fail(`${at}.tooth`, 'required', 'is required when a surface is given');
+    }
+  }
+
+  if (procedure.fee !== undefined &&
+      !(typeof procedure.fee === 'number' && procedure.fee >= 0 && procedure.fee <= MAX_PROCEDURE_FEE)) {
+    fail(`${at}.fee`, 'out_of_range', `must be a number from 0 to ${MAX_PROCEDURE_FEE}`);
+  }
+
+  if (procedure.units !== undefined && !(Number.isInteger(procedure.units) && procedure.units > 0)) {
+    fail(`${at}.units`, 'invalid_type', 'must be a positive integer');
+  }
+
+  if (procedure.date !== undefined) {
+    if (!isValidDate(procedure.date)) {
+      fail(`${at}.date`, 'invalid_date', 'must be a valid date');
+    } else if (checkDate) {
+      checkDate(`${at}.date`, procedure.date);
+    }
+  }
+}
+
+/**
+ * Validate a claim against the claim schema
+ * @param {Object} claim - The claim to validate
+ * @param {Object} options - Validation options
+ * @param {boolean} options.planned - The claim describes planned treatment (e.g. for an
+ *   estimate), so its dates may be in the future
+ * @returns {Array<Object>} Field-level errors: { path, code, message } (empty when valid)
+ */
+function validateClaim(claim, options = {}) {
+  const errors = [];
+  const fail = (path, code, message) => errors.push({ path, code, message });
+
+  if (!claim || typeof claim !== 'object' || Array.isArray(claim)) {
+    fail('', 'required', 'is required');
+    return errors;
+  }
+
+  if (claim.id !== undefined && !['string', 'number'].includes(typeof claim.id)) {
+    fail('id', 'invalid_type', 'must be a string or number');
+  }
+
+  if (claim.payerId !== undefined && (typeof claim.payerId !== 'string' || !PAYER_ID_PATTERN.test(claim.payerId))) {
+    fail('payerId', 'invalid_format', 'must be 1-64 letters, digits, dots, dashes or underscores');
+  }
+
+  // Treatment must have been done by the time it is claimed. Predeterminations
+  // (claims flagged requiresPreauth) are for planned treatment, so are exempt.
+  const planned = options.planned || claim.requiresPreauth === true;
+  const checkNotFuture = (path, value) => {
+    if (!planned && new Date(value) > new Date()) {
+      fail(path, 'out_of_range', 'must not be in the future');
+    }
+  };
+
+  ['serviceDate', 'submissionDate'].forEach(field => {
+    if (claim[field] !== undefined && !isValidDate(claim[field])) {
+      fail(field, 'invalid_date', 'must be a valid date');
+    }
+  });
+  if (isValidDate(claim.serviceDate)) {
+    checkNotFuture('serviceDate', claim.serviceDate);
+  }
+  if (isValidDate(claim.serviceDate) && isValidDate(claim.submissionDate) &&
+      new Date(claim.submissionDate) < new Date(claim.serviceDate)) {
+    fail('submissionDate', 'out_of_range', 'must not be before serviceDate');
+  }
+
+  if (claim.province !== undefined && (typeof claim.province !== 'string' || !/^[A-Za-z]{2}$/.test(claim.province))) {
+    fail('province', 'invalid_format', 'must be a two-letter province or territory code');
+  }
+
+  if (claim.providerType !== undefined && !PROVIDER_TYPES.includes(claim.providerType)) {
+    fail('providerType', 'invalid_value', `must be one of ${PROVIDER_TYPES.join(', ')}`);
+  }
+
+  if (claim.coverageVerification !== undefined && !VERIFICATION_STATUSES.includes(claim.coverageVerification)) {
+    fail('coverageVerification', 'invalid_value', `must be one of ${VERIFICATION_STATUSES.join(', ')}`);
+  }
+
+  ['emergency', 'painIndicated', 'requiresPreauth'].forEach(field => {
+    if (claim[field] !== undefined && typeof claim[field] !== 'boolean') {
+      fail(field, 'invalid_type', 'must be a boolean');
+    }
+  });
+
+  // Procedures
+  if (!Array.isArray(claim.procedures) || claim.procedures.length === 0) {
+    fail('procedures', 'required', 'must be a non-empty array');
+  } else {
+    claim.procedures.forEach((procedure, i) => {
+      validateProcedure(procedure, `procedures[${i}]`, fail, checkNotFuture);
+    });
+  }
+
+  // Attachments
+  if (claim.attachments !== undefined) {
+    if (!Array.isArray(claim.attachments)) {
+      fail('attachments', 'invalid_type', 'must be an array');
+    } else {
+      claim.attachments.forEach((attachment, i) => {
+        const type = typeof attachment === 'string' ? attachment : attachment && attachment.type;
+        if (typeof type !== 'string' || type.length === 0) {
+          fail(`attachments[${i}]`, 'invalid_type', 'must be a string or an object with a type');
+        }
+      });
+    }
+  }
+
+  // Coverages, for patients with more than one plan
+  if (claim.coverages !== undefined) {
+    if (!Array.isArray(claim.coverages)) {
+      fail('coverages', 'invalid_type', 'must be an array');
+    } else {
+      claim.coverages.forEach((coverage, i) => {
+        const at = `coverages[${i}]`;
+
+        if (!coverage || typeof coverage !== 'object') {
+          fail(at, 'invalid_type', 'must be an object');
+          return;
+        }
+        if (typeof coverage.payerId !== 'string' || !PAYER_ID_PATTERN.test(coverage.payerId)) {
+          fail(`${at}.payerId`, 'invalid_format', 'must be 1-64 letters, digits, dots, dashes or underscores');
+        }
+        if (coverage.relationship !== undefined && !COVERAGE_RELATIONSHIPS.includes(coverage.relationship)) {
+          fail(`${at}.relationship`, 'invalid_value', `must be one of ${COVERAGE_RELATIONSHIPS.join(', ')}`);
+        }
+        if (coverage.status !== undefined && !COVERAGE_STATUSES.includes(coverage.status)) {
+          fail(`${at}.status`, 'invalid_value', `must be one of ${COVERAGE_STATUSES.join(', ')}`);
+        }
+        if (coverage.effectiveDate !== undefined && !isValidDate(coverage.effectiveDate)) {
+          fail(`${at}.effectiveDate`, 'invalid_date', 'must be a valid date');
+        }
+        if (coverage.subscriber !== undefined && (!coverage.subscriber || typeof coverage.subscriber !== 'object')) {
+          fail(`${at}.subscriber`, 'invalid_type', 'must be an object');
+        } else if (coverage.subscriber && coverage.subscriber.birthDate !== undefined &&
+            !isValidDate(coverage.subscriber.birthDate)) {
+          fail(`${at}.subscriber.birthDate`, 'invalid_date', 'must be a valid date');
+        }
+      });
+    }
+  }
+
+  if (claim.previousClaims !== undefined) {
+    if (!Array.isArray(claim.previousClaims)) {
+      fail('previousClaims', 'invalid_type', 'must be an array');
+    } else {
+      // Previous claims are history, so their dates only need to be valid
+      claim.previousClaims.forEach((previous, i) => {
+        const at = `previousClaims[${i}]`;
+
+        if (!previous || typeof previous !== 'object') {
+          fail(at, 'invalid_type', 'must be an object');
+          return;
+        }
+        if (previous.serviceDate !== undefined && !isValidDate(previous.serviceDate)) {
+          fail(`${at}.serviceDate`, 'invalid_date', 'must be a valid date');
+        }
+        if (previous.procedures !== undefined) {
+          if (!Array.isArray(previous.procedures)) {
+            fail(`${at}.procedures`, 'invalid_type', 'must be an array');
+          } else {
+            previous.procedures.forEach((procedure, j) => {
+              validateProcedure(procedure, `${at}.procedures[${j}]`, fail);
+            });
+          }
+        }
+      });
+    }
+  }
+
+  // Benefit plan, for patient portion estimates
+  if (claim.plan !== undefined) {
+    validateBenefitPlan(claim.plan).forEach(message => {
+      const separator = message.indexOf(': ');
+      fail(message.slice(0, separator), 'invalid_value', message.slice(separator + 2));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a claim and throw when it is invalid
+ * @param {Object} claim - The claim to validate
+ * @param {Object} options - Validation options (see validateClaim)
+ * @throws {ClaimValidationError} When the claim fails validation
+ */
+function assertValidClaim(claim, options = {}) {
+  const errors = validateClaim(claim, options);
+  if (errors.length > 0) {
+    const summary = errors.map(error => `${error.path || 'claim'}: ${error.message}`).join('; ');
+    throw new ClaimValidationError(`Invalid claim: ${summary}`, errors);
+  }
+}
+
+module.exports = {
+  PROCEDURE_CODE_PATTERN,
+  ClaimValidationError,
+  isValidDate,
+  validateClaim,
+  assertValidClaim
+};
@@ -0,0 +1,210 @@
+/**
+ * ReVu Systems - Coding Compliance
+ *
+ * Guardrails for claim optimization. Optimization runs at one of three
+ * levels:
+ *
+ *   none               - the claim is passed through untouched
+ *   documentation-only - narratives and documentation recommendations only
+ *   suggest-only       - as above, plus coding suggestions for a reviewer;
+ *                        codes on the claim are never changed
+ *
+ * Every coding suggestion must cite documentation on the claim that supports
+ * it. A suggestion that moves a procedure to a higher-level code in the same
+ * family (e.g. a one-surface composite to a three-surface one) without that
+ * support is upcoding and is blocked, not suggested.
+ */
+
+const { ATTACHMENT_TYPES } = require('./payerProfiles');
+
+const OPTIMIZATION_LEVELS = ['none', 'documentation-only', 'suggest-only'];
+
+// Code families ordered from lowest to highest level of service
+const CODE_FAMILIES = {
+  'posterior-composite': ['D2391', 'D2392', 'D2393', 'D2394'],
+  'anterior-composite': ['D2330', 'D2331', 'D2332', 'D2335'],
+  'amalgam': ['D2140', 'D2150', 'D2160', 'D2161'],
+  'scaling-root-planing': ['D4342', 'D4341'],
+  'preventive-scaling': ['D1110', 'D4346'],
+  'oral-evaluation': ['D0120', 'D0150'],
+  'extraction': ['D7140', 'D7210']
+};
+
+/**
+ * Read a value from a claim by path (e.g. "procedures[0].surface")
+ * @private
+ */
+function valueAt(claim, path) {
+  return path.split(/[.[\]]/).filter(Boolean).reduce((value, key) =>
+    (value === undefined || value === null ? undefined : value[key]), claim);
+}
+
+/**
+ * Check whether the claim has an attachment of a given type
+ * @private
+ */
+function attachmentIndex(claim, type) {
+  return (claim.attachments || []).findIndex(a =>
+    (typeof a === 'string' ? a : a.type || '').toLowerCase() === type);
+}
+
+/**
+ * Coding suggestion rules. `check` returns null when the rule does not apply,
+ * otherwise the suggested code and the documentation cited for it.
+ */
+const SUGGESTION_RULES = [
+  {
+    id: 'restoration-surface-count',
+    description: 'Restoration code should match the number of surfaces documented',
+    families: ['posterior-composite', 'anterior-composite', 'amalgam'],
+    check({ procedure, at, family }) {
+      if (!procedure.surface) return null;
+      const surfaces = new Set(String(procedure.surface).toUpperCase()).size;
+      const toCode = CODE_FAMILIES[family][Math.min(surfaces, CODE_FAMILIES[family].length) - 1];
+      return {
+        toCode,
+        evidence: [{ path: `${at}.surface`, value: procedure.surface }],
+        reason: `${surfaces} surface(s) documented (${procedure.surface})`
+      };
+    }
+  },
+  {
+    id: 'srp-teeth-per-quadrant',
+    description: 'SRP code should match the number of teeth treated in the quadrant',
+    families: ['scaling-root-planing'],
+    check({ procedure, at, claim }) {
+      if (!procedure.teethCount) return null;
+      const toCode = procedure.teethCount >= 4 ? 'D4341' : 'D4342';
+      const evidence = [{ path: `${at}.teethCount`, value: procedure.teethCount }];
+      // Four or more teeth also needs charted pocket depths to back it up
+      if (toCode === 'D4341') {
+        const depths = procedure.pocketDepths ? `${at}.pocketDepths` :
+          procedure.tooth && valueAt(claim, `clinicalFindings.pocketDepths.${procedure.tooth}`) ?
+            `clinicalFindings.pocketDepths.${procedure.tooth}` : null;
+        if (depths) {
+          evidence.push({ path: depths, value: valueAt(claim, depths) });
+        } else {
+          return { toCode, evidence, reason: `${procedure.teethCount} teeth treated`, missing: ['periodontal charting'] };
+        }
+      }
+      return { toCode, evidence, reason: `${procedure.teethCount} teeth treated` };
+    }
+  },
+  {
+    id: 'gingival-inflammation-scaling',
+    description: 'Scaling in the presence of generalized inflammation, rather than prophylaxis',
+    families: ['preventive-scaling'],
+    check({ procedure, at, claim }) {
+      if (procedure.code !== 'D1110') return null;
+      const inflammation = valueAt(claim, 'clinicalFindings.gingivalInflammation');
+      if (!['moderate', 'severe'].includes(inflammation)) return null;
+
+      const evidence = [{ path: 'clinicalFindings.gingivalInflammation', value: inflammation }];
+      const chart = attachmentIndex(claim, ATTACHMENT_TYPES.PERIO_CHART);
+      if (chart === -1) {
+        return {
+          toCode: 'D4346',
+          evidence,
+          reason: `${inflammation} generalized inflammation`,
+          missing: [ATTACHMENT_TYPES.PERIO_CHART]
+        };
+      }
+      evidence.push({ path: `attachments[${chart}]`, value: ATTACHMENT_TYPES.PERIO_CHART });
+      return { toCode: 'D4346', evidence, reason: `${inflammation} generalized inflammation` };
+    }
+  }
+];
+
+/**
+ * Find the family a code belongs to
+ * @private
+ */
+function familyOf(code) {
+  return Object.keys(CODE_FAMILIES).find(family => CODE_FAMILIES[family].includes(code)) || null;
+}
+
+/**
+ * Compare two codes in the same family
+ * @param {string} fromCode - Code on the claim
+ * @param {string} toCode - Suggested code
+ * @returns {string} 'up', 'down' or 'lateral' ('lateral' when not in one family)
+ */
+function codeDirection(fromCode, toCode) {
+  const family = familyOf(fromCode);
+  if (!family || !CODE_FAMILIES[family].includes(toCode)) {
+    return 'lateral';
+  }
+  const delta = CODE_FAMILIES[family].indexOf(toCode) - CODE_FAMILIES[family].indexOf(fromCode);
+  return delta > 0 ? 'up' : delta < 0 ? 'down' : 'lateral';
+}
+
+/**
+ * Check a proposed code change against the upcoding guard. Moving up a code
+ * family needs cited documentation and nothing missing; any change needs at
+ * least one cited document.
+ * @param {Object} change - { fromCode, toCode, evidence, missing }
+ * @returns {string|null} Why the change is blocked, or null when it is allowed
+ */
+function checkUpcoding(change) {
+  const evidence = change.evidence || [];
+  if (evidence.length === 0) {
+    return 'No supporting documentation cited';
+  }
+  if (codeDirection(change.fromCode, change.toCode) === 'up' && (change.missing || []).length > 0) {
+    return `Upcoding without supporting documentation: missing ${change.missing.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Suggest coding corrections for a claim. Nothing on the claim is changed.
+ * @param {Object} claim - The claim
+ * @returns {Object} { suggestions, blocked } - each entry has ruleId, procedureIndex,
+ *   fromCode, toCode, direction, evidence and reason (blocked entries also have blockedReason)
+ */
+function suggestCodingChanges(claim) {
+  const suggestions = [];
+  const blocked = [];
+
+  (claim.procedures || []).forEach((procedure, index) => {
+    const family = familyOf(procedure.code);
+    if (!family) return;
+    const at = `procedures[${index}]`;
+
+    SUGGESTION_RULES
+      .filter(rule => rule.families.includes(family))
+      .forEach(rule => {
+        const result = rule.check({ procedure, at, claim, family });
+        if (!result || result.toCode === procedure.code) return;
+
+        const change = {
+          ruleId: rule.id,
+          description: rule.description,
+          procedureIndex: index,
+          fromCode: procedure.code,
+          toCode: result.toCode,
+          direction: codeDirection(procedure.code, result.toCode),
+          evidence: result.evidence,
+          missing: result.missing || [],
+          reason: result.reason
+        };
+
+        const blockedReason = checkUpcoding(change);
+        if (blockedReason) {
+          blocked.push({ ...change, blockedReason });
+        } else {
+          suggestions.push(change);
+        }
+      });
+  });
+
+  return { suggestions, blocked };
+}
+
+module.exports = {
+  OPTIMIZATION_LEVELS,
+  CODE_FAMILIES,
+  codeDirection,
+  checkUpcoding,
+  suggestCodingChanges
+};
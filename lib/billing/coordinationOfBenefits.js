@@ -0,0 +1,310 @@
+/**
+ * ReVu Systems - Coordination of Benefits
+ *
+ * Orders a patient's coverages into primary, secondary and later payers
+ * following the usual coordination rules (subscriber before dependant,
+ * active before retiree, the birthday rule for children, public plans of
+ * last resort at the end), and turns each payer's EOB into the claim for
+ * the next payer.
+ */
+
+// Patient's relationship to the subscriber of a coverage
+const COVERAGE_RELATIONSHIPS = ['self', 'spouse', 'common-law', 'child', 'other'];
+
+// How the subscriber holds the coverage
+const COVERAGE_STATUSES = ['active', 'retiree', 'continuation'];
+
+const SEQUENCE_LABELS = ['primary', 'secondary', 'tertiary'];
+
+// Attachment type later payers expect the earlier payers' EOBs under
+const PRIOR_EOB_ATTACHMENT = 'prior-eob';
+
+/**
+ * Error thrown when benefits cannot be coordinated
+ */
+class CoordinationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'CoordinationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Day of the year of a birth date, ignoring the year
+ * @private
+ */
+function birthdayOfYear(value) {
+  const match = /^\d{4}-(\d{2})-(\d{2})/.exec(value ? String(value) : '');
+  return match ? Number(match[1]) * 100 + Number(match[2]) : null;
+}
+
+/**
+ * Time a coverage has been in effect, as a comparable number
+ * @private
+ */
+function effectiveTime(coverage) {
+  const time = coverage.effectiveDate ? new Date(coverage.effectiveDate).getTime() : NaN;
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Compare two coverages. Returns the first coordination rule that tells
+ * them apart: a negative difference means `a` pays first.
+ * @private
+ */
+function compareCoverages(a, b, isPayerOfLastResort) {
+  const lastResortA = isPayerOfLastResort(a.payerId);
+  const lastResortB = isPayerOfLastResort(b.payerId);
+  if (lastResortA !== lastResortB) {
+    return {
+      difference: lastResortA ? 1 : -1,
+      rule: 'payer-of-last-resort',
+      description: `${lastResortA ? a.payerId : b.payerId} pays only after all other coverage`
+    };
+  }
+
+  const selfA = (a.relationship || 'self') === 'self';
+  const selfB = (b.relationship || 'self') === 'self';
+  if (selfA !== selfB) {
+    return {
+      difference: selfA ? -1 : 1,
+      rule: 'subscriber-first',
+      description: 'Coverage as the subscriber pays before coverage as a dependant'
+    };
+  }
+
+  const activeA = (a.status || 'active') === 'active';
+  const activeB = (b.status || 'active') === 'active';
+  if (activeA !== activeB) {
+    return {
+      difference: activeA ? -1 : 1,
+      rule: 'active-first',
+      description: 'Coverage through active employment pays before retiree or continuation coverage'
+    };
+  }
+
+  if (a.relationship === 'child' && b.relationship === 'child') {
+    const birthdayA = birthdayOfYear(a.subscriber && a.subscriber.birthDate);
+    const birthdayB = birthdayOfYear(b.subscriber && b.subscriber.birthDate);
+    if (birthdayA !== null && birthdayB !== null && birthdayA !== birthdayB) {
+      return {
+        difference: birthdayA - birthdayB,
+        rule: 'birthday-rule',
+        description: 'For a dependant child, the plan of the parent whose birthday falls earlier in the year pays first'
+      };
+    }
+  }
+
+  const effectiveA = effectiveTime(a);
+  const effectiveB = effectiveTime(b);
+  if (effectiveA !== null && effectiveB !== null && effectiveA !== effectiveB) {
+    return {
+      difference: effectiveA - effectiveB,
+      rule: 'longest-coverage',
+      description: 'The plan in effect longer pays first'
+    };
+  }
+
+  return {
+    difference: 0,
+    rule: 'listed-order',
+    description: 'No coordination rule applies; kept in the order listed'
+  };
+}
+
+/**
+ * Order a patient's coverages for coordination of benefits
+ * @param {Array<Object>} coverages - Coverages: { payerId, relationship, status,
+ *   effectiveDate, subscriber, policyNumber, groupNumber, division }
+ * @param {Object} options - Ordering options
+ * @param {Function} options.isPayerOfLastResort - (payerId) => whether the payer pays last
+ * @returns {Array<Object>} Coverages in payment order, each with its rank (1 = primary),
+ *   sequence label and the rule that placed it after the previous coverage
+ */
+function orderCoverages(coverages, options = {}) {
+  const isPayerOfLastResort = options.isPayerOfLastResort || (() => false);
+
+  // Array.prototype.sort is stable, so ties keep the order listed
+  const ordered = coverages
+    .map((coverage, index) => ({ coverage, index }))
+    .sort((a, b) => compareCoverages(a.coverage, b.coverage, isPayerOfLastResort).difference || a.index - b.index)
+    .map(entry => entry.coverage);
+
+  return ordered.map((coverage, i) => {
+    const basis = i === 0 ? null : compareCoverages(ordered[i - 1], coverage, isPayerOfLastResort);
+    return {
+      ...coverage,
+      relationship: coverage.relationship || 'self',
+      rank: i + 1,
+      sequence: SEQUENCE_LABELS[i] || null,
+      basis: basis ? { rule: basis.rule, description: basis.description } : null
+    };
+  });
+}
+
+/**
+ * Reduce a payer's EOB to paid amounts per claim procedure. Accepts a
+ * decoded CDAnet EOB (see cdanet.decodeResponse), a claim payment from an
+ * 835 remittance (see x12.parse835) or a plain { procedures } object whose
+ * procedures give a line number or code with the amount paid.
+ * @param {Object} claim - The claim the EOB answers
+ * @param {Object} eob - Payer's EOB
+ * @returns {Array<Object>} One { procedureIndex, code, fee, eligibleAmount, paid } per claim procedure
+ * @throws {CoordinationError} When the EOB has no procedure amounts
+ */
+function readEobPayments(claim, eob) {
+  let lines;
+  if (eob && Array.isArray(eob.services)) {
+    lines = eob.services.map(service => ({
+      code: service.procedureCode,
+      paid: service.paidAmount,
+      eligible: service.allowedAmount
+    }));
+  } else if (eob && Array.isArray(eob.procedures)) {
+    lines = eob.procedures.map(procedure => ({
+      line: procedure.line,
+      code: procedure.code,
+      paid: procedure.benefitAmount !== undefined ? procedure.benefitAmount : procedure.paidAmount,
+      eligible: procedure.eligibleAmount
+    }));
+  } else {
+    throw new CoordinationError('EOB must list its procedures or service lines',
+      ['eob.procedures: is required']);
+  }
+
+  const errors = [];
+  lines.forEach((line, i) => {
+    if (!(typeof line.paid === 'number' && line.paid >= 0)) {
+      errors.push(`eob.procedures[${i}]: paid amount must be a non-negative number`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new CoordinationError(`Invalid EOB: ${errors.join('; ')}`, errors);
+  }
+
+  // Lines match by line number where the EOB has one, otherwise by code in claim order
+  const unmatched = [...lines];
+  return claim.procedures.map((procedure, procedureIndex) => {
+    const at = unmatched.findIndex(line => (line.line !== undefined && line.line !== null
+      ? Number(line.line) === procedureIndex + 1
+      : line.code === procedure.code));
+    const line = at === -1 ? null : unmatched.splice(at, 1)[0];
+    return {
+      procedureIndex,
+      code: procedure.code,
+      fee: procedure.fee || 0,
+      eligibleAmount: line && typeof line.eligible === 'number' ? line.eligible : null,
+      paid: line ? line.paid : 0
+    };
+  });
+}
+
+/**
+ * Round to cents
+ * @private
+ */
+function toCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Work out what is left for the next payer once a payer has paid: the next
+ * payer can pay up to each procedure's remaining balance. Amounts paid by
+ * payers before this one (priorPaid on the claim's procedures) count too.
+ * @param {Object} claim - The claim the EOB answers
+ * @param {Object} eob - Payer's EOB (see readEobPayments)
+ * @returns {Object} { procedures: [{ procedureIndex, code, fee, eligibleAmount, paid,
+ *   priorPaid, balance }], totals } where priorPaid includes this payer's payment
+ */
+function computeSecondaryAmounts(claim, eob) {
+  const procedures = readEobPayments(claim, eob).map(line => {
+    const earlier = claim.procedures[line.procedureIndex].priorPaid || 0;
+    const priorPaid = toCents(Math.min(earlier + line.paid, line.fee));
+    return {
+      ...line,
+      priorPaid,
+      balance: toCents(line.fee - priorPaid)
+    };
+  });
+
+  const sum = field => toCents(procedures.reduce((total, line) => total + line[field], 0));
+  return {
+    procedures,
+    totals: {
+      fee: sum('fee'),
+      paid: sum('paid'),
+      priorPaid: sum('priorPaid'),
+      balance: sum('balance')
+    }
+  };
+}
+
+/**
+ * Build the claim for the next payer in order from a claim and its payer's
+ * EOB. The new claim bills the full fees, carries what the payers so far
+ * have paid per procedure and attaches the EOB.
+ * @param {Object} claim - The claim the EOB answers, with its coverages
+ * @param {Object} eob - Payer's EOB (see readEobPayments)
+ * @param {Object} options - Options
+ * @param {Function} options.isPayerOfLastResort - (payerId) => whether the payer pays last
+ * @param {Function} options.payerKey - (payerId) => key identifying the payer, so the
+ *   claim's payer is found among the coverages under any of its aliases (defaults to the ID)
+ * @returns {Object} { claim, amounts, coverage } where coverage is the next payer's coverage
+ * @throws {CoordinationError} When the claim has no coverage after its payer
+ */
+function buildSecondaryClaim(claim, eob, options = {}) {
+  const coverages = orderCoverages(claim.coverages || [], options);
+  const payerId = claim.payerId || (coverages[0] && coverages[0].payerId);
+  const payerKey = options.payerKey || (id => id);
+  const key = id => String(payerKey(id)).toLowerCase();
+  const index = coverages.findIndex(coverage => key(coverage.payerId) === key(payerId));
+  const next = index === -1 ? null : coverages[index + 1];
+  if (!next) {
+    throw new CoordinationError(`Claim ${claim.id} has no coverage after ${payerId}`,
+      ['coverages: a coverage after the claim\'s payer is required']);
+  }
+
+  const amounts = computeSecondaryAmounts(claim, eob);
+  const cob = claim.cob || {};
+  const originalClaimId = cob.originalClaimId !== undefined ? cob.originalClaimId : claim.id;
+
+  const secondaryClaim = {
+    ...claim,
+    id: `${originalClaimId}-${next.sequence || next.rank}`,
+    payerId: next.payerId,
+    subscriber: next.subscriber || claim.subscriber,
+    patient: { ...(claim.patient || {}), relationship: next.relationship },
+    coverage: {
+      policyNumber: next.policyNumber,
+      groupNumber: next.groupNumber,
+      division: next.division,
+      sequence: next.sequence
+    },
+    procedures: claim.procedures.map((procedure, i) => ({
+      ...procedure,
+      priorPaid: amounts.procedures[i].priorPaid
+    })),
+    attachments: [...(claim.attachments || []), { type: PRIOR_EOB_ATTACHMENT, payerId }],
+    cob: {
+      sequence: next.sequence,
+      originalClaimId: originalClaimId === undefined ? null : originalClaimId,
+      previousPayerId: payerId,
+      priorPaidAmount: amounts.totals.priorPaid,
+      previousAdjudicatedAt: eob.adjudicatedAt || (eob.outcome && eob.outcome.adjudicatedAt) || null
+    }
+  };
+
+  return { claim: secondaryClaim, amounts, coverage: next };
+}
+
+module.exports = {
+  COVERAGE_RELATIONSHIPS,
+  COVERAGE_STATUSES,
+  PRIOR_EOB_ATTACHMENT,
+  CoordinationError,
+  orderCoverages,
+  readEobPayments,
+  computeSecondaryAmounts,
+  buildSecondaryClaim
+};
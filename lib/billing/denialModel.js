@@ -0,0 +1,424 @@
+/**
+ * ReVu Systems - Denial Risk Model
+ *
+ * Logistic regression over claim features, trained offline from historical
+ * claims and their adjudication outcomes (see scripts/denial-model.js) and
+ * saved as a versioned JSON model file. Features come from the router's
+ * characteristic calculators plus payer and procedure code indicators.
+ *
+ * Everything here is plain JavaScript with no native dependencies, so the
+ * model trains and scores anywhere the router runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODEL_FORMAT = 'revu-denial-model';
+const MODEL_FORMAT_VERSION = 1;
+
+// ADA CDT categories by the first digit after the "D"
+const CODE_CATEGORIES = {
+  D0: 'diagnostic',
+  D1: 'preventive',
+  D2: 'restorative',
+  D3: 'endodontics',
+  D4: 'periodontics',
+  D5: 'prosthodontics-removable',
+  D6: 'prosthodontics-fixed',
+  D7: 'oral-surgery',
+  D8: 'orthodontics',
+  D9: 'adjunctive'
+};
+
+const DEFAULT_TRAINING = {
+  epochs: 500,
+  learningRate: 0.1,
+  l2: 0.001,
+  holdoutFraction: 0.2,
+  // Codes seen fewer times than this share the code-category features only
+  minCodeCount: 5
+};
+
+/**
+ * Error thrown when a model cannot be trained, loaded or saved
+ */
+class DenialModelError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'DenialModelError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Default location of the clinic's denial model
+ * @returns {string} Model file path
+ */
+function defaultModelFile() {
+  return process.env.DENIAL_MODEL_FILE ||
+    path.join(process.cwd(), 'lib', 'config', 'models', 'denial-model.json');
+}
+
+/**
+ * Extract model features from a claim and its characteristics. Numeric
+ * features are always present; payer and code indicators only when set.
+ *
+ * Whether the submission window had closed is judged at the time the claim
+ * was submitted, so a historical claim's features do not depend on when
+ * the model is trained.
+ *
+ * @param {Object} claim - The claim
+ * @param {Object} characteristics - Output of BillingRouter.analyzeClaimCharacteristics
+ * @param {Object} options - Extraction options
+ * @param {string|Date} options.submittedAt - When the claim was submitted (defaults to
+ *   claim.submissionDate, else now, for claims being routed)
+ * @returns {Object} Feature values by name
+ */
+function extractFeatures(claim, characteristics, options = {}) {
+  const procedures = claim.procedures || [];
+  const totalFee = procedures.reduce((sum, procedure) => sum + (procedure.fee || 0), 0);
+  const previousClaims = claim.previousClaims || [];
+  const window = characteristics.submissionWindow;
+  const submittedAt = options.submittedAt || claim.submissionDate;
+  const submittedOn = submittedAt ? new Date(submittedAt) : new Date();
+
+  const features = {
+    complexity: characteristics.complexity,
+    urgency: characteristics.urgency,
+    value: characteristics.value,
+    patientRisk: characteristics.patientRisk,
+    procedureCount: procedures.length,
+    logTotalFee: Math.log1p(totalFee),
+    narrativeRequired: characteristics.narrativeRequired ? 1 : 0,
+    narrativeMissing: characteristics.narrativeRequired && !claim.narrative ? 1 : 0,
+    preauthRequired: characteristics.preauthRequired ? 1 : 0,
+    preauthMissing: characteristics.preauthRequired && !claim.preauthNumber ? 1 : 0,
+    missingAttachmentCount: characteristics.missingAttachments.length,
+    frequencyLimitExceeded: characteristics.frequencyFindings.filter(f => f.exceeded).length,
+    submissionWindowExpired: window && new Date(window.deadline) < submittedOn ? 1 : 0,
+    previousDenials: previousClaims.filter(c => c.status === 'denied').length,
+    emergency: claim.emergency ? 1 : 0,
+    [`payer:${characteristics.payerProfile}`]: 1
+  };
+
+  procedures.forEach(procedure => {
+    const code = String(procedure.code);
+    const category = CODE_CATEGORIES[code.slice(0, 2)];
+    if (category) {
+      features[`category:${category}`] = 1;
+    }
+    features[`code:${code}`] = 1;
+  });
+
+  return features;
+}
+
+/**
+ * Logistic function
+ * @private
+ */
+function sigmoid(z) {
+  return z >= 0 ? 1 / (1 + Math.exp(-z)) : Math.exp(z) / (1 + Math.exp(z));
+}
+
+/**
+ * Standardized feature vector for a model
+ * @private
+ */
+function toVector(model, features) {
+  return model.featureNames.map((name, i) => {
+    const value = features[name] || 0;
+    return (value - model.scaling.mean[i]) / model.scaling.std[i];
+  });
+}
+
+/**
+ * Choose the features a model is trained on: every numeric feature, every
+ * payer and category indicator seen, and codes seen often enough
+ * @private
+ */
+function selectFeatureNames(samples, minCodeCount) {
+  const counts = new Map();
+  samples.forEach(({ features }) => {
+    Object.keys(features).forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+  });
+
+  return [...counts.keys()]
+    .filter(name => !name.startsWith('code:') || counts.get(name) >= minCodeCount)
+    .sort();
+}
+
+/**
+ * Deterministically assign a claim to the holdout set by hashing its ID, so
+ * the same claim always lands on the same side of the split
+ * @param {string} claimId - Claim ID
+ * @param {number} fraction - Fraction of claims held out
+ * @returns {boolean} Whether the claim is in the holdout set
+ */
+function isHoldout(claimId, fraction) {
+  const hash = crypto.createHash('sha1').update(String(claimId)).digest();
+  return hash.readUInt32BE(0) / 0xffffffff < fraction;
+}
+
+/**
+ * Area under the ROC curve, with tied scores counted as half
+ * @param {Array<number>} scores - Predicted probabilities
+ * @param {Array<number>} labels - 1 for denied, 0 otherwise
+ * @returns {number|null} AUC, or null when only one class is present
+ */
+function computeAuc(scores, labels) {
+  const ranked = scores.map((score, i) => ({ score, label: labels[i] }))
+    .sort((a, b) => a.score - b.score);
+  const positives = labels.filter(label => label === 1).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) {
+    return null;
+  }
+
+  // Mann-Whitney U from average ranks
+  let rankSum = 0;
+  for (let i = 0; i < ranked.length;) {
+    let j = i;
+    while (j < ranked.length && ranked[j].score === ranked[i].score) j++;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (ranked[k].label === 1) rankSum += averageRank;
+    }
+    i = j;
+  }
+
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+/**
+ * Evaluate a model on labelled samples
+ * @param {Object} model - Trained model
+ * @param {Array<Object>} samples - { features, label } samples
+ * @returns {Object} { size, denialRate, auc, logLoss, accuracy }
+ */
+function evaluateModel(model, samples) {
+  if (samples.length === 0) {
+    return { size: 0, denialRate: null, auc: null, logLoss: null, accuracy: null };
+  }
+
+  const labels = samples.map(sample => sample.label);
+  const scores = samples.map(sample => predictDenial(model, sample.features).probability);
+  const epsilon = 1e-12;
+  const logLoss = -labels.reduce((sum, label, i) => sum +
+    (label === 1 ? Math.log(scores[i] + epsilon) : Math.log(1 - scores[i] + epsilon)), 0) / samples.length;
+  const correct = labels.filter((label, i) => (scores[i] >= 0.5 ? 1 : 0) === label).length;
+  const round = value => (value === null ? null : Number(value.toFixed(4)));
+
+  return {
+    size: samples.length,
+    denialRate: round(labels.filter(label => label === 1).length / samples.length),
+    auc: round(computeAuc(scores, labels)),
+    logLoss: round(logLoss),
+    accuracy: round(correct / samples.length)
+  };
+}
+
+/**
+ * Train a logistic regression denial model with batch gradient descent and
+ * L2 regularization. Claims are split into training and holdout sets by ID;
+ * holdout metrics are stored with the model.
+ * @param {Array<Object>} samples - { claimId, features, label } samples (label 1 = denied)
+ * @param {Object} options - Training options (see DEFAULT_TRAINING)
+ * @param {number} options.version - Model version to stamp on the result
+ * @returns {Object} Trained model
+ * @throws {DenialModelError} When there is too little data to train on
+ */
+function trainDenialModel(samples, options = {}) {
+  const settings = { ...DEFAULT_TRAINING, ...options };
+  const training = samples.filter(sample => !isHoldout(sample.claimId, settings.holdoutFraction));
+  const holdout = samples.filter(sample => isHoldout(sample.claimId, settings.holdoutFraction));
+
+  const denied = training.filter(sample => sample.label === 1).length;
+  if (denied === 0 || denied === training.length) {
+    throw new DenialModelError(
+      'Training data needs both denied and non-denied claims',
+      [`samples: ${training.length} training claims, ${denied} denied`]
+    );
+  }
+
+  const featureNames = selectFeatureNames(training, settings.minCodeCount);
+  const mean = featureNames.map(name =>
+    training.reduce((sum, sample) => sum + (sample.features[name] || 0), 0) / training.length);
+  const std = featureNames.map((name, i) => {
+    const variance = training.reduce((sum, sample) =>
+      sum + ((sample.features[name] || 0) - mean[i]) ** 2, 0) / training.length;
+    // Features constant in training (up to rounding) are left unscaled
+    return variance > 1e-12 ? Math.sqrt(variance) : 1;
+  });
+
+  const model = {
+    format: MODEL_FORMAT,
+    formatVersion: MODEL_FORMAT_VERSION,
+    version: settings.version || 1,
+    trainedAt: new Date().toISOString(),
+    featureNames,
+    scaling: { mean, std },
+    weights: featureNames.map(() => 0),
+    bias: Math.log(denied / (training.length - denied)),
+    training: {
+      epochs: settings.epochs,
+      learningRate: settings.learningRate,
+      l2: settings.l2,
+      holdoutFraction: settings.holdoutFraction,
+      minCodeCount: settings.minCodeCount
+    },
+    metrics: null
+  };
+
+  const vectors = training.map(sample => toVector(model, sample.features));
+  for (let epoch = 0; epoch < settings.epochs; epoch++) {
+    const gradient = featureNames.map(() => 0);
+    let biasGradient = 0;
+
+    vectors.forEach((x, n) => {
+      const error = sigmoid(x.reduce((z, value, i) => z + value * model.weights[i], model.bias)) -
+        training[n].label;
+      x.forEach((value, i) => { gradient[i] += error * value; });
+      biasGradient += error;
+    });
+
+    model.weights = model.weights.map((weight, i) =>
+      weight - settings.learningRate * (gradient[i] / training.length + settings.l2 * weight));
+    model.bias -= settings.learningRate * biasGradient / training.length;
+  }
+
+  model.metrics = {
+    training: evaluateModel(model, training),
+    holdout: evaluateModel(model, holdout)
+  };
+
+  return model;
+}
+
+/**
+ * Predict the probability that a claim is denied
+ * @param {Object} model - Trained model
+ * @param {Object} features - Output of extractFeatures
+ * @param {number} topCount - How many of the largest contributions to return
+ * @returns {Object} { probability, modelVersion, topFactors } where each factor
+ *   is { feature, value, contribution } in log-odds
+ */
+function predictDenial(model, features, topCount = 5) {
+  const x = toVector(model, features);
+  const contributions = model.featureNames.map((feature, i) => ({
+    feature,
+    value: features[feature] || 0,
+    contribution: x[i] * model.weights[i]
+  }));
+  const z = contributions.reduce((sum, factor) => sum + factor.contribution, model.bias);
+
+  return {
+    probability: Number(sigmoid(z).toFixed(4)),
+    modelVersion: model.version,
+    topFactors: contributions
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+      .slice(0, topCount)
+      .map(factor => ({ ...factor, contribution: Number(factor.contribution.toFixed(4)) }))
+  };
+}
+
+/**
+ * Validate a parsed model file
+ * @param {Object} model - Parsed model
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateModel(model) {
+  const errors = [];
+
+  if (!model || typeof model !== 'object') {
+    return ['model: must be an object'];
+  }
+  if (model.format !== MODEL_FORMAT) {
+    errors.push(`format: must be "${MODEL_FORMAT}"`);
+  }
+  if (model.formatVersion !== MODEL_FORMAT_VERSION) {
+    errors.push(`formatVersion: ${model.formatVersion} is not supported (expected ${MODEL_FORMAT_VERSION})`);
+  }
+  if (!Number.isInteger(model.version) || model.version < 1) {
+    errors.push('version: must be a positive integer');
+  }
+  if (!Array.isArray(model.featureNames)) {
+    return errors.concat('featureNames: must be an array');
+  }
+  const size = model.featureNames.length;
+  if (!Array.isArray(model.weights) || model.weights.length !== size) {
+    errors.push(`weights: must have one weight per feature (${size})`);
+  }
+  if (!model.scaling || !Array.isArray(model.scaling.mean) || model.scaling.mean.length !== size ||
+      !Array.isArray(model.scaling.std) || model.scaling.std.length !== size) {
+    errors.push(`scaling: must have a mean and std per feature (${size})`);
+  }
+  if (typeof model.bias !== 'number') {
+    errors.push('bias: must be a number');
+  }
+
+  return errors;
+}
+
+/**
+ * Load a model file
+ * @param {string} file - Model file path
+ * @returns {Object|null} The model, or null when the file does not exist
+ * @throws {DenialModelError} When the file is unreadable or invalid
+ */
+function loadDenialModel(file = defaultModelFile()) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  let model;
+  try {
+    model = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new DenialModelError(`Unable to read denial model from ${file}: ${error.message}`, [error.message]);
+  }
+
+  const errors = validateModel(model);
+  if (errors.length > 0) {
+    throw new DenialModelError(`Invalid denial model in ${file}: ${errors.join('; ')}`, errors);
+  }
+  return model;
+}
+
+/**
+ * Save a model file. The previous model, if any, is kept alongside it as
+ * denial-model.v<version>.json so a bad retrain can be rolled back.
+ * @param {Object} model - Trained model
+ * @param {string} file - Model file path
+ * @returns {string} The path written
+ */
+function saveDenialModel(model, file = defaultModelFile()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const previous = loadDenialModel(file);
+  if (previous) {
+    const archive = file.replace(/\.json$/, '') + `.v${previous.version}.json`;
+    fs.copyFileSync(file, archive);
+  }
+
+  fs.writeFileSync(file, `${JSON.stringify(model, null, 2)}\n`);
+  return file;
+}
+
+module.exports = {
+  MODEL_FORMAT_VERSION,
+  CODE_CATEGORIES,
+  DEFAULT_TRAINING,
+  DenialModelError,
+  defaultModelFile,
+  extractFeatures,
+  isHoldout,
+  computeAuc,
+  trainDenialModel,
+  evaluateModel,
+  predictDenial,
+  validateModel,
+  loadDenialModel,
+  saveDenialModel
+};
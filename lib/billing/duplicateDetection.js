@@ -0,0 +1,457 @@
+/**
+ * ReVu Systems - Duplicate Claim Detection
+ *
+ * Fingerprints routed claims so the same claim is not routed twice, e.g.
+ * when the practice management system re-exports a day's claims. A claim is
+ * a duplicate of an earlier one for the same patient and payer when it is:
+ *
+ *   exact              - the same date of service, procedures and fees
+ *   fee-changed        - the same date and procedures with different fees
+ *   procedure-overlap  - the same date with some of the same procedures
+ *                        (code, tooth and surface)
+ *
+ * Re-routing a claim under its own ID is a correction unless nothing changed.
+ * Fingerprints identify the patient only by a hash, so the store holds no
+ * patient details.
+ *
+ * The same store remembers idempotency keys sent with routing API requests,
+ * so a retried request gets the original response instead of being routed
+ * again. Those responses include the routed claims, so they are kept in
+ * memory only and never written to the store file. A retry that reaches
+ * another instance, or comes after a restart, is routed again. It is caught
+ * as a duplicate only when the answering store holds the original
+ * fingerprint: after a restart with the file backend, but never on another
+ * instance, since neither backend is shared between instances.
+ *
+ * Two backends ship here: MemoryDuplicateStore (per process) and
+ * FileDuplicateStore (a JSON file that survives restarts).
+ */
+
+const crypto = require('crypto');
+const { storeFilePath, JsonFile } = require('./jsonFileStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DUPLICATE_TYPES = ['exact', 'fee-changed', 'procedure-overlap'];
+
+// How long a routing response is kept for retries with the same idempotency key
+const DEFAULT_IDEMPOTENCY_TTL_HOURS = 24;
+
+/**
+ * Error thrown when a claim duplicates one already routed
+ */
+class DuplicateClaimError extends Error {
+  constructor(message, duplicate, errors = []) {
+    super(message);
+    this.name = 'DuplicateClaimError';
+    // { type, originalClaimId, originalRoute, originalRoutedAt, feeChanges, overlappingProcedures }
+    this.duplicate = duplicate;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error thrown when an idempotency key cannot be used for a request
+ */
+class IdempotencyError extends Error {
+  constructor(message, code, errors = []) {
+    super(message);
+    this.name = 'IdempotencyError';
+    // KEY_REUSED (sent with a different request) or IN_PROGRESS
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+/**
+ * JSON with object keys sorted, so equal values serialize the same
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * SHA-256 of a value's stable JSON
+ * @param {*} value - Value to hash
+ * @returns {string} Hex digest
+ */
+function hashValue(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+/**
+ * Normalize text for comparison
+ * @private
+ */
+function normalize(value) {
+  return value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+}
+
+/**
+ * Who a claim is for: the patient's ID, else their name and birth date, else
+ * the subscriber; null when the claim does not say
+ * @private
+ */
+function patientIdentity(claim) {
+  const patient = claim.patient || {};
+  if (patient.id) {
+    return `id:${normalize(patient.id)}`;
+  }
+  if (patient.lastName && patient.birthDate) {
+    return `name:${normalize(patient.lastName)}|${normalize(patient.firstName)}|${normalize(patient.birthDate)}`;
+  }
+  if (claim.subscriber && claim.subscriber.id) {
+    return `subscriber:${normalize(claim.subscriber.id)}`;
+  }
+  return null;
+}
+
+/**
+ * Fingerprint a claim
+ * @param {Object} claim - The claim
+ * @param {Object} options - Fingerprint options
+ * @param {string} options.payerKey - Payer the claim is addressed to, with aliases
+ *   resolved (defaults to claim.payerId)
+ * @returns {Object} { claimId, patient, payer, serviceDate, exact, service, procedures }
+ *   where procedures are { line, fee } and line is 'code|tooth|surface'
+ */
+function fingerprintClaim(claim, options = {}) {
+  const identity = patientIdentity(claim);
+  const payer = normalize(options.payerKey || claim.payerId);
+  const serviceDate = claim.serviceDate ? new Date(claim.serviceDate).toISOString().slice(0, 10) : null;
+  const procedures = (claim.procedures || [])
+    .map(procedure => ({
+      line: [
+        normalize(procedure.code),
+        normalize(procedure.tooth),
+        normalize(procedure.surface).split('').sort().join('')
+      ].join('|'),
+      fee: typeof procedure.fee === 'number' ? procedure.fee : null
+    }))
+    .sort((a, b) => a.line.localeCompare(b.line) || (a.fee || 0) - (b.fee || 0));
+
+  const patient = identity ? hashValue(identity) : null;
+  return {
+    claimId: claim.id === undefined || claim.id === null ? null : String(claim.id),
+    patient,
+    payer,
+    serviceDate,
+    exact: hashValue({ patient, payer, serviceDate, procedures }),
+    service: hashValue({ patient, payer, serviceDate, lines: procedures.map(p => p.line) }),
+    procedures
+  };
+}
+
+/**
+ * Fee differences between two claims with the same procedures
+ * @private
+ */
+function compareFees(original, fingerprint) {
+  return fingerprint.procedures
+    .map((procedure, i) => ({
+      procedure: procedure.line.split('|')[0],
+      tooth: procedure.line.split('|')[1] || null,
+      originalFee: original.procedures[i].fee,
+      fee: procedure.fee
+    }))
+    .filter(change => change.originalFee !== change.fee);
+}
+
+/**
+ * Find the routed claim a fingerprint duplicates
+ * @param {Object} fingerprint - Fingerprint of the claim being routed
+ * @param {Iterable<Object>} entries - Fingerprints of routed claims
+ * @returns {Object|null} { type, originalClaimId, originalRoute, originalRoutedAt,
+ *   feeChanges, overlappingProcedures }, or null when the claim is not a duplicate
+ */
+function findDuplicate(fingerprint, entries) {
+  const matches = { exact: null, 'fee-changed': null, 'procedure-overlap': null };
+  const lines = new Set(fingerprint.procedures.map(p => p.line));
+
+  // Other claims only compare when the patient and date of service are known
+  const comparable = Boolean(fingerprint.patient && fingerprint.serviceDate);
+
+  for (const entry of entries) {
+    const sameClaim = fingerprint.claimId !== null && entry.claimId === fingerprint.claimId;
+    if (entry.exact === fingerprint.exact && (comparable || sameClaim)) {
+      matches.exact = matches.exact || entry;
+      continue;
+    }
+    // A claim re-routed under its own ID with changes is a correction
+    if (!comparable || sameClaim) {
+      continue;
+    }
+    if (entry.service === fingerprint.service) {
+      matches['fee-changed'] = matches['fee-changed'] || entry;
+    } else if (entry.patient === fingerprint.patient && entry.payer === fingerprint.payer &&
+        entry.serviceDate === fingerprint.serviceDate &&
+        entry.procedures.some(p => lines.has(p.line))) {
+      matches['procedure-overlap'] = matches['procedure-overlap'] || entry;
+    }
+  }
+
+  const type = DUPLICATE_TYPES.find(t => matches[t]);
+  if (!type) {
+    return null;
+  }
+
+  const original = matches[type];
+  return {
+    type,
+    originalClaimId: original.claimId,
+    originalRoute: original.route || null,
+    originalRoutedAt: original.routedAt,
+    feeChanges: type === 'fee-changed' ? compareFees(original, fingerprint) : [],
+    overlappingProcedures: type === 'procedure-overlap'
+      ? [...new Set(original.procedures.filter(p => lines.has(p.line)).map(p => p.line.split('|')[0]))]
+      : []
+  };
+}
+
+/**
+ * Key a fingerprint is stored under: the claim ID, else the exact fingerprint
+ * @private
+ */
+function entryKey(fingerprint) {
+  return fingerprint.claimId !== null ? `claim:${fingerprint.claimId}` : `fingerprint:${fingerprint.exact}`;
+}
+
+/**
+ * In-process duplicate store
+ */
+class MemoryDuplicateStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxTrackedClaims - Fingerprints kept before the oldest are dropped
+   * @param {number} options.idempotencyTtlHours - Hours a response is kept for its idempotency key
+   */
+  constructor(options = {}) {
+    this.maxTrackedClaims = options.maxTrackedClaims || 10000;
+    this.idempotencyTtlMs = (options.idempotencyTtlHours || DEFAULT_IDEMPOTENCY_TTL_HOURS) * HOUR_MS;
+    this.state = this.emptyState();
+    // Idempotency keys and their responses; never persisted
+    this.requests = {};
+  }
+
+  /**
+   * @private
+   */
+  emptyState() {
+    return { claims: {} };
+  }
+
+  /**
+   * Load state before use. Nothing to load for the in-memory store.
+   * @private
+   */
+  async load() {}
+
+  /**
+   * Persist state after a change. Nothing to persist for the in-memory store.
+   * @private
+   */
+  async persist() {}
+
+  /**
+   * Check a claim against the routed claims and, unless it is a duplicate,
+   * reserve its fingerprint so a copy routed at the same time is caught
+   * @param {Object} fingerprint - Fingerprint from fingerprintClaim
+   * @param {Object} options - Check options
+   * @param {boolean} options.allowDuplicate - Reserve the fingerprint even if it is a duplicate
+   * @returns {Promise<Object>} { key, duplicate } where duplicate is null or from findDuplicate
+   */
+  async reserve(fingerprint, options = {}) {
+    await this.load();
+
+    const claims = this.state.claims;
+    const duplicate = findDuplicate(fingerprint, Object.values(claims));
+    const key = entryKey(fingerprint);
+    if (duplicate && !options.allowDuplicate) {
+      return { key, duplicate };
+    }
+
+    delete claims[key];
+    const keys = Object.keys(claims).sort((a, b) => claims[a].routedAt.localeCompare(claims[b].routedAt));
+    if (keys.length >= this.maxTrackedClaims) {
+      keys.slice(0, keys.length - this.maxTrackedClaims + 1).forEach(k => delete claims[k]);
+    }
+    claims[key] = { ...fingerprint, route: null, routedAt: new Date().toISOString() };
+
+    await this.persist();
+    return { key, duplicate };
+  }
+
+  /**
+   * Record the route a reserved claim was given
+   * @param {string} key - Key from reserve
+   * @param {string} route - Route type
+   */
+  async complete(key, route) {
+    await this.load();
+    if (this.state.claims[key]) {
+      this.state.claims[key].route = route;
+      await this.persist();
+    }
+  }
+
+  /**
+   * Drop a reservation, e.g. when routing the claim failed
+   * @param {string} key - Key from reserve
+   */
+  async release(key) {
+    await this.load();
+    delete this.state.claims[key];
+    await this.persist();
+  }
+
+  /**
+   * Start a request sent with an idempotency key
+   * @param {string} key - Idempotency key
+   * @param {string} requestHash - Hash of the request
+   * @returns {Promise<Object|null>} The stored response when the request was
+   *   already answered, or null when it should go ahead
+   * @throws {IdempotencyError} When the key was used for a different request,
+   *   or the same request is still being processed
+   */
+  async beginRequest(key, requestHash) {
+    const now = Date.now();
+    Object.keys(this.requests).forEach(k => {
+      if (new Date(this.requests[k].expiresAt).getTime() <= now) {
+        delete this.requests[k];
+      }
+    });
+
+    const existing = this.requests[key];
+    if (existing && existing.requestHash !== requestHash) {
+      throw new IdempotencyError(
+        `Idempotency key ${key} was already used for a different request`,
+        'KEY_REUSED',
+        ['Idempotency-Key: send a new key for a new request']
+      );
+    }
+    if (existing && !existing.response) {
+      throw new IdempotencyError(`A request with idempotency key ${key} is still being processed`, 'IN_PROGRESS');
+    }
+    if (existing) {
+      return existing.response;
+    }
+
+    this.requests[key] = {
+      requestHash,
+      response: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.idempotencyTtlMs).toISOString()
+    };
+    return null;
+  }
+
+  /**
+   * Store the response to a request sent with an idempotency key
+   * @param {string} key - Idempotency key
+   * @param {Object} response - Response to replay on retries
+   */
+  async completeRequest(key, response) {
+    if (this.requests[key]) {
+      this.requests[key].response = response;
+    }
+  }
+
+  /**
+   * Forget a request that failed, so it can be retried with the same key
+   * @param {string} key - Idempotency key
+   */
+  async abandonRequest(key) {
+    delete this.requests[key];
+  }
+
+  /**
+   * Clear all fingerprints and idempotency keys
+   */
+  async reset() {
+    await this.load();
+    this.state = this.emptyState();
+    this.requests = {};
+    await this.persist();
+  }
+}
+
+/**
+ * Duplicate store backed by a JSON file, so fingerprints survive restarts
+ */
+class FileDuplicateStore extends MemoryDuplicateStore {
+  constructor(options = {}) {
+    super(options);
+    this.file = options.file || storeFilePath(process.env.DUPLICATE_STORE_DIR, 'claim-fingerprints', options.name);
+    this.store = new JsonFile(this.file);
+    this.loaded = null;
+  }
+
+  /**
+   * Read the store file once
+   * @private
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.store.read().then(state => {
+        // Only the fingerprints: files written before idempotency responses
+        // were kept in memory may still hold some
+        if (state && state.claims) {
+          this.state = { ...this.emptyState(), claims: state.claims };
+        }
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write the store file
+   * @private
+   */
+  async persist() {
+    return this.store.write(this.state);
+  }
+}
+
+/**
+ * Create a duplicate store from a backend name
+ * @param {Object} options - Store options
+ * @param {string} options.backend - 'memory' or 'file' (defaults to DUPLICATE_STORE or 'memory')
+ * @param {string} options.name - Store name, used in the default file name (e.g. the clinic ID)
+ * @param {string} options.file - File for the file backend
+ * @returns {MemoryDuplicateStore|FileDuplicateStore} Duplicate store
+ */
+function createDuplicateStore(options = {}) {
+  const backend = options.backend || process.env.DUPLICATE_STORE || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryDuplicateStore(options);
+    case 'file':
+      return new FileDuplicateStore(options);
+    default:
+      throw new Error(`Unknown duplicate store backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  DUPLICATE_TYPES,
+  DEFAULT_IDEMPOTENCY_TTL_HOURS,
+  DuplicateClaimError,
+  IdempotencyError,
+  hashValue,
+  fingerprintClaim,
+  findDuplicate,
+  MemoryDuplicateStore,
+  FileDuplicateStore,
+  createDuplicateStore
+};
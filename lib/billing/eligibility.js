@@ -0,0 +1,304 @@
+/**
+ * ReVu Systems - Eligibility Verification
+ *
+ * Checks a patient's coverage with the payer before a claim is submitted,
+ * and caches the answer for a while so a day's claims for the same patient
+ * do not each trigger a check.
+ *
+ * An eligibility provider implements:
+ *   name                   - provider name, recorded on each result
+ *   async check(request)   - { status: 'active' | 'inactive' | 'not-found', message, details }
+ * where request is { payerId, subscriberId, policyNumber, patient, serviceDate, claim }.
+ * Providers throw when the payer cannot be reached; the patient is then
+ * reported unverified.
+ *
+ * Two providers ship here: MockEligibilityProvider (fixed answers, for local
+ * testing) and CdanetEligibilityProvider (CDAnet eligibility transactions
+ * over a transport supplied by the caller).
+ */
+
+const { encodeEligibility, decodeResponse } = require('./cdanet');
+
+// Values routeClaim sets on claim.coverageVerification
+const VERIFICATION_STATUSES = ['verified', 'inactive', 'unverified'];
+
+// How long an eligibility answer is reused
+const DEFAULT_TTL_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Error thrown when eligibility cannot be checked at all
+ */
+class EligibilityError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'EligibilityError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Provider with fixed answers for local testing. Subscriber IDs or policy
+ * numbers starting with "X" are inactive, with "N" are not found, and with
+ * "E" fail as if the payer were unreachable; anything else is active.
+ */
+class MockEligibilityProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  /**
+   * Check coverage
+   * @param {Object} request - Eligibility request
+   * @returns {Promise<Object>} { status, message, details }
+   */
+  async check(request) {
+    const id = String(request.subscriberId || request.policyNumber || '').toUpperCase();
+
+    if (id.startsWith('E')) {
+      throw new Error('Mock payer is unavailable');
+    }
+    if (id.startsWith('X')) {
+      return { status: 'inactive', message: 'Coverage terminated', details: { terminatedOn: '2025-12-31' } };
+    }
+    if (id.startsWith('N')) {
+      return { status: 'not-found', message: 'No member found for this subscriber', details: {} };
+    }
+    return {
+      status: 'active',
+      message: 'Coverage active',
+      details: { payerId: request.payerId, effectiveDate: '2020-01-01' }
+    };
+  }
+}
+
+/**
+ * Provider that sends CDAnet eligibility transactions (08). The transport
+ * delivers an encoded request and resolves with the encoded response, e.g.
+ * through a CDAnet network service or the mock endpoint.
+ */
+class CdanetEligibilityProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Function} options.transport - async (message) => response message
+   * @param {Function} options.nextSequence - () => next office sequence number
+   */
+  constructor(options = {}) {
+    if (typeof options.transport !== 'function') {
+      throw new EligibilityError('CDAnet eligibility needs a transport', ['transport: must be a function']);
+    }
+    this.name = 'cdanet';
+    this.transport = options.transport;
+    this.sequence = Math.floor(Date.now() / 1000) % 1000000;
+    this.nextSequence = options.nextSequence || (() => {
+      this.sequence = (this.sequence + 1) % 1000000;
+      return this.sequence;
+    });
+  }
+
+  /**
+   * Check coverage
+   * @param {Object} request - Eligibility request; request.claim must have the
+   *   provider, patient, subscriber and coverage fields CDAnet needs
+   * @returns {Promise<Object>} { status, message, details }
+   */
+  async check(request) {
+    const message = encodeEligibility(request.claim, { officeSequence: this.nextSequence() });
+    const response = decodeResponse(await this.transport(message));
+
+    if (response.status.code === 'R') {
+      throw new Error(`CDAnet eligibility rejected: error ${response.errors.join(', ') || 'unspecified'}`);
+    }
+    return {
+      status: response.status.code === 'E' ? 'active' : 'inactive',
+      message: response.status.label,
+      details: {
+        transactionReference: response.transactionReference,
+        notes: response.notes
+      }
+    };
+  }
+}
+
+/**
+ * In-memory cache of eligibility results that expire after a time
+ */
+class EligibilityCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.ttlHours - Hours a result stays fresh
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.ttlMs = (options.ttlHours || DEFAULT_TTL_HOURS) * HOUR_MS;
+    this.now = options.now || (() => Date.now());
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a fresh result
+   * @param {string} key - Cache key
+   * @returns {Object|null} Cached result, or null when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.result;
+  }
+
+  /**
+   * Store a result
+   * @param {string} key - Cache key
+   * @param {Object} result - Eligibility result
+   * @returns {string} When the result expires (ISO)
+   */
+  set(key, result) {
+    const expiresAt = this.now() + this.ttlMs;
+    this.entries.set(key, { result, expiresAt });
+    return new Date(expiresAt).toISOString();
+  }
+
+  /**
+   * Drop every cached result
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Build the provider request for a claim
+ * @private
+ */
+function toRequest(claim) {
+  const subscriber = claim.subscriber || {};
+  const coverage = claim.coverage || {};
+  return {
+    payerId: claim.payerId || null,
+    subscriberId: subscriber.id || null,
+    policyNumber: coverage.policyNumber || null,
+    patient: claim.patient || {},
+    serviceDate: claim.serviceDate || null,
+    claim
+  };
+}
+
+/**
+ * Verifies claims' coverage through a provider, caching the answers
+ */
+class EligibilityService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.provider - Eligibility provider
+   * @param {EligibilityCache} options.cache - Result cache
+   * @param {number} options.ttlHours - Hours a result stays fresh, for the default cache
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor(options = {}) {
+    if (!options.provider || typeof options.provider.check !== 'function') {
+      throw new EligibilityError('An eligibility provider is required', ['provider: must implement check(request)']);
+    }
+    this.provider = options.provider;
+    this.now = options.now || (() => Date.now());
+    this.cache = options.cache || new EligibilityCache({ ttlHours: options.ttlHours, now: this.now });
+  }
+
+  /**
+   * Verify the coverage a claim will be submitted under
+   * @param {Object} claim - The claim to verify
+   * @param {Object} options - Verification options
+   * @param {boolean} options.force - Ask the provider even when a fresh answer is cached
+   * @returns {Promise<Object>} { status, payerId, subscriberId, provider, message,
+   *   details, checkedAt, expiresAt, cached } where status is one of VERIFICATION_STATUSES
+   */
+  async verify(claim, options = {}) {
+    const request = toRequest(claim);
+    const base = {
+      payerId: request.payerId,
+      subscriberId: request.subscriberId,
+      provider: this.provider.name
+    };
+
+    if (!request.subscriberId && !request.policyNumber) {
+      return {
+        ...base,
+        status: 'unverified',
+        message: 'Claim has no subscriber ID or policy number to verify',
+        details: {},
+        checkedAt: new Date(this.now()).toISOString(),
+        expiresAt: null,
+        cached: false
+      };
+    }
+
+    const patient = request.patient;
+    const key = [request.payerId, request.subscriberId, request.policyNumber,
+      patient.lastName, patient.firstName, patient.birthDate].join('|').toLowerCase();
+
+    const hit = options.force ? null : this.cache.get(key);
+    if (hit) {
+      return { ...hit, cached: true };
+    }
+
+    const checkedAt = new Date(this.now()).toISOString();
+    let answer;
+    try {
+      answer = await this.provider.check(request);
+    } catch (error) {
+      // Not cached, so the next claim tries again
+      return {
+        ...base,
+        status: 'unverified',
+        message: `Eligibility check failed: ${error.message}`,
+        details: {},
+        checkedAt,
+        expiresAt: null,
+        cached: false
+      };
+    }
+
+    const result = {
+      ...base,
+      status: answer.status === 'active' ? 'verified' : 'inactive',
+      message: answer.message || null,
+      details: answer.details || {},
+      checkedAt,
+      expiresAt: null
+    };
+    result.expiresAt = this.cache.set(key, result);
+
+    return { ...result, cached: false };
+  }
+}
+
+/**
+ * Create an eligibility provider by name
+ * @param {string} name - 'mock' or 'none' (defaults to ELIGIBILITY_PROVIDER or 'none')
+ * @returns {Object|null} Provider, or null when verification is off
+ */
+function createEligibilityProvider(name = process.env.ELIGIBILITY_PROVIDER || 'none') {
+  switch (name) {
+    case 'none':
+      return null;
+    case 'mock':
+      return new MockEligibilityProvider();
+    default:
+      throw new EligibilityError(`Unknown eligibility provider: ${name}`, ['provider: must be mock or none']);
+  }
+}
+
+module.exports = {
+  VERIFICATION_STATUSES,
+  DEFAULT_TTL_HOURS,
+  EligibilityError,
+  MockEligibilityProvider,
+  CdanetEligibilityProvider,
+  EligibilityCache,
+  EligibilityService,
+  createEligibilityProvider
+};
@@ -0,0 +1,396 @@
+/**
+ * ReVu Systems - Provincial Fee Guides
+ *
+ * Suggested fees by province, year and procedure code, with separate
+ * general practitioner and specialist schedules. Guides are imported from
+ * CSV (see scripts/import-fee-guide.js) into one JSON file per province and
+ * year, and claims are checked for fees above or below the guide in effect
+ * on the date of service.
+ *
+ * CSV columns (header row required, case-insensitive, any order):
+ *
+ *   province        ON, BC, ... (optional when given on import)
+ *   year            Guide year (optional when given on import)
+ *   schedule        gp or specialist (default gp)
+ *   code            Procedure code
+ *   description     Optional
+ *   fee             Suggested fee in dollars
+ *   effective_from  Optional ISO date (default January 1 of the year)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROCEDURE_CODE_PATTERN } = require('./claimSchema');
+
+const DEFAULT_GUIDES_DIR = path.join(process.cwd(), 'lib', 'config', 'fee-guides');
+
+const SCHEDULES = ['gp', 'specialist'];
+
+const PROVINCES = ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'];
+
+// How far a billed fee may stray from the guide before it is flagged
+const DEFAULT_FEE_TOLERANCE = {
+  above: 0.1,
+  below: 0.2
+};
+
+/**
+ * Error thrown when a fee guide cannot be imported or loaded
+ */
+class FeeGuideError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'FeeGuideError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Parse CSV text into rows of fields. Handles quoted fields, escaped quotes
+ * and CRLF line endings.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim().length > 0));
+}
+
+/**
+ * Import fee guides from CSV. A file may hold several provinces, years and
+ * schedules; one guide is returned per province and year.
+ * @param {string} text - CSV text
+ * @param {Object} defaults - Values for columns the CSV leaves out
+ * @param {string} defaults.province - Province code
+ * @param {number} defaults.year - Guide year
+ * @param {string} defaults.schedule - gp or specialist
+ * @param {string} defaults.source - Where the guide came from (e.g. the file name)
+ * @returns {Array<Object>} Fee guides
+ * @throws {FeeGuideError} When any row is invalid; errors name the CSV line
+ */
+function importFeeGuides(text, defaults = {}) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new FeeGuideError('Fee guide CSV is empty');
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const missing = ['code', 'fee'].filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new FeeGuideError(
+      `Fee guide CSV is missing columns: ${missing.join(', ')}`,
+      missing.map(name => `header: missing column "${name}"`)
+    );
+  }
+
+  const errors = [];
+  const guides = new Map();
+
+  rows.forEach((fields, i) => {
+    const at = `line ${i + 2}`;
+    const value = name => {
+      const index = columns.indexOf(name);
+      return index === -1 || fields[index] === undefined ? '' : fields[index].trim();
+    };
+
+    const province = (value('province') || defaults.province || '').toUpperCase();
+    const year = Number(value('year') || defaults.year);
+    const schedule = (value('schedule') || defaults.schedule || 'gp').toLowerCase();
+    const code = value('code').toUpperCase();
+    const fee = Number(value('fee').replace(/[$,]/g, ''));
+    const effectiveFrom = value('effective_from') || `${year}-01-01`;
+    const rowErrors = [];
+
+    if (!PROVINCES.includes(province)) {
+      rowErrors.push(`${at}: province must be one of ${PROVINCES.join(', ')}`);
+    }
+    if (!Number.isInteger(year) || year < 1900 || year > 2100) {
+      rowErrors.push(`${at}: year must be a four-digit year`);
+    }
+    if (!SCHEDULES.includes(schedule)) {
+      rowErrors.push(`${at}: schedule must be one of ${SCHEDULES.join(', ')}`);
+    }
+    if (!PROCEDURE_CODE_PATTERN.test(code)) {
+      rowErrors.push(`${at}: code "${code}" is not a CDT or CDA procedure code`);
+    }
+    if (value('fee') === '' || !(fee >= 0)) {
+      rowErrors.push(`${at}: fee must be a non-negative amount`);
+    }
+    if (isNaN(new Date(effectiveFrom).getTime())) {
+      rowErrors.push(`${at}: effective_from must be a valid date`);
+    }
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      return;
+    }
+
+    const key = `${province}-${year}`;
+    if (!guides.has(key)) {
+      guides.set(key, {
+        province,
+        year,
+        effectiveFrom,
+        source: defaults.source || null,
+        importedAt: new Date().toISOString(),
+        schedules: { gp: {}, specialist: {} }
+      });
+    }
+
+    const entries = guides.get(key).schedules[schedule];
+    if (entries[code]) {
+      errors.push(`${at}: duplicate ${schedule} fee for ${code} in ${province} ${year}`);
+      return;
+    }
+    entries[code] = { fee, description: value('description') || null };
+  });
+
+  if (errors.length > 0) {
+    throw new FeeGuideError(`Invalid fee guide CSV: ${errors.slice(0, 10).join('; ')}`, errors);
+  }
+
+  return [...guides.values()];
+}
+
+/**
+ * Merge a newly imported guide into the existing guide for the same
+ * province and year. Schedules with fees in the import replace the existing
+ * ones; the others are kept, so a specialist schedule imported on its own
+ * leaves the GP schedule in place.
+ * @param {Object|null} existing - Guide already on file, if any
+ * @param {Object} imported - Guide from importFeeGuides
+ * @returns {Object} Merged fee guide
+ */
+function mergeFeeGuides(existing, imported) {
+  if (!existing) {
+    return imported;
+  }
+
+  const schedules = {};
+  SCHEDULES.forEach(schedule => {
+    const fees = imported.schedules[schedule];
+    schedules[schedule] = Object.keys(fees).length > 0 ? fees : (existing.schedules || {})[schedule] || {};
+  });
+  return { ...imported, schedules };
+}
+
+/**
+ * File name for a guide within the guides directory
+ * @param {Object} guide - Fee guide
+ * @returns {string} File name, e.g. "ON-2026.json"
+ */
+function guideFileName(guide) {
+  return `${guide.province}-${guide.year}.json`;
+}
+
+/**
+ * Registry of imported fee guides
+ */
+class FeeGuideRegistry {
+  constructor(guides = []) {
+    this.guides = new Map();
+    guides.forEach(guide => {
+      if (!this.guides.has(guide.province)) {
+        this.guides.set(guide.province, []);
+      }
+      this.guides.get(guide.province).push(guide);
+    });
+
+    // Newest guide first, so lookups take the first one already in effect
+    this.guides.forEach(list => list.sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom)));
+  }
+
+  /**
+   * Get the guide in effect for a province on a date
+   * @param {string} province - Province code
+   * @param {string|Date} date - Date of service (default today)
+   * @returns {Object|null} Fee guide
+   */
+  getGuide(province, date = new Date()) {
+    const day = new Date(date).toISOString().slice(0, 10);
+    const list = this.guides.get(String(province || '').toUpperCase()) || [];
+    return list.find(guide => guide.effectiveFrom <= day) || null;
+  }
+
+  /**
+   * Look up the guide fee for a procedure code. Codes missing from the
+   * specialist schedule fall back to the GP schedule.
+   * @param {string} code - Procedure code
+   * @param {Object} options - Lookup options
+   * @param {string} options.province - Province code
+   * @param {string|Date} options.date - Date of service (default today)
+   * @param {string} options.schedule - gp or specialist (default gp)
+   * @returns {Object|null} { province, year, effectiveFrom, schedule, code, description, fee }
+   */
+  lookup(code, options = {}) {
+    const guide = this.getGuide(options.province, options.date);
+    if (!guide) {
+      return null;
+    }
+
+    const key = String(code).toUpperCase();
+    const requested = options.schedule || 'gp';
+    const schedule = [requested, 'gp'].find(name => guide.schedules[name] && guide.schedules[name][key]);
+    if (!schedule) {
+      return null;
+    }
+
+    return {
+      province: guide.province,
+      year: guide.year,
+      effectiveFrom: guide.effectiveFrom,
+      schedule,
+      code: key,
+      description: guide.schedules[schedule][key].description,
+      fee: guide.schedules[schedule][key].fee
+    };
+  }
+
+  /**
+   * List the imported guides
+   * @returns {Array<Object>} { province, year, effectiveFrom, source, codes }
+   */
+  list() {
+    return [...this.guides.values()].flat().map(guide => ({
+      province: guide.province,
+      year: guide.year,
+      effectiveFrom: guide.effectiveFrom,
+      source: guide.source,
+      codes: {
+        gp: Object.keys(guide.schedules.gp).length,
+        specialist: Object.keys(guide.schedules.specialist).length
+      }
+    }));
+  }
+}
+
+/**
+ * Load every fee guide in a directory. A missing directory is an empty
+ * registry: fee checks are skipped until guides are imported.
+ * @param {string} dir - Guides directory (defaults to lib/config/fee-guides)
+ * @returns {FeeGuideRegistry} Fee guide registry
+ */
+function loadFeeGuides(dir = process.env.FEE_GUIDES_DIR || DEFAULT_GUIDES_DIR) {
+  if (!fs.existsSync(dir)) {
+    return new FeeGuideRegistry();
+  }
+
+  const guides = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      const file = path.join(dir, name);
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new FeeGuideError(`Unable to read fee guide from ${file}: ${error.message}`, [error.message]);
+      }
+    });
+
+  return new FeeGuideRegistry(guides);
+}
+
+/**
+ * Compare a claim's fees with the guide in effect on the date of service
+ * @param {Object} claim - The claim
+ * @param {FeeGuideRegistry} registry - Fee guides
+ * @param {Object} options - Assessment options
+ * @param {string} options.province - Province the service was provided in
+ * @param {string} options.schedule - gp or specialist
+ * @param {Object} options.tolerance - { above, below } fractions of the guide fee
+ * @returns {Object} { guide, procedures } where guide is { province, year, schedule }
+ *   or null and each procedure is { procedureIndex, code, fee, guideFee, ratio, status }
+ *   with status within, above, below, not-listed or no-fee
+ */
+function assessFees(claim, registry, options = {}) {
+  const tolerance = { ...DEFAULT_FEE_TOLERANCE, ...options.tolerance };
+  const schedule = options.schedule || 'gp';
+  const claimDate = claim.serviceDate || new Date();
+  const guide = registry.getGuide(options.province, claimDate);
+
+  if (!guide) {
+    return { guide: null, procedures: [] };
+  }
+
+  const procedures = (claim.procedures || []).map((procedure, index) => {
+    const listed = registry.lookup(procedure.code, {
+      province: options.province,
+      date: procedure.date || claimDate,
+      schedule
+    });
+    const assessment = {
+      procedureIndex: index,
+      code: procedure.code,
+      fee: procedure.fee === undefined ? null : procedure.fee,
+      guideFee: listed ? listed.fee : null,
+      ratio: null,
+      status: 'within'
+    };
+
+    if (!listed) {
+      assessment.status = 'not-listed';
+    } else if (procedure.fee === undefined) {
+      assessment.status = 'no-fee';
+    } else if (listed.fee > 0) {
+      assessment.ratio = Number((procedure.fee / listed.fee).toFixed(3));
+      if (assessment.ratio > 1 + tolerance.above) {
+        assessment.status = 'above';
+      } else if (assessment.ratio < 1 - tolerance.below) {
+        assessment.status = 'below';
+      }
+    }
+    return assessment;
+  });
+
+  return {
+    guide: { province: guide.province, year: guide.year, schedule },
+    procedures
+  };
+}
+
+module.exports = {
+  SCHEDULES,
+  PROVINCES,
+  DEFAULT_FEE_TOLERANCE,
+  FeeGuideError,
+  FeeGuideRegistry,
+  parseCsv,
+  importFeeGuides,
+  mergeFeeGuides,
+  guideFileName,
+  loadFeeGuides,
+  assessFees
+};
@@ -0,0 +1,222 @@
+/**
+ * ReVu Systems - Frequency Limitation Checker
+ *
+ * Checks each procedure on a claim against payer/plan frequency limits
+ * (recall exams, bitewings, scaling units per year, crowns per tooth, ...)
+ * using the patient's previous claims, and reports when each procedure is
+ * next eligible.
+ *
+ * A limit looks like:
+ *   {
+ *     id: 'BITEWINGS',
+ *     codes: ['D0272', 'D0274', '0214*'],
+ *     max: 1,                 // services (or units) allowed per period
+ *     periodMonths: 12,       // rolling window, or `calendarYear: true`
+ *     scope: 'patient',       // or 'tooth'
+ *     countUnits: false       // count procedure.units instead of services
+ *   }
+ */
+
+const { matchesAny } = require('./procedureCodes');
+
+/**
+ * Validate a list of frequency limits
+ * @param {Array} limits - Frequency limits
+ * @param {string} at - Path of the list, used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateFrequencyLimits(limits, at = 'frequencyLimits') {
+  if (!Array.isArray(limits)) {
+    return [`${at}: must be an array`];
+  }
+
+  const errors = [];
+  limits.forEach((limit, i) => {
+    const path = `${at}[${i}]`;
+    if (!limit || typeof limit !== 'object' || Array.isArray(limit)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (!limit.id || typeof limit.id !== 'string') {
+      errors.push(`${path}.id: must be a string`);
+    }
+    if (!Array.isArray(limit.codes) || limit.codes.length === 0 ||
+        limit.codes.some(code => typeof code !== 'string' || code.length === 0)) {
+      errors.push(`${path}.codes: must be a non-empty array of code patterns`);
+    }
+    if (!(Number.isInteger(limit.max) && limit.max > 0)) {
+      errors.push(`${path}.max: must be a positive integer`);
+    }
+    if (!limit.calendarYear && !(Number.isInteger(limit.periodMonths) && limit.periodMonths > 0)) {
+      errors.push(`${path}: needs a positive periodMonths or calendarYear: true`);
+    }
+    if (limit.scope !== undefined && !['patient', 'tooth'].includes(limit.scope)) {
+      errors.push(`${path}.scope: must be "patient" or "tooth"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Add months to a date (UTC)
+ * @private
+ */
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @private
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Flatten previous claims into a list of services the payer has counted.
+ * Denied claims do not count towards frequency limits.
+ * @param {Array} previousClaims - Previous claims for the patient
+ * @returns {Array<Object>} Services with code, tooth, units and date
+ */
+function collectServiceHistory(previousClaims = []) {
+  const services = [];
+
+  previousClaims
+    .filter(previous => previous.status !== 'denied')
+    .forEach(previous => {
+      (previous.procedures || []).forEach(procedure => {
+        const date = procedure.date || previous.serviceDate;
+        if (!procedure.code || !date) return;
+        services.push({
+          code: procedure.code,
+          tooth: procedure.tooth != null ? String(procedure.tooth) : null,
+          units: procedure.units || 1,
+          date: new Date(date)
+        });
+      });
+    });
+
+  return services;
+}
+
+/**
+ * Work out the earliest date a service needing `needed` units fits the limit
+ * @private
+ * @param {Object} limit - Frequency limit
+ * @param {Array} usages - Prior services counted against the limit
+ * @param {number} needed - Units the new service needs
+ * @param {Date} from - Earliest date to consider
+ * @returns {Date} Eligible date
+ */
+function findEligibleDate(limit, usages, needed, from) {
+  if (limit.calendarYear) {
+    const used = usages
+      .filter(u => u.date.getUTCFullYear() === from.getUTCFullYear() && u.date <= from)
+      .reduce((sum, u) => sum + u.units, 0);
+    return used + needed <= limit.max
+      ? from
+      : new Date(Date.UTC(from.getUTCFullYear() + 1, 0, 1));
+  }
+
+  const windowStart = addMonths(from, -limit.periodMonths);
+  const inWindow = usages
+    .filter(u => u.date > windowStart && u.date <= from)
+    .sort((a, b) => a.date - b.date);
+
+  let used = inWindow.reduce((sum, u) => sum + u.units, 0);
+  if (used + needed <= limit.max) {
+    return from;
+  }
+
+  // Oldest services roll out of the window first
+  for (const usage of inWindow) {
+    used -= usage.units;
+    if (used + needed <= limit.max) {
+      return addMonths(usage.date, limit.periodMonths);
+    }
+  }
+
+  return addMonths(from, limit.periodMonths);
+}
+
+/**
+ * Check a claim's procedures against frequency limits
+ * @param {Object} claim - The claim to check
+ * @param {Array} limits - Frequency limits that apply to the patient's plan
+ * @returns {Array<Object>} One finding per procedure/limit pair
+ */
+function checkFrequencyLimits(claim, limits = []) {
+  const history = collectServiceHistory(claim.previousClaims);
+  const findings = [];
+
+  // Earlier lines on the same claim count towards later ones
+  const counted = [...history];
+
+  (claim.procedures || []).forEach((procedure, index) => {
+    const dateValue = procedure.date || claim.serviceDate;
+    const date = dateValue ? new Date(dateValue) : new Date();
+    const tooth = procedure.tooth != null ? String(procedure.tooth) : null;
+    const units = procedure.units || 1;
+    let withinLimits = true;
+
+    limits
+      .filter(limit => matchesAny(procedure.code, limit.codes))
+      .forEach(limit => {
+        const needed = limit.countUnits ? units : 1;
+        const usages = counted
+          .filter(service => matchesAny(service.code, limit.codes))
+          .filter(service => limit.scope !== 'tooth' || service.tooth === tooth)
+          .map(service => ({ date: service.date, units: limit.countUnits ? service.units : 1 }));
+
+        const windowStart = limit.calendarYear
+          ? new Date(Date.UTC(date.getUTCFullYear(), 0, 1))
+          : addMonths(date, -limit.periodMonths);
+        const used = usages
+          .filter(u => (limit.calendarYear ? u.date >= windowStart : u.date > windowStart) && u.date <= date)
+          .reduce((sum, u) => sum + u.units, 0);
+
+        const eligibleDate = findEligibleDate(limit, usages, needed, date);
+        const exceeded = eligibleDate > date;
+        if (exceeded) {
+          withinLimits = false;
+        }
+
+        // When would the next service be eligible once this one is paid?
+        const nextEligibleDate = exceeded
+          ? eligibleDate
+          : findEligibleDate(limit, [...usages, { date, units: needed }], 1, date);
+
+        findings.push({
+          procedureIndex: index,
+          code: procedure.code,
+          tooth,
+          limitId: limit.id,
+          description: limit.description || null,
+          max: limit.max,
+          period: limit.calendarYear ? 'calendar year' : `${limit.periodMonths} months`,
+          used,
+          remaining: Math.max(limit.max - used, 0),
+          exceeded,
+          eligibleDate: toDateString(eligibleDate),
+          nextEligibleDate: toDateString(nextEligibleDate)
+        });
+      });
+
+    // A service over its limit will be denied, so it does not use up the limit
+    if (withinLimits) {
+      counted.push({ code: procedure.code, tooth, units, date });
+    }
+  });
+
+  return findings;
+}
+
+module.exports = {
+  validateFrequencyLimits,
+  collectServiceHistory,
+  checkFrequencyLimits
+};
@@ -0,0 +1,85 @@
+/**
+ * ReVu Systems - JSON File Persistence
+ *
+ * The file backends of the metrics store, work queue and duplicate store
+ * keep their whole state in one JSON file: read once, on first use, and
+ * rewritten in full after each change. Writes go to a temporary file that
+ * replaces the real one, so a crash mid-write never leaves it truncated.
+ *
+ * This suits a single long-running process. Two processes sharing a file
+ * each work from the copy they read and overwrite each other's changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Store names become part of a file name; clinic IDs already match this
+const STORE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Path of a store's file in a data directory
+ * @param {string} dir - Directory for the file (defaults to ./data)
+ * @param {string} prefix - File name prefix (e.g. 'work-queue')
+ * @param {string} name - Store name, e.g. the clinic ID (defaults to 'default')
+ * @returns {string} `<dir>/<prefix>-<name>.json`
+ * @throws {Error} When the name has characters other than letters, digits, "_" or "-"
+ */
+function storeFilePath(dir, prefix, name = 'default') {
+  if (typeof name !== 'string' || !STORE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid store name "${String(name).slice(0, 64)}": use up to 64 letters, digits, "_" or "-"`);
+  }
+  return path.join(dir || path.join(process.cwd(), 'data'), `${prefix}-${name}.json`);
+}
+
+/**
+ * A JSON document kept in a file
+ */
+class JsonFile {
+  /**
+   * @param {string} file - Path of the file
+   */
+  constructor(file) {
+    this.file = file;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read and parse the file
+   * @returns {Promise<*>} Parsed contents, or null when the file does not exist yet
+   */
+  async read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the file's contents. The value is serialized straight away, so
+   * later changes to it are not written; writes happen one at a time, in
+   * the order they were made.
+   * @param {*} value - Value to write
+   * @returns {Promise<void>} Resolves once this write is on disk
+   */
+  write(value) {
+    const contents = JSON.stringify(value);
+    // A failed write should not block the ones queued after it
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, contents);
+      await fs.promises.rename(tmp, this.file);
+    });
+    return this.writing;
+  }
+}
+
+module.exports = {
+  STORE_NAME_PATTERN,
+  storeFilePath,
+  JsonFile
+};
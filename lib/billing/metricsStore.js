@@ -0,0 +1,638 @@
+/**
+ * ReVu Systems - Routing Metrics Store
+ *
+ * Pluggable storage for BillingRouter metrics. Metrics are rolled up into
+ * hourly buckets as they are recorded and can be queried by date range at
+ * hourly or daily granularity.
+ *
+ * A metrics store implements:
+ *   record(event)                  - add a 'routed' or 'optimization' event
+ *   query({ from, to, granularity }) - aggregated metrics for a date range
+ *   saveRoutedClaim(claimId, entry) / getRoutedClaim(claimId)
+ *   saveOutcome(outcome) / listOutcomes({ from, to })
+ *   saveShadowDecision(claimId, entry) / listShadowDecisions({ from, to })
+ *   reset()
+ *
+ * Three backends ship here: MemoryMetricsStore (per process, lost on cold
+ * start), FileMetricsStore (a JSON file that survives restarts of a single
+ * server) and RedisMetricsStore (shared by every instance, for serverless
+ * deployments).
+ * Routing records, outcomes and shadow routing records are each capped at
+ * maxTrackedClaims entries; hourly buckets are kept until reset.
+ */
+
+const { storeFilePath, JsonFile } = require('./jsonFileStore');
+const { RedisRestClient } = require('./redisRest');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const GRANULARITIES = ['hour', 'day'];
+
+// Share of maxTrackedClaims kept when a capped collection is pruned, so
+// pruning (which sorts the entries) happens once per batch of saves
+const PRUNE_TO = 0.9;
+
+// Upper bounds (ms) of the processing time histogram buckets
+const PROCESSING_TIME_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+/**
+ * Start of the hour or day containing a timestamp, as an ISO string
+ * @private
+ */
+function bucketStart(timestamp, granularity = 'hour') {
+  const date = new Date(timestamp);
+  date.setUTCMinutes(0, 0, 0);
+  if (granularity === 'day') {
+    date.setUTCHours(0);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Create an empty metrics bucket
+ * @private
+ */
+function createBucket(start) {
+  return {
+    start,
+    totalClaims: 0,
+    routedClaims: {},
+    processingTime: {},
+    processingTimeHistogram: {},
+    aiOptimizations: 0
+  };
+}
+
+/**
+ * Create an empty processing time histogram. `counts[i]` holds observations
+ * up to PROCESSING_TIME_BUCKETS_MS[i]; the last slot holds anything slower.
+ * @private
+ */
+function createHistogram() {
+  return {
+    counts: new Array(PROCESSING_TIME_BUCKETS_MS.length + 1).fill(0),
+    count: 0,
+    sum: 0
+  };
+}
+
+/**
+ * Add an event to a bucket
+ * @private
+ */
+function applyEvent(bucket, event) {
+  switch (event.type) {
+    case 'routed': {
+      bucket.totalClaims++;
+      bucket.routedClaims[event.route] = (bucket.routedClaims[event.route] || 0) + 1;
+      const time = bucket.processingTime[event.route] || { count: 0, sum: 0 };
+      time.count++;
+      time.sum += event.processingTime;
+      bucket.processingTime[event.route] = time;
+
+      // Buckets stored before histograms existed have none
+      bucket.processingTimeHistogram = bucket.processingTimeHistogram || {};
+      const histogram = bucket.processingTimeHistogram[event.route] || createHistogram();
+      const slot = PROCESSING_TIME_BUCKETS_MS.findIndex(bound => event.processingTime <= bound);
+      histogram.counts[slot === -1 ? PROCESSING_TIME_BUCKETS_MS.length : slot]++;
+      histogram.count++;
+      histogram.sum += event.processingTime;
+      bucket.processingTimeHistogram[event.route] = histogram;
+      break;
+    }
+    case 'optimization':
+      bucket.aiOptimizations++;
+      break;
+    default:
+      throw new Error(`Unknown metrics event type: ${event.type}`);
+  }
+}
+
+/**
+ * Merge one bucket into another
+ * @private
+ */
+function mergeBucket(target, source) {
+  target.totalClaims += source.totalClaims;
+  target.aiOptimizations += source.aiOptimizations;
+  Object.entries(source.routedClaims).forEach(([route, count]) => {
+    target.routedClaims[route] = (target.routedClaims[route] || 0) + count;
+  });
+  Object.entries(source.processingTime).forEach(([route, time]) => {
+    const current = target.processingTime[route] || { count: 0, sum: 0 };
+    target.processingTime[route] = { count: current.count + time.count, sum: current.sum + time.sum };
+  });
+  Object.entries(source.processingTimeHistogram || {}).forEach(([route, histogram]) => {
+    const current = target.processingTimeHistogram[route] || createHistogram();
+    target.processingTimeHistogram[route] = {
+      counts: current.counts.map((count, i) => count + histogram.counts[i]),
+      count: current.count + histogram.count,
+      sum: current.sum + histogram.sum
+    };
+  });
+  return target;
+}
+
+/**
+ * Turn processing time sums into averages per route
+ * @private
+ */
+function averageProcessingTime(bucket) {
+  const averages = {};
+  Object.entries(bucket.processingTime).forEach(([route, time]) => {
+    averages[route] = time.count > 0 ? time.sum / time.count : 0;
+  });
+  return averages;
+}
+
+/**
+ * Hash field increments that add a bucket's counts to a stored bucket.
+ * Fields are `totalClaims`, `aiOptimizations`, `routed:<route>`,
+ * `time:<route>:count`, `time:<route>:sum` and `histogram:<route>:<slot>`.
+ * @private
+ */
+function bucketIncrements(key, bucket) {
+  const commands = [];
+  const add = (field, value) => {
+    if (value) commands.push(['HINCRBY', key, field, value]);
+  };
+  add('totalClaims', bucket.totalClaims);
+  add('aiOptimizations', bucket.aiOptimizations);
+  Object.entries(bucket.routedClaims).forEach(([route, count]) => add(`routed:${route}`, count));
+  Object.entries(bucket.processingTime).forEach(([route, time]) => {
+    add(`time:${route}:count`, time.count);
+    // Processing times need not be whole milliseconds
+    commands.push(['HINCRBYFLOAT', key, `time:${route}:sum`, time.sum]);
+  });
+  Object.entries(bucket.processingTimeHistogram).forEach(([route, histogram]) => {
+    histogram.counts.forEach((count, slot) => add(`histogram:${route}:${slot}`, count));
+  });
+  return commands;
+}
+
+/**
+ * Rebuild a bucket from its hash fields, as HGETALL returns them
+ * @private
+ */
+function bucketFromFields(start, fields) {
+  const bucket = createBucket(start);
+  for (let i = 0; i < fields.length; i += 2) {
+    const field = fields[i];
+    const value = Number(fields[i + 1]);
+    if (field === 'totalClaims' || field === 'aiOptimizations') {
+      bucket[field] = value;
+      continue;
+    }
+
+    // Route names sit between the first and, for time and histogram fields, last colon
+    const kind = field.slice(0, field.indexOf(':'));
+    const rest = field.slice(kind.length + 1);
+    const route = kind === 'routed' ? rest : rest.slice(0, rest.lastIndexOf(':'));
+    const suffix = rest.slice(route.length + 1);
+    if (kind === 'routed') {
+      bucket.routedClaims[route] = value;
+    } else if (kind === 'time') {
+      bucket.processingTime[route] = { count: 0, sum: 0, ...bucket.processingTime[route], [suffix]: value };
+    } else if (kind === 'histogram') {
+      const histogram = bucket.processingTimeHistogram[route] || createHistogram();
+      histogram.counts[Number(suffix)] = value;
+      bucket.processingTimeHistogram[route] = histogram;
+    }
+  }
+
+  // Histogram totals are the processing time totals
+  Object.entries(bucket.processingTimeHistogram).forEach(([route, histogram]) => {
+    const time = bucket.processingTime[route] || { count: 0, sum: 0 };
+    histogram.count = time.count;
+    histogram.sum = time.sum;
+  });
+  return bucket;
+}
+
+/**
+ * Check whether a timestamp falls in an optional [from, to] range
+ * @private
+ */
+function inRange(timestamp, from, to) {
+  const time = new Date(timestamp).getTime();
+  if (from && time < new Date(from).getTime()) return false;
+  if (to && time > new Date(to).getTime()) return false;
+  return true;
+}
+
+/**
+ * In-process metrics store
+ */
+class MemoryMetricsStore {
+  constructor(options = {}) {
+    this.maxTrackedClaims = options.maxTrackedClaims || 10000;
+    this.state = this.emptyState();
+  }
+
+  /**
+   * @private
+   */
+  emptyState() {
+    return { buckets: {}, routedClaims: {}, outcomes: {}, shadowDecisions: {} };
+  }
+
+  /**
+   * Load state before use. Nothing to load for the in-memory store.
+   * @private
+   */
+  async load() {}
+
+  /**
+   * Persist state after a change. Nothing to persist for the in-memory store.
+   * @private
+   */
+  async persist() {}
+
+  /**
+   * Record a metrics event
+   * @param {Object} event - Event with `type`, optional `at` timestamp and event fields
+   */
+  async record(event) {
+    await this.load();
+
+    const start = bucketStart(event.at || Date.now());
+    if (!this.state.buckets[start]) {
+      this.state.buckets[start] = createBucket(start);
+    }
+    applyEvent(this.state.buckets[start], event);
+
+    await this.persist();
+  }
+
+  /**
+   * Query aggregated metrics for a date range
+   * @param {Object} range - Query range
+   * @param {string} range.from - Start of the range (inclusive, ISO date)
+   * @param {string} range.to - End of the range (inclusive, ISO date)
+   * @param {string} range.granularity - 'hour' or 'day' to include per-bucket metrics
+   * @returns {Object} Totals for the range, plus buckets when a granularity is given
+   */
+  async query(range = {}) {
+    await this.load();
+
+    const { from, to, granularity } = range;
+    if (granularity && !GRANULARITIES.includes(granularity)) {
+      throw new Error(`Granularity must be one of ${GRANULARITIES.join(', ')}`);
+    }
+
+    const hourly = await this.bucketsInRange(from, to);
+    const totals = hourly.reduce((sum, bucket) => mergeBucket(sum, bucket), createBucket(from || null));
+    const result = {
+      from: from || null,
+      to: to || null,
+      totalClaims: totals.totalClaims,
+      routedClaims: totals.routedClaims,
+      averageProcessingTime: averageProcessingTime(totals),
+      processingTimeHistogram: totals.processingTimeHistogram,
+      aiOptimizations: totals.aiOptimizations
+    };
+
+    if (granularity) {
+      const grouped = {};
+      hourly.forEach(bucket => {
+        const start = bucketStart(bucket.start, granularity);
+        grouped[start] = mergeBucket(grouped[start] || createBucket(start), bucket);
+      });
+      result.granularity = granularity;
+      result.buckets = Object.values(grouped).map(bucket => ({
+        start: bucket.start,
+        totalClaims: bucket.totalClaims,
+        routedClaims: bucket.routedClaims,
+        averageProcessingTime: averageProcessingTime(bucket),
+        aiOptimizations: bucket.aiOptimizations
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Hourly buckets overlapping a date range, oldest first
+   * @private
+   */
+  async bucketsInRange(from, to) {
+    return Object.values(this.state.buckets)
+      .filter(bucket => {
+        const start = new Date(bucket.start).getTime();
+        if (from && start + HOUR_MS <= new Date(from).getTime()) return false;
+        if (to && start > new Date(to).getTime()) return false;
+        return true;
+      })
+      .sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  /**
+   * Remember how a claim was routed, dropping the oldest entries past the limit
+   * @param {string} claimId - Claim ID
+   * @param {Object} entry - Routing record
+   */
+  async saveRoutedClaim(claimId, entry) {
+    await this.load();
+    this.saveTracked(this.state.routedClaims, claimId, entry);
+    await this.persist();
+  }
+
+  /**
+   * Add an entry keyed by claim ID. Past the limit, the oldest entries (by
+   * `timeField`) are dropped until PRUNE_TO of the limit remain.
+   * @private
+   */
+  saveTracked(entries, claimId, entry, timeField = 'routedAt') {
+    delete entries[claimId];
+    const ids = Object.keys(entries);
+    if (ids.length >= this.maxTrackedClaims) {
+      ids.sort((a, b) => String(entries[a][timeField]).localeCompare(String(entries[b][timeField])))
+        .slice(0, ids.length - Math.floor(this.maxTrackedClaims * PRUNE_TO) + 1)
+        .forEach(id => delete entries[id]);
+    }
+    entries[claimId] = entry;
+  }
+
+  /**
+   * Get how a claim was routed
+   * @param {string} claimId - Claim ID
+   * @returns {Object|null} Routing record
+   */
+  async getRoutedClaim(claimId) {
+    await this.load();
+    return this.state.routedClaims[claimId] || null;
+  }
+
+  /**
+   * Save a claim outcome, replacing any earlier outcome for the claim and
+   * dropping the oldest outcomes (by recordedAt) past the limit
+   * @param {Object} outcome - Recorded outcome
+   */
+  async saveOutcome(outcome) {
+    await this.load();
+    this.saveTracked(this.state.outcomes, outcome.claimId, outcome, 'recordedAt');
+    await this.persist();
+  }
+
+  /**
+   * List outcomes recorded in a date range
+   * @param {Object} range - Optional `from` and `to` ISO dates
+   * @returns {Array<Object>} Outcomes
+   */
+  async listOutcomes(range = {}) {
+    await this.load();
+    return Object.values(this.state.outcomes)
+      .filter(outcome => inRange(outcome.recordedAt, range.from, range.to));
+  }
+
+  /**
+   * Remember how the shadow routing configs would have routed a claim,
+   * dropping the oldest entries past the limit
+   * @param {string} claimId - Claim ID
+   * @param {Object} entry - Shadow routing record with `routedAt`
+   */
+  async saveShadowDecision(claimId, entry) {
+    await this.load();
+    this.saveTracked(this.state.shadowDecisions, claimId, entry);
+    await this.persist();
+  }
+
+  /**
+   * List shadow routing records for claims routed in a date range
+   * @param {Object} range - Optional `from` and `to` ISO dates
+   * @returns {Array<Object>} Shadow routing records
+   */
+  async listShadowDecisions(range = {}) {
+    await this.load();
+    return Object.values(this.state.shadowDecisions)
+      .filter(entry => inRange(entry.routedAt, range.from, range.to));
+  }
+
+  /**
+   * Clear all metrics, routing records, outcomes and shadow routing records
+   */
+  async reset() {
+    await this.load();
+    this.state = this.emptyState();
+    await this.persist();
+  }
+}
+
+/**
+ * Metrics store backed by a JSON file, so metrics survive restarts.
+ *
+ * Each clinic's metrics go to `billing-metrics-<clinicId>.json` in
+ * METRICS_STORE_DIR. METRICS_STORE_FILE, from when there was a single
+ * metrics file, still names the default clinic's file.
+ *
+ * Limits:
+ * - The default directory, `data` under the working directory, is read-only
+ *   on serverless hosts such as Vercel. There only /tmp is writable, and it
+ *   is neither shared between instances nor kept across cold starts, so use
+ *   this store on a server with a persistent disk and RedisMetricsStore on
+ *   serverless hosts.
+ * - It supports a single writer. The file is read once and rewritten whole
+ *   on every change, so processes sharing a file overwrite each other's
+ *   updates.
+ * - Every change rewrites the whole file, so writes grow with the number of
+ *   tracked claims and outcomes (see maxTrackedClaims).
+ */
+class FileMetricsStore extends MemoryMetricsStore {
+  constructor(options = {}) {
+    super(options);
+    const name = options.name || 'default';
+    this.file = options.file ||
+      (name === 'default' && process.env.METRICS_STORE_FILE) ||
+      storeFilePath(process.env.METRICS_STORE_DIR, 'billing-metrics', name);
+    this.store = new JsonFile(this.file);
+    this.loaded = null;
+  }
+
+  /**
+   * Read the metrics file once
+   * @private
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.store.read().then(state => {
+        if (state) {
+          this.state = { ...this.emptyState(), ...state };
+        }
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write the metrics file
+   * @private
+   */
+  async persist() {
+    return this.store.write(this.state);
+  }
+}
+
+/**
+ * Metrics store kept in Redis, reached over a REST API (see redisRest.js),
+ * so every instance of a serverless deployment shares the same metrics and
+ * they survive cold starts.
+ *
+ * Each clinic's keys start with `revu:metrics:<clinicId>:`:
+ * - `buckets` is a sorted set of hourly bucket starts, scored by time, and
+ *   `bucket:<start>` a hash of that hour's counters.
+ * - `routedClaims`, `outcomes` and `shadowDecisions` are hashes of JSON
+ *   entries by claim ID, each with an `<name>:index` sorted set of claim IDs
+ *   scored by time, for date range lookups and pruning.
+ *
+ * Counters are only ever incremented (HINCRBY), so instances recording at
+ * the same time do not lose each other's events. Entries are written one
+ * claim at a time; when two instances save the same claim, the last write
+ * wins.
+ */
+class RedisMetricsStore extends MemoryMetricsStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.name - Store name, part of every key (e.g. the clinic ID)
+   * @param {string} options.prefix - Key prefix (defaults to 'revu:metrics')
+   * @param {Object} options.client - Redis client with `pipeline` and `command`
+   *   (defaults to a RedisRestClient configured from the environment)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.prefix = `${options.prefix || 'revu:metrics'}:${options.name || 'default'}`;
+    this.client = options.client || new RedisRestClient(options);
+  }
+
+  /**
+   * @private
+   */
+  key(name) {
+    return `${this.prefix}:${name}`;
+  }
+
+  async record(event) {
+    const start = bucketStart(event.at || Date.now());
+    const bucket = createBucket(start);
+    applyEvent(bucket, event);
+
+    await this.client.pipeline([
+      ['ZADD', this.key('buckets'), Date.parse(start), start],
+      ...bucketIncrements(this.key(`bucket:${start}`), bucket)
+    ]);
+  }
+
+  /**
+   * @private
+   */
+  async bucketsInRange(from, to) {
+    const min = from ? `(${new Date(from).getTime() - HOUR_MS}` : '-inf';
+    const max = to ? new Date(to).getTime() : '+inf';
+    const starts = await this.client.command('ZRANGEBYSCORE', this.key('buckets'), min, max);
+    const fields = await this.client.pipeline(starts.map(start => ['HGETALL', this.key(`bucket:${start}`)]));
+    return starts.map((start, i) => bucketFromFields(start, fields[i] || []));
+  }
+
+  async saveRoutedClaim(claimId, entry) {
+    await this.saveEntry('routedClaims', claimId, entry, entry.routedAt);
+  }
+
+  /**
+   * Save an entry by claim ID. Past the limit, the oldest entries are
+   * dropped until PRUNE_TO of the limit remain.
+   * @private
+   */
+  async saveEntry(collection, claimId, entry, timestamp) {
+    const index = this.key(`${collection}:index`);
+    const score = new Date(timestamp).getTime();
+    const [, , count] = await this.client.pipeline([
+      ['HSET', this.key(collection), claimId, JSON.stringify(entry)],
+      ['ZADD', index, Number.isNaN(score) ? Date.now() : score, claimId],
+      ['ZCARD', index]
+    ]);
+
+    if (count > this.maxTrackedClaims) {
+      const stale = await this.client.command('ZRANGE', index, 0, count - Math.floor(this.maxTrackedClaims * PRUNE_TO) - 1);
+      await this.client.pipeline([
+        ['ZREM', index, ...stale],
+        ['HDEL', this.key(collection), ...stale]
+      ]);
+    }
+  }
+
+  /**
+   * Entries saved with a time in an optional [from, to] range, oldest first
+   * @private
+   */
+  async listEntries(collection, range) {
+    const min = range.from ? new Date(range.from).getTime() : '-inf';
+    const max = range.to ? new Date(range.to).getTime() : '+inf';
+    const ids = await this.client.command('ZRANGEBYSCORE', this.key(`${collection}:index`), min, max);
+    if (ids.length === 0) {
+      return [];
+    }
+    const entries = await this.client.command('HMGET', this.key(collection), ...ids);
+    return entries.filter(Boolean).map(entry => JSON.parse(entry));
+  }
+
+  async getRoutedClaim(claimId) {
+    const entry = await this.client.command('HGET', this.key('routedClaims'), claimId);
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  async saveOutcome(outcome) {
+    await this.saveEntry('outcomes', outcome.claimId, outcome, outcome.recordedAt);
+  }
+
+  async listOutcomes(range = {}) {
+    return this.listEntries('outcomes', range);
+  }
+
+  async saveShadowDecision(claimId, entry) {
+    await this.saveEntry('shadowDecisions', claimId, entry, entry.routedAt);
+  }
+
+  async listShadowDecisions(range = {}) {
+    return this.listEntries('shadowDecisions', range);
+  }
+
+  async reset() {
+    const starts = await this.client.command('ZRANGE', this.key('buckets'), 0, -1);
+    const collections = ['routedClaims', 'outcomes', 'shadowDecisions'];
+    await this.client.command('DEL',
+      this.key('buckets'),
+      ...starts.map(start => this.key(`bucket:${start}`)),
+      ...collections.flatMap(collection => [this.key(collection), this.key(`${collection}:index`)]));
+  }
+}
+
+/**
+ * Create a metrics store from a backend name
+ * @param {Object} options - Store options
+ * @param {string} options.backend - 'memory', 'file' or 'redis' (defaults to METRICS_STORE or 'memory')
+ * @param {string} options.name - Store name, used in the default file name (e.g. the clinic ID)
+ * @param {string} options.file - File for the file backend
+ * @returns {MemoryMetricsStore|FileMetricsStore|RedisMetricsStore} Metrics store
+ */
+function createMetricsStore(options = {}) {
+  const backend = options.backend || process.env.METRICS_STORE || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryMetricsStore(options);
+    case 'file':
+      return new FileMetricsStore(options);
+    case 'redis':
+      return new RedisMetricsStore(options);
+    default:
+      throw new Error(`Unknown metrics store backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  GRANULARITIES,
+  PROCESSING_TIME_BUCKETS_MS,
+  MemoryMetricsStore,
+  FileMetricsStore,
+  RedisMetricsStore,
+  createMetricsStore
+};
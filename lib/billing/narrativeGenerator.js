@@ -0,0 +1,384 @@
+/**
+ * ReVu Systems - Claim Narrative Generator
+ *
+ * Builds claim narratives from per-procedure templates (scaling and root
+ * planing, crowns, implants, extractions, and a generic fallback) using only
+ * what is on the claim: diagnosis, procedures, tooth/surface, clinical
+ * findings, attachments and the patient's claim history. Output is
+ * deterministic, and every narrative lists the facts it was built from so a
+ * reviewer can check each sentence against the chart.
+ *
+ * An optional polish pass can hand the draft to an LLM for wording; the
+ * polished text is only kept if it still mentions every tooth and code.
+ */
+
+const { matchesAny } = require('./procedureCodes');
+
+const AREA_NAMES = {
+  UR: 'upper right quadrant',
+  UL: 'upper left quadrant',
+  LR: 'lower right quadrant',
+  LL: 'lower left quadrant',
+  UA: 'upper arch',
+  LA: 'lower arch'
+};
+
+const SURFACE_NAMES = {
+  M: 'mesial',
+  O: 'occlusal',
+  D: 'distal',
+  B: 'buccal',
+  L: 'lingual',
+  I: 'incisal',
+  F: 'facial',
+  P: 'palatal',
+  V: 'vestibular'
+};
+
+/**
+ * Describe a tooth number or area code
+ * @private
+ */
+function describeSite(tooth) {
+  const site = String(tooth);
+  return AREA_NAMES[site.toUpperCase()] || `tooth ${site}`;
+}
+
+/**
+ * Describe a surface string (e.g. "MOD" -> "mesial, occlusal and distal")
+ * @private
+ */
+function describeSurfaces(surface) {
+  const names = String(surface).toUpperCase().split('').map(letter => SURFACE_NAMES[letter] || letter);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Describe a procedure's tooth or area, recording it as a fact
+ * @private
+ */
+function siteOf(procedure, at, use, name = 'tooth') {
+  if (procedure.tooth === undefined || procedure.tooth === null) {
+    return 'an unspecified tooth';
+  }
+  return describeSite(use(name, procedure.tooth, `${at}.tooth`));
+}
+
+/**
+ * Join items as an English list
+ * @private
+ */
+function listOf(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+/**
+ * Normalize the claim diagnosis to [{ code, description, tooth }]
+ * @private
+ */
+function normalizeDiagnoses(diagnosis) {
+  return [].concat(diagnosis || [])
+    .map(entry => (typeof entry === 'string' ? { code: null, description: entry, tooth: null } : {
+      code: entry.code || null,
+      description: entry.description || entry.code || null,
+      tooth: entry.tooth === undefined ? null : entry.tooth
+    }))
+    .filter(entry => entry.description);
+}
+
+/**
+ * Procedures from the patient's previous claims on a tooth or area
+ * @private
+ */
+function historyFor(claim, tooth, codes) {
+  const history = [];
+  if (tooth === undefined || tooth === null) {
+    return history;
+  }
+  (claim.previousClaims || []).forEach((previous, i) => {
+    if (previous.status === 'denied') return;
+    (previous.procedures || []).forEach((procedure, j) => {
+      if (String(procedure.tooth) !== String(tooth)) return;
+      if (codes && !matchesAny(procedure.code, codes)) return;
+      history.push({
+        code: procedure.code,
+        date: procedure.date || previous.serviceDate || null,
+        path: `previousClaims[${i}].procedures[${j}]`
+      });
+    });
+  });
+  return history.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+/**
+ * Per-procedure narrative templates, checked in order. Each `build` returns
+ * sentences and records the facts it used through `use`.
+ */
+const TEMPLATES = [
+  {
+    id: 'scaling-root-planing',
+    name: 'Scaling and root planing',
+    codes: ['D4341', 'D4342', '4342*'],
+    build({ procedure, index, claim, use }) {
+      const sentences = [];
+      const at = `procedures[${index}]`;
+      const site = procedure.tooth ? siteOf(procedure, at, use, 'site') : null;
+      use('procedureCode', procedure.code, `${at}.code`);
+      sentences.push(`Scaling and root planing (${procedure.code})${site ? ` in the ${site.replace(/^tooth/, 'area of tooth')}` : ''}.`);
+
+      const findings = claim.clinicalFindings || {};
+      const depths = (procedure.pocketDepths && { value: procedure.pocketDepths, path: `${at}.pocketDepths` }) ||
+        (findings.pocketDepths && procedure.tooth && findings.pocketDepths[procedure.tooth] &&
+          { value: findings.pocketDepths[procedure.tooth], path: `clinicalFindings.pocketDepths.${procedure.tooth}` });
+      if (depths) {
+        const values = use('pocketDepths', [].concat(depths.value), depths.path);
+        sentences.push(`Periodontal charting shows probing depths of ${Math.min(...values)}-${Math.max(...values)} mm.`);
+      }
+      if (findings.boneLoss) {
+        sentences.push(`Radiographs show ${use('boneLoss', findings.boneLoss, 'clinicalFindings.boneLoss')} bone loss.`);
+      }
+
+      const previous = historyFor(claim, procedure.tooth, ['D4341', 'D4342', '4342*', 'D4910', '4991*']);
+      if (previous.length > 0) {
+        const last = previous[previous.length - 1];
+        use('previousPeriodontalTreatment', `${last.code} ${last.date || ''}`.trim(), last.path);
+        sentences.push(`Previous periodontal treatment in this area: ${last.code}${last.date ? ` on ${last.date}` : ''}.`);
+      }
+      return sentences;
+    }
+  },
+  {
+    id: 'crown',
+    name: 'Crown',
+    codes: ['D27*', '27*'],
+    build({ procedure, index, claim, use }) {
+      const sentences = [];
+      const at = `procedures[${index}]`;
+      const site = siteOf(procedure, at, use);
+      use('procedureCode', procedure.code, `${at}.code`);
+      sentences.push(`Crown (${procedure.code}) on ${site}.`);
+
+      if (procedure.reason) {
+        sentences.push(`Indication: ${use('reason', procedure.reason, `${at}.reason`)}.`);
+      }
+      const tooth = ((claim.clinicalFindings || {}).teeth || {})[procedure.tooth];
+      if (tooth && tooth.remainingStructure) {
+        const path = `clinicalFindings.teeth.${procedure.tooth}.remainingStructure`;
+        sentences.push(`Remaining tooth structure: ${use('remainingStructure', tooth.remainingStructure, path)}.`);
+      }
+
+      const restorations = historyFor(claim, procedure.tooth, ['D2*', 'D3*', '2*', '3*']);
+      if (restorations.length > 0) {
+        restorations.forEach(r => use('previousRestoration', `${r.code} ${r.date || ''}`.trim(), r.path));
+        sentences.push(`History on this tooth: ${listOf(restorations.map(r => `${r.code}${r.date ? ` (${r.date})` : ''}`))}.`);
+      }
+      return sentences;
+    }
+  },
+  {
+    id: 'implant',
+    name: 'Implant',
+    codes: ['D60*', 'D61*', '7993*'],
+    build({ procedure, index, claim, use }) {
+      const sentences = [];
+      const at = `procedures[${index}]`;
+      const site = siteOf(procedure, at, use, 'site');
+      use('procedureCode', procedure.code, `${at}.code`);
+      sentences.push(`Implant service (${procedure.code}) at the ${site.replace(/^tooth/, 'site of tooth')}.`);
+
+      const extractions = historyFor(claim, procedure.tooth, ['D71*', 'D72*', '71*', '72*']);
+      if (extractions.length > 0) {
+        const last = extractions[extractions.length - 1];
+        use('extraction', `${last.code} ${last.date || ''}`.trim(), last.path);
+        sentences.push(`Tooth was extracted${last.date ? ` on ${last.date}` : ''} (${last.code}).`);
+      } else {
+        const tooth = ((claim.clinicalFindings || {}).teeth || {})[procedure.tooth];
+        if (tooth && tooth.missingSince) {
+          const path = `clinicalFindings.teeth.${procedure.tooth}.missingSince`;
+          sentences.push(`Tooth missing since ${use('missingSince', tooth.missingSince, path)}.`);
+        }
+      }
+      if (procedure.reason) {
+        sentences.push(`Indication: ${use('reason', procedure.reason, `${at}.reason`)}.`);
+      }
+      return sentences;
+    }
+  },
+  {
+    id: 'extraction',
+    name: 'Extraction',
+    codes: ['D71*', 'D72*', '71*', '72*'],
+    build({ procedure, index, use }) {
+      const sentences = [];
+      const at = `procedures[${index}]`;
+      const site = siteOf(procedure, at, use);
+      use('procedureCode', procedure.code, `${at}.code`);
+      sentences.push(`Extraction (${procedure.code}) of ${site}.`);
+      if (procedure.reason) {
+        sentences.push(`Indication: ${use('reason', procedure.reason, `${at}.reason`)}.`);
+      }
+      return sentences;
+    }
+  }
+];
+
+// Used for procedures that need a narrative but have no specific template
+const GENERIC_TEMPLATE = {
+  id: 'generic',
+  name: 'Procedure',
+  codes: [],
+  build({ procedure, index, use }) {
+    const at = `procedures[${index}]`;
+    use('procedureCode', procedure.code, `${at}.code`);
+    let sentence = `Procedure ${procedure.code}`;
+    if (procedure.tooth) {
+      sentence += ` on ${siteOf(procedure, at, use)}`;
+    }
+    if (procedure.surface) {
+      sentence += ` (${describeSurfaces(use('surface', procedure.surface, `${at}.surface`))} surfaces)`;
+    }
+    const sentences = [`${sentence}.`];
+    if (procedure.reason) {
+      sentences.push(`Indication: ${use('reason', procedure.reason, `${at}.reason`)}.`);
+    }
+    return sentences;
+  }
+};
+
+/**
+ * Find the template for a procedure code
+ * @param {string} code - Procedure code
+ * @returns {Object} Narrative template
+ */
+function findTemplate(code) {
+  return TEMPLATES.find(template => matchesAny(code, template.codes)) || GENERIC_TEMPLATE;
+}
+
+/**
+ * Generate a narrative for a claim from templates. The same claim always
+ * produces the same narrative.
+ * @param {Object} claim - The claim
+ * @param {Object} options - Generator options
+ * @param {Object} options.payerProfile - Payer profile; only procedures it needs a
+ *   narrative for are described, unless it requires a narrative for every claim
+ * @returns {Object} { text, source, templates, facts }
+ */
+function generateNarrative(claim, options = {}) {
+  const profile = options.payerProfile;
+  const facts = [];
+  const use = (name, value, path) => {
+    if (value !== undefined && value !== null) {
+      facts.push({ name, value, path });
+    }
+    return value;
+  };
+
+  const procedures = (claim.procedures || [])
+    .map((procedure, index) => ({ procedure, index }))
+    .filter(({ procedure }) => !profile || profile.narrative.required ||
+      matchesAny(procedure.code, profile.narrative.codes));
+  // A narrative was asked for, so describe everything rather than nothing
+  const described = procedures.length > 0 ? procedures :
+    (claim.procedures || []).map((procedure, index) => ({ procedure, index }));
+
+  const sentences = [];
+  const templates = [];
+
+  const diagnoses = normalizeDiagnoses(claim.diagnosis);
+  if (diagnoses.length > 0) {
+    diagnoses.forEach((diagnosis, i) => {
+      const path = Array.isArray(claim.diagnosis) ? `diagnosis[${i}]` : 'diagnosis';
+      use('diagnosis', diagnosis.code ? `${diagnosis.code} ${diagnosis.description}` : diagnosis.description, path);
+    });
+    sentences.push(`Diagnosis: ${listOf(diagnoses.map(d => (d.tooth ? `${d.description} (${describeSite(d.tooth)})` : d.description)))}.`);
+  }
+
+  described.forEach(({ procedure, index }) => {
+    const template = findTemplate(procedure.code);
+    if (!templates.includes(template.id)) {
+      templates.push(template.id);
+    }
+    sentences.push(...template.build({ procedure, index, claim, use }));
+  });
+
+  const attachments = (claim.attachments || [])
+    .map((attachment, i) => use('attachment', typeof attachment === 'string' ? attachment : attachment.type, `attachments[${i}]`))
+    .filter(Boolean);
+  if (attachments.length > 0) {
+    sentences.push(`Enclosed: ${listOf(attachments)}.`);
+  }
+
+  return {
+    text: sentences.join(' '),
+    source: 'template',
+    templates,
+    facts
+  };
+}
+
+/**
+ * Terms a polished narrative must still contain: every procedure code,
+ * tooth number and area the draft was built from
+ * @private
+ */
+function requiredTerms(narrative) {
+  return narrative.facts
+    .filter(fact => ['procedureCode', 'tooth', 'site'].includes(fact.name))
+    .map(fact => {
+      const value = String(fact.value);
+      const area = AREA_NAMES[value.toUpperCase()];
+      return area
+        ? { label: value, pattern: new RegExp(`\\b(${value}|${area})\\b`, 'i') }
+        : { label: value, pattern: new RegExp(`\\b${value}\\b`) };
+    });
+}
+
+/**
+ * Reword a template narrative with an LLM. Facts are not re-derived: the
+ * polished text is rejected in favour of the draft when it drops any tooth,
+ * area or procedure code, or when the polisher fails.
+ * @param {Object} narrative - Narrative from generateNarrative
+ * @param {Function} polish - async (prompt) => text, e.g. askClaude
+ * @returns {Promise<Object>} The narrative, with `polished` and `draft` set
+ *   when the polished text was kept
+ */
+async function polishNarrative(narrative, polish) {
+  const prompt = [
+    'Rewrite this dental insurance claim narrative so it reads clearly and professionally.',
+    'Do not add, remove or change any clinical fact, tooth number, date or procedure code.',
+    'Reply with the narrative only.',
+    '',
+    narrative.text
+  ].join('\n');
+
+  let text;
+  try {
+    text = String((await polish(prompt)) || '').trim();
+  } catch (error) {
+    return { ...narrative, polished: false, polishError: error.message };
+  }
+
+  const missing = requiredTerms(narrative).filter(term => !term.pattern.test(text)).map(term => term.label);
+  if (!text || missing.length > 0) {
+    return {
+      ...narrative,
+      polished: false,
+      polishError: text ? `Polished text dropped ${missing.join(', ')}` : 'Polisher returned no text'
+    };
+  }
+
+  return {
+    ...narrative,
+    text,
+    source: 'template+llm',
+    polished: true,
+    draft: narrative.text
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  findTemplate,
+  generateNarrative,
+  polishNarrative
+};
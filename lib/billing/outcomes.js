@@ -0,0 +1,199 @@
+/**
+ * ReVu Systems - Claim Outcomes
+ *
+ * Validates adjudication outcomes reported back for routed claims and turns
+ * them into approval and denial rates per route, payer and procedure code,
+ * so we can tell whether routing decisions actually help.
+ */
+
+const OUTCOME_STATUSES = ['paid', 'partially_paid', 'denied', 'pended'];
+
+// Fewer outcomes than this are too few to estimate payer turnaround from
+const MIN_TURNAROUND_SAMPLES = 5;
+
+/**
+ * Error thrown when an outcome cannot be recorded
+ */
+class OutcomeError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'OutcomeError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate an adjudication outcome
+ * @param {Object} outcome - Outcome to validate
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateOutcome(outcome) {
+  const errors = [];
+
+  if (!outcome || typeof outcome !== 'object') {
+    return ['outcome: must be an object'];
+  }
+  if (!outcome.claimId) {
+    errors.push('claimId: is required');
+  }
+  if (!OUTCOME_STATUSES.includes(outcome.status)) {
+    errors.push(`status: must be one of ${OUTCOME_STATUSES.join(', ')}`);
+  }
+  if (outcome.status === 'denied' && !outcome.reasonCode) {
+    errors.push('reasonCode: is required for denied claims');
+  }
+  if (outcome.paidAmount !== undefined && !(typeof outcome.paidAmount === 'number' && outcome.paidAmount >= 0)) {
+    errors.push('paidAmount: must be a non-negative number');
+  }
+  ['submittedAt', 'adjudicatedAt'].forEach(field => {
+    if (outcome[field] !== undefined && isNaN(new Date(outcome[field]).getTime())) {
+      errors.push(`${field}: must be a valid date`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Create an empty rate bucket
+ * @private
+ */
+function createBucket() {
+  return {
+    total: 0,
+    paid: 0,
+    partiallyPaid: 0,
+    denied: 0,
+    pended: 0,
+    approvalRate: null,
+    denialRate: null,
+    denialReasons: {}
+  };
+}
+
+/**
+ * Add an outcome to a bucket
+ * @private
+ */
+function addToBucket(buckets, key, outcome) {
+  if (!key) return;
+  if (!buckets[key]) {
+    buckets[key] = createBucket();
+  }
+
+  const bucket = buckets[key];
+  bucket.total++;
+
+  switch (outcome.status) {
+    case 'paid':
+      bucket.paid++;
+      break;
+    case 'partially_paid':
+      bucket.partiallyPaid++;
+      break;
+    case 'denied':
+      bucket.denied++;
+      bucket.denialReasons[outcome.reasonCode] = (bucket.denialReasons[outcome.reasonCode] || 0) + 1;
+      break;
+    case 'pended':
+      bucket.pended++;
+      break;
+  }
+}
+
+/**
+ * Work out rates once all outcomes are counted. Pended claims are not yet
+ * adjudicated, so they are left out of both rates.
+ * @private
+ */
+function finalizeBuckets(buckets) {
+  Object.values(buckets).forEach(bucket => {
+    const adjudicated = bucket.paid + bucket.partiallyPaid + bucket.denied;
+    if (adjudicated > 0) {
+      bucket.approvalRate = (bucket.paid + bucket.partiallyPaid) / adjudicated;
+      bucket.denialRate = bucket.denied / adjudicated;
+    }
+  });
+  return buckets;
+}
+
+/**
+ * Compute approval and denial rates from recorded outcomes
+ * @param {Iterable<Object>} outcomes - Outcomes with route, payerId and procedureCodes
+ * @returns {Object} Rates by route, payer and procedure code
+ */
+function computeApprovalRates(outcomes) {
+  const byRoute = {};
+  const byPayer = {};
+  const byProcedureCode = {};
+
+  for (const outcome of outcomes) {
+    addToBucket(byRoute, outcome.route, outcome);
+    addToBucket(byPayer, outcome.payerId, outcome);
+    new Set(outcome.procedureCodes || []).forEach(code => addToBucket(byProcedureCode, code, outcome));
+  }
+
+  return {
+    byRoute: finalizeBuckets(byRoute),
+    byPayer: finalizeBuckets(byPayer),
+    byProcedureCode: finalizeBuckets(byProcedureCode)
+  };
+}
+
+/**
+ * Compute approval and denial rates grouped by a key of each outcome
+ * @param {Iterable<Object>} outcomes - Outcomes to count
+ * @param {Function} keyOf - (outcome) => group key; outcomes without a key are skipped
+ * @returns {Object} Rates by key
+ */
+function computeApprovalRatesBy(outcomes, keyOf) {
+  const buckets = {};
+  for (const outcome of outcomes) {
+    addToBucket(buckets, keyOf(outcome), outcome);
+  }
+  return finalizeBuckets(buckets);
+}
+
+/**
+ * Value at a percentile of sorted numbers (nearest rank)
+ * @private
+ */
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+}
+
+/**
+ * Summarize how many business days a payer took to adjudicate claims
+ * @param {Iterable<Object>} outcomes - One payer's outcomes, with turnaroundBusinessDays
+ * @returns {Object|null} { sampleSize, median, low, high } (10th-90th percentile),
+ *   or null when there are too few outcomes to go on
+ */
+function summarizeTurnaround(outcomes) {
+  const samples = [];
+  for (const outcome of outcomes) {
+    if (typeof outcome.turnaroundBusinessDays === 'number') {
+      samples.push(outcome.turnaroundBusinessDays);
+    }
+  }
+  if (samples.length < MIN_TURNAROUND_SAMPLES) {
+    return null;
+  }
+
+  samples.sort((a, b) => a - b);
+  return {
+    sampleSize: samples.length,
+    median: percentile(samples, 0.5),
+    low: percentile(samples, 0.1),
+    high: percentile(samples, 0.9)
+  };
+}
+
+module.exports = {
+  OUTCOME_STATUSES,
+  MIN_TURNAROUND_SAMPLES,
+  OutcomeError,
+  validateOutcome,
+  computeApprovalRates,
+  computeApprovalRatesBy,
+  summarizeTurnaround
+};
@@ -0,0 +1,397 @@
+/**
+ * ReVu Systems - Payer Profile Registry
+ *
+ * Per-payer billing requirements: which procedures need a narrative, when a
+ * predetermination is required, which attachments must accompany a claim,
+ * and how long after the date of service a claim can still be submitted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesAny } = require('./procedureCodes');
+const { validateFrequencyLimits } = require('./frequencyLimits');
+const { listHolidayRegions } = require('./businessCalendar');
+
+const DEFAULT_PROFILES_FILE = path.join(process.cwd(), 'lib', 'config', 'payers.json');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Attachment types payer profiles can require; claims name their
+// attachments with the same types
+const ATTACHMENT_TYPES = {
+  RADIOGRAPH: 'radiograph',
+  PERIO_CHART: 'perio-chart'
+};
+
+/**
+ * Error thrown when payer profiles fail validation
+ */
+class PayerProfileError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'PayerProfileError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @private
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a code pattern list
+ * @private
+ */
+function validateCodeList(codes, at, errors) {
+  if (!Array.isArray(codes) || codes.some(code => typeof code !== 'string' || code.length === 0)) {
+    errors.push(`${at}: must be an array of code patterns`);
+  }
+}
+
+/**
+ * Validate a payer turnaround SLA
+ * @private
+ */
+function validateSla(sla, at) {
+  const errors = [];
+
+  if (!isObject(sla)) {
+    return [`${at}: must be an object`];
+  }
+  if (sla.region !== null && !listHolidayRegions().includes(sla.region)) {
+    errors.push(`${at}.region: must be one of ${listHolidayRegions().join(', ')} or null`);
+  }
+  if (!(typeof sla.turnaroundBusinessDays === 'number' && sla.turnaroundBusinessDays > 0)) {
+    errors.push(`${at}.turnaroundBusinessDays: must be a positive number`);
+  }
+  const range = sla.rangeBusinessDays;
+  if (!Array.isArray(range) || range.length !== 2 || !range.every(days => typeof days === 'number' && days >= 0) ||
+      range[0] > sla.turnaroundBusinessDays || range[1] < sla.turnaroundBusinessDays) {
+    errors.push(`${at}.rangeBusinessDays: must be [min, max] around turnaroundBusinessDays`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a single payer profile
+ * @param {Object} profile - Payer profile
+ * @param {string} at - Path of the profile, used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validatePayerProfile(profile, at = 'profile') {
+  const errors = [];
+
+  if (!isObject(profile)) {
+    return [`${at}: must be an object`];
+  }
+
+  if (!profile.id || typeof profile.id !== 'string') {
+    errors.push(`${at}.id: must be a string`);
+  }
+  if (!profile.name || typeof profile.name !== 'string') {
+    errors.push(`${at}.name: must be a string`);
+  }
+  if (profile.aliases !== undefined && (!Array.isArray(profile.aliases) ||
+      profile.aliases.some(alias => typeof alias !== 'string' || alias.length === 0))) {
+    errors.push(`${at}.aliases: must be an array of payer IDs`);
+  }
+
+  if (!isObject(profile.narrative) || typeof profile.narrative.required !== 'boolean') {
+    errors.push(`${at}.narrative.required: must be a boolean`);
+  } else {
+    validateCodeList(profile.narrative.codes, `${at}.narrative.codes`, errors);
+  }
+
+  if (!isObject(profile.preauth)) {
+    errors.push(`${at}.preauth: must be an object`);
+  } else {
+    const threshold = profile.preauth.amountThreshold;
+    if (threshold !== null && !(typeof threshold === 'number' && threshold > 0)) {
+      errors.push(`${at}.preauth.amountThreshold: must be a positive number or null`);
+    }
+    validateCodeList(profile.preauth.codes, `${at}.preauth.codes`, errors);
+  }
+
+  if (!Array.isArray(profile.attachments)) {
+    errors.push(`${at}.attachments: must be an array`);
+  } else {
+    profile.attachments.forEach((requirement, i) => {
+      if (!isObject(requirement)) {
+        errors.push(`${at}.attachments[${i}]: must be an object`);
+        return;
+      }
+      validateCodeList(requirement.codes, `${at}.attachments[${i}].codes`, errors);
+      if (!Array.isArray(requirement.types) || requirement.types.length === 0) {
+        errors.push(`${at}.attachments[${i}].types: must be a non-empty array`);
+      } else if (requirement.types.some(type => !Object.values(ATTACHMENT_TYPES).includes(type))) {
+        errors.push(`${at}.attachments[${i}].types: must be from ${Object.values(ATTACHMENT_TYPES).join(', ')}`);
+      }
+    });
+  }
+
+  if (!(Number.isInteger(profile.submissionWindowDays) && profile.submissionWindowDays > 0)) {
+    errors.push(`${at}.submissionWindowDays: must be a positive integer`);
+  }
+
+  // Profiles without limits of their own inherit the default profile's
+  if (profile.frequencyLimits !== undefined) {
+    errors.push(...validateFrequencyLimits(profile.frequencyLimits, `${at}.frequencyLimits`));
+  }
+
+  // Likewise for turnaround SLAs
+  if (profile.sla !== undefined) {
+    errors.push(...validateSla(profile.sla, `${at}.sla`));
+  }
+
+  if (profile.payerOfLastResort !== undefined && typeof profile.payerOfLastResort !== 'boolean') {
+    errors.push(`${at}.payerOfLastResort: must be a boolean`);
+  }
+
+  if (profile.cdanetCarrierId !== undefined &&
+      !(typeof profile.cdanetCarrierId === 'string' && /^\d{6}$/.test(profile.cdanetCarrierId))) {
+    errors.push(`${at}.cdanetCarrierId: must be a six-digit CDAnet carrier ID`);
+  }
+  if (profile.x12PayerId !== undefined && !(typeof profile.x12PayerId === 'string' && profile.x12PayerId.length > 0)) {
+    errors.push(`${at}.x12PayerId: must be a non-empty string`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a payer profiles configuration
+ * @param {Object} config - Parsed profiles file
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validatePayerProfiles(config) {
+  if (!isObject(config) || !Array.isArray(config.profiles)) {
+    return ['profiles: must be an array'];
+  }
+
+  const errors = [];
+  const seenKeys = new Set();
+
+  config.profiles.forEach((profile, i) => {
+    const profileErrors = validatePayerProfile(profile, `profiles[${i}]`);
+    errors.push(...profileErrors);
+    if (profileErrors.length > 0) return;
+
+    [profile.id, ...(profile.aliases || [])].forEach(key => {
+      const normalized = String(key).toLowerCase();
+      if (seenKeys.has(normalized)) {
+        errors.push(`profiles[${i}]: payer id or alias "${key}" is already used`);
+      }
+      seenKeys.add(normalized);
+    });
+  });
+
+  if (!config.profiles.some(profile => isObject(profile) && profile.id === config.defaultProfile)) {
+    errors.push(`defaultProfile: "${config.defaultProfile}" is not a defined profile`);
+  }
+
+  return errors;
+}
+
+/**
+ * Registry of payer profiles, looked up by payer ID or alias
+ */
+class PayerRegistry {
+  constructor(config) {
+    const errors = validatePayerProfiles(config);
+    if (errors.length > 0) {
+      throw new PayerProfileError(`Invalid payer profiles: ${errors.join('; ')}`, errors);
+    }
+
+    this.defaultProfileId = config.defaultProfile;
+    this.profiles = new Map();
+    this.lookup = new Map();
+
+    config.profiles.forEach(profile => {
+      this.profiles.set(profile.id, profile);
+      [profile.id, ...(profile.aliases || [])].forEach(key => {
+        this.lookup.set(key.toLowerCase(), profile.id);
+      });
+    });
+  }
+
+  /**
+   * Get the profile for a payer, falling back to the default profile
+   * @param {string} payerId - Payer ID or alias
+   * @returns {Object} Payer profile
+   */
+  get(payerId) {
+    const id = payerId ? this.lookup.get(String(payerId).toLowerCase()) : null;
+    return this.profiles.get(id || this.defaultProfileId);
+  }
+
+  /**
+   * Get the profile used for payers without one of their own
+   * @returns {Object} Default payer profile
+   */
+  getDefault() {
+    return this.profiles.get(this.defaultProfileId);
+  }
+
+  /**
+   * Get the frequency limits for a payer
+   * @param {string} payerId - Payer ID or alias
+   * @returns {Array<Object>} Frequency limits
+   */
+  getFrequencyLimits(payerId) {
+    return this.get(payerId).frequencyLimits || this.getDefault().frequencyLimits || [];
+  }
+
+  /**
+   * Get the turnaround SLA for a payer
+   * @param {string} payerId - Payer ID or alias
+   * @returns {Object|null} SLA: { region, turnaroundBusinessDays, rangeBusinessDays }
+   */
+  getSla(payerId) {
+    return this.get(payerId).sla || this.getDefault().sla || null;
+  }
+
+  /**
+   * Check whether a payer pays only after every other coverage (e.g. NIHB)
+   * @param {string} payerId - Payer ID or alias
+   * @returns {boolean} Whether the payer is a payer of last resort
+   */
+  isPayerOfLastResort(payerId) {
+    return this.get(payerId).payerOfLastResort === true;
+  }
+
+  /**
+   * Check whether a payer has a profile of its own
+   * @param {string} payerId - Payer ID or alias
+   * @returns {boolean} Whether the payer is known
+   */
+  has(payerId) {
+    return Boolean(payerId) && this.lookup.has(String(payerId).toLowerCase());
+  }
+
+  /**
+   * List all payer profiles
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.country - Only profiles for this country
+   * @returns {Array<Object>} Payer profiles
+   */
+  list(filters = {}) {
+    return [...this.profiles.values()].filter(profile =>
+      !filters.country || profile.country === filters.country);
+  }
+}
+
+/**
+ * Load payer profiles from a JSON file
+ * @param {string} file - Profiles file (defaults to lib/config/payers.json)
+ * @returns {PayerRegistry} Payer registry
+ */
+function loadPayerRegistry(file = process.env.PAYER_PROFILES_FILE || DEFAULT_PROFILES_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new PayerProfileError(`Unable to read payer profiles from ${file}: ${error.message}`, [error.message]);
+  }
+
+  return new PayerRegistry(config);
+}
+
+/**
+ * Check whether a payer requires a narrative for a claim
+ * @param {Object} profile - Payer profile
+ * @param {Object} claim - The claim to check
+ * @returns {boolean} Whether a narrative is required
+ */
+function requiresNarrative(profile, claim) {
+  if (profile.narrative.required) {
+    return true;
+  }
+  return (claim.procedures || []).some(p => matchesAny(p.code, profile.narrative.codes));
+}
+
+/**
+ * Check whether a payer requires a predetermination for a claim
+ * @param {Object} profile - Payer profile
+ * @param {Object} claim - The claim to check
+ * @returns {boolean} Whether preauthorization is required
+ */
+function requiresPreauth(profile, claim) {
+  const procedures = claim.procedures || [];
+
+  if (procedures.some(p => matchesAny(p.code, profile.preauth.codes))) {
+    return true;
+  }
+
+  const threshold = profile.preauth.amountThreshold;
+  if (threshold !== null) {
+    const total = procedures.reduce((sum, p) => sum + (p.fee || 0), 0);
+    return total >= threshold;
+  }
+
+  return false;
+}
+
+/**
+ * Find attachments the payer requires but the claim does not include
+ * @param {Object} profile - Payer profile
+ * @param {Object} claim - The claim to check
+ * @returns {Array<Object>} Missing attachments with the codes that need them
+ */
+function findMissingAttachments(profile, claim) {
+  const attached = new Set((claim.attachments || []).map(a =>
+    (typeof a === 'string' ? a : a.type || '').toLowerCase()));
+  const missing = [];
+
+  profile.attachments.forEach(requirement => {
+    const codes = (claim.procedures || [])
+      .map(p => p.code)
+      .filter(code => matchesAny(code, requirement.codes));
+    if (codes.length === 0) return;
+
+    requirement.types
+      .filter(type => !attached.has(type.toLowerCase()))
+      .forEach(type => missing.push({ type, codes, description: requirement.description || null }));
+  });
+
+  return missing;
+}
+
+/**
+ * Work out the submission deadline for a claim
+ * @param {Object} profile - Payer profile
+ * @param {Object} claim - The claim to check
+ * @param {Date} now - Current time
+ * @returns {Object|null} Deadline and days remaining, or null without a service date
+ */
+function getSubmissionWindow(profile, claim, now = new Date()) {
+  if (!claim.serviceDate) {
+    return null;
+  }
+
+  const deadline = new Date(new Date(claim.serviceDate).getTime() + profile.submissionWindowDays * DAY_MS);
+  const daysRemaining = Math.floor((deadline - now) / DAY_MS);
+
+  return {
+    deadline: deadline.toISOString(),
+    daysRemaining,
+    expired: daysRemaining < 0
+  };
+}
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  PayerProfileError,
+  PayerRegistry,
+  validatePayerProfile,
+  validatePayerProfiles,
+  loadPayerRegistry,
+  requiresNarrative,
+  requiresPreauth,
+  findMissingAttachments,
+  getSubmissionWindow
+};
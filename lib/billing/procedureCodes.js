@@ -0,0 +1,34 @@
+/**
+ * ReVu Systems - Procedure Code Helpers
+ *
+ * Shared helpers for matching CDT and CDA procedure codes against the code
+ * patterns used in rules and profile files.
+ */
+
+/**
+ * Check whether a procedure code matches a code pattern
+ * @param {string} code - Procedure code
+ * @param {string} pattern - Exact code, or prefix ending in `*`
+ * @returns {boolean} Whether the code matches
+ */
+function matchesCode(code, pattern) {
+  if (!code) return false;
+  return pattern.endsWith('*')
+    ? code.startsWith(pattern.slice(0, -1))
+    : code === pattern;
+}
+
+/**
+ * Check whether a procedure code matches any pattern in a list
+ * @param {string} code - Procedure code
+ * @param {Array<string>} patterns - Code patterns
+ * @returns {boolean} Whether any pattern matches
+ */
+function matchesAny(code, patterns = []) {
+  return patterns.some(pattern => matchesCode(code, pattern));
+}
+
+module.exports = {
+  matchesCode,
+  matchesAny
+};
@@ -0,0 +1,212 @@
+/**
+ * ReVu Systems - Claim Change Provenance
+ *
+ * Every change an optimization step makes to a claim is recorded as a
+ * JSON Patch (RFC 6902) style operation on the claim, together with the
+ * rule responsible, the acting component, the reason and a timestamp.
+ * Recorded changes can be replayed onto the original claim, and individual
+ * changes can be reverted on the optimized claim.
+ */
+
+const crypto = require('crypto');
+
+const OPERATIONS = ['add', 'replace', 'remove'];
+
+/**
+ * Error thrown when a change cannot be applied or reverted
+ */
+class ProvenanceError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ProvenanceError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Split a JSON Pointer into unescaped tokens
+ * @private
+ */
+function parsePointer(pointer) {
+  if (pointer === '' || pointer[0] !== '/') {
+    throw new ProvenanceError(`Invalid JSON Pointer "${pointer}"`);
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Build a JSON Pointer from path tokens
+ * @param {...(string|number)} tokens - Path tokens
+ * @returns {string} JSON Pointer (e.g. "/procedures/0/code")
+ */
+function toPointer(...tokens) {
+  return tokens.map(token => `/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Apply one patch operation to a document, returning a new document
+ * @private
+ */
+function applyOperation(document, operation) {
+  const result = JSON.parse(JSON.stringify(document));
+  const tokens = parsePointer(operation.path);
+  const key = tokens.pop();
+
+  const parent = tokens.reduce((node, token) => {
+    if (node === null || typeof node !== 'object' || !(token in node)) {
+      throw new ProvenanceError(`Path ${operation.path} does not exist`);
+    }
+    return node[token];
+  }, result);
+
+  const isArray = Array.isArray(parent);
+  const index = key === '-' ? parent.length : Number(key);
+
+  switch (operation.op) {
+    case 'add':
+      if (isArray) {
+        parent.splice(index, 0, operation.value);
+      } else {
+        parent[key] = operation.value;
+      }
+      break;
+    case 'replace':
+      if (!(key in parent)) {
+        throw new ProvenanceError(`Cannot replace missing value at ${operation.path}`);
+      }
+      parent[key] = operation.value;
+      break;
+    case 'remove':
+      if (!(key in parent)) {
+        throw new ProvenanceError(`Cannot remove missing value at ${operation.path}`);
+      }
+      if (isArray) {
+        parent.splice(index, 1);
+      } else {
+        delete parent[key];
+      }
+      break;
+    default:
+      throw new ProvenanceError(`Unsupported patch operation "${operation.op}"`);
+  }
+
+  return result;
+}
+
+/**
+ * Create a recorder for the changes made to one claim
+ * @param {string} claimId - Claim ID
+ * @returns {Object} Recorder with `record(change)` and `entries`
+ */
+function createProvenanceRecorder(claimId) {
+  const entries = [];
+
+  return {
+    entries,
+
+    /**
+     * Record a change
+     * @param {Object} change - The change
+     * @param {string} change.op - add, replace or remove
+     * @param {string} change.path - JSON Pointer into the claim
+     * @param {*} change.value - New value (add and replace)
+     * @param {*} change.previousValue - Value before the change (replace and remove)
+     * @param {string} change.rule - Rule responsible for the change
+     * @param {string} change.component - Component that made the change
+     * @param {string} change.reason - Why the change was made
+     * @returns {Object} Provenance entry
+     */
+    record(change) {
+      if (!OPERATIONS.includes(change.op)) {
+        throw new ProvenanceError(`Unsupported patch operation "${change.op}"`);
+      }
+
+      const entry = {
+        id: crypto.randomUUID(),
+        claimId: claimId || null,
+        op: change.op,
+        path: change.path,
+        ...(change.op !== 'remove' && { value: change.value }),
+        ...(change.op !== 'add' && { previousValue: change.previousValue }),
+        rule: change.rule,
+        component: change.component,
+        reason: change.reason || null,
+        timestamp: new Date().toISOString()
+      };
+      entries.push(entry);
+      return entry;
+    }
+  };
+}
+
+/**
+ * Record a change that sets a claim field, as `add` or `replace` depending
+ * on whether the field already had a value
+ * @param {Object} recorder - Provenance recorder
+ * @param {Object} claim - Claim before the change
+ * @param {string} field - Top-level claim field
+ * @param {*} value - New value
+ * @param {Object} attribution - { rule, component, reason }
+ * @returns {Object} Provenance entry
+ */
+function recordFieldChange(recorder, claim, field, value, attribution) {
+  const exists = claim[field] !== undefined;
+  return recorder.record({
+    op: exists ? 'replace' : 'add',
+    path: toPointer(field),
+    value,
+    previousValue: exists ? claim[field] : undefined,
+    ...attribution
+  });
+}
+
+/**
+ * The patch operation that undoes an entry
+ * @param {Object} entry - Provenance entry
+ * @returns {Object} Inverse patch operation
+ */
+function invertEntry(entry) {
+  switch (entry.op) {
+    case 'add':
+      return { op: 'remove', path: entry.path };
+    case 'replace':
+      return { op: 'replace', path: entry.path, value: entry.previousValue };
+    case 'remove':
+      return { op: 'add', path: entry.path, value: entry.previousValue };
+    default:
+      throw new ProvenanceError(`Unsupported patch operation "${entry.op}"`);
+  }
+}
+
+/**
+ * Replay recorded changes onto the original claim
+ * @param {Object} originalClaim - The claim before optimization
+ * @param {Array<Object>} entries - Provenance entries, in the order they were made
+ * @returns {Object} The claim with the changes applied
+ */
+function replayProvenance(originalClaim, entries) {
+  return entries.reduce((claim, entry) => applyOperation(claim, entry), originalClaim);
+}
+
+/**
+ * Revert recorded changes on an optimized claim. Changes are undone newest
+ * first so later changes to the same path unwind cleanly.
+ * @param {Object} claim - The optimized claim
+ * @param {Array<Object>} entries - Provenance entries to revert, in the order they were made
+ * @returns {Object} The claim with those changes undone
+ */
+function revertProvenance(claim, entries) {
+  return [...entries]
+    .reverse()
+    .reduce((current, entry) => applyOperation(current, invertEntry(entry)), claim);
+}
+
+module.exports = {
+  ProvenanceError,
+  toPointer,
+  createProvenanceRecorder,
+  recordFieldChange,
+  invertEntry,
+  replayProvenance,
+  revertProvenance
+};
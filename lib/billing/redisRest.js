@@ -0,0 +1,93 @@
+/**
+ * ReVu Systems - Redis over HTTP
+ *
+ * A minimal client for Redis services with a REST API, such as Upstash or
+ * Vercel KV. Each call is a plain HTTPS request, so it works from serverless
+ * functions that cannot hold a Redis connection open between invocations.
+ *
+ * Commands are arrays (`['HINCRBY', key, field, 1]`) and are sent in one
+ * request per pipeline. The URL and token come from REDIS_REST_URL and
+ * REDIS_REST_TOKEN, or KV_REST_API_URL and KV_REST_API_TOKEN as Vercel KV
+ * names them.
+ */
+
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+class RedisRestError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'RedisRestError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Redis client over a REST API
+ */
+class RedisRestClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.url - REST API URL
+   * @param {string} options.token - REST API token
+   * @param {Object} options.http - HTTP client with axios' `post`, for tests
+   */
+  constructor(options = {}) {
+    this.url = options.url || process.env.REDIS_REST_URL || process.env.KV_REST_API_URL;
+    this.token = options.token || process.env.REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
+    this.http = options.http || axios;
+
+    if (!this.url || !this.token) {
+      throw new RedisRestError('Redis REST URL and token are not configured (set REDIS_REST_URL and REDIS_REST_TOKEN)');
+    }
+    this.url = this.url.replace(/\/+$/, '');
+  }
+
+  /**
+   * Run commands in one request
+   * @param {Array<Array>} commands - Commands, each an array of name and arguments
+   * @returns {Promise<Array>} Each command's result, in order
+   * @throws {RedisRestError} When the request fails or any command fails
+   */
+  async pipeline(commands) {
+    if (commands.length === 0) {
+      return [];
+    }
+
+    let response;
+    try {
+      response = await this.http.post(`${this.url}/pipeline`, commands.map(command => command.map(String)), {
+        headers: { Authorization: `Bearer ${this.token}` },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+    } catch (error) {
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      throw new RedisRestError(`Redis request failed${status}: ${error.message}`);
+    }
+
+    const replies = response.data;
+    const errors = replies
+      .map((reply, i) => reply.error ? { command: commands[i][0], message: reply.error } : null)
+      .filter(Boolean);
+    if (errors.length > 0) {
+      throw new RedisRestError(`Redis command failed: ${errors[0].command}: ${errors[0].message}`, errors);
+    }
+    return replies.map(reply => reply.result);
+  }
+
+  /**
+   * Run a single command
+   * @param {...*} command - Command name and arguments
+   * @returns {Promise<*>} Command result
+   */
+  async command(...command) {
+    const [result] = await this.pipeline([command]);
+    return result;
+  }
+}
+
+module.exports = {
+  RedisRestError,
+  RedisRestClient
+};
@@ -0,0 +1,124 @@
+/**
+ * ReVu Systems - Routing Explanation
+ *
+ * Builds the structured trace of a routing decision (every scoring factor,
+ * its weight and contribution, and the rules checked) and renders it as
+ * plain text for the reviewer worklist and for auditors.
+ */
+
+/**
+ * Create a scoring factor
+ * @param {string} name - Factor name
+ * @param {string} description - What the factor measures
+ * @param {*} value - Raw input value (e.g. number of procedures)
+ * @param {number} weight - Maximum contribution of the factor to the score
+ * @param {number} contribution - Contribution actually added to the score
+ * @returns {Object} Scoring factor
+ */
+function createFactor(name, description, value, weight, contribution) {
+  return {
+    name,
+    description,
+    value,
+    weight,
+    contribution: Number(contribution.toFixed(4))
+  };
+}
+
+/**
+ * Sum factor contributions into a score from 0 to 1
+ * @param {Array<Object>} factors - Scoring factors
+ * @returns {number} Score from 0 to 1
+ */
+function scoreFromFactors(factors) {
+  return Math.min(factors.reduce((sum, factor) => sum + factor.contribution, 0), 1);
+}
+
+/**
+ * Format a value for display
+ * @private
+ */
+function formatValue(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.join(', ')}]`;
+  }
+  return String(value);
+}
+
+/**
+ * Render a condition trace as indented lines
+ * @private
+ */
+function formatCondition(node, indent) {
+  const pad = ' '.repeat(indent);
+  const mark = node.result ? 'yes' : 'no';
+
+  if (node.all || node.any) {
+    const key = node.all ? 'all' : 'any';
+    return [
+      `${pad}${key} of (${mark}):`,
+      ...node[key].flatMap(child => formatCondition(child, indent + 2))
+    ];
+  }
+  if (node.not) {
+    return [`${pad}not (${mark}):`, ...formatCondition(node.not, indent + 2)];
+  }
+
+  return [
+    `${pad}${node.fact} ${node.operator} ${formatValue(node.expected)} ` +
+    `(actual ${formatValue(node.actual)}): ${mark}`
+  ];
+}
+
+/**
+ * Render a routing explanation as human-readable text
+ * @param {Object} explanation - Explanation returned by BillingRouter.routeClaim
+ * @returns {string} Plain-text explanation
+ */
+function formatRoutingExplanation(explanation) {
+  const lines = [];
+
+  lines.push(
+    `Claim ${explanation.claimId || '(no id)'} routed to ${explanation.routeType} ` +
+    `(confidence ${explanation.confidence.toFixed(2)})`
+  );
+
+  if (explanation.rule) {
+    const rule = explanation.rule;
+    lines.push(`Selected by rule "${rule.id}" (priority ${rule.priority})${rule.description ? `: ${rule.description}` : ''}`);
+    lines.push(...formatCondition(rule.conditions, 2));
+  } else {
+    lines.push(`No rule matched; used default route ${explanation.routeType}`);
+  }
+
+  const skipped = explanation.rulesEvaluated.filter(rule => !rule.matched);
+  if (skipped.length > 0) {
+    lines.push('Rules checked that did not match:');
+    skipped.forEach(rule => {
+      lines.push(`  ${rule.id} -> ${rule.route} (priority ${rule.priority})`);
+      lines.push(...formatCondition(rule.conditions, 4));
+    });
+  }
+
+  lines.push('Scores:');
+  Object.entries(explanation.scores).forEach(([name, breakdown]) => {
+    lines.push(`  ${name} = ${breakdown.score.toFixed(2)}`);
+    breakdown.factors.forEach(factor => {
+      lines.push(
+        `    ${factor.name}: ${formatValue(factor.value)} -> +${factor.contribution.toFixed(2)} ` +
+        `(max ${factor.weight.toFixed(2)}) ${factor.description}`
+      );
+    });
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  createFactor,
+  scoreFromFactors,
+  formatRoutingExplanation
+};
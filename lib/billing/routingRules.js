@@ -0,0 +1,427 @@
+/**
+ * ReVu Systems - Routing Rules
+ *
+ * Loads, validates and evaluates the declarative routing rules that drive
+ * BillingRouter. Each clinic can have its own rules file so billing leads
+ * can tune routing without a code deploy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateCalendar } = require('./businessCalendar');
+
+// Directory holding `<clinicId>.json` rules files
+const DEFAULT_RULES_DIR = path.join(process.cwd(), 'lib', 'config', 'routing');
+
+// Facts that rule conditions may reference
+const KNOWN_FACTS = [
+  'complexity',
+  'urgency',
+  'value',
+  'patientRisk',
+  'payer',
+  'payerProfile',
+  'payerCountry',
+  'dentalCodes',
+  'procedureCount',
+  'narrativeRequired',
+  'preauthRequired',
+  'missingAttachmentCount',
+  'frequencyLimitExceeded',
+  'feesAboveGuide',
+  'feesBelowGuide',
+  'submissionDaysRemaining',
+  'requiresPreauth',
+  'emergency',
+  'coverageCount',
+  'cobSequence',
+  'cobOrderMismatch',
+  'priorEobMissing',
+  'coverageVerification'
+];
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  neq: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  in: (actual, expected) => expected.includes(actual),
+  notIn: (actual, expected) => !expected.includes(actual),
+  // Array facts (e.g. dentalCodes)
+  contains: (actual, expected) => Array.isArray(actual) && actual.includes(expected),
+  containsAny: (actual, expected) => Array.isArray(actual) && actual.some(v => expected.includes(v)),
+  startsWith: (actual, expected) => {
+    const values = Array.isArray(actual) ? actual : [actual];
+    return values.some(v => typeof v === 'string' && v.startsWith(expected));
+  }
+};
+
+// Operators whose `value` must be an array
+const LIST_OPERATORS = ['in', 'notIn', 'containsAny'];
+
+// Clinic IDs name the clinic's rules and store files, so they are limited to
+// characters that are safe in a file name
+const CLINIC_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Error thrown when a rules file fails validation
+ */
+class RoutingRulesError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'RoutingRulesError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error thrown for a clinic ID that does not match CLINIC_ID_PATTERN
+ */
+class ClinicIdError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ClinicIdError';
+  }
+}
+
+/**
+ * Check that a clinic ID is safe to use in file names
+ * @param {string} clinicId - Clinic identifier
+ * @returns {string} The clinic ID
+ * @throws {ClinicIdError} When the clinic ID is not letters, digits, "_" or "-"
+ */
+function assertValidClinicId(clinicId) {
+  if (typeof clinicId !== 'string' || !CLINIC_ID_PATTERN.test(clinicId)) {
+    throw new ClinicIdError(`Invalid clinic ID "${String(clinicId).slice(0, 64)}": ` +
+      'use up to 64 letters, digits, "_" or "-"');
+  }
+  return clinicId;
+}
+
+/**
+ * Answer an API request that named an invalid clinic ID
+ * @param {Object} res - API response
+ * @param {ClinicIdError} error - Error thrown by assertValidClinicId
+ * @returns {Object} The response
+ */
+function sendClinicIdError(res, error) {
+  return res.status(400).json({
+    error: 'Invalid parameter',
+    message: error.message
+  });
+}
+
+/**
+ * Validate a single rule condition
+ * @private
+ * @param {Object} condition - Condition node to validate
+ * @param {string} at - Path of the node, used in error messages
+ * @param {Array} errors - Collected validation errors
+ */
+function validateCondition(condition, at, errors) {
+  if (!condition || typeof condition !== 'object') {
+    errors.push(`${at}: condition must be an object`);
+    return;
+  }
+
+  if (condition.all || condition.any) {
+    const key = condition.all ? 'all' : 'any';
+    if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+      errors.push(`${at}.${key}: must be a non-empty array`);
+      return;
+    }
+    condition[key].forEach((child, i) => validateCondition(child, `${at}.${key}[${i}]`, errors));
+    return;
+  }
+
+  if (condition.not) {
+    validateCondition(condition.not, `${at}.not`, errors);
+    return;
+  }
+
+  if (!KNOWN_FACTS.includes(condition.fact)) {
+    errors.push(`${at}.fact: unknown fact "${condition.fact}"`);
+  }
+  if (!OPERATORS[condition.operator]) {
+    errors.push(`${at}.operator: unknown operator "${condition.operator}"`);
+  }
+  if (!('value' in condition)) {
+    errors.push(`${at}.value: is required`);
+  } else if (LIST_OPERATORS.includes(condition.operator) && !Array.isArray(condition.value)) {
+    errors.push(`${at}.value: must be an array for operator "${condition.operator}"`);
+  }
+}
+
+/**
+ * Validate a routing rules configuration
+ * @param {Object} config - Parsed rules file
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateRoutingRules(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object') {
+    return ['rules file must contain a JSON object'];
+  }
+
+  const routes = config.routes;
+  if (!routes || typeof routes !== 'object' || Object.keys(routes).length === 0) {
+    errors.push('routes: at least one route must be defined');
+  } else {
+    Object.entries(routes).forEach(([type, route]) => {
+      ['processor', 'priority', 'validation'].forEach(field => {
+        if (!route || typeof route[field] !== 'string') {
+          errors.push(`routes.${type}.${field}: must be a string`);
+        }
+      });
+      if (route && route.specialHandling !== undefined && !Array.isArray(route.specialHandling)) {
+        errors.push(`routes.${type}.specialHandling: must be an array`);
+      }
+      if (route && route.baseHours !== undefined && !(route.baseHours > 0)) {
+        errors.push(`routes.${type}.baseHours: must be a positive number`);
+      }
+      if (route && route.escalateAfterHours !== undefined && !(route.escalateAfterHours > 0)) {
+        errors.push(`routes.${type}.escalateAfterHours: must be a positive number`);
+      }
+    });
+  }
+
+  if (!routes || !routes[config.defaultRoute]) {
+    errors.push(`defaultRoute: "${config.defaultRoute}" is not a defined route`);
+  }
+
+  // Claim value (in dollars) that scores the maximum on value
+  if (config.highValueFee !== undefined && !(typeof config.highValueFee === 'number' && config.highValueFee > 0)) {
+    errors.push('highValueFee: must be a positive number');
+  }
+
+  // Clinic hours, time zone and holiday region for completion estimates
+  if (config.calendar !== undefined) {
+    errors.push(...validateCalendar(config.calendar));
+  }
+
+  if (!Array.isArray(config.rules)) {
+    errors.push('rules: must be an array');
+    return errors;
+  }
+
+  const seenIds = new Set();
+  config.rules.forEach((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!rule.id || typeof rule.id !== 'string') {
+      errors.push(`${at}.id: must be a string`);
+    } else if (seenIds.has(rule.id)) {
+      errors.push(`${at}.id: duplicate rule id "${rule.id}"`);
+    } else {
+      seenIds.add(rule.id);
+    }
+    if (!routes || !routes[rule.route]) {
+      errors.push(`${at}.route: "${rule.route}" is not a defined route`);
+    }
+    if (typeof rule.priority !== 'number') {
+      errors.push(`${at}.priority: must be a number`);
+    }
+    if (rule.confidence !== undefined) {
+      const validConfidence = typeof rule.confidence === 'number'
+        ? rule.confidence >= 0 && rule.confidence <= 1
+        : KNOWN_FACTS.includes(rule.confidence);
+      if (!validConfidence) {
+        errors.push(`${at}.confidence: must be a number from 0 to 1 or a fact name`);
+      }
+    }
+    validateCondition(rule.when, `${at}.when`, errors);
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a rules configuration and sort its rules by priority
+ * @param {Object} config - Parsed rules file
+ * @param {string} source - Where the rules came from, used in error messages
+ * @returns {Object} Normalized rules configuration
+ */
+function compileRoutingRules(config, source = 'inline rules') {
+  const errors = validateRoutingRules(config);
+  if (errors.length > 0) {
+    throw new RoutingRulesError(`Invalid routing rules in ${source}: ${errors.join('; ')}`, errors);
+  }
+
+  return {
+    ...config,
+    source,
+    rules: [...config.rules].sort((a, b) => b.priority - a.priority)
+  };
+}
+
+/**
+ * Path of a clinic's own file in the rules directory
+ * @private
+ */
+function clinicRulesFile(clinicId, options, extension = '.json') {
+  const rulesDir = options.rulesDir || process.env.ROUTING_RULES_DIR || DEFAULT_RULES_DIR;
+  return path.join(rulesDir, `${assertValidClinicId(clinicId)}${extension}`);
+}
+
+/**
+ * Path of the file holding a clinic's shadow routing configs, next to its
+ * rules file
+ * @param {string} clinicId - Clinic identifier
+ * @param {Object} options - Loader options
+ * @param {string} options.rulesDir - Directory containing rules files
+ * @returns {string} `<rulesDir>/<clinicId>.shadow.json`
+ * @throws {ClinicIdError} When the clinic ID is not safe to use in file names
+ */
+function shadowConfigsFile(clinicId, options = {}) {
+  return clinicRulesFile(clinicId, options, '.shadow.json');
+}
+
+/**
+ * Check whether a clinic has its own rules file
+ * @param {string} clinicId - Clinic identifier
+ * @param {Object} options - Loader options
+ * @param {string} options.rulesDir - Directory containing rules files
+ * @returns {boolean} Whether `<clinicId>.json` exists in the rules directory
+ * @throws {ClinicIdError} When the clinic ID is not safe to use in file names
+ */
+function hasRoutingRules(clinicId, options = {}) {
+  return fs.existsSync(clinicRulesFile(clinicId, options));
+}
+
+/**
+ * Load the routing rules for a clinic, falling back to the default rules
+ * @param {string} clinicId - Clinic identifier
+ * @param {Object} options - Loader options
+ * @param {string} options.rulesDir - Directory containing rules files
+ * @returns {Object} Validated rules configuration
+ */
+function loadRoutingRules(clinicId = 'default', options = {}) {
+  let file = clinicRulesFile(clinicId, options);
+  if (!fs.existsSync(file)) {
+    file = path.join(path.dirname(file), 'default.json');
+  }
+
+  return loadRoutingRulesFile(file);
+}
+
+/**
+ * Load and compile a routing rules file
+ * @param {string} file - Path to the rules file
+ * @returns {Object} Validated rules configuration
+ */
+function loadRoutingRulesFile(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new RoutingRulesError(`Unable to read routing rules from ${file}: ${error.message}`, [error.message]);
+  }
+
+  return compileRoutingRules(config, file);
+}
+
+/**
+ * Evaluate a condition against a set of facts
+ * @param {Object} condition - Condition node
+ * @param {Object} facts - Facts about the claim
+ * @returns {boolean} Whether the condition holds
+ */
+function evaluateCondition(condition, facts) {
+  if (condition.all) {
+    return condition.all.every(child => evaluateCondition(child, facts));
+  }
+  if (condition.any) {
+    return condition.any.some(child => evaluateCondition(child, facts));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, facts);
+  }
+
+  return OPERATORS[condition.operator](facts[condition.fact], condition.value);
+}
+
+/**
+ * Find the highest-priority rule matching the facts
+ * @param {Object} rulesConfig - Compiled rules configuration
+ * @param {Object} facts - Facts about the claim
+ * @returns {Object|null} Matching rule, or null when none match
+ */
+function matchRule(rulesConfig, facts) {
+  return rulesConfig.rules.find(rule => evaluateCondition(rule.when, facts)) || null;
+}
+
+/**
+ * Evaluate a condition and record the actual fact values it was checked against
+ * @param {Object} condition - Condition node
+ * @param {Object} facts - Facts about the claim
+ * @returns {Object} Condition trace with a `result` on every node
+ */
+function traceCondition(condition, facts) {
+  if (condition.all || condition.any) {
+    const key = condition.all ? 'all' : 'any';
+    const children = condition[key].map(child => traceCondition(child, facts));
+    const result = key === 'all'
+      ? children.every(child => child.result)
+      : children.some(child => child.result);
+    return { [key]: children, result };
+  }
+  if (condition.not) {
+    const child = traceCondition(condition.not, facts);
+    return { not: child, result: !child.result };
+  }
+
+  return {
+    fact: condition.fact,
+    operator: condition.operator,
+    expected: condition.value,
+    actual: facts[condition.fact] === undefined ? null : facts[condition.fact],
+    result: OPERATORS[condition.operator](facts[condition.fact], condition.value)
+  };
+}
+
+/**
+ * Evaluate rules in priority order, recording each one checked up to the match
+ * @param {Object} rulesConfig - Compiled rules configuration
+ * @param {Object} facts - Facts about the claim
+ * @returns {Object} Matching rule (or null) and the trace of every rule checked
+ */
+function traceRules(rulesConfig, facts) {
+  const evaluated = [];
+
+  for (const rule of rulesConfig.rules) {
+    const conditions = traceCondition(rule.when, facts);
+    evaluated.push({
+      id: rule.id,
+      route: rule.route,
+      priority: rule.priority,
+      description: rule.description || null,
+      matched: conditions.result,
+      conditions
+    });
+    if (conditions.result) {
+      return { rule, evaluated };
+    }
+  }
+
+  return { rule: null, evaluated };
+}
+
+module.exports = {
+  KNOWN_FACTS,
+  CLINIC_ID_PATTERN,
+  RoutingRulesError,
+  ClinicIdError,
+  assertValidClinicId,
+  sendClinicIdError,
+  hasRoutingRules,
+  shadowConfigsFile,
+  validateRoutingRules,
+  compileRoutingRules,
+  loadRoutingRules,
+  loadRoutingRulesFile,
+  evaluateCondition,
+  matchRule,
+  traceRules
+};
@@ -0,0 +1,173 @@
+/**
+ * ReVu Systems - Shadow Routing
+ *
+ * Lets a clinic try candidate routing configurations on live traffic before
+ * switching to them. Claims keep the route the live rules give them; each
+ * candidate's rules are evaluated on the same facts and the answers are
+ * recorded alongside, so the two can be compared once enough claims (and
+ * their outcomes) are in.
+ *
+ * A candidate is { name, rules } with an inline rules config, or
+ * { name, file } pointing at a rules file in the format of
+ * lib/config/routing/default.json.
+ *
+ * A clinic's candidates are saved as a JSON array next to its rules file
+ * (see shadowConfigsFile), so they survive restarts like the rules do.
+ */
+
+const fs = require('fs');
+const {
+  RoutingRulesError,
+  compileRoutingRules,
+  loadRoutingRulesFile
+} = require('./routingRules');
+const { computeApprovalRatesBy } = require('./outcomes');
+
+// Name the live configuration goes by in shadow reports
+const LIVE_CONFIG = 'live';
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+/**
+ * Validate and compile the candidate routing configurations
+ * @param {Array<Object>} candidates - Candidates: { name, rules } or { name, file }
+ * @returns {Array<Object>} Compiled candidates: { name, rules }
+ * @throws {RoutingRulesError} When a candidate is malformed or its rules are invalid
+ */
+function compileShadowConfigs(candidates = []) {
+  if (!Array.isArray(candidates)) {
+    throw new RoutingRulesError('Shadow routing configs must be an array', ['shadowConfigs: must be an array']);
+  }
+
+  const errors = [];
+  const names = new Set();
+  candidates.forEach((candidate, i) => {
+    const at = `shadowConfigs[${i}]`;
+    if (!candidate || typeof candidate !== 'object') {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (typeof candidate.name !== 'string' || !NAME_PATTERN.test(candidate.name)) {
+      errors.push(`${at}.name: must be letters, digits, ".", "_" or "-"`);
+    } else if (candidate.name === LIVE_CONFIG) {
+      errors.push(`${at}.name: "${LIVE_CONFIG}" is reserved for the live rules`);
+    } else if (names.has(candidate.name)) {
+      errors.push(`${at}.name: duplicate name "${candidate.name}"`);
+    } else {
+      names.add(candidate.name);
+    }
+    if (Boolean(candidate.rules) === Boolean(candidate.file)) {
+      errors.push(`${at}: give either rules or file`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new RoutingRulesError(`Invalid shadow routing configs: ${errors.join('; ')}`, errors);
+  }
+
+  return candidates.map(candidate => ({
+    name: candidate.name,
+    rules: candidate.file
+      ? loadRoutingRulesFile(candidate.file)
+      : compileRoutingRules(candidate.rules, `shadow config ${candidate.name}`)
+  }));
+}
+
+/**
+ * Read the candidates saved in a shadow configs file
+ * @param {string} file - Path of the file
+ * @returns {Array<Object>|null} Candidates as saved, or null when there is no file
+ * @throws {RoutingRulesError} When the file cannot be read
+ */
+function readShadowConfigs(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new RoutingRulesError(`Unable to read shadow routing configs from ${file}: ${error.message}`, [error.message]);
+  }
+}
+
+/**
+ * Count claims by route
+ * @private
+ */
+function countRoutes(decisions, routeOf) {
+  const routes = {};
+  decisions.forEach(decision => {
+    const route = routeOf(decision);
+    routes[route] = (routes[route] || 0) + 1;
+  });
+  return routes;
+}
+
+/**
+ * Compare the live routing with each candidate over recorded shadow decisions.
+ *
+ * Outcomes are those of the claims as actually routed, so a candidate's
+ * approval rates show how the claims it would have sent to each route fared
+ * on their live route, not how they would have fared on the candidate's.
+ *
+ * @param {Array<Object>} decisions - Shadow routing records:
+ *   { claimId, routedAt, live: { route, ruleId }, candidates: { [name]: { route, ruleId } } }
+ * @param {Array<Object>} outcomes - Recorded claim outcomes
+ * @returns {Object} { claims, adjudicated, configs } where configs maps 'live' and
+ *   each candidate name to { claims, routes, approvalRates } and candidates also
+ *   report disagreements, disagreementRate, changes ('FROM -> TO' counts) and the
+ *   approval rates of the claims they disagree on
+ */
+function summarizeShadowDecisions(decisions, outcomes) {
+  const outcomesByClaim = new Map(outcomes.map(outcome => [outcome.claimId, outcome]));
+  const names = [...new Set(decisions.flatMap(decision => Object.keys(decision.candidates)))];
+
+  // Each outcome tagged with the shadow decision for its claim
+  const joined = decisions
+    .filter(decision => outcomesByClaim.has(decision.claimId))
+    .map(decision => ({ ...outcomesByClaim.get(decision.claimId), decision }));
+
+  const configs = {
+    [LIVE_CONFIG]: {
+      claims: decisions.length,
+      routes: countRoutes(decisions, decision => decision.live.route),
+      approvalRates: computeApprovalRatesBy(joined, outcome => outcome.decision.live.route)
+    }
+  };
+
+  names.forEach(name => {
+    // Candidates added part way through only have decisions from then on
+    const evaluated = decisions.filter(decision => decision.candidates[name]);
+    const disagreed = evaluated.filter(decision => decision.candidates[name].route !== decision.live.route);
+    const changes = {};
+    disagreed.forEach(decision => {
+      const change = `${decision.live.route} -> ${decision.candidates[name].route}`;
+      changes[change] = (changes[change] || 0) + 1;
+    });
+    const withOutcome = joined.filter(outcome => outcome.decision.candidates[name]);
+
+    configs[name] = {
+      claims: evaluated.length,
+      routes: countRoutes(evaluated, decision => decision.candidates[name].route),
+      approvalRates: computeApprovalRatesBy(withOutcome, outcome => outcome.decision.candidates[name].route),
+      disagreements: disagreed.length,
+      disagreementRate: evaluated.length > 0 ? disagreed.length / evaluated.length : null,
+      changes,
+      disagreementOutcomes: computeApprovalRatesBy(withOutcome, outcome =>
+        outcome.decision.candidates[name].route !== outcome.decision.live.route ? 'disagreed' : 'agreed')
+    };
+  });
+
+  return {
+    claims: decisions.length,
+    adjudicated: joined.filter(outcome => outcome.status !== 'pended').length,
+    configs
+  };
+}
+
+module.exports = {
+  LIVE_CONFIG,
+  compileShadowConfigs,
+  readShadowConfigs,
+  summarizeShadowDecisions
+};
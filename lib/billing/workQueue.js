@@ -0,0 +1,501 @@
+/**
+ * ReVu Systems - Processor Work Queues
+ *
+ * The work queues behind the processors named in the routing table
+ * (standardProcessor, expeditedProcessor, ...). Routed claims are enqueued
+ * on their route's processor and worked by billing reviewers:
+ *
+ *   queued -> in_review -> submitted
+ *      ^          |
+ *      +- held <--+
+ *
+ * Reviewers claim items (queued -> in_review) and release them back to the
+ * queue, put them on hold and resume them, and mark them submitted once the
+ * claim has gone to the payer. Items left in queued, in_review or held past
+ * their route's threshold are escalated, which moves them up the worklist.
+ *
+ * Two backends ship here: MemoryWorkQueue (per process) and FileWorkQueue
+ * (a JSON file that survives restarts).
+ */
+
+const crypto = require('crypto');
+const { storeFilePath, JsonFile } = require('./jsonFileStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const STATES = ['queued', 'in_review', 'submitted', 'held'];
+
+// Allowed state changes per action
+const TRANSITIONS = {
+  claim: { from: ['queued'], to: 'in_review' },
+  release: { from: ['in_review'], to: 'queued' },
+  hold: { from: ['queued', 'in_review'], to: 'held' },
+  resume: { from: ['held'], to: 'queued' },
+  submit: { from: ['in_review'], to: 'submitted' }
+};
+
+// Worklist order, most urgent first
+const PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+// Hours an item may sit unchanged before it is escalated, by route priority
+const DEFAULT_ESCALATION_HOURS = {
+  urgent: 2,
+  high: 4,
+  normal: 24,
+  low: 72
+};
+
+/**
+ * Error thrown when a work queue action is not allowed
+ */
+class WorkQueueError extends Error {
+  constructor(message, code, errors = []) {
+    super(message);
+    this.name = 'WorkQueueError';
+    // NOT_FOUND, INVALID_TRANSITION or NOT_ASSIGNEE
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Sort rank of an item: escalation raises it one priority level per escalation
+ * @private
+ */
+function priorityRank(item) {
+  const rank = PRIORITIES.indexOf(item.priority);
+  return (rank === -1 ? PRIORITIES.indexOf('normal') : rank) - item.escalationLevel;
+}
+
+/**
+ * Compare items for the worklist: priority, then oldest first
+ * @private
+ */
+function compareItems(a, b) {
+  return priorityRank(a) - priorityRank(b) || a.enqueuedAt.localeCompare(b.enqueuedAt);
+}
+
+/**
+ * In-process work queue
+ */
+class MemoryWorkQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.maxItems - Items kept before the oldest submitted ones are dropped
+   * @param {Function} options.elapsedHours - (from, to) => hours counted towards escalation
+   *   (defaults to wall-clock hours)
+   */
+  constructor(options = {}) {
+    this.maxItems = options.maxItems || 10000;
+    this.elapsedHours = options.elapsedHours || ((from, to) => (to - from) / HOUR_MS);
+    this.state = this.emptyState();
+  }
+
+  /**
+   * @private
+   */
+  emptyState() {
+    return { items: {} };
+  }
+
+  /**
+   * Load state before use. Nothing to load for the in-memory queue.
+   * @private
+   */
+  async load() {}
+
+  /**
+   * Persist state after a change. Nothing to persist for the in-memory queue.
+   * @private
+   */
+  async persist() {}
+
+  /**
+   * Look up an item by ID. Only the queue's own items count, so IDs such as
+   * "constructor" find nothing.
+   * @private
+   */
+  findItem(itemId) {
+    return Object.prototype.hasOwnProperty.call(this.state.items, itemId) ? this.state.items[itemId] : null;
+  }
+
+  /**
+   * Get an item or throw
+   * @private
+   */
+  getItemOrThrow(itemId) {
+    const item = this.findItem(itemId);
+    if (!item) {
+      throw new WorkQueueError(`Work item ${itemId} not found`, 'NOT_FOUND');
+    }
+    return item;
+  }
+
+  /**
+   * Move an item to a new state and record the change
+   * @private
+   */
+  transition(item, action, reviewer, note) {
+    const { from, to } = TRANSITIONS[action];
+    if (!from.includes(item.state)) {
+      throw new WorkQueueError(
+        `Cannot ${action} work item ${item.id} while it is ${item.state}`,
+        'INVALID_TRANSITION',
+        [`state: must be one of ${from.join(', ')} to ${action}`]
+      );
+    }
+
+    const at = new Date().toISOString();
+    item.history.push({ at, action, from: item.state, to, reviewer: reviewer || null, note: note || null });
+    item.state = to;
+    item.updatedAt = at;
+  }
+
+  /**
+   * Drop the oldest submitted items once the queue is over its limit
+   * @private
+   */
+  prune() {
+    const ids = Object.keys(this.state.items);
+    if (ids.length <= this.maxItems) return;
+
+    ids
+      .filter(id => this.state.items[id].state === 'submitted')
+      .sort((a, b) => this.state.items[a].updatedAt.localeCompare(this.state.items[b].updatedAt))
+      .slice(0, ids.length - this.maxItems)
+      .forEach(id => delete this.state.items[id]);
+  }
+
+  /**
+   * Add a routed claim to its processor's queue. Re-routing a claim that is
+   * still open updates its existing item instead of adding another.
+   * @param {Object} entry - Work item fields
+   * @param {string} entry.claimId - Claim ID
+   * @param {string} entry.processor - Processor queue (the route's processor)
+   * @param {string} entry.route - Route type
+   * @param {string} entry.priority - Route priority (urgent, high, normal, low)
+   * @param {number} entry.escalateAfterHours - Hours before the item is escalated
+   * @param {Array<string>} entry.instructions - Processing instructions for the reviewer
+   * @param {string} entry.dueAt - When processing is expected to be done
+   * @returns {Promise<Object>} The queued work item
+   */
+  async enqueue(entry) {
+    await this.load();
+
+    const now = new Date().toISOString();
+    const open = Object.values(this.state.items)
+      .find(item => item.claimId === entry.claimId && item.state !== 'submitted');
+
+    const fields = {
+      processor: entry.processor,
+      route: entry.route,
+      priority: entry.priority || 'normal',
+      escalateAfterHours: entry.escalateAfterHours || DEFAULT_ESCALATION_HOURS[entry.priority] ||
+        DEFAULT_ESCALATION_HOURS.normal,
+      instructions: entry.instructions || [],
+      dueAt: entry.dueAt || null
+    };
+
+    let item;
+    if (open) {
+      item = Object.assign(open, fields, { updatedAt: now });
+      item.history.push({ at: now, action: 'requeue', from: item.state, to: item.state, reviewer: null, note: null });
+    } else {
+      item = {
+        id: crypto.randomUUID(),
+        claimId: entry.claimId,
+        ...fields,
+        state: 'queued',
+        assignee: null,
+        holdReason: null,
+        escalationLevel: 0,
+        escalatedAt: null,
+        enqueuedAt: now,
+        updatedAt: now,
+        history: [{ at: now, action: 'enqueue', from: null, to: 'queued', reviewer: null, note: null }]
+      };
+      this.state.items[item.id] = item;
+      this.prune();
+    }
+
+    await this.persist();
+    return item;
+  }
+
+  /**
+   * Get a work item
+   * @param {string} itemId - Work item ID
+   * @returns {Promise<Object|null>} Work item
+   */
+  async get(itemId) {
+    await this.load();
+    return this.findItem(itemId);
+  }
+
+  /**
+   * List work items in worklist order (escalated and higher priority first,
+   * then oldest first)
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.processor - Only this processor's queue
+   * @param {string|Array<string>} filters.state - Only items in these states
+   * @param {string} filters.assignee - Only items claimed by this reviewer
+   * @param {string} filters.claimId - Only items for this claim
+   * @returns {Promise<Array<Object>>} Work items
+   */
+  async list(filters = {}) {
+    await this.load();
+
+    const states = filters.state ? [].concat(filters.state) : null;
+    return Object.values(this.state.items)
+      .filter(item => !filters.processor || item.processor === filters.processor)
+      .filter(item => !states || states.includes(item.state))
+      .filter(item => !filters.assignee || item.assignee === filters.assignee)
+      .filter(item => !filters.claimId || item.claimId === filters.claimId)
+      .sort(compareItems);
+  }
+
+  /**
+   * Count open items per processor and state
+   * @returns {Promise<Object>} { [processor]: { queued, in_review, submitted, held, escalated } }
+   */
+  async summary() {
+    await this.load();
+
+    const summary = {};
+    Object.values(this.state.items).forEach(item => {
+      if (!summary[item.processor]) {
+        summary[item.processor] = { queued: 0, in_review: 0, submitted: 0, held: 0, escalated: 0 };
+      }
+      summary[item.processor][item.state]++;
+      if (item.escalationLevel > 0 && item.state !== 'submitted') {
+        summary[item.processor].escalated++;
+      }
+    });
+    return summary;
+  }
+
+  /**
+   * Claim an item for review
+   * @param {string} itemId - Work item ID
+   * @param {string} reviewer - Reviewer claiming the item
+   * @returns {Promise<Object>} The claimed item
+   */
+  async claim(itemId, reviewer) {
+    await this.load();
+
+    const item = this.getItemOrThrow(itemId);
+    this.transition(item, 'claim', reviewer);
+    item.assignee = reviewer;
+
+    await this.persist();
+    return item;
+  }
+
+  /**
+   * Claim the next item in a processor's queue
+   * @param {string} processor - Processor queue
+   * @param {string} reviewer - Reviewer claiming the item
+   * @returns {Promise<Object|null>} The claimed item, or null when the queue is empty
+   */
+  async claimNext(processor, reviewer) {
+    const [next] = await this.list({ processor, state: 'queued' });
+    return next ? this.claim(next.id, reviewer) : null;
+  }
+
+  /**
+   * Check that the reviewer acting on an in-review item is the one who claimed it
+   * @private
+   */
+  assertAssignee(item, reviewer) {
+    if (item.state === 'in_review' && item.assignee !== reviewer) {
+      throw new WorkQueueError(
+        `Work item ${item.id} is claimed by another reviewer`,
+        'NOT_ASSIGNEE',
+        ['reviewer: must be the reviewer who claimed the item']
+      );
+    }
+  }
+
+  /**
+   * Release a claimed item back to the queue
+   * @param {string} itemId - Work item ID
+   * @param {string} reviewer - Reviewer who claimed the item
+   * @returns {Promise<Object>} The released item
+   */
+  async release(itemId, reviewer) {
+    await this.load();
+
+    const item = this.getItemOrThrow(itemId);
+    this.assertAssignee(item, reviewer);
+    this.transition(item, 'release', reviewer);
+    item.assignee = null;
+
+    await this.persist();
+    return item;
+  }
+
+  /**
+   * Put an item on hold, e.g. while waiting for an attachment
+   * @param {string} itemId - Work item ID
+   * @param {string} reviewer - Reviewer holding the item
+   * @param {string} reason - Why the item is held
+   * @returns {Promise<Object>} The held item
+   */
+  async hold(itemId, reviewer, reason) {
+    await this.load();
+
+    const item = this.getItemOrThrow(itemId);
+    this.assertAssignee(item, reviewer);
+    this.transition(item, 'hold', reviewer, reason);
+    item.holdReason = reason || null;
+
+    await this.persist();
+    return item;
+  }
+
+  /**
+   * Return a held item to the queue
+   * @param {string} itemId - Work item ID
+   * @param {string} reviewer - Reviewer resuming the item
+   * @returns {Promise<Object>} The resumed item
+   */
+  async resume(itemId, reviewer) {
+    await this.load();
+
+    const item = this.getItemOrThrow(itemId);
+    this.transition(item, 'resume', reviewer);
+    item.assignee = null;
+    item.holdReason = null;
+
+    await this.persist();
+    return item;
+  }
+
+  /**
+   * Mark a claimed item as submitted to the payer
+   * @param {string} itemId - Work item ID
+   * @param {string} reviewer - Reviewer who claimed the item
+   * @returns {Promise<Object>} The submitted item
+   */
+  async submit(itemId, reviewer) {
+    await this.load();
+
+    const item = this.getItemOrThrow(itemId);
+    this.assertAssignee(item, reviewer);
+    this.transition(item, 'submit', reviewer);
+
+    await this.persist();
+    return item;
+  }
+
+  /**
+   * Escalate open items that have sat unchanged past their threshold. Each
+   * escalation restarts the clock, so an item left alone keeps climbing.
+   * @param {Date} now - Time to measure against (defaults to now)
+   * @returns {Promise<Array<Object>>} Items escalated by this call
+   */
+  async escalateStale(now = new Date()) {
+    await this.load();
+
+    const escalated = [];
+    Object.values(this.state.items).forEach(item => {
+      if (item.state === 'submitted') return;
+
+      const since = new Date(item.escalatedAt && item.escalatedAt > item.updatedAt ? item.escalatedAt : item.updatedAt);
+      const hours = this.elapsedHours(since, now);
+      if (hours < item.escalateAfterHours) return;
+
+      item.escalationLevel++;
+      item.escalatedAt = now.toISOString();
+      item.history.push({
+        at: item.escalatedAt,
+        action: 'escalate',
+        from: item.state,
+        to: item.state,
+        reviewer: null,
+        note: `Unchanged for ${hours.toFixed(1)} hours`
+      });
+      escalated.push(item);
+    });
+
+    if (escalated.length > 0) {
+      await this.persist();
+    }
+    return escalated;
+  }
+
+  /**
+   * Clear all work items
+   */
+  async reset() {
+    await this.load();
+    this.state = this.emptyState();
+    await this.persist();
+  }
+}
+
+/**
+ * Work queue backed by a JSON file, so the worklist survives restarts
+ */
+class FileWorkQueue extends MemoryWorkQueue {
+  constructor(options = {}) {
+    super(options);
+    this.file = options.file || storeFilePath(process.env.WORK_QUEUE_DIR, 'work-queue', options.name);
+    this.store = new JsonFile(this.file);
+    this.loaded = null;
+  }
+
+  /**
+   * Read the queue file once
+   * @private
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.store.read().then(state => {
+        if (state) {
+          this.state = { ...this.emptyState(), ...state };
+        }
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write the queue file
+   * @private
+   */
+  async persist() {
+    return this.store.write(this.state);
+  }
+}
+
+/**
+ * Create a work queue from a backend name
+ * @param {Object} options - Queue options
+ * @param {string} options.backend - 'memory' or 'file' (defaults to WORK_QUEUE_STORE or 'memory')
+ * @param {string} options.name - Queue name, used in the default file name (e.g. the clinic ID)
+ * @param {string} options.file - File for the file backend
+ * @returns {MemoryWorkQueue|FileWorkQueue} Work queue
+ */
+function createWorkQueue(options = {}) {
+  const backend = options.backend || process.env.WORK_QUEUE_STORE || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryWorkQueue(options);
+    case 'file':
+      return new FileWorkQueue(options);
+    default:
+      throw new Error(`Unknown work queue backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  STATES,
+  PRIORITIES,
+  DEFAULT_ESCALATION_HOURS,
+  WorkQueueError,
+  MemoryWorkQueue,
+  FileWorkQueue,
+  createWorkQueue
+};
@@ -0,0 +1,527 @@
+/**
+ * ReVu Systems - ANSI X12 Dental Claims and Remittances
+ *
+ * Builds 837D (005010X224A2) dental claim files from routed claims and
+ * parses 835 (005010X221A1) remittance files into per-claim payment and
+ * denial records, with adjustment and remark codes described in plain
+ * language and each claim reduced to an adjudication outcome the router
+ * can record.
+ *
+ * Only the loops and segments needed for a straightforward dental claim
+ * are produced: one billing provider per file, subscriber and (when the
+ * patient is a dependant) patient loops, and one service line per
+ * procedure.
+ */
+
+const { describeAdjustment, describeRemark } = require('./adjustmentCodes');
+const { isValidDate } = require('./claimSchema');
+
+const IMPLEMENTATION_837D = '005010X224A2';
+
+// Universal tooth numbers (1-32) and primary teeth (A-T)
+const UNIVERSAL_TOOTH_PATTERN = /^([1-9]|[12]\d|3[0-2]|[A-T])$/;
+
+// Oral cavity designation codes (SV304) for procedures billed per area
+const ORAL_CAVITY_CODES = {
+  UA: '01',
+  LA: '02',
+  UR: '10',
+  UL: '20',
+  LL: '30',
+  LR: '40'
+};
+
+// PAT01 individual relationship codes for dependant patients
+const RELATIONSHIP_CODES = {
+  spouse: '01',
+  child: '19',
+  'common-law': '53',
+  other: 'G8'
+};
+
+// SBR01 payer responsibility sequence codes
+const PAYER_SEQUENCE_CODES = {
+  primary: 'P',
+  secondary: 'S',
+  tertiary: 'T'
+};
+
+// CLP02 claim status codes
+const CLAIM_STATUS_CODES = {
+  1: 'Processed as primary',
+  2: 'Processed as secondary',
+  3: 'Processed as tertiary',
+  4: 'Denied',
+  19: 'Processed as primary, forwarded to additional payer(s)',
+  20: 'Processed as secondary, forwarded to additional payer(s)',
+  21: 'Processed as tertiary, forwarded to additional payer(s)',
+  22: 'Reversal of previous payment',
+  23: 'Not our claim, forwarded to additional payer(s)',
+  25: 'Predetermination pricing only - no payment'
+};
+
+/**
+ * Error thrown when an X12 file cannot be built or parsed
+ */
+class X12Error extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'X12Error';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Strip characters that would break the segment structure
+ * @private
+ */
+function clean(value) {
+  return value === undefined || value === null ? '' : String(value).replace(/[*~:^\r\n]/g, ' ').trim();
+}
+
+/**
+ * CCYYMMDD date
+ * @private
+ */
+function formatDate(value) {
+  return new Date(value).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Dollar amount without trailing zeros, as X12 expects
+ * @private
+ */
+function formatAmount(value) {
+  return String(Number((value || 0).toFixed(2)));
+}
+
+/**
+ * Composite element, e.g. composite('AD', 'D2740') for AD:D2740
+ * @private
+ */
+function composite(...components) {
+  return { components };
+}
+
+/**
+ * Build a segment, dropping trailing empty elements
+ * @private
+ */
+function segment(id, ...elements) {
+  const values = elements.map(element => (element && element.components
+    ? element.components.map(clean).join(':').replace(/:+$/, '')
+    : clean(element)));
+  while (values.length > 0 && values[values.length - 1] === '') values.pop();
+  return [id, ...values].join('*');
+}
+
+/**
+ * Validate the parts of a claim the 837D needs
+ * @private
+ */
+function validateFor837(claim, at) {
+  const errors = [];
+  const subscriber = claim.subscriber || {};
+  const patient = claim.patient || {};
+
+  if (!claim.id) errors.push(`${at}.id: is required`);
+  if (!subscriber.id) errors.push(`${at}.subscriber.id: is required`);
+  if (!patient.lastName) errors.push(`${at}.patient.lastName: is required`);
+  if (!patient.firstName) errors.push(`${at}.patient.firstName: is required`);
+  if (!patient.birthDate) {
+    errors.push(`${at}.patient.birthDate: is required`);
+  } else if (!isValidDate(patient.birthDate)) {
+    errors.push(`${at}.patient.birthDate: must be a valid date`);
+  }
+  if (patient.relationship && patient.relationship !== 'self' && !RELATIONSHIP_CODES[patient.relationship]) {
+    errors.push(`${at}.patient.relationship: must be one of self, ${Object.keys(RELATIONSHIP_CODES).join(', ')}`);
+  }
+  if (patient.relationship && patient.relationship !== 'self' && (!subscriber.lastName || !subscriber.firstName)) {
+    errors.push(`${at}.subscriber: name is required when the patient is a dependant`);
+  }
+
+  (claim.procedures || []).forEach((procedure, i) => {
+    if (!/^D\d{4}$/.test(procedure.code)) {
+      errors.push(`${at}.procedures[${i}].code: 837D requires a CDT procedure code`);
+    }
+    const serviceDate = procedure.date || claim.serviceDate;
+    if (!serviceDate) {
+      errors.push(`${at}.procedures[${i}].date: a service date is required`);
+    } else if (!isValidDate(serviceDate)) {
+      errors.push(`${at}.procedures[${i}].date: must be a valid date`);
+    }
+    const tooth = procedure.tooth === undefined || procedure.tooth === null ? null : String(procedure.tooth).toUpperCase();
+    if (tooth && !ORAL_CAVITY_CODES[tooth] && !UNIVERSAL_TOOTH_PATTERN.test(tooth)) {
+      errors.push(`${at}.procedures[${i}].tooth: 837D requires a Universal tooth number or a quadrant/arch code`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the billing provider
+ * @private
+ */
+function validateProvider(provider) {
+  const errors = [];
+  const address = provider.address || {};
+  if (!/^\d{10}$/.test(provider.npi || '')) errors.push('billingProvider.npi: must be a ten-digit NPI');
+  if (!provider.name) errors.push('billingProvider.name: is required');
+  if (!provider.taxId) errors.push('billingProvider.taxId: is required');
+  if (!address.line1 || !address.city || !address.state || !address.postalCode) {
+    errors.push('billingProvider.address: line1, city, state and postalCode are required');
+  }
+  return errors;
+}
+
+/**
+ * Build an 837D dental claim file. Accepts routing results from
+ * BillingRouter.routeClaim (the optimized claim is sent) or bare claims.
+ * @param {Array<Object>} inputs - Routing results or claims
+ * @param {Object} options - File options
+ * @param {Object} options.submitter - { id, name, contactName, phone }
+ * @param {Object} options.receiver - { id, name } of the clearinghouse or payer
+ * @param {Object} options.billingProvider - { npi, taxId, name, address } (defaults to the first claim's provider)
+ * @param {Function} options.resolvePayer - (claim) => { id, name, filingIndicator }
+ * @param {number} options.controlNumber - Interchange control number
+ * @param {boolean} options.test - Mark the interchange as test data
+ * @param {Date} options.now - Creation time
+ * @returns {string} 837D file, one segment per line
+ * @throws {X12Error} When required claim or provider fields are missing
+ */
+function build837D(inputs, options = {}) {
+  const claims = inputs.map(input => (input && input.optimizedClaim ? input.optimizedClaim : input));
+  const submitter = options.submitter || {};
+  const receiver = options.receiver || {};
+  const provider = options.billingProvider || (claims[0] && claims[0].provider) || {};
+  const resolvePayer = options.resolvePayer || (claim => ({ id: claim.payerId, name: claim.payerId }));
+  const now = options.now || new Date();
+  const controlNumber = String(options.controlNumber || Math.floor(now.getTime() / 1000) % 1e9).padStart(9, '0');
+
+  const errors = [];
+  if (claims.length === 0) errors.push('claims: at least one claim is required');
+  if (!submitter.id || !submitter.name) errors.push('submitter: id and name are required');
+  if (!receiver.id || !receiver.name) errors.push('receiver: id and name are required');
+  errors.push(...validateProvider(provider));
+  claims.forEach((claim, i) => errors.push(...validateFor837(claim, `claims[${i}]`)));
+  if (errors.length > 0) {
+    throw new X12Error(`Unable to build 837D: ${errors.join('; ')}`, errors);
+  }
+
+  const date = formatDate(now);
+  const time = now.toISOString().slice(11, 16).replace(':', '');
+  const segments = [];
+
+  segments.push(segment('ST', '837', '0001', IMPLEMENTATION_837D));
+  segments.push(segment('BHT', '0019', '00', controlNumber, date, time, 'CH'));
+  segments.push(segment('NM1', '41', '2', submitter.name, '', '', '', '', '46', submitter.id));
+  segments.push(segment('PER', 'IC', submitter.contactName || submitter.name, submitter.phone ? 'TE' : '', submitter.phone));
+  segments.push(segment('NM1', '40', '2', receiver.name, '', '', '', '', '46', receiver.id));
+
+  // 2000A billing provider
+  let hl = 1;
+  segments.push(segment('HL', hl, '', '20', '1'));
+  segments.push(segment('NM1', '85', '2', provider.name, '', '', '', '', 'XX', provider.npi));
+  segments.push(segment('N3', provider.address.line1));
+  segments.push(segment('N4', provider.address.city, provider.address.state, provider.address.postalCode));
+  segments.push(segment('REF', 'EI', provider.taxId));
+
+  claims.forEach(claim => {
+    const subscriber = claim.subscriber;
+    const patient = claim.patient;
+    const dependant = patient.relationship && patient.relationship !== 'self';
+    const payer = resolvePayer(claim);
+    const coverage = claim.coverage || {};
+
+    // 2000B subscriber
+    const subscriberHl = ++hl;
+    segments.push(segment('HL', subscriberHl, '1', '22', dependant ? '1' : '0'));
+    segments.push(segment('SBR', PAYER_SEQUENCE_CODES[coverage.sequence] || 'P', dependant ? '' : '18',
+      coverage.groupNumber, '', '', '', '', '', payer.filingIndicator || 'CI'));
+    segments.push(segment('NM1', 'IL', '1',
+      dependant ? subscriber.lastName : patient.lastName,
+      dependant ? subscriber.firstName : patient.firstName,
+      '', '', '', 'MI', subscriber.id));
+    if (subscriber.address) {
+      segments.push(segment('N3', subscriber.address.line1));
+      segments.push(segment('N4', subscriber.address.city, subscriber.address.state, subscriber.address.postalCode));
+    }
+    if (!dependant) {
+      segments.push(segment('DMG', 'D8', formatDate(patient.birthDate), patient.sex || 'U'));
+    }
+    segments.push(segment('NM1', 'PR', '2', payer.name, '', '', '', '', 'PI', payer.id));
+
+    // 2000C patient, when not the subscriber
+    if (dependant) {
+      segments.push(segment('HL', ++hl, subscriberHl, '23', '0'));
+      segments.push(segment('PAT', RELATIONSHIP_CODES[patient.relationship]));
+      segments.push(segment('NM1', 'QC', '1', patient.lastName, patient.firstName));
+      segments.push(segment('DMG', 'D8', formatDate(patient.birthDate), patient.sex || 'U'));
+    }
+
+    // 2300 claim
+    const total = claim.procedures.reduce((sum, procedure) => sum + (procedure.fee || 0), 0);
+    segments.push(segment('CLM', claim.id, formatAmount(total), '', '', composite('11', 'B', '1'), 'Y', 'A', 'Y', 'Y'));
+    if (claim.preauthNumber) {
+      segments.push(segment('REF', 'G1', claim.preauthNumber));
+    }
+    if (claim.narrative) {
+      segments.push(segment('NTE', 'ADD', String(claim.narrative).slice(0, 80)));
+    }
+
+    // 2400 service lines
+    claim.procedures.forEach((procedure, i) => {
+      const tooth = procedure.tooth === undefined || procedure.tooth === null ? null : String(procedure.tooth).toUpperCase();
+      segments.push(segment('LX', i + 1));
+      segments.push(segment('SV3', composite('AD', procedure.code), formatAmount(procedure.fee), '',
+        ORAL_CAVITY_CODES[tooth] || '', '', procedure.units || 1));
+      if (tooth && !ORAL_CAVITY_CODES[tooth]) {
+        const surfaces = procedure.surface ? String(procedure.surface).toUpperCase().split('') : [];
+        segments.push(segment('TOO', 'JP', tooth, composite(...surfaces)));
+      }
+      segments.push(segment('DTP', '472', 'D8', formatDate(procedure.date || claim.serviceDate)));
+      segments.push(segment('REF', '6R', `${claim.id}-${i + 1}`));
+    });
+  });
+
+  segments.push(segment('SE', segments.length + 1, '0001'));
+
+  const pad = (value, length) => String(value).padEnd(length, ' ').slice(0, length);
+  const envelope = [
+    ['ISA', '00', pad('', 10), '00', pad('', 10), 'ZZ', pad(submitter.id, 15), 'ZZ', pad(receiver.id, 15),
+      date.slice(2), time, '^', '00501', controlNumber, '0', options.test ? 'T' : 'P', ':'].join('*'),
+    segment('GS', 'HC', submitter.id, receiver.id, date, time, Number(controlNumber), 'X', IMPLEMENTATION_837D)
+  ];
+  const trailer = [
+    segment('GE', '1', Number(controlNumber)),
+    segment('IEA', '1', controlNumber)
+  ];
+
+  return [...envelope, ...segments, ...trailer].map(text => `${text}~`).join('\n') + '\n';
+}
+
+/**
+ * Split an X12 file into segments of elements, using the delimiters
+ * declared in its ISA segment
+ * @param {string} text - X12 file
+ * @returns {Array<Array<string>>} Segments; element 0 is the segment ID
+ * @throws {X12Error} When the file does not start with an ISA segment
+ */
+function parseSegments(text) {
+  const content = String(text || '').replace(/^\s+/, '');
+  if (!content.startsWith('ISA') || content.length < 106) {
+    throw new X12Error('X12 file must start with an ISA segment', ['ISA: missing or truncated']);
+  }
+
+  const elementSeparator = content[3];
+  const componentSeparator = content[104];
+  const segmentTerminator = content[105];
+
+  return content.split(segmentTerminator)
+    .map(raw => raw.replace(/^[\r\n]+|[\r\n]+$/g, ''))
+    .filter(raw => raw.length > 0)
+    .map(raw => {
+      const elements = raw.split(elementSeparator);
+      elements.componentSeparator = componentSeparator;
+      return elements;
+    });
+}
+
+/**
+ * Parse CCYYMMDD into an ISO date
+ * @private
+ */
+function parseDate(value) {
+  return /^\d{8}$/.test(value || '') ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : null;
+}
+
+/**
+ * Read the adjustments in a CAS segment (up to six reason/amount/quantity triplets)
+ * @private
+ */
+function parseAdjustments(elements) {
+  const adjustments = [];
+  for (let i = 2; i < elements.length; i += 3) {
+    if (!elements[i]) continue;
+    adjustments.push({
+      ...describeAdjustment(elements[1], elements[i]),
+      amount: Number(elements[i + 1] || 0),
+      quantity: elements[i + 2] ? Number(elements[i + 2]) : null
+    });
+  }
+  return adjustments;
+}
+
+/**
+ * Reduce a claim payment to an adjudication outcome. Reversals have none.
+ * @private
+ */
+function toOutcome(payment, adjudicatedAt) {
+  if (payment.statusCode === '22') {
+    return null;
+  }
+
+  const all = [...payment.adjustments, ...payment.services.flatMap(service => service.adjustments)];
+  const payerAdjustments = all.filter(adjustment => adjustment.group !== 'PR');
+  const reason = adjustment => `${adjustment.group}-${adjustment.reasonCode}`;
+  const outcome = {
+    claimId: payment.claimId,
+    paidAmount: payment.paidAmount,
+    adjudicatedAt
+  };
+
+  if (payment.statusCode === '4' || (payment.paidAmount === 0 && payerAdjustments.length > 0)) {
+    return { ...outcome, status: 'denied', reasonCode: payerAdjustments.length > 0 ? reason(payerAdjustments[0]) : 'unspecified' };
+  }
+
+  const deniedLine = payment.services.find(service =>
+    service.paidAmount === 0 && service.adjustments.some(adjustment => adjustment.group !== 'PR'));
+  if (deniedLine) {
+    const lineReason = deniedLine.adjustments.find(adjustment => adjustment.group !== 'PR');
+    return { ...outcome, status: 'partially_paid', reasonCode: reason(lineReason) };
+  }
+
+  return { ...outcome, status: 'paid', reasonCode: null };
+}
+
+/**
+ * Parse an 835 remittance file
+ * @param {string} text - 835 file
+ * @returns {Object} { payer, payee, payment, productionDate, claims } where each
+ *   claim has its payment, adjustments, remarks, service lines and outcome
+ * @throws {X12Error} When the file is not an 835
+ */
+function parse835(text) {
+  const segments = parseSegments(text);
+  const remittance = {
+    payer: null,
+    payee: null,
+    payment: null,
+    productionDate: null,
+    claims: []
+  };
+
+  let transactionSet = null;
+  let entity = null;
+  let claim = null;
+  let service = null;
+
+  segments.forEach(elements => {
+    const [id] = elements;
+    const components = value => (value || '').split(elements.componentSeparator);
+
+    switch (id) {
+      case 'ST':
+        transactionSet = elements[1];
+        break;
+      case 'BPR':
+        remittance.payment = {
+          amount: Number(elements[2] || 0),
+          creditDebit: elements[3] || null,
+          method: elements[4] || null,
+          date: parseDate(elements[16])
+        };
+        break;
+      case 'TRN':
+        if (remittance.payment) remittance.payment.traceNumber = elements[2] || null;
+        break;
+      case 'DTM':
+        if (elements[1] === '405') {
+          remittance.productionDate = parseDate(elements[2]);
+        } else if (elements[1] === '472' && service) {
+          service.serviceDate = parseDate(elements[2]);
+        } else if (['050', '232'].includes(elements[1]) && claim && !claim.serviceDate) {
+          claim.serviceDate = parseDate(elements[2]);
+        }
+        break;
+      case 'N1':
+        entity = { name: elements[2] || null, id: elements[4] || null };
+        if (elements[1] === 'PR') remittance.payer = entity;
+        if (elements[1] === 'PE') remittance.payee = entity;
+        break;
+      case 'CLP':
+        service = null;
+        claim = {
+          claimId: elements[1],
+          statusCode: elements[2],
+          status: CLAIM_STATUS_CODES[elements[2]] || `Unknown status ${elements[2]}`,
+          chargeAmount: Number(elements[3] || 0),
+          paidAmount: Number(elements[4] || 0),
+          patientResponsibility: Number(elements[5] || 0),
+          payerClaimControlNumber: elements[7] || null,
+          serviceDate: null,
+          patient: null,
+          adjustments: [],
+          remarks: [],
+          services: []
+        };
+        remittance.claims.push(claim);
+        break;
+      case 'NM1':
+        if (claim && elements[1] === 'QC') {
+          claim.patient = { lastName: elements[3] || null, firstName: elements[4] || null, id: elements[9] || null };
+        }
+        break;
+      case 'CAS':
+        if (service) {
+          service.adjustments.push(...parseAdjustments(elements));
+        } else if (claim) {
+          claim.adjustments.push(...parseAdjustments(elements));
+        }
+        break;
+      case 'MOA':
+      case 'MIA':
+        if (claim) {
+          elements.slice(3).filter(code => /^[A-Z]{1,2}\d+$/.test(code))
+            .forEach(code => claim.remarks.push(describeRemark(code)));
+        }
+        break;
+      case 'SVC': {
+        if (!claim) break;
+        const [, code] = components(elements[1]);
+        service = {
+          procedureCode: code || elements[1],
+          chargeAmount: Number(elements[2] || 0),
+          paidAmount: Number(elements[3] || 0),
+          units: elements[5] ? Number(elements[5]) : 1,
+          serviceDate: null,
+          allowedAmount: null,
+          adjustments: [],
+          remarks: []
+        };
+        claim.services.push(service);
+        break;
+      }
+      case 'AMT':
+        if (service && elements[1] === 'B6') service.allowedAmount = Number(elements[2] || 0);
+        break;
+      case 'LQ':
+        if (service && elements[1] === 'HE') service.remarks.push(describeRemark(elements[2]));
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (transactionSet !== '835') {
+    throw new X12Error(`Expected an 835 remittance, found transaction set ${transactionSet || 'none'}`,
+      ['ST: transaction set must be 835']);
+  }
+
+  const adjudicatedAt = remittance.productionDate || (remittance.payment && remittance.payment.date) || null;
+  remittance.claims.forEach(payment => {
+    payment.outcome = toOutcome(payment, adjudicatedAt);
+  });
+
+  return remittance;
+}
+
+module.exports = {
+  IMPLEMENTATION_837D,
+  CLAIM_STATUS_CODES,
+  X12Error,
+  build837D,
+  parseSegments,
+  parse835
+};
@@ -8,23 +8,82 @@
  * processing pathway to maximize approval rates and minimize processing time.
  */
 
-const winston = require('winston');
+const { getLogger } = require('./logging/logger');
+const {
+  assertValidClinicId,
+  hasRoutingRules,
+  shadowConfigsFile,
+  loadRoutingRules,
+  compileRoutingRules,
+  traceRules
+} = require('./billing/routingRules');
+const { validateBundling, SEVERITY } = require('./billing/bundlingValidator');
+const {
+  loadPayerRegistry,
+  requiresNarrative,
+  requiresPreauth,
+  findMissingAttachments,
+  getSubmissionWindow
+} = require('./billing/payerProfiles');
+const { checkFrequencyLimits } = require('./billing/frequencyLimits');
+const {
+  createFactor,
+  scoreFromFactors,
+  formatRoutingExplanation
+} = require('./billing/routingExplanation');
+const { runWithConcurrency, summarizeBatch } = require('./billing/batchRouting');
+const {
+  OutcomeError,
+  validateOutcome,
+  computeApprovalRates,
+  summarizeTurnaround
+} = require('./billing/outcomes');
+const { createMetricsStore } = require('./billing/metricsStore');
+const { assertValidClaim } = require('./billing/claimSchema');
+const { BusinessCalendar } = require('./billing/businessCalendar');
+const { createWorkQueue } = require('./billing/workQueue');
+const { generateNarrative, polishNarrative } = require('./billing/narrativeGenerator');
+const { OPTIMIZATION_LEVELS, suggestCodingChanges } = require('./billing/codingCompliance');
+const {
+  ProvenanceError,
+  createProvenanceRecorder,
+  recordFieldChange,
+  replayProvenance,
+  revertProvenance
+} = require('./billing/provenance');
+const { logAudit, getLogs } = require('./audit/logger');
+const { extractFeatures, predictDenial, loadDenialModel } = require('./billing/denialModel');
+const { loadFeeGuides, assessFees } = require('./billing/feeGuides');
+const { encodeClaim, encodePredetermination } = require('./billing/cdanet');
+const { build837D, parse835 } = require('./billing/x12');
+const { orderCoverages, buildSecondaryClaim } = require('./billing/coordinationOfBenefits');
+const { estimatePatientPortion } = require('./billing/benefits');
+const { EligibilityService, EligibilityError, createEligibilityProvider } = require('./billing/eligibility');
+const {
+  LIVE_CONFIG,
+  compileShadowConfigs,
+  readShadowConfigs,
+  summarizeShadowDecisions
+} = require('./billing/shadowRouting');
+const { JsonFile } = require('./billing/jsonFileStore');
+const {
+  DuplicateClaimError,
+  hashValue,
+  fingerprintClaim,
+  createDuplicateStore
+} = require('./billing/duplicateDetection');
 
-// Initialize logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  defaultMeta: { service: 'billing-router' },
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.simple(),
-    }),
-    new winston.transports.File({ filename: 'billing-router.log' })
-  ],
-});
+// Claims worth this much (at guide fees where a guide lists them) score
+// the maximum on value, unless the clinic's rules set `highValueFee`
+const DEFAULT_HIGH_VALUE_FEE = 2000;
+
+// Used when the payer profiles define no turnaround SLA at all
+const DEFAULT_PAYER_SLA = { region: 'CA', turnaroundBusinessDays: 10, rangeBusinessDays: [5, 20] };
+
+// Most audit entries read back for one claim's provenance (changes and reverts)
+const MAX_PROVENANCE_ENTRIES = 1000;
+
+const logger = getLogger('billing-router');
 
 /**
  * AI Billing Router class for intelligent routing and optimization
@@ -34,58 +93,226 @@ class BillingRouter {
     this.options = {
       useAdvancedAI: true,
       trackMetrics: true,
-      optimizationLevel: 'aggressive',
+      optimizationLevel: 'documentation-only',
+      clinicId: 'default',
+      maxTrackedClaims: 10000,
+      enqueueRoutedClaims: true,
+      detectDuplicates: true,
       ...options
     };
     
-    this.routingTable = {
-      DEFAULT: {
-        processor: 'standardProcessor',
-        priority: 'normal',
-        validation: 'basic'
-      },
-      EMERGENCY: {
-        processor: 'expeditedProcessor',
-        priority: 'high',
-        validation: 'minimal'
-      },
-      COMPLEX: {
-        processor: 'specialistProcessor',
-        priority: 'normal',
-        validation: 'enhanced'
-      },
-      HIGH_VALUE: {
-        processor: 'premiumProcessor',
-        priority: 'high',
-        validation: 'comprehensive'
-      },
-      PREAUTHORIZATION: {
-        processor: 'preauthProcessor',
-        priority: 'normal',
-        validation: 'strict'
-      }
-    };
+    // The clinic ID names the clinic's rules and store files
+    assertValidClinicId(this.options.clinicId);
     
-    // Initialize metrics
-    this.metrics = {
-      totalClaims: 0,
-      routedClaims: {},
-      averageProcessingTime: {},
-      approvalRates: {},
-      aiOptimizations: 0
-    };
+    if (!OPTIMIZATION_LEVELS.includes(this.options.optimizationLevel)) {
+      throw new Error(
+        `Unsupported optimizationLevel "${this.options.optimizationLevel}"; ` +
+        `use one of ${OPTIMIZATION_LEVELS.join(', ')}`
+      );
+    }
+    
+    // Load declarative routing rules for the clinic
+    this.routingRules = this.loadRules();
+    this.routingTable = this.routingRules.routes;
+    this.loadCalendars();
+    
+    // Candidate routing configs evaluated alongside the live rules (shadow
+    // mode), saved next to the clinic's rules file unless the rules are inline
+    this.shadowConfigsStore = this.options.routingRules
+      ? null
+      : new JsonFile(shadowConfigsFile(this.options.clinicId, { rulesDir: this.options.rulesDir }));
+    this.shadowConfigs = this.loadShadowConfigs();
+    
+    // Payer-specific narrative, preauth, attachment and submission rules
+    this.payerRegistry = this.options.payerRegistry || loadPayerRegistry(this.options.payerProfilesFile);
+    
+    // Provincial fee guides, for fee checks and guide-relative value
+    this.feeGuides = this.options.feeGuides || loadFeeGuides(this.options.feeGuidesDir);
+    
+    // Initialize metrics store (in-memory unless configured otherwise)
+    this.metricsStore = this.options.metricsStore || createMetricsStore({
+      backend: this.options.metricsBackend,
+      name: this.options.clinicId,
+      file: this.options.metricsFile,
+      maxTrackedClaims: this.options.maxTrackedClaims
+    });
+    
+    // Fingerprints of routed claims, to catch resubmissions, and responses
+    // kept in memory for routing requests sent with an idempotency key
+    this.duplicateStore = this.options.duplicateStore || createDuplicateStore({
+      backend: this.options.duplicateBackend,
+      name: this.options.clinicId,
+      file: this.options.duplicateFile,
+      maxTrackedClaims: this.options.maxTrackedClaims,
+      idempotencyTtlHours: this.options.idempotencyTtlHours
+    });
+    
+    // Reviewer work queues for the route processors; items escalate after
+    // sitting for a number of clinic business hours
+    this.workQueue = this.options.workQueue || createWorkQueue({
+      backend: this.options.workQueueBackend,
+      name: this.options.clinicId,
+      file: this.options.workQueueFile,
+      elapsedHours: (from, to) => this.calendar.businessHoursBetween(from, to)
+    });
+    
+    // Denial risk model trained offline by scripts/denial-model.js; routing
+    // works without one, it just returns no denial probability
+    this.denialModel = this.options.denialModel !== undefined
+      ? this.options.denialModel
+      : loadDenialModel(this.options.denialModelFile);
+    
+    // Coverage checks with the payer before submission; off unless a
+    // provider is configured (options.eligibilityProvider or ELIGIBILITY_PROVIDER)
+    const eligibilityProvider = this.options.eligibilityProvider !== undefined
+      ? this.options.eligibilityProvider
+      : createEligibilityProvider();
+    this.eligibility = this.options.eligibility || (eligibilityProvider
+      ? new EligibilityService({ provider: eligibilityProvider, ttlHours: this.options.eligibilityTtlHours })
+      : null);
+    
+    // CDAnet office sequence numbers must not repeat within a day
+    this.cdanetSequence = Math.floor(Date.now() / 1000) % 1000000;
     
     logger.info('AI Billing Router initialized', { options: this.options });
   }
   
+  /**
+   * Load the routing rules for the configured clinic
+   * @private
+   * @returns {Object} Compiled routing rules
+   */
+  loadRules() {
+    if (this.options.routingRules) {
+      return compileRoutingRules(this.options.routingRules);
+    }
+    
+    return loadRoutingRules(this.options.clinicId, { rulesDir: this.options.rulesDir });
+  }
+  
+  /**
+   * Compile the saved shadow routing configs, or those given in the options
+   * when none have been saved
+   * @private
+   * @returns {Array<Object>} Compiled candidates
+   */
+  loadShadowConfigs() {
+    const saved = this.shadowConfigsStore && readShadowConfigs(this.shadowConfigsStore.file);
+    return compileShadowConfigs(saved || this.options.shadowConfigs);
+  }
+  
+  /**
+   * Set up the clinic's business calendar (hours, time zone, holidays)
+   * @private
+   */
+  loadCalendars() {
+    this.calendar = new BusinessCalendar(this.options.calendar || this.routingRules.calendar || {});
+    // Payer calendars count whole business days in the payer's holiday region
+    this.payerCalendars = new Map();
+  }
+  
+  /**
+   * Get the business calendar a payer works to
+   * @private
+   * @param {Object} sla - Payer turnaround SLA
+   * @returns {BusinessCalendar} Payer calendar
+   */
+  getPayerCalendar(sla) {
+    if (!this.payerCalendars.has(sla.region)) {
+      this.payerCalendars.set(sla.region, new BusinessCalendar({
+        region: sla.region,
+        timeZone: this.calendar.timeZone,
+        hours: null
+      }));
+    }
+    return this.payerCalendars.get(sla.region);
+  }
+  
+  /**
+   * Key used to group a payer's outcomes: the profile ID for known payers
+   * (so aliases count together), otherwise the payer ID as given
+   * @private
+   */
+  getPayerKey(payerId) {
+    return this.payerRegistry.has(payerId) ? this.payerRegistry.get(payerId).id : payerId;
+  }
+  
+  /**
+   * Reload routing rules and shadow routing configs, e.g. after a billing
+   * lead edits the clinic's rules file
+   * @returns {Object} Compiled routing rules
+   */
+  reloadRoutingRules() {
+    this.routingRules = this.loadRules();
+    this.routingTable = this.routingRules.routes;
+    this.loadCalendars();
+    this.shadowConfigs = this.loadShadowConfigs();
+    
+    logger.info('Routing rules reloaded', { 
+      clinicId: this.options.clinicId, 
+      source: this.routingRules.source, 
+      shadowConfigs: this.shadowConfigs.map(config => config.name) 
+    });
+    
+    return this.routingRules;
+  }
+  
+  /**
+   * Reload the denial model, e.g. after it has been retrained
+   * @returns {Object|null} The model, or null when there is no model file
+   */
+  reloadDenialModel() {
+    this.denialModel = loadDenialModel(this.options.denialModelFile);
+    
+    logger.info('Denial model reloaded', { 
+      clinicId: this.options.clinicId, 
+      version: this.denialModel ? this.denialModel.version : null 
+    });
+    
+    return this.denialModel;
+  }
+  
   /**
    * Route a claim through the optimal processing pathway
    * @param {Object} claim - The claim data to route
+   * @param {Object} options - Per-claim routing options
+   * @param {boolean} options.explainAsText - Also render the routing explanation as text
+   * @param {boolean} options.allowDuplicate - Route the claim even if it duplicates one already routed
+   * @param {boolean} options.record - Record the routing (default true). When false the claim is
+   *   routed without a duplicate check, metrics, shadow decisions, provenance or a work item,
+   *   e.g. to export claims that were routed before
    * @returns {Object} Routing result with processing instructions
+   * @throws {ClaimValidationError} When the claim fails schema validation
+   * @throws {DuplicateClaimError} When the claim duplicates one already routed
    */
-  async routeClaim(claim) {
-    if (!claim) {
-      throw new Error('Claim data is required');
+  async routeClaim(claim, options = {}) {
+    assertValidClaim(claim);
+    const record = options.record !== false;
+    
+    // Claims for patients with several coverages go to the primary payer
+    // unless they are addressed to a payer
+    if (!claim.payerId && Array.isArray(claim.coverages) && claim.coverages.length > 0) {
+      claim = { ...claim, payerId: this.coordinateBenefits(claim).primaryPayerId };
+    }
+    
+    // Hold the claim's fingerprint while it is routed, so a copy routed at
+    // the same time is caught too
+    const reservation = record && this.options.detectDuplicates
+      ? await this.duplicateStore.reserve(this.fingerprintClaim(claim), { allowDuplicate: options.allowDuplicate })
+      : null;
+    if (reservation && reservation.duplicate && !options.allowDuplicate) {
+      const { duplicate } = reservation;
+      logger.warn('Duplicate claim not routed', { 
+        claimId: claim.id, 
+        type: duplicate.type, 
+        originalClaimId: duplicate.originalClaimId 
+      });
+      throw new DuplicateClaimError(
+        `Claim ${claim.id || 'without an ID'} duplicates claim ${duplicate.originalClaimId || 'without an ID'} ` +
+        `routed at ${duplicate.originalRoutedAt} (${duplicate.type})`,
+        duplicate,
+        [`claim: ${duplicate.type} duplicate of ${duplicate.originalClaimId || 'an earlier claim'}; set allowDuplicate to route it anyway`]
+      );
     }
     
     logger.info('Routing claim', { claimId: claim.id });
@@ -94,21 +321,46 @@ class BillingRouter {
       // Start timing
       const startTime = Date.now();
       
+      // Verify coverage with the payer; a status sent with the claim is only
+      // used when no eligibility provider is configured
+      let eligibility = null;
+      if (this.eligibility) {
+        eligibility = await this.verifyEligibility(claim);
+        claim = { ...claim, coverageVerification: eligibility.status };
+      }
+      
       // Analyze claim characteristics
       const characteristics = await this.analyzeClaimCharacteristics(claim);
       
       // Determine optimal route
       const route = await this.determineOptimalRoute(claim, characteristics);
+      if (record) {
+        await this.recordShadowRoutes(claim, characteristics, route);
+      }
+      const explanation = this.explainRoute(claim, characteristics, route);
+      const denialRisk = this.predictDenialRisk(claim, characteristics);
+      
+      // Check procedure code bundling
+      const bundlingEdits = validateBundling(claim, this.options.bundlingRules);
       
       // Apply AI optimizations if enabled
       let optimizedClaim = claim;
+      let optimizationReport = null;
+      let provenance = [];
       if (this.options.useAdvancedAI) {
-        optimizedClaim = await this.applyAIOptimizations(claim, route);
+        ({ optimizedClaim, report: optimizationReport, provenance } = await this.applyAIOptimizations(claim, route));
+        if (record) {
+          this.persistProvenance(provenance);
+        }
       }
       
       // Track metrics if enabled
-      if (this.options.trackMetrics) {
-        this.updateMetrics(route, Date.now() - startTime);
+      if (record && this.options.trackMetrics) {
+        await this.updateMetrics(route, Date.now() - startTime);
+        await this.trackRoutedClaim(claim, route);
+      }
+      if (reservation) {
+        await this.duplicateStore.complete(reservation.key, route.type);
       }
       
       logger.info('Claim routed successfully', { 
@@ -117,22 +369,144 @@ class BillingRouter {
         processingTime: Date.now() - startTime
       });
       
-      return {
+      const result = {
         originalClaim: claim,
         optimizedClaim: optimizedClaim,
         route: route,
-        processingInstructions: this.generateProcessingInstructions(route),
-        estimatedCompletionTime: this.estimateCompletionTime(route, optimizedClaim)
+        denialRisk: denialRisk,
+        explanation: explanation,
+        optimizationReport: optimizationReport,
+        provenance: provenance,
+        bundlingEdits: bundlingEdits,
+        frequencyFindings: characteristics.frequencyFindings,
+        coordination: characteristics.cob,
+        eligibility: eligibility,
+        duplicateOf: reservation ? reservation.duplicate : null,
+        processingInstructions: this.generateProcessingInstructions(route, { bundlingEdits, characteristics, eligibility }),
+        estimatedCompletionTime: await this.estimateCompletionTime(route, optimizedClaim)
       };
+      
+      if (options.explainAsText) {
+        result.explanationText = formatRoutingExplanation(explanation);
+      }
+      
+      // Hand the claim to its processor's reviewers
+      if (record && this.options.enqueueRoutedClaims && claim.id) {
+        result.workItem = await this.enqueueRoutedClaim(claim, route, result);
+      }
+      
+      return result;
     } catch (error) {
       logger.error('Error routing claim', { 
         claimId: claim.id, 
         error: error.message 
       });
+      // Not routed, so a corrected resubmission must not count as a duplicate
+      if (reservation) {
+        await this.duplicateStore.release(reservation.key);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Route a batch of claims, isolating failures so one bad claim does not
+   * stop the rest of the batch
+   * @param {Array<Object>} claims - Claims to route
+   * @param {Object} options - Batch options
+   * @param {number} options.concurrency - Maximum claims routed at once (default 5)
+   * @param {number} options.slowestCount - How many of the slowest claims to report
+   * @param {boolean} options.explainAsText - Also render each routing explanation as text
+   * @param {boolean} options.allowDuplicate - Route claims even if they duplicate ones already routed
+   * @param {boolean} options.record - Record the routing (default true; see routeClaim)
+   * @returns {Object} Per-claim results and a batch summary
+   */
+  async routeClaims(claims, options = {}) {
+    if (!Array.isArray(claims)) {
+      throw new Error('Claims must be an array');
+    }
+    
+    const concurrency = options.concurrency || 5;
+    logger.info('Routing claim batch', { size: claims.length, concurrency });
+    
+    const results = await runWithConcurrency(claims, concurrency, async (claim, index) => {
+      const startTime = Date.now();
+      const claimId = claim && claim.id ? claim.id : null;
+      
+      try {
+        const result = await this.routeClaim(claim, {
+          explainAsText: options.explainAsText,
+          allowDuplicate: options.allowDuplicate,
+          record: options.record
+        });
+        return { index, claimId, status: 'routed', durationMs: Date.now() - startTime, result };
+      } catch (error) {
+        if (error.name === 'DuplicateClaimError') {
+          return { index, claimId, status: 'duplicate', durationMs: Date.now() - startTime, duplicateOf: error.duplicate };
+        }
+        const entry = { index, claimId, status: 'failed', durationMs: Date.now() - startTime, error: error.message };
+        if (error.name === 'ClaimValidationError') {
+          entry.validationErrors = error.errors;
+        }
+        return entry;
+      }
+    });
+    
+    const summary = summarizeBatch(results, { slowestCount: options.slowestCount });
+    
+    logger.info('Claim batch routed', { 
+      total: summary.total, 
+      routed: summary.routed, 
+      duplicates: summary.duplicates, 
+      failed: summary.failed 
+    });
+    
+    return { results, summary };
+  }
+  
+  /**
+   * Run a routing request sent with an idempotency key. The first request
+   * with a key runs and its response is kept in memory; retries with the
+   * same key and request get that response back instead of routing again.
+   * @param {string|undefined} key - Idempotency key; without one the request just runs
+   * @param {Object} request - The request parameters, compared on retries
+   * @param {Function} handler - async () => response
+   * @returns {Promise<Object>} { response, replayed }
+   * @throws {IdempotencyError} When the key was used for a different request,
+   *   or a request with the key is still running
+   */
+  async withIdempotencyKey(key, request, handler) {
+    if (!key) {
+      return { response: await handler(), replayed: false };
+    }
+    
+    const stored = await this.duplicateStore.beginRequest(key, hashValue(request));
+    if (stored) {
+      logger.info('Idempotent request replayed', { clinicId: this.options.clinicId });
+      return { response: stored, replayed: true };
+    }
+    
+    try {
+      const response = await handler();
+      await this.duplicateStore.completeRequest(key, response);
+      return { response, replayed: false };
+    } catch (error) {
+      // Failed requests are not kept, so the caller can retry with the same key
+      await this.duplicateStore.abandonRequest(key);
       throw error;
     }
   }
   
+  /**
+   * Fingerprint a claim for duplicate detection, with payer aliases resolved
+   * @private
+   * @param {Object} claim - The claim to fingerprint
+   * @returns {Object} Claim fingerprint
+   */
+  fingerprintClaim(claim) {
+    return fingerprintClaim(claim, { payerKey: claim.payerId ? this.getPayerKey(claim.payerId) : null });
+  }
+  
   /**
    * Analyze claim characteristics to determine optimal routing
    * @private
@@ -140,18 +514,27 @@ class BillingRouter {
    * @returns {Object} Claim characteristics
    */
   async analyzeClaimCharacteristics(claim) {
-    // This would integrate with an AI model in production
-    // For demo purposes, we'll use a rule-based approach
+    // Rule-based characteristics; they also feed the denial model
+    
+    const payerProfile = this.payerRegistry.get(claim.payerId);
     
     const characteristics = {
       complexity: this.calculateComplexity(claim),
       urgency: this.calculateUrgency(claim),
       value: this.calculateValue(claim),
       payer: claim.payerId || 'unknown',
+      payerProfile: payerProfile.id,
+      payerCountry: payerProfile.country,
       patientRisk: this.calculatePatientRisk(claim),
       previousClaims: claim.previousClaims || [],
       dentalCodes: claim.procedures.map(p => p.code),
-      narrativeRequired: this.isNarrativeRequired(claim)
+      narrativeRequired: this.isNarrativeRequired(claim),
+      preauthRequired: requiresPreauth(payerProfile, claim),
+      missingAttachments: findMissingAttachments(payerProfile, claim),
+      submissionWindow: getSubmissionWindow(payerProfile, claim),
+      frequencyFindings: checkFrequencyLimits(claim, this.getFrequencyLimits(claim)),
+      feeAssessment: this.assessClaimFees(claim),
+      cob: this.coordinateBenefits(claim)
     };
     
     logger.debug('Claim characteristics analyzed', { 
@@ -162,6 +545,149 @@ class BillingRouter {
     return characteristics;
   }
   
+  /**
+   * Compare a claim's fees with the fee guide for the province it was
+   * provided in (the claim's province, else the clinic calendar's region)
+   * @private
+   * @param {Object} claim - The claim to analyze
+   * @returns {Object} Fee assessment: { guide, procedures }
+   */
+  assessClaimFees(claim) {
+    return assessFees(claim, this.feeGuides, {
+      province: claim.province || this.calendar.region,
+      schedule: claim.providerType === 'specialist' ? 'specialist' : 'gp',
+      tolerance: this.options.feeTolerance
+    });
+  }
+  
+  /**
+   * Work out where a claim stands in the patient's coordination of benefits:
+   * the order its coverages pay in, which of them the claim is addressed to,
+   * and whether a secondary claim still lacks the earlier payer's EOB
+   * @param {Object} claim - The claim to analyze
+   * @returns {Object|null} { coverages, primaryPayerId, sequence, previousPayerId,
+   *   nextPayerId, orderMismatch, priorEobMissing }, or null for claims without coverages
+   */
+  coordinateBenefits(claim) {
+    if (!Array.isArray(claim.coverages) || claim.coverages.length === 0) {
+      return null;
+    }
+    
+    const coverages = orderCoverages(claim.coverages, {
+      isPayerOfLastResort: payerId => this.payerRegistry.isPayerOfLastResort(payerId)
+    });
+    const key = payerId => String(this.getPayerKey(payerId)).toLowerCase();
+    const addressed = claim.payerId
+      ? coverages.findIndex(coverage => key(coverage.payerId) === key(claim.payerId))
+      : 0;
+    const cob = claim.cob || {};
+    
+    return {
+      coverages,
+      primaryPayerId: coverages[0].payerId,
+      sequence: addressed === -1 ? null : coverages[addressed].sequence,
+      previousPayerId: addressed > 0 ? coverages[addressed - 1].payerId : null,
+      nextPayerId: addressed === -1 || !coverages[addressed + 1] ? null : coverages[addressed + 1].payerId,
+      // Sent to a later payer without the payers before it having paid
+      orderMismatch: addressed > 0 && !cob.previousPayerId,
+      priorEobMissing: Boolean(cob.previousPayerId) && typeof cob.priorPaidAmount !== 'number'
+    };
+  }
+  
+  /**
+   * Build the claim for the next payer once a payer's EOB is in, e.g. the
+   * secondary claim from the primary EOB
+   * @param {Object} claim - The claim the EOB answers, with its coverages
+   * @param {Object} eob - The payer's EOB: a decoded CDAnet EOB, an
+   *   835 claim payment, or { procedures: [{ line | code, paidAmount }] }
+   * @returns {Object} { claim, amounts, coverage } where amounts lists the
+   *   payments so far and remaining balance per procedure
+   * @throws {CoordinationError} When the claim has no coverage after its payer
+   *   or the EOB cannot be read
+   */
+  createSecondaryClaim(claim, eob) {
+    const secondary = buildSecondaryClaim(claim, eob, {
+      isPayerOfLastResort: payerId => this.payerRegistry.isPayerOfLastResort(payerId),
+      payerKey: payerId => this.getPayerKey(payerId)
+    });
+    
+    logger.info('Secondary claim created', { 
+      claimId: claim.id, 
+      secondaryClaimId: secondary.claim.id, 
+      payerId: secondary.claim.payerId, 
+      balance: secondary.amounts.totals.balance 
+    });
+    
+    return secondary;
+  }
+  
+  /**
+   * Verify the coverage a claim will be submitted under, reusing a recent
+   * answer for the same patient and plan unless forced
+   * @param {Object} claim - The claim to verify
+   * @param {Object} options - Verification options
+   * @param {boolean} options.force - Ask the payer again even when an answer is cached
+   * @returns {Promise<Object>} Verification: { status, message, details, checkedAt, expiresAt, cached, ... }
+   * @throws {EligibilityError} When no eligibility provider is configured
+   */
+  async verifyEligibility(claim, options = {}) {
+    if (!this.eligibility) {
+      throw new EligibilityError('No eligibility provider is configured',
+        ['eligibilityProvider: set the option or ELIGIBILITY_PROVIDER']);
+    }
+    
+    const verification = await this.eligibility.verify(claim, options);
+    
+    logger.info('Coverage verified', { 
+      claimId: claim.id, 
+      status: verification.status, 
+      cached: verification.cached 
+    });
+    
+    return verification;
+  }
+  
+  /**
+   * Estimate what the insurer pays and what the patient owes for each
+   * procedure on a claim, under the patient's plan benefits
+   * @param {Object} claim - The claim to estimate, with previousClaims for usage to date
+   * @param {Object} plan - Benefit plan (defaults to claim.plan)
+   * @returns {Object} Estimate: per-procedure insurer and patient portions, totals,
+   *   and the deductible and maximums left before and after the claim
+   * @throws {ClaimValidationError} When the claim fails schema validation
+   * @throws {BenefitsError} When the plan is invalid
+   */
+  getPatientEstimate(claim, plan = claim && claim.plan) {
+    // Estimates are usually for treatment not yet done
+    assertValidClaim(claim, { planned: true });
+    
+    const estimate = estimatePatientPortion(claim, plan, {
+      frequencyLimits: this.getFrequencyLimits(claim)
+    });
+    
+    logger.info('Patient portion estimated', { 
+      claimId: claim.id, 
+      insurerPortion: estimate.totals.insurerPortion, 
+      patientPortion: estimate.totals.patientPortion 
+    });
+    
+    return estimate;
+  }
+  
+  /**
+   * Get the frequency limits for a claim's plan, falling back to the payer's
+   * @private
+   * @param {Object} claim - The claim to analyze
+   * @returns {Array} Frequency limits
+   */
+  getFrequencyLimits(claim) {
+    if (claim.plan && Array.isArray(claim.plan.frequencyLimits)) {
+      return claim.plan.frequencyLimits;
+    }
+    
+    return this.payerRegistry.getFrequencyLimits(claim.payerId);
+  }
+  
   /**
    * Calculate claim complexity score
    * @private
@@ -169,11 +695,23 @@ class BillingRouter {
    * @returns {number} Complexity score from 0 to 1
    */
   calculateComplexity(claim) {
-    let complexity = 0;
+    return this.explainComplexity(claim).score;
+  }
+  
+  /**
+   * Break the complexity score down into its contributing factors
+   * @private
+   * @param {Object} claim - The claim to analyze
+   * @returns {Object} Score from 0 to 1 and its factors
+   */
+  explainComplexity(claim) {
+    const factors = [];
     
     // Factors increasing complexity:
     // 1. Number of procedures
-    complexity += Math.min(claim.procedures.length / 10, 0.3);
+    const procedureCount = claim.procedures.length;
+    factors.push(createFactor('procedureCount', 'Number of procedures on the claim',
+      procedureCount, 0.3, Math.min(procedureCount / 10, 0.3)));
     
     // 2. Types of procedures (surgical, implants, etc. are more complex)
     const complexProcedures = claim.procedures.filter(p => 
@@ -183,19 +721,23 @@ class BillingRouter {
       p.code.startsWith('D3')    // Endodontics
     ).length;
     
-    complexity += (complexProcedures / claim.procedures.length) * 0.3;
+    const complexShare = procedureCount > 0 ? complexProcedures / procedureCount : 0;
+    factors.push(createFactor('complexProcedureShare', 'Share of implant, surgical, perio and endo procedures',
+      complexShare, 0.3, complexShare * 0.3));
     
     // 3. Documentation requirements
-    if (claim.attachments && claim.attachments.length > 0) {
-      complexity += Math.min(claim.attachments.length / 5, 0.2);
-    }
+    const attachmentCount = claim.attachments ? claim.attachments.length : 0;
+    factors.push(createFactor('attachments', 'Number of attachments',
+      attachmentCount, 0.2, Math.min(attachmentCount / 5, 0.2)));
     
     // 4. Patient history (medical conditions, etc.)
-    if (claim.patientHistory && claim.patientHistory.medicalConditions) {
-      complexity += Math.min(claim.patientHistory.medicalConditions.length / 3, 0.2);
-    }
+    const conditionCount = claim.patientHistory && claim.patientHistory.medicalConditions
+      ? claim.patientHistory.medicalConditions.length
+      : 0;
+    factors.push(createFactor('medicalConditions', 'Number of medical conditions in patient history',
+      conditionCount, 0.2, Math.min(conditionCount / 3, 0.2)));
     
-    return Math.min(complexity, 1);
+    return { score: scoreFromFactors(factors), factors };
   }
   
   /**
@@ -205,40 +747,52 @@ class BillingRouter {
    * @returns {number} Urgency score from 0 to 1
    */
   calculateUrgency(claim) {
-    let urgency = 0;
+    return this.explainUrgency(claim).score;
+  }
+  
+  /**
+   * Break the urgency score down into its contributing factors
+   * @private
+   * @param {Object} claim - The claim to analyze
+   * @returns {Object} Score from 0 to 1 and its factors
+   */
+  explainUrgency(claim) {
+    const factors = [];
     
     // Emergency indicator
-    if (claim.emergency) {
-      urgency += 0.5;
-    }
+    factors.push(createFactor('emergency', 'Claim is flagged as an emergency',
+      Boolean(claim.emergency), 0.5, claim.emergency ? 0.5 : 0));
     
     // Service date relative to submission date
+    let daysSinceService = null;
+    let recency = 0;
     if (claim.serviceDate && claim.submissionDate) {
       const serviceDate = new Date(claim.serviceDate);
       const submissionDate = new Date(claim.submissionDate);
-      const daysSinceService = (submissionDate - serviceDate) / (1000 * 60 * 60 * 24);
+      daysSinceService = (submissionDate - serviceDate) / (1000 * 60 * 60 * 24);
       
       // Claims submitted closer to service date are more urgent
       if (daysSinceService <= 1) {
-        urgency += 0.3;
+        recency = 0.3;
       } else if (daysSinceService <= 5) {
-        urgency += 0.2;
+        recency = 0.2;
       } else if (daysSinceService <= 10) {
-        urgency += 0.1;
+        recency = 0.1;
       }
     }
+    factors.push(createFactor('daysSinceService', 'Days between service and submission',
+      daysSinceService, 0.3, recency));
     
     // Patient status
-    if (claim.patientStatus === 'new') {
-      urgency += 0.1; // New patients have higher urgency
-    }
+    const newPatient = claim.patientStatus === 'new';
+    factors.push(createFactor('newPatient', 'New patients have higher urgency',
+      newPatient, 0.1, newPatient ? 0.1 : 0));
     
     // Pain indicator
-    if (claim.painIndicated) {
-      urgency += 0.2;
-    }
+    factors.push(createFactor('painIndicated', 'Patient reported pain',
+      Boolean(claim.painIndicated), 0.2, claim.painIndicated ? 0.2 : 0));
     
-    return Math.min(urgency, 1);
+    return { score: scoreFromFactors(factors), factors };
   }
   
   /**
@@ -248,19 +802,43 @@ class BillingRouter {
    * @returns {number} Value score from 0 to 1
    */
   calculateValue(claim) {
-    let totalValue = 0;
+    return this.explainValue(claim).score;
+  }
+  
+  /**
+   * Break the value score down into its contributing factors
+   * @private
+   * @param {Object} claim - The claim to analyze
+   * @param {Object} rules - Routing rules whose `highValueFee` applies (defaults to the live rules)
+   * @returns {Object} Score from 0 to 1 and its factors
+   */
+  explainValue(claim, rules = this.routingRules) {
+    const highValueFee = rules.highValueFee || DEFAULT_HIGH_VALUE_FEE;
+    const assessment = this.assessClaimFees(claim);
     
-    // Sum procedure values
-    if (claim.procedures && claim.procedures.length > 0) {
-      totalValue = claim.procedures.reduce((sum, procedure) => 
+    // Without a fee guide, fall back to the fees as billed
+    if (!assessment.guide) {
+      const totalValue = (claim.procedures || []).reduce((sum, procedure) => 
         sum + (procedure.fee || 0), 0);
+      const factors = [
+        createFactor('totalFee', `Total billed fees, normalized against $${highValueFee}`,
+          totalValue, 1, Math.min(totalValue / highValueFee, 1))
+      ];
+      return { score: scoreFromFactors(factors), factors };
     }
     
-    // Normalize value on a 0-1 scale
-    // Assuming $2000 is a high-value threshold
-    const normalizedValue = Math.min(totalValue / 2000, 1);
+    // Value procedures at the guide fee, so fees billed above the guide do
+    // not inflate the score; procedures the guide does not list count as billed
+    const guideValue = assessment.procedures.reduce((sum, procedure) => 
+      sum + (procedure.guideFee !== null ? procedure.guideFee : procedure.fee || 0), 0);
+    const { province, year, schedule } = assessment.guide;
+    const factors = [
+      createFactor('guideValue',
+        `Procedures at ${province} ${year} ${schedule.toUpperCase()} fee guide, normalized against $${highValueFee}`,
+        guideValue, 1, Math.min(guideValue / highValueFee, 1))
+    ];
     
-    return normalizedValue;
+    return { score: scoreFromFactors(factors), factors };
   }
   
   /**
@@ -270,30 +848,43 @@ class BillingRouter {
    * @returns {number} Risk score from 0 to 1
    */
   calculatePatientRisk(claim) {
-    let risk = 0;
+    return this.explainPatientRisk(claim).score;
+  }
+  
+  /**
+   * Break the patient risk score down into its contributing factors
+   * @private
+   * @param {Object} claim - The claim to analyze
+   * @returns {Object} Score from 0 to 1 and its factors
+   */
+  explainPatientRisk(claim) {
+    const factors = [];
     
     // Previous denied claims increase risk
-    if (claim.previousClaims) {
-      const deniedClaims = claim.previousClaims.filter(c => c.status === 'denied');
-      risk += Math.min(deniedClaims.length / 5, 0.3);
-    }
+    const deniedCount = claim.previousClaims
+      ? claim.previousClaims.filter(c => c.status === 'denied').length
+      : 0;
+    factors.push(createFactor('deniedClaims', 'Previously denied claims',
+      deniedCount, 0.3, Math.min(deniedCount / 5, 0.3)));
     
     // Medical comorbidities increase risk
-    if (claim.patientHistory && claim.patientHistory.medicalConditions) {
-      risk += Math.min(claim.patientHistory.medicalConditions.length / 5, 0.3);
-    }
+    const conditionCount = claim.patientHistory && claim.patientHistory.medicalConditions
+      ? claim.patientHistory.medicalConditions.length
+      : 0;
+    factors.push(createFactor('medicalConditions', 'Medical comorbidities',
+      conditionCount, 0.3, Math.min(conditionCount / 5, 0.3)));
     
     // Insurance coverage status
-    if (claim.coverageVerification && claim.coverageVerification !== 'verified') {
-      risk += 0.2;
-    }
+    const unverified = Boolean(claim.coverageVerification) && claim.coverageVerification !== 'verified';
+    factors.push(createFactor('coverageUnverified', 'Insurance coverage is not verified',
+      claim.coverageVerification || null, 0.2, unverified ? 0.2 : 0));
     
     // Patient payment history
-    if (claim.patientPaymentHistory === 'delinquent') {
-      risk += 0.2;
-    }
+    const delinquent = claim.patientPaymentHistory === 'delinquent';
+    factors.push(createFactor('delinquentPayment', 'Patient payment history is delinquent',
+      claim.patientPaymentHistory || null, 0.2, delinquent ? 0.2 : 0));
     
-    return Math.min(risk, 1);
+    return { score: scoreFromFactors(factors), factors };
   }
   
   /**
@@ -303,19 +894,9 @@ class BillingRouter {
    * @returns {boolean} Whether narrative is required
    */
   isNarrativeRequired(claim) {
-    // Narratives are typically required for:
-    // 1. Specific procedure codes
-    const narrativeRequiredCodes = [
-      'D4341', 'D4342', // Periodontal scaling and root planing
-      'D2740', 'D2750', // Crowns
-      'D6010', 'D6056', // Implants
-      'D7140', 'D7210'  // Extractions
-    ];
-    
-    const hasNarrativeRequiredCode = claim.procedures.some(p => 
-      narrativeRequiredCodes.includes(p.code));
-    
-    if (hasNarrativeRequiredCode) {
+    // Narratives are required for:
+    // 1. Procedure codes or payers flagged in the payer's profile
+    if (requiresNarrative(this.payerRegistry.get(claim.payerId), claim)) {
       return true;
     }
     
@@ -324,12 +905,6 @@ class BillingRouter {
       return true;
     }
     
-    // 3. Claims with specific payers
-    const narrativeRequiredPayers = ['medicare', 'medicaid', 'cigna'];
-    if (narrativeRequiredPayers.includes(claim.payerId?.toLowerCase())) {
-      return true;
-    }
-    
     return false;
   }
   
@@ -341,33 +916,19 @@ class BillingRouter {
    * @returns {Object} Optimal route information
    */
   async determineOptimalRoute(claim, characteristics) {
-    // This would integrate with a machine learning model in production
-    // For demo purposes, we'll use rule-based routing
+    // Routes come from the clinic's declarative routing rules; the denial
+    // model scores the claim alongside (see predictDenialRisk)
     
-    let routeType = 'DEFAULT';
-    
-    // Emergency claims get expedited
-    if (characteristics.urgency > 0.7) {
-      routeType = 'EMERGENCY';
-    }
-    // High-complexity claims need specialist handling
-    else if (characteristics.complexity > 0.7) {
-      routeType = 'COMPLEX';
-    }
-    // High-value claims get premium processing
-    else if (characteristics.value > 0.7) {
-      routeType = 'HIGH_VALUE';
-    }
-    // Claims requiring preauthorization
-    else if (claim.requiresPreauth) {
-      routeType = 'PREAUTHORIZATION';
-    }
+    const facts = this.buildRoutingFacts(claim, characteristics);
+    const { rule } = traceRules(this.routingRules, facts);
+    const routeType = rule ? rule.route : this.routingRules.defaultRoute;
     
     const route = {
       type: routeType,
       ...this.routingTable[routeType],
-      reason: `Selected based on claim characteristics: complexity=${characteristics.complexity.toFixed(2)}, urgency=${characteristics.urgency.toFixed(2)}, value=${characteristics.value.toFixed(2)}`,
-      confidenceScore: this.calculateRouteConfidence(characteristics, routeType)
+      ruleId: rule ? rule.id : null,
+      reason: `${rule ? `Matched rule ${rule.id}` : 'No rule matched'}; claim characteristics: complexity=${characteristics.complexity.toFixed(2)}, urgency=${characteristics.urgency.toFixed(2)}, value=${characteristics.value.toFixed(2)}`,
+      confidenceScore: this.calculateRouteConfidence(characteristics, rule)
     };
     
     logger.debug('Determined optimal route', { 
@@ -378,137 +939,571 @@ class BillingRouter {
     return route;
   }
   
+  /**
+   * Evaluate the shadow routing configs on a claim and record where each
+   * would have sent it. Failures are logged and never affect the live route.
+   * @private
+   * @param {Object} claim - The routed claim
+   * @param {Object} characteristics - The claim characteristics
+   * @param {Object} route - The live route
+   */
+  async recordShadowRoutes(claim, characteristics, route) {
+    if (this.shadowConfigs.length === 0 || !claim.id) {
+      return;
+    }
+    
+    try {
+      const facts = this.buildRoutingFacts(claim, characteristics);
+      const candidates = {};
+      this.shadowConfigs.forEach(({ name, rules }) => {
+        // Candidates may move the high value threshold, which changes the value score
+        const candidateFacts = rules.highValueFee === this.routingRules.highValueFee
+          ? facts
+          : { ...facts, value: this.explainValue(claim, rules).score };
+        const { rule } = traceRules(rules, candidateFacts);
+        candidates[name] = {
+          route: rule ? rule.route : rules.defaultRoute,
+          ruleId: rule ? rule.id : null
+        };
+      });
+      
+      await this.metricsStore.saveShadowDecision(claim.id, {
+        claimId: claim.id,
+        routedAt: new Date().toISOString(),
+        live: { route: route.type, ruleId: route.ruleId },
+        candidates
+      });
+      
+      const disagreements = Object.keys(candidates).filter(name => candidates[name].route !== route.type);
+      if (disagreements.length > 0) {
+        logger.info('Shadow routing disagrees with live route', { 
+          claimId: claim.id, 
+          liveRoute: route.type, 
+          candidates: disagreements.map(name => `${name}=${candidates[name].route}`) 
+        });
+      }
+    } catch (error) {
+      logger.warn('Shadow routing failed', { 
+        claimId: claim.id, 
+        error: error.message 
+      });
+    }
+  }
+  
+  /**
+   * Replace the candidate routing configs evaluated in shadow mode and save
+   * them next to the clinic's rules file. Earlier shadow records are kept,
+   * so a report covers each candidate from when it was added.
+   * @param {Array<Object>} configs - Candidates: { name, rules } or { name, file }
+   * @returns {Promise<Array<string>>} Names of the candidates now evaluated
+   * @throws {RoutingRulesError} When a candidate is malformed or its rules are invalid
+   */
+  async setShadowConfigs(configs) {
+    const compiled = compileShadowConfigs(configs);
+    if (this.shadowConfigsStore) {
+      await this.shadowConfigsStore.write(configs);
+    }
+    this.shadowConfigs = compiled;
+    this.options.shadowConfigs = configs;
+    
+    logger.info('Shadow routing configs set', { 
+      clinicId: this.options.clinicId, 
+      shadowConfigs: this.shadowConfigs.map(config => config.name) 
+    });
+    
+    return this.shadowConfigs.map(config => config.name);
+  }
+  
+  /**
+   * Compare the live routing with the shadow routing configs for claims
+   * routed in a date range: route distributions, disagreements, and approval
+   * rates once outcomes are recorded
+   * @param {Object} range - Query range
+   * @param {string} range.from - Start of the range (ISO date)
+   * @param {string} range.to - End of the range (ISO date)
+   * @returns {Promise<Object>} Shadow routing report (see summarizeShadowDecisions)
+   */
+  async getShadowReport(range = {}) {
+    const decisions = await this.metricsStore.listShadowDecisions(range);
+    const outcomes = await this.metricsStore.listOutcomes();
+    
+    return {
+      from: range.from || null,
+      to: range.to || null,
+      liveConfig: LIVE_CONFIG,
+      liveRulesSource: this.routingRules.source,
+      activeShadowConfigs: this.shadowConfigs.map(config => ({
+        name: config.name,
+        source: config.rules.source
+      })),
+      ...summarizeShadowDecisions(decisions, outcomes)
+    };
+  }
+  
+  /**
+   * Predict the probability that the payer denies a claim
+   * @private
+   * @param {Object} claim - The claim to route
+   * @param {Object} characteristics - The claim characteristics
+   * @returns {Object|null} { probability, modelVersion, topFactors }, or null without a model
+   */
+  predictDenialRisk(claim, characteristics) {
+    if (!this.denialModel) {
+      return null;
+    }
+    
+    const prediction = predictDenial(this.denialModel, extractFeatures(claim, characteristics));
+    logger.debug('Denial risk predicted', { 
+      claimId: claim.id, 
+      probability: prediction.probability, 
+      modelVersion: prediction.modelVersion 
+    });
+    
+    return prediction;
+  }
+  
+  /**
+   * Explain a routing decision: every scoring factor and the rules checked
+   * @private
+   * @param {Object} claim - The routed claim
+   * @param {Object} characteristics - The claim characteristics
+   * @param {Object} route - The selected route
+   * @returns {Object} Structured routing explanation
+   */
+  explainRoute(claim, characteristics, route) {
+    const facts = this.buildRoutingFacts(claim, characteristics);
+    const { rule, evaluated } = traceRules(this.routingRules, facts);
+    const matched = evaluated.find(entry => entry.matched) || null;
+    
+    return {
+      claimId: claim.id || null,
+      routeType: route.type,
+      confidence: route.confidenceScore,
+      rulesSource: this.routingRules.source,
+      rule: rule ? {
+        id: rule.id,
+        description: rule.description || null,
+        priority: rule.priority,
+        confidence: rule.confidence === undefined ? null : rule.confidence,
+        conditions: matched.conditions
+      } : null,
+      rulesEvaluated: evaluated,
+      scores: {
+        complexity: this.explainComplexity(claim),
+        urgency: this.explainUrgency(claim),
+        value: this.explainValue(claim),
+        patientRisk: this.explainPatientRisk(claim)
+      }
+    };
+  }
+  
+  /**
+   * Build the facts that routing rule conditions are evaluated against
+   * @private
+   * @param {Object} claim - The claim to route
+   * @param {Object} characteristics - The claim characteristics
+   * @returns {Object} Routing facts
+   */
+  buildRoutingFacts(claim, characteristics) {
+    return {
+      ...characteristics,
+      procedureCount: claim.procedures.length,
+      missingAttachmentCount: characteristics.missingAttachments.length,
+      frequencyLimitExceeded: characteristics.frequencyFindings.filter(f => f.exceeded).length,
+      feesAboveGuide: characteristics.feeAssessment.procedures.filter(p => p.status === 'above').length,
+      feesBelowGuide: characteristics.feeAssessment.procedures.filter(p => p.status === 'below').length,
+      submissionDaysRemaining: characteristics.submissionWindow
+        ? characteristics.submissionWindow.daysRemaining
+        : null,
+      requiresPreauth: Boolean(claim.requiresPreauth),
+      emergency: Boolean(claim.emergency),
+      coverageCount: characteristics.cob ? characteristics.cob.coverages.length : 0,
+      cobSequence: characteristics.cob ? characteristics.cob.sequence : null,
+      cobOrderMismatch: Boolean(characteristics.cob && characteristics.cob.orderMismatch),
+      priorEobMissing: Boolean(characteristics.cob && characteristics.cob.priorEobMissing),
+      coverageVerification: claim.coverageVerification || null
+    };
+  }
+  
   /**
    * Calculate confidence score for a routing decision
    * @private
    * @param {Object} characteristics - The claim characteristics
-   * @param {string} routeType - The selected route type
+   * @param {Object|null} rule - The matched routing rule
    * @returns {number} Confidence score from 0 to 1
    */
-  calculateRouteConfidence(characteristics, routeType) {
-    let confidence = 0.5; // Base confidence
-    
-    switch (routeType) {
-      case 'EMERGENCY':
-        confidence = characteristics.urgency;
-        break;
-      case 'COMPLEX':
-        confidence = characteristics.complexity;
-        break;
-      case 'HIGH_VALUE':
-        confidence = characteristics.value;
-        break;
-      case 'PREAUTHORIZATION':
-        confidence = 0.85; // High confidence for preauth route when explicitly required
-        break;
-      default:
-        confidence = 1 - Math.max(
-          characteristics.urgency,
-          characteristics.complexity,
-          characteristics.value
-        );
+  calculateRouteConfidence(characteristics, rule) {
+    // Rules either fix their confidence or take it from a characteristic
+    if (rule && typeof rule.confidence === 'number') {
+      return rule.confidence;
+    }
+    if (rule && typeof characteristics[rule.confidence] === 'number') {
+      return characteristics[rule.confidence];
+    }
+    if (rule) {
+      return 0.5; // Base confidence
     }
     
-    return confidence;
+    // No rule matched, so confidence grows as the claim looks more routine
+    return 1 - Math.max(
+      characteristics.urgency,
+      characteristics.complexity,
+      characteristics.value
+    );
   }
   
   /**
-   * Apply AI optimizations to a claim before processing
+   * Apply optimizations to a claim before processing, within the configured
+   * compliance level. Procedure codes are never changed: at 'suggest-only'
+   * coding corrections are listed for a reviewer, with the documentation
+   * that supports them, and upcoding without support is blocked.
    * @private
    * @param {Object} claim - The claim to optimize
    * @param {Object} route - The selected route
-   * @returns {Object} Optimized claim
+   * @returns {Promise<Object>} { optimizedClaim, report, provenance } where the report
+   *   lists every change made and every coding suggestion, allowed or blocked, and
+   *   provenance holds a JSON Patch entry for each change
    */
   async applyAIOptimizations(claim, route) {
-    // This would integrate with advanced AI models in production
-    // For demo purposes, we'll make basic optimizations
-    
+    const level = this.options.optimizationLevel;
     const optimizedClaim = { ...claim };
-    let optimizationsApplied = false;
+    const recorder = createProvenanceRecorder(claim.id);
+    const report = {
+      claimId: claim.id || null,
+      level,
+      generatedAt: new Date().toISOString(),
+      changes: [],
+      suggestions: [],
+      blocked: []
+    };
     
-    // 1. Ensure procedure codes match documented conditions
-    if (claim.diagnosis && claim.procedures) {
-      // Logic to align procedures with diagnosis
-      optimizationsApplied = true;
+    if (level !== 'none') {
+      // 1. Add missing narratives if required
+      if (this.isNarrativeRequired(claim) && (!claim.narrative || claim.narrative.length === 0)) {
+        const narrative = await this.buildNarrative(claim);
+        const attribution = {
+          rule: 'payer-narrative-required',
+          component: narrative.polished ? 'narrative-generator+polisher' : 'narrative-generator',
+          reason: 'Payer requires a narrative for this claim'
+        };
+        const narrativeBasis = {
+          source: narrative.source,
+          templates: narrative.templates,
+          facts: narrative.facts,
+          polished: Boolean(narrative.polished),
+          draft: narrative.draft || null,
+          polishError: narrative.polishError || null
+        };
+        const change = recordFieldChange(recorder, optimizedClaim, 'narrative', narrative.text, attribution);
+        recordFieldChange(recorder, optimizedClaim, 'narrativeBasis', narrativeBasis, attribution);
+        optimizedClaim.narrative = narrative.text;
+        optimizedClaim.narrativeBasis = narrativeBasis;
+        report.changes.push({
+          changeId: change.id,
+          field: 'narrative',
+          action: 'added',
+          value: narrative.text,
+          reason: 'Payer requires a narrative for this claim',
+          evidence: narrative.facts.map(fact => ({ path: fact.path, value: fact.value }))
+        });
+      }
+      
+      // 2. Recommend additional supporting documentation
+      if (route.type === 'COMPLEX' || route.type === 'HIGH_VALUE') {
+        const documentation = [
+          'Additional clinical notes',
+          'Pre-operative images',
+          'Post-operative images'
+        ];
+        const reason = `Route ${route.type} is reviewed with full supporting documentation`;
+        const change = recordFieldChange(recorder, optimizedClaim, 'recommendedDocumentation', documentation, {
+          rule: `route-documentation:${route.type}`,
+          component: 'billing-router',
+          reason
+        });
+        optimizedClaim.recommendedDocumentation = documentation;
+        report.changes.push({
+          changeId: change.id,
+          field: 'recommendedDocumentation',
+          action: 'added',
+          value: documentation,
+          reason,
+          evidence: []
+        });
+      }
     }
     
-    // 2. Add missing narratives if required
-    if (this.isNarrativeRequired(claim) && (!claim.narrative || claim.narrative.length === 0)) {
-      optimizedClaim.narrative = `[AI Generated Narrative would be inserted here based on claim details]`;
-      optimizationsApplied = true;
+    // 3. Coding suggestions for a reviewer; the claim itself is not recoded
+    if (level === 'suggest-only') {
+      const { suggestions, blocked } = suggestCodingChanges(claim);
+      report.suggestions = suggestions;
+      report.blocked = blocked;
+      
+      if (blocked.length > 0) {
+        logger.warn('Coding suggestions blocked by upcoding guard', { 
+          claimId: claim.id, 
+          blocked: blocked.map(change => `${change.fromCode}->${change.toCode}`) 
+        });
+      }
     }
     
-    // 3. Recommend additional supporting documentation
-    if (route.type === 'COMPLEX' || route.type === 'HIGH_VALUE') {
-      optimizedClaim.recommendedDocumentation = [
-        'Additional clinical notes',
-        'Pre-operative images',
-        'Post-operative images'
-      ];
-      optimizationsApplied = true;
+    report.summary = {
+      changes: report.changes.length,
+      suggestions: report.suggestions.length,
+      blocked: report.blocked.length
+    };
+    
+    // Track optimization
+    if (report.changes.length > 0 || report.suggestions.length > 0) {
+      if (this.options.trackMetrics) {
+        await this.metricsStore.record({ type: 'optimization' });
+      }
+      logger.info('AI optimizations applied to claim', { claimId: claim.id, level, ...report.summary });
+    }
+    
+    return { optimizedClaim, report, provenance: recorder.entries };
+  }
+  
+  /**
+   * Write provenance entries to the audit trail
+   * @private
+   * @param {Array<Object>} entries - Provenance entries
+   */
+  persistProvenance(entries) {
+    entries.forEach(entry => {
+      logAudit({
+        module: 'billing-router',
+        action: 'claim.change',
+        details: { ...entry, clinicId: this.options.clinicId }
+      });
+    });
+  }
+  
+  /**
+   * Get the recorded changes to a claim from the audit trail, oldest first.
+   * Changes that have since been reverted are marked as such. Only this
+   * clinic's entries are read, up to MAX_PROVENANCE_ENTRIES of the newest.
+   * @param {string} claimId - Claim ID
+   * @returns {Array<Object>} Provenance entries with a `status` of applied or reverted
+   */
+  getClaimProvenance(claimId) {
+    const entries = getLogs(
+      { module: 'billing-router', claimId, clinicId: this.options.clinicId },
+      MAX_PROVENANCE_ENTRIES
+    );
+    const reverted = new Map(entries
+      .filter(entry => entry.action === 'claim.change.reverted')
+      .map(entry => [entry.details.changeId, entry]));
+    
+    return entries
+      .filter(entry => entry.action === 'claim.change')
+      .map(({ details }) => {
+        const { clinicId, ...change } = details;
+        const revert = reverted.get(change.id);
+        return {
+          ...change,
+          status: revert ? 'reverted' : 'applied',
+          ...(revert && { revertedAt: revert.timestamp, revertedBy: revert.user })
+        };
+      })
+      .reverse();
+  }
+  
+  /**
+   * Select recorded changes to a claim by ID
+   * @private
+   */
+  selectChanges(claimId, changeIds) {
+    const entries = this.getClaimProvenance(claimId);
+    if (!changeIds) {
+      return entries;
     }
     
-    // 4. Optimize coding for maximum reimbursement
-    if (this.options.optimizationLevel === 'aggressive') {
-      // Advanced coding optimization logic would go here
-      optimizationsApplied = true;
+    const unknown = changeIds.filter(id => !entries.some(entry => entry.id === id));
+    if (unknown.length > 0) {
+      throw new ProvenanceError(
+        `Unknown changes for claim ${claimId}: ${unknown.join(', ')}`,
+        unknown.map(id => `changeIds: ${id} was not recorded for this claim`)
+      );
+    }
+    return entries.filter(entry => changeIds.includes(entry.id));
+  }
+  
+  /**
+   * Replay recorded changes onto the original claim
+   * @param {Object} originalClaim - The claim as submitted
+   * @param {Object} options - Replay options
+   * @param {Array<string>} options.changeIds - Only replay these changes (default all applied changes)
+   * @returns {Object} { claim, applied } - the rebuilt claim and the changes replayed
+   * @throws {ProvenanceError} When a change is unknown or no longer applies
+   */
+  replayChanges(originalClaim, options = {}) {
+    const entries = this.selectChanges(originalClaim.id, options.changeIds)
+      .filter(entry => options.changeIds || entry.status === 'applied');
+    return {
+      claim: replayProvenance(originalClaim, entries),
+      applied: entries.map(entry => entry.id)
+    };
+  }
+  
+  /**
+   * Revert individual changes on an optimized claim and record the revert
+   * in the audit trail
+   * @param {Object} claim - The optimized claim
+   * @param {Array<string>} changeIds - Changes to revert
+   * @param {string} user - Who reverted them
+   * @returns {Object} { claim, reverted } - the claim with the changes undone and their IDs
+   * @throws {ProvenanceError} When a change is unknown, already reverted, or no longer applies
+   */
+  revertChanges(claim, changeIds, user) {
+    const entries = this.selectChanges(claim.id, changeIds);
+    const alreadyReverted = entries.filter(entry => entry.status === 'reverted');
+    if (alreadyReverted.length > 0) {
+      throw new ProvenanceError(
+        `Changes already reverted: ${alreadyReverted.map(entry => entry.id).join(', ')}`,
+        alreadyReverted.map(entry => `changeIds: ${entry.id} was reverted at ${entry.revertedAt}`)
+      );
     }
     
-    // Track optimization
-    if (optimizationsApplied) {
-      this.metrics.aiOptimizations++;
-      logger.info('AI optimizations applied to claim', { claimId: claim.id });
+    const reverted = revertProvenance(claim, entries);
+    entries.forEach(entry => {
+      logAudit({
+        module: 'billing-router',
+        action: 'claim.change.reverted',
+        user,
+        details: {
+          claimId: claim.id,
+          changeId: entry.id,
+          path: entry.path,
+          rule: entry.rule,
+          clinicId: this.options.clinicId
+        }
+      });
+    });
+    logger.info('Claim changes reverted', { claimId: claim.id, changes: changeIds, user });
+    
+    return { claim: reverted, reverted: entries.map(entry => entry.id) };
+  }
+  
+  /**
+   * Build a narrative for a claim from templates, then polish the wording
+   * with the configured LLM polisher if there is one
+   * @private
+   * @param {Object} claim - The claim
+   * @returns {Promise<Object>} Narrative with the facts it was built from
+   */
+  async buildNarrative(claim) {
+    const narrative = generateNarrative(claim, { payerProfile: this.payerRegistry.get(claim.payerId) });
+    if (!this.options.narrativePolisher) {
+      return narrative;
     }
     
-    return optimizedClaim;
+    const polished = await polishNarrative(narrative, this.options.narrativePolisher);
+    if (polished.polishError) {
+      logger.warn('Narrative polish discarded', { claimId: claim.id, reason: polished.polishError });
+    }
+    return polished;
   }
   
   /**
    * Generate processing instructions based on the route
    * @private
    * @param {Object} route - The selected route
+   * @param {Object} context - Findings about the claim
+   * @param {Array} context.bundlingEdits - Bundling edits found on the claim
+   * @param {Object} context.characteristics - The claim characteristics
+   * @param {Object} context.eligibility - Coverage verification, when one was run
    * @returns {Object} Processing instructions
    */
-  generateProcessingInstructions(route) {
+  generateProcessingInstructions(route, context = {}) {
+    const { bundlingEdits = [], characteristics, eligibility } = context;
     const instructions = {
       processorId: route.processor,
       priority: route.priority,
       validationLevel: route.validation,
-      specialHandling: []
+      specialHandling: [...(route.specialHandling || [])]
     };
     
-    // Add special handling instructions based on route
-    switch (route.type) {
-      case 'EMERGENCY':
-        instructions.specialHandling.push('Expedite processing');
-        instructions.specialHandling.push('Skip non-critical validations');
-        break;
-      case 'COMPLEX':
-        instructions.specialHandling.push('Assign to specialist reviewer');
-        instructions.specialHandling.push('Review narrative documentation');
-        break;
-      case 'HIGH_VALUE':
-        instructions.specialHandling.push('Double verification required');
-        instructions.specialHandling.push('Check procedure code bundling');
-        break;
-      case 'PREAUTHORIZATION':
-        instructions.specialHandling.push('Check plan-specific requirements');
-        instructions.specialHandling.push('Verify service limitations');
-        break;
+    // Bundling errors will be denied by the payer, so fix them before submission
+    const bundlingErrors = bundlingEdits.filter(edit => edit.severity === SEVERITY.ERROR);
+    if (bundlingErrors.length > 0) {
+      instructions.specialHandling.push(`Resolve ${bundlingErrors.length} bundling edit(s) before submission`);
+    }
+    
+    // Coverage must be confirmed before the payer sees the claim
+    if (eligibility && eligibility.status !== 'verified') {
+      instructions.specialHandling.push(
+        `Coverage ${eligibility.status}: ${eligibility.message}; confirm eligibility before submission`
+      );
+    }
+    
+    // Payer-specific requirements
+    if (characteristics) {
+      if (characteristics.preauthRequired && route.type !== 'PREAUTHORIZATION') {
+        instructions.specialHandling.push('Payer requires predetermination for this claim');
+      }
+      
+      characteristics.missingAttachments.forEach(attachment => {
+        instructions.specialHandling.push(
+          `Attach ${attachment.type} for ${attachment.codes.join(', ')}`
+        );
+      });
+      
+      characteristics.frequencyFindings
+        .filter(finding => finding.exceeded)
+        .forEach(finding => {
+          instructions.specialHandling.push(
+            `${finding.code} exceeds frequency limit (${finding.max} per ${finding.period}); next eligible ${finding.eligibleDate}`
+          );
+        });
+      
+      const { guide, procedures: fees } = characteristics.feeAssessment;
+      fees
+        .filter(fee => fee.status === 'above' || fee.status === 'below')
+        .forEach(fee => {
+          instructions.specialHandling.push(
+            `${fee.code} fee $${fee.fee} is ${fee.status} the ${guide.province} ${guide.year} fee guide ($${fee.guideFee}); confirm before submission`
+          );
+        });
+      
+      const cob = characteristics.cob;
+      if (cob && cob.orderMismatch) {
+        instructions.specialHandling.push(
+          `${cob.primaryPayerId} pays first under coordination of benefits; submit to it before this payer`
+        );
+      } else if (cob && cob.priorEobMissing) {
+        instructions.specialHandling.push(`Attach the EOB from ${cob.previousPayerId} before submission`);
+      }
+      if (cob && cob.nextPayerId && !cob.orderMismatch) {
+        instructions.specialHandling.push(
+          `Patient also has coverage with ${cob.nextPayerId}; send it a secondary claim once this claim's EOB arrives`
+        );
+      }
+      
+      const submissionWindow = characteristics.submissionWindow;
+      if (submissionWindow && submissionWindow.expired) {
+        instructions.specialHandling.push(`Submission window closed on ${submissionWindow.deadline.slice(0, 10)}`);
+      } else if (submissionWindow && submissionWindow.daysRemaining <= 30) {
+        instructions.specialHandling.push(`Submit before ${submissionWindow.deadline.slice(0, 10)}`);
+      }
     }
     
     return instructions;
   }
   
   /**
-   * Estimate completion time based on route and claim
+   * Estimate when a claim will be adjudicated, in business time: the route's
+   * processing hours within clinic opening hours, then the payer's
+   * turnaround in business days. The turnaround and its range come from the
+   * payer's historical outcomes when there are enough of them, otherwise
+   * from the payer's SLA.
    * @private
    * @param {Object} route - The selected route
-   * @param {Object} claim - The claim to process
-   * @returns {Object} Estimated completion time in hours and timestamp
+   * @param {Object} claim - The claim data
+   * @returns {Promise<Object>} Completion estimate with a confidence range
    */
-  estimateCompletionTime(route, claim) {
-    let baseHours = 24; // Default processing time: 24 hours
+  async estimateCompletionTime(route, claim) {
+    let baseHours = 24; // Default processing time: 24 business hours
     
     // Adjust based on priority
     if (route.priority === 'high') {
@@ -516,32 +1511,55 @@ class BillingRouter {
     }
     
     // Adjust based on route type
-    switch (route.type) {
-      case 'EMERGENCY':
-        baseHours = 4;
-        break;
-      case 'COMPLEX':
-        baseHours = 48;
-        break;
-      case 'HIGH_VALUE':
-        baseHours = 36;
-        break;
-      case 'PREAUTHORIZATION':
-        baseHours = 72;
-        break;
+    if (route.baseHours) {
+      baseHours = route.baseHours;
     }
     
     // Adjust based on claim complexity
     const complexity = this.calculateComplexity(claim);
     baseHours = baseHours * (1 + complexity);
     
-    // Calculate estimated completion date
-    const now = new Date();
-    const completionDate = new Date(now.getTime() + (baseHours * 60 * 60 * 1000));
+    const processedAt = this.calendar.addBusinessHours(new Date(), baseHours);
+    
+    // Payer turnaround once the claim is submitted
+    const payerKey = this.getPayerKey(claim.payerId || 'unknown');
+    const sla = this.payerRegistry.getSla(claim.payerId) || DEFAULT_PAYER_SLA;
+    const history = summarizeTurnaround((await this.metricsStore.listOutcomes())
+      .filter(outcome => this.getPayerKey(outcome.payerId) === payerKey));
+    const turnaround = history
+      ? { businessDays: history.median, low: history.low, high: history.high, basis: 'history', sampleSize: history.sampleSize }
+      : {
+        businessDays: sla.turnaroundBusinessDays,
+        low: sla.rangeBusinessDays[0],
+        high: sla.rangeBusinessDays[1],
+        basis: 'sla',
+        sampleSize: 0
+      };
+    const payerCalendar = this.getPayerCalendar(sla);
     
     return {
+      // Business hours of processing before the claim goes to the payer
       hours: Math.round(baseHours),
-      timestamp: completionDate.toISOString()
+      processingCompleteAt: processedAt.toISOString(),
+      payerTurnaround: {
+        payerId: payerKey,
+        businessDays: turnaround.businessDays,
+        basis: turnaround.basis,
+        sampleSize: turnaround.sampleSize
+      },
+      timestamp: payerCalendar.addBusinessDays(processedAt, turnaround.businessDays).toISOString(),
+      range: {
+        earliest: payerCalendar.addBusinessDays(processedAt, turnaround.low).toISOString(),
+        latest: payerCalendar.addBusinessDays(processedAt, turnaround.high).toISOString(),
+        // Historical ranges span the 10th to 90th percentile of past turnaround
+        confidence: turnaround.basis === 'history' ? 0.8 : null,
+        basis: turnaround.basis
+      },
+      calendar: {
+        region: this.calendar.region,
+        timeZone: this.calendar.timeZone,
+        payerRegion: sla.region
+      }
     };
   }
   
@@ -551,45 +1569,255 @@ class BillingRouter {
    * @param {Object} route - The selected route
    * @param {number} processingTime - The time taken to process in ms
    */
-  updateMetrics(route, processingTime) {
-    this.metrics.totalClaims++;
+  async updateMetrics(route, processingTime) {
+    await this.metricsStore.record({
+      type: 'routed',
+      route: route.type,
+      processingTime
+    });
+  }
+  
+  /**
+   * Remember how a claim was routed so its outcome can be attributed later
+   * @private
+   * @param {Object} claim - The routed claim
+   * @param {Object} route - The selected route
+   */
+  async trackRoutedClaim(claim, route) {
+    if (!claim.id) {
+      return;
+    }
+    
+    await this.metricsStore.saveRoutedClaim(claim.id, {
+      route: route.type,
+      payerId: claim.payerId || 'unknown',
+      procedureCodes: claim.procedures.map(p => p.code),
+      routedAt: new Date().toISOString()
+    });
+  }
+  
+  /**
+   * Add a routed claim to its route's processor queue
+   * @private
+   * @param {Object} claim - The routed claim
+   * @param {Object} route - The selected route
+   * @param {Object} result - The routing result
+   * @returns {Promise<Object>} The work item: { id, processor, state, priority }
+   */
+  async enqueueRoutedClaim(claim, route, result) {
+    const item = await this.workQueue.enqueue({
+      claimId: claim.id,
+      processor: route.processor,
+      route: route.type,
+      priority: route.priority,
+      escalateAfterHours: route.escalateAfterHours,
+      instructions: result.processingInstructions.specialHandling,
+      dueAt: result.estimatedCompletionTime.processingCompleteAt
+    });
+    
+    logger.info('Claim queued for review', { 
+      claimId: claim.id, 
+      processor: item.processor, 
+      workItemId: item.id 
+    });
+    
+    return { id: item.id, processor: item.processor, state: item.state, priority: item.priority };
+  }
+  
+  /**
+   * Get the reviewer worklist, escalating items that have sat too long first
+   * @param {Object} filters - Optional processor, state, assignee and claimId filters
+   * @returns {Promise<Object>} { items, summary, escalated }
+   */
+  async getWorklist(filters = {}) {
+    const escalated = await this.workQueue.escalateStale();
+    if (escalated.length > 0) {
+      logger.warn('Work items escalated', { 
+        count: escalated.length, 
+        workItemIds: escalated.map(item => item.id) 
+      });
+    }
+    
+    return {
+      items: await this.workQueue.list(filters),
+      summary: await this.workQueue.summary(),
+      escalated: escalated.map(item => item.id)
+    };
+  }
+  
+  /**
+   * Encode a routed claim as a CDAnet message. Claims routed for
+   * preauthorization are sent as predeterminations.
+   * @param {Object} result - Routing result from routeClaim
+   * @param {Object} options - Message options
+   * @param {string} options.carrierId - CDAnet carrier ID (defaults to the claim's, then the payer profile's)
+   * @param {number} options.officeSequence - Office sequence number (defaults to the router's counter)
+   * @param {string} options.softwareSystemId - Software system ID assigned by the CDA
+   * @returns {Object} { transaction, message }
+   * @throws {CdanetError} When the claim is missing fields CDAnet requires
+   */
+  encodeForCdanet(result, options = {}) {
+    const claim = result.optimizedClaim;
+    const transaction = result.route.type === 'PREAUTHORIZATION' ? 'predetermination' : 'claim';
+    const encode = transaction === 'predetermination' ? encodePredetermination : encodeClaim;
+    
+    this.cdanetSequence = (this.cdanetSequence + 1) % 1000000;
+    const message = encode(result, {
+      ...options,
+      carrierId: options.carrierId || claim.carrierId || this.payerRegistry.get(claim.payerId).cdanetCarrierId,
+      officeSequence: options.officeSequence !== undefined ? options.officeSequence : this.cdanetSequence
+    });
+    
+    logger.info('Claim encoded for CDAnet', { claimId: claim.id, transaction });
+    
+    return { transaction, message };
+  }
+  
+  /**
+   * Build an 837D claim file from routed claims
+   * @param {Array<Object>} results - Routing results from routeClaim
+   * @param {Object} options - File options: submitter, receiver, billingProvider,
+   *   controlNumber and test (see build837D)
+   * @returns {string} 837D file
+   * @throws {X12Error} When required claim or provider fields are missing
+   */
+  exportX12(results, options = {}) {
+    const file = build837D(results, {
+      ...options,
+      resolvePayer: claim => {
+        const profile = this.payerRegistry.get(claim.payerId);
+        return {
+          id: profile.x12PayerId || claim.payerId,
+          name: this.payerRegistry.has(claim.payerId) ? profile.name : claim.payerId
+        };
+      }
+    });
+    
+    logger.info('837D file built', { claims: results.length });
+    
+    return file;
+  }
+  
+  /**
+   * Import an 835 remittance file and record each claim's outcome. Claims
+   * this router has no routing record for are reported, not recorded.
+   * @param {string} text - 835 file
+   * @returns {Promise<Object>} { remittance, recorded, failed } where failed
+   *   lists { claimId, error, errors } for outcomes that could not be recorded
+   * @throws {X12Error} When the file is not an 835
+   */
+  async importRemittance(text) {
+    const remittance = parse835(text);
+    const recorded = [];
+    const failed = [];
+    
+    for (const payment of remittance.claims) {
+      if (!payment.outcome) continue;
+      try {
+        await this.recordOutcome({
+          ...payment.outcome,
+          adjudicatedAt: payment.outcome.adjudicatedAt || undefined
+        });
+        recorded.push(payment.claimId);
+      } catch (error) {
+        if (error.name !== 'OutcomeError') throw error;
+        failed.push({ claimId: payment.claimId, error: error.message, errors: error.errors });
+      }
+    }
+    
+    logger.info('835 remittance imported', { 
+      claims: remittance.claims.length, 
+      recorded: recorded.length, 
+      failed: failed.length 
+    });
+    
+    return { remittance, recorded, failed };
+  }
+  
+  /**
+   * Record the adjudication outcome of a routed claim. A later outcome for
+   * the same claim (e.g. pended, then paid) replaces the earlier one.
+   * @param {Object} outcome - Adjudication outcome
+   * @param {string} outcome.claimId - ID of the routed claim
+   * @param {string} outcome.status - paid, partially_paid, denied or pended
+   * @param {string} outcome.reasonCode - Denial reason code (required when denied)
+   * @param {number} outcome.paidAmount - Amount paid by the payer
+   * @param {string} outcome.route - Route type, when the claim was routed elsewhere
+   * @param {string} outcome.payerId - Payer ID, when the claim was routed elsewhere
+   * @param {Array<string>} outcome.procedureCodes - Procedure codes, when the claim was routed elsewhere
+   * @param {string} outcome.submittedAt - When the claim was submitted to the payer (defaults to when it was routed)
+   * @param {string} outcome.adjudicatedAt - When the payer adjudicated the claim (defaults to now)
+   * @returns {Promise<Object>} The recorded outcome
+   */
+  async recordOutcome(outcome) {
+    const errors = validateOutcome(outcome);
+    if (errors.length > 0) {
+      throw new OutcomeError(`Invalid claim outcome: ${errors.join('; ')}`, errors);
+    }
     
-    // Update route counts
-    if (!this.metrics.routedClaims[route.type]) {
-      this.metrics.routedClaims[route.type] = 0;
+    const routed = (await this.metricsStore.getRoutedClaim(outcome.claimId)) || {};
+    const entry = {
+      claimId: outcome.claimId,
+      status: outcome.status,
+      reasonCode: outcome.reasonCode || null,
+      paidAmount: outcome.paidAmount === undefined ? null : outcome.paidAmount,
+      route: outcome.route || routed.route,
+      payerId: outcome.payerId || routed.payerId || 'unknown',
+      procedureCodes: outcome.procedureCodes || routed.procedureCodes || [],
+      recordedAt: new Date().toISOString(),
+      turnaroundBusinessDays: null
+    };
+    
+    // Business days from submission (or routing, when the submission time is
+    // not reported) to adjudication, for turnaround estimates
+    const submittedAt = outcome.submittedAt || routed.routedAt;
+    if (submittedAt && entry.status !== 'pended') {
+      const sla = this.payerRegistry.getSla(entry.payerId) || DEFAULT_PAYER_SLA;
+      entry.turnaroundBusinessDays = this.getPayerCalendar(sla)
+        .businessDaysBetween(submittedAt, outcome.adjudicatedAt || entry.recordedAt);
     }
-    this.metrics.routedClaims[route.type]++;
     
-    // Update processing time
-    if (!this.metrics.averageProcessingTime[route.type]) {
-      this.metrics.averageProcessingTime[route.type] = processingTime;
-    } else {
-      const currentAvg = this.metrics.averageProcessingTime[route.type];
-      const currentCount = this.metrics.routedClaims[route.type];
-      this.metrics.averageProcessingTime[route.type] = 
-        (currentAvg * (currentCount - 1) + processingTime) / currentCount;
+    if (!entry.route) {
+      throw new OutcomeError(
+        `Claim ${outcome.claimId} has no routing record; include the route it was sent to`,
+        ['route: is required for claims this router did not route']
+      );
     }
+    
+    await this.metricsStore.saveOutcome(entry);
+    
+    logger.info('Claim outcome recorded', { 
+      claimId: entry.claimId, 
+      status: entry.status, 
+      route: entry.route 
+    });
+    
+    return entry;
   }
   
   /**
-   * Get current routing metrics
-   * @returns {Object} Current metrics
+   * Get routing metrics, optionally for a date range
+   * @param {Object} range - Query range
+   * @param {string} range.from - Start of the range (ISO date)
+   * @param {string} range.to - End of the range (ISO date)
+   * @param {string} range.granularity - 'hour' or 'day' to include time buckets
+   * @returns {Promise<Object>} Metrics for the range
    */
-  getMetrics() {
-    return { ...this.metrics };
+  async getMetrics(range = {}) {
+    const metrics = await this.metricsStore.query(range);
+    const outcomes = await this.metricsStore.listOutcomes(range);
+    
+    return {
+      ...metrics,
+      approvalRates: computeApprovalRates(outcomes)
+    };
   }
   
   /**
    * Reset metrics
    */
-  resetMetrics() {
-    this.metrics = {
-      totalClaims: 0,
-      routedClaims: {},
-      averageProcessingTime: {},
-      approvalRates: {},
-      aiOptimizations: 0
-    };
+  async resetMetrics() {
+    await this.metricsStore.reset();
     
     logger.info('Metrics reset');
   }
@@ -604,7 +1832,58 @@ function createBillingRouter(options = {}) {
   return new BillingRouter(options);
 }
 
+// Shared routers by clinic, so metrics and outcomes accumulate across API requests
+const sharedRouters = new Map();
+
+/**
+ * Check whether a clinic is known to this deployment: the default clinic,
+ * a clinic with its own routing rules file, or one listed in CLINIC_IDS
+ * (comma-separated)
+ * @private
+ */
+function isKnownClinic(clinicId, options) {
+  const listed = (process.env.CLINIC_IDS || '').split(',').map(id => id.trim());
+  return clinicId === 'default' || listed.includes(clinicId) || hasRoutingRules(clinicId, options);
+}
+
+/**
+ * Get the shared BillingRouter instance for a clinic, creating it on first use.
+ * Only known clinics (see isKnownClinic) get a shared router, so clinic IDs
+ * taken from requests cannot grow the cache without bound; any other clinic
+ * gets a new router on every call, and its in-memory metrics, outcomes and
+ * work queue last only as long as that router.
+ * @param {Object} options - Configuration options (used on first use only)
+ * @returns {BillingRouter} Shared BillingRouter instance
+ * @throws {ClinicIdError} When the clinic ID is not safe to use in file names
+ */
+function getBillingRouter(options = {}) {
+  const clinicId = assertValidClinicId(options.clinicId || 'default');
+  
+  if (sharedRouters.has(clinicId)) {
+    return sharedRouters.get(clinicId);
+  }
+  
+  const router = new BillingRouter({ ...options, clinicId });
+  if (isKnownClinic(clinicId, options)) {
+    sharedRouters.set(clinicId, router);
+  } else {
+    logger.warn('Clinic has no routing rules and is not in CLINIC_IDS; its router is not shared', { clinicId });
+  }
+  
+  return router;
+}
+
+/**
+ * List the shared BillingRouter instances created so far
+ * @returns {Array<BillingRouter>} Shared routers, one per clinic
+ */
+function listBillingRouters() {
+  return [...sharedRouters.values()];
+}
+
 module.exports = {
   BillingRouter,
-  createBillingRouter
+  createBillingRouter,
+  getBillingRouter,
+  listBillingRouters
 };
\ No newline at end of file
@@ -0,0 +1,313 @@
+/**
+ * ReVu Systems - Application Logger
+ *
+ * Shared logger for the backend. Every entry carries the module it came
+ * from (`service`) and, inside an API request, the request's correlation
+ * ID, so one request can be followed across modules.
+ *
+ * Log metadata is redacted before it reaches any transport: patient names,
+ * IDs, dates of birth and free-text clinical fields are replaced with
+ * "[REDACTED]" (see REDACTION_RULES). Only metadata is redacted, so keep
+ * patient details out of the message text itself.
+ *
+ * Configured from the environment, or with configureLogging():
+ *   LOG_LEVEL       - error, warn, info (default), http, verbose, debug
+ *   LOG_TRANSPORTS  - comma-separated: console (default), file, http, none
+ *   LOG_FORMAT      - console output: simple (default) or json
+ *   LOG_FILE        - file for the file transport
+ *   LOG_HTTP_URL    - endpoint for the http transport (entries are POSTed as JSON)
+ *
+ * The file transport is off by default, as serverless filesystems are read-only.
+ *
+ * This module is CommonJS so the billing router can require it; ES modules
+ * import it as usual.
+ */
+
+const winston = require('winston');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REDACTED = '[REDACTED]';
+
+// Objects describing a person on the claim: the patient and whoever is
+// insured for or responsible for them
+const PERSON_KEYS = ['patient', 'patients', 'subscriber', 'dependent', 'dependents', 'guarantor', 'guarantors',
+  'responsibleParty', 'policyHolder'];
+
+// Keys of patient health information in log metadata. Keys match without
+// regard to case, "_" or "-" (so date_of_birth matches dateOfBirth);
+// `within` limits a rule to keys under one of those parent keys, and
+// `textOnly` redacts text (strings and lists of strings) only, so e.g. a
+// benefit `plan` object is still logged, but a SOAP note's `plan` text is not.
+const REDACTION_RULES = [
+  {
+    name: 'patient-name',
+    keys: ['firstName', 'lastName', 'middleName', 'fullName', 'patientName', 'subscriberName', 'guarantorName']
+  },
+  {
+    name: 'patient-name',
+    keys: ['name'],
+    within: PERSON_KEYS
+  },
+  {
+    name: 'patient-id',
+    keys: ['patientId', 'subscriberId', 'memberId', 'dependentId', 'policyNumber', 'certificateNumber',
+      'healthCard', 'healthCardNumber', 'sin', 'ssn']
+  },
+  {
+    name: 'patient-id',
+    keys: ['id'],
+    within: PERSON_KEYS
+  },
+  {
+    name: 'date-of-birth',
+    keys: ['birthDate', 'dateOfBirth', 'dob']
+  },
+  {
+    name: 'patient-contact',
+    keys: ['address', 'phone', 'email'],
+    within: PERSON_KEYS
+  },
+  {
+    name: 'clinical-text',
+    keys: ['subjective', 'objective', 'assessment', 'plan', 'note', 'notes', 'clinicalNotes', 'narrative',
+      'chiefComplaint', 'diagnosis', 'history', 'medicalHistory', 'question', 'prompt', 'transcript', 'text',
+      'content'],
+    textOnly: true
+  }
+];
+
+// Nesting below this depth is not logged
+const MAX_DEPTH = 8;
+
+// Metadata that is never redacted
+const ENTRY_FIELDS = ['level', 'message', 'timestamp', 'service', 'correlationId'];
+
+// Correlation IDs accepted from callers
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Key in the form rules are matched in: lower case, without "_" or "-"
+ * @private
+ */
+function normalizeKey(key) {
+  return String(key).replace(/[_-]/g, '').toLowerCase();
+}
+
+/**
+ * Whether a value is text: a string or a list of strings
+ * @private
+ */
+function isText(value) {
+  return typeof value === 'string' ||
+    (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string'));
+}
+
+/**
+ * Whether a redaction rule covers a (normalized) key
+ * @private
+ */
+function ruleApplies(rule, key, parentKey, value) {
+  if (!rule.keys.some(k => normalizeKey(k) === key)) return false;
+  if (rule.within && !rule.within.some(k => normalizeKey(k) === parentKey)) return false;
+  if (rule.textOnly && !isText(value)) return false;
+  return true;
+}
+
+/**
+ * Copy a value with PHI replaced by REDACTED
+ * @param {*} value - Value to redact
+ * @param {Array<Object>} rules - Redaction rules (defaults to REDACTION_RULES)
+ * @param {string} key - Key the value is logged under, for rules limited to parent keys
+ * @returns {*} Redacted copy
+ */
+function redact(value, rules = REDACTION_RULES, key = null) {
+  const seen = new WeakSet();
+
+  const visit = (current, parentKey, depth) => {
+    if (current instanceof Error) {
+      // Not the whole error: HTTP client errors carry the request and its headers
+      return visit({ name: current.name, message: current.message, code: current.code, stack: current.stack },
+        parentKey, depth);
+    }
+    if (!current || typeof current !== 'object') {
+      return current;
+    }
+    if (current instanceof Date) {
+      return current.toISOString();
+    }
+    if (seen.has(current)) {
+      return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+      return '[Truncated]';
+    }
+    seen.add(current);
+
+    const copy = Array.isArray(current)
+      ? current.map(item => visit(item, parentKey, depth + 1))
+      : Object.keys(current).reduce((result, key) => {
+        const child = current[key];
+        const normalized = normalizeKey(key);
+        result[key] = rules.some(rule => ruleApplies(rule, normalized, parentKey, child))
+          ? REDACTED
+          : visit(child, normalized, depth + 1);
+        return result;
+      }, {});
+
+    seen.delete(current);
+    return copy;
+  };
+
+  return visit(value, key ? normalizeKey(key) : null, 0);
+}
+
+/**
+ * Correlation ID of the request being handled, if any
+ * @returns {string|null} Correlation ID
+ */
+function getCorrelationId() {
+  const store = requestContext.getStore();
+  return store ? store.correlationId : null;
+}
+
+/**
+ * Run a function with a correlation ID attached to everything it logs,
+ * including from async work it starts
+ * @param {string} correlationId - Correlation ID (a new one is generated when empty)
+ * @param {Function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+function runWithCorrelationId(correlationId, fn) {
+  return requestContext.run({ correlationId: correlationId || crypto.randomUUID() }, fn);
+}
+
+/**
+ * Wrap a Next.js API handler so each request gets a correlation ID: the
+ * caller's X-Correlation-Id (or X-Request-Id) header when valid, otherwise a
+ * new one. The ID is returned in the X-Correlation-Id response header.
+ * @param {Function} handler - async (req, res) API handler
+ * @returns {Function} Wrapped handler
+ */
+function withRequestLogging(handler) {
+  return (req, res) => {
+    const given = req.headers['x-correlation-id'] || req.headers['x-request-id'];
+    const correlationId = typeof given === 'string' && CORRELATION_ID_PATTERN.test(given)
+      ? given
+      : crypto.randomUUID();
+    res.setHeader('X-Correlation-Id', correlationId);
+    return runWithCorrelationId(correlationId, () => handler(req, res));
+  };
+}
+
+/**
+ * Add the correlation ID and redact PHI from an entry's metadata
+ * @private
+ */
+const prepareEntry = winston.format((info, options) => {
+  const correlationId = getCorrelationId();
+  if (correlationId && !info.correlationId) {
+    info.correlationId = correlationId;
+  }
+  Object.keys(info).forEach(key => {
+    if (!ENTRY_FIELDS.includes(key)) {
+      info[key] = options.rules.some(rule => ruleApplies(rule, normalizeKey(key), null, info[key]))
+        ? REDACTED
+        : redact(info[key], options.rules, key);
+    }
+  });
+  return info;
+});
+
+/**
+ * Create the transports named in the logging configuration
+ * @private
+ */
+function createTransports(options) {
+  const names = Array.isArray(options.transports)
+    ? options.transports
+    : String(options.transports || process.env.LOG_TRANSPORTS || 'console').split(',');
+
+  return names.map(name => (typeof name === 'string' ? name.trim() : name)).filter(Boolean).map(name => {
+    // Transport instances are used as given
+    if (typeof name !== 'string') {
+      return name;
+    }
+    switch (name) {
+      case 'console':
+        return new winston.transports.Console({
+          format: (options.format || process.env.LOG_FORMAT) === 'json'
+            ? winston.format.json()
+            : winston.format.simple()
+        });
+      case 'file': {
+        const filename = options.file || process.env.LOG_FILE;
+        if (!filename) {
+          throw new Error('LOG_FILE must be set to use the file log transport');
+        }
+        return new winston.transports.File({ filename });
+      }
+      case 'http': {
+        const url = new URL(options.httpUrl || process.env.LOG_HTTP_URL || '');
+        return new winston.transports.Http({
+          host: url.hostname,
+          port: url.port || undefined,
+          path: `${url.pathname}${url.search}`,
+          ssl: url.protocol === 'https:'
+        });
+      }
+      case 'none':
+        return new winston.transports.Console({ silent: true });
+      default:
+        throw new Error(`Unknown log transport: ${name}`);
+    }
+  });
+}
+
+const rootLogger = winston.createLogger();
+
+/**
+ * (Re)configure logging for every module
+ * @param {Object} options - Logging options; each defaults to its environment variable
+ * @param {string} options.level - Minimum level logged
+ * @param {string|Array} options.transports - Transport names, or winston transport instances
+ * @param {string} options.format - Console output: 'simple' or 'json'
+ * @param {string} options.file - File for the file transport
+ * @param {string} options.httpUrl - Endpoint for the http transport
+ * @param {Array<Object>} options.redactionRules - Rules added to REDACTION_RULES
+ */
+function configureLogging(options = {}) {
+  rootLogger.configure({
+    level: options.level || process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+      prepareEntry({ rules: [...REDACTION_RULES, ...(options.redactionRules || [])] }),
+      winston.format.timestamp(),
+      winston.format.json()
+    ),
+    transports: createTransports(options)
+  });
+}
+
+configureLogging();
+
+/**
+ * Get the logger for a module
+ * @param {string} service - Module name recorded on each entry (e.g. 'billing-router')
+ * @returns {Object} winston logger: error, warn, info, debug, ...
+ */
+function getLogger(service) {
+  return rootLogger.child({ service });
+}
+
+module.exports = {
+  REDACTED,
+  REDACTION_RULES,
+  redact,
+  getCorrelationId,
+  runWithCorrelationId,
+  withRequestLogging,
+  configureLogging,
+  getLogger
+};
@@ -0,0 +1,131 @@
+/**
+ * OpenMetrics Exposition
+ * Renders routing and AI metrics in the OpenMetrics text format for Prometheus
+ */
+
+import { PROCESSING_TIME_BUCKETS_MS } from '../billing/metricsStore.js';
+import { AI_LATENCY_BUCKETS_SECONDS } from '../ai/aiMetrics.js';
+
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+/**
+ * Escape a label value
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set
+ * @param {Object} labels - Label names and values
+ * @returns {string} Label set, e.g. {route="DEFAULT"}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Helper for building a metric family
+ * @param {Array<string>} lines - Output lines
+ * @param {string} name - Metric family name
+ * @param {string} type - counter, gauge or histogram
+ * @param {string} help - Help text
+ */
+function family(lines, name, type, help) {
+  lines.push(`# TYPE ${name} ${type}`);
+  lines.push(`# HELP ${name} ${help}`);
+}
+
+/**
+ * Add histogram samples from non-cumulative bucket counts
+ * @param {Array<string>} lines - Output lines
+ * @param {string} name - Metric family name
+ * @param {Object} labels - Labels for every sample
+ * @param {Array<number>} bounds - Bucket upper bounds
+ * @param {Array<number>} counts - Non-cumulative counts, with an overflow slot last
+ * @param {number} count - Number of observations
+ * @param {number} sum - Sum of observations
+ */
+function histogram(lines, name, labels, bounds, counts, count, sum) {
+  let cumulative = 0;
+  bounds.forEach((bound, i) => {
+    cumulative += counts[i];
+    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+  });
+  lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+  lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+  lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+}
+
+/**
+ * Render routing and AI metrics as OpenMetrics text
+ * @param {Array<Object>} clinics - Metrics per clinic: { clinicId, metrics }
+ * @param {Array<Object>} aiCalls - AI call metrics from getAiMetrics()
+ * @returns {string} OpenMetrics exposition
+ */
+export function renderOpenMetrics(clinics, aiCalls = []) {
+  const lines = [];
+  const boundsSeconds = PROCESSING_TIME_BUCKETS_MS.map(ms => ms / 1000);
+
+  family(lines, 'revu_billing_claims_routed', 'counter', 'Claims routed by the billing router, by route type.');
+  clinics.forEach(({ clinicId, metrics }) => {
+    Object.entries(metrics.routedClaims).forEach(([route, count]) => {
+      lines.push(`revu_billing_claims_routed_total${formatLabels({ clinic: clinicId, route })} ${count}`);
+    });
+  });
+
+  family(lines, 'revu_billing_routing_duration_seconds', 'histogram', 'Time taken to route a claim, by route type.');
+  clinics.forEach(({ clinicId, metrics }) => {
+    Object.entries(metrics.processingTimeHistogram || {}).forEach(([route, data]) => {
+      histogram(lines, 'revu_billing_routing_duration_seconds', { clinic: clinicId, route },
+        boundsSeconds, data.counts, data.count, data.sum / 1000);
+    });
+  });
+
+  family(lines, 'revu_billing_ai_optimizations', 'counter', 'Claims the billing router applied AI optimizations to.');
+  clinics.forEach(({ clinicId, metrics }) => {
+    lines.push(`revu_billing_ai_optimizations_total${formatLabels({ clinic: clinicId })} ${metrics.aiOptimizations}`);
+  });
+
+  // A claim's outcome can change (e.g. pended, then paid), moving it from one
+  // status to another, so these are current counts rather than counters
+  family(lines, 'revu_billing_claim_outcomes', 'gauge', 'Routed claims by latest adjudication outcome.');
+  clinics.forEach(({ clinicId, metrics }) => {
+    Object.entries(metrics.approvalRates.byRoute).forEach(([route, bucket]) => {
+      [['paid', bucket.paid], ['partially_paid', bucket.partiallyPaid], ['denied', bucket.denied], ['pended', bucket.pended]]
+        .forEach(([status, count]) => {
+          lines.push(`revu_billing_claim_outcomes${formatLabels({ clinic: clinicId, route, status })} ${count}`);
+        });
+    });
+  });
+
+  family(lines, 'revu_billing_approval_rate', 'gauge', 'Share of adjudicated claims paid in full or in part, by route.');
+  clinics.forEach(({ clinicId, metrics }) => {
+    Object.entries(metrics.approvalRates.byRoute).forEach(([route, bucket]) => {
+      if (bucket.approvalRate !== null) {
+        lines.push(`revu_billing_approval_rate${formatLabels({ clinic: clinicId, route })} ${bucket.approvalRate}`);
+      }
+    });
+  });
+
+  family(lines, 'revu_ai_requests', 'counter', 'AI provider requests, by outcome.');
+  aiCalls.forEach(call => {
+    lines.push(`revu_ai_requests_total${formatLabels({ provider: call.provider, model: call.model, status: call.status })} ${call.count}`);
+  });
+
+  family(lines, 'revu_ai_request_duration_seconds', 'histogram', 'AI provider request latency.');
+  aiCalls.forEach(call => {
+    histogram(lines, 'revu_ai_request_duration_seconds',
+      { provider: call.provider, model: call.model, status: call.status },
+      AI_LATENCY_BUCKETS_SECONDS, call.buckets, call.count, call.sumSeconds);
+  });
+
+  lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+}
@@ -11,7 +11,11 @@
  * - Audit narrative overlay
  */
 
-export default async function handler(req, res) {
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+
+const logger = getLogger('api/cbct-sync');
+
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -66,7 +70,7 @@ export default async function handler(req, res) {
       processedData
     });
   } catch (error) {
-    console.error('Error processing CBCT sync:', error);
+    logger.error('Error processing CBCT sync', { error });
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -110,4 +114,6 @@ function processBillingCodes(codes = [], flags = []) {
  */
 function generateJobId() {
   return `cbct-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
-}
\ No newline at end of file
+}
+
+export default withRequestLogging(handler);
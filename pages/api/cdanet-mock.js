@@ -0,0 +1,77 @@
+/**
+ * Mock CDAnet Network Endpoint
+ *
+ * Stands in for the CDAnet network in development and tests: post an
+ * encoded request and get back the carrier's encoded response. The mock
+ * adjudicates with fixed rules (see lib/billing/cdanetMockCarrier.js).
+ * Disabled in production.
+ *
+ * POST /api/cdanet-mock
+ *   Content-Type: text/plain   - body is the raw message; response is the raw message
+ *   Content-Type: application/json
+ *   { "message": "..." }       - response is { success, data: { message, decoded } }
+ */
+
+import { decodeResponse } from '../../lib/billing/cdanet';
+import { respondToMessage } from '../../lib/billing/cdanetMockCarrier';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+
+const logger = getLogger('api/cdanet-mock');
+
+async function handler(req, res) {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'The mock CDAnet network is not available in production'
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Supported methods: POST'
+    });
+  }
+
+  try {
+    const raw = typeof req.body === 'string';
+    const message = raw ? req.body : (req.body || {}).message;
+
+    if (!message) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['message']
+      });
+    }
+
+    const response = respondToMessage(message.replace(/\r?\n$/, ''));
+
+    if (raw) {
+      res.setHeader('Content-Type', 'text/plain');
+      return res.status(200).send(response);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        message: response,
+        decoded: decodeResponse(response)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CdanetError') {
+      return res.status(400).json({
+        error: 'Unsupported transaction',
+        message: error.message
+      });
+    }
+
+    logger.error('Error answering mock CDAnet message', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
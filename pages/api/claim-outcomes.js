@@ -0,0 +1,113 @@
+/**
+ * Claim Outcomes Endpoint
+ * 
+ * Records adjudication outcomes for routed claims and reports the approval
+ * and denial rates they produce per route, payer and procedure code.
+ * 
+ * GET  /api/claim-outcomes?clinicId=default - Approval and denial rates (optional from/to)
+ * POST /api/claim-outcomes                  - Record one outcome, or { outcomes: [...] }
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/claim-outcomes');
+
+async function handler(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return getApprovalRates(req, res);
+    case 'POST':
+      return recordOutcomes(req, res);
+    default:
+      return res.status(405).json({ 
+        error: 'Method not allowed',
+        message: 'Supported methods: GET, POST'
+      });
+  }
+}
+
+/**
+ * Get approval and denial rates
+ */
+async function getApprovalRates(req, res) {
+  try {
+    const { clinicId, from, to } = req.query;
+
+    const invalidDate = [from, to].find(value => value && isNaN(new Date(value).getTime()));
+    if (invalidDate) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: `"${invalidDate}" is not a valid date`
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+    
+    return res.status(200).json({
+      success: true,
+      data: (await router.getMetrics({ from, to })).approvalRates
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    logger.error('Error retrieving approval rates', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Record adjudication outcomes
+ */
+async function recordOutcomes(req, res) {
+  try {
+    const body = req.body || {};
+    const outcomes = Array.isArray(body.outcomes) ? body.outcomes : [body];
+    const router = getBillingRouter({ clinicId: body.clinicId || 'default' });
+    
+    const recorded = [];
+    const rejected = [];
+    
+    for (const [index, outcome] of outcomes.entries()) {
+      try {
+        recorded.push(await router.recordOutcome(outcome));
+      } catch (error) {
+        if (error.name !== 'OutcomeError') {
+          throw error;
+        }
+        rejected.push({ index, claimId: outcome && outcome.claimId, errors: error.errors });
+      }
+    }
+    
+    if (recorded.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid outcomes',
+        rejected
+      });
+    }
+    
+    return res.status(200).json({
+      success: rejected.length === 0,
+      data: recorded,
+      rejected
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    logger.error('Error recording claim outcomes', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
@@ -0,0 +1,136 @@
+/**
+ * Claim Provenance Endpoint
+ *
+ * Every change the optimizer makes to a claim is recorded in the audit trail
+ * as a JSON Patch operation with the rule and component responsible. This
+ * endpoint lists those changes, replays them onto the original claim, or
+ * reverts individual changes on the optimized claim. Without AUDIT_LOG_FILE
+ * only the instance that routed a claim knows its changes, and only until
+ * they fall out of the audit cache; see lib/audit/logger.js.
+ *
+ * GET  /api/claim-provenance?claimId=... - Recorded changes, oldest first
+ * POST /api/claim-provenance
+ * {
+ *   "clinicId": "default",
+ *   "action": "replay" | "revert",
+ *   "claim": { ... },          // original claim (replay) or optimized claim (revert)
+ *   "changeIds": ["..."],      // optional for replay, required for revert
+ *   "user": "jsmith"           // revert
+ * }
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/claim-provenance');
+
+const ACTIONS = ['replay', 'revert'];
+
+async function handler(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return getProvenance(req, res);
+    case 'POST':
+      return applyProvenance(req, res);
+    default:
+      return res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Supported methods: GET, POST'
+      });
+  }
+}
+
+/**
+ * List the recorded changes to a claim
+ */
+async function getProvenance(req, res) {
+  try {
+    const { clinicId, claimId } = req.query;
+
+    if (!claimId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['claimId']
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+
+    return res.status(200).json({
+      success: true,
+      data: router.getClaimProvenance(claimId)
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    logger.error('Error retrieving claim provenance', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Replay or revert recorded changes
+ */
+async function applyProvenance(req, res) {
+  try {
+    const { clinicId, action, claim, changeIds, user } = req.body || {};
+
+    if (!ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Invalid action',
+        message: `Action must be one of ${ACTIONS.join(', ')}`
+      });
+    }
+
+    const required = action === 'revert' ? ['claim', 'changeIds', 'user'] : ['claim'];
+    if (required.some(field => !req.body[field]) || (claim && !claim.id)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: [...required, 'claim.id']
+      });
+    }
+
+    if (changeIds !== undefined && (!Array.isArray(changeIds) || changeIds.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: 'changeIds must be an array of change IDs'
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+    const data = action === 'replay'
+      ? router.replayChanges(claim, { changeIds })
+      : router.revertChanges(claim, changeIds, user);
+
+    return res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    if (error.name === 'ProvenanceError') {
+      return res.status(409).json({
+        error: 'Cannot apply changes',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    logger.error('Error applying claim provenance', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
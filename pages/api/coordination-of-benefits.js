@@ -0,0 +1,107 @@
+/**
+ * Coordination of Benefits Endpoint
+ *
+ * For patients with more than one plan: orders the claim's coverages into
+ * primary, secondary and later payers, and once a payer's EOB is back,
+ * builds the claim for the next payer for the remaining balance.
+ *
+ * POST /api/coordination-of-benefits
+ * {
+ *   "clinicId": "default",
+ *   "action": "order" | "secondary",
+ *   "claim": { ..., "coverages": [ ... ] },
+ *   "eob": { ... },            // secondary: decoded CDAnet EOB, 835 claim payment,
+ *                              // or { "procedures": [{ "line", "paidAmount" }] }
+ *   "route": true              // secondary: also route the next payer's claim
+ * }
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/coordination-of-benefits');
+
+const ACTIONS = ['order', 'secondary'];
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Supported methods: POST'
+    });
+  }
+
+  try {
+    const { clinicId, action, claim, eob, route } = req.body || {};
+
+    if (!ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Invalid action',
+        message: `Action must be one of ${ACTIONS.join(', ')}`
+      });
+    }
+
+    const required = action === 'secondary' ? ['claim', 'claim.coverages', 'eob'] : ['claim', 'claim.coverages'];
+    if (!claim || !Array.isArray(claim.coverages) || claim.coverages.length === 0 ||
+        (action === 'secondary' && !eob)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+
+    if (action === 'order') {
+      return res.status(200).json({
+        success: true,
+        data: router.coordinateBenefits(claim)
+      });
+    }
+
+    const secondary = router.createSecondaryClaim(claim, eob);
+    if (route) {
+      secondary.routing = await router.routeClaim(secondary.claim);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: secondary
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    if (error.name === 'CoordinationError') {
+      return res.status(409).json({
+        error: 'Cannot coordinate benefits',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    if (error.name === 'DuplicateClaimError') {
+      return res.status(409).json({
+        error: 'Duplicate claim',
+        message: error.message,
+        duplicate: error.duplicate
+      });
+    }
+    if (error.name === 'ClaimValidationError') {
+      return res.status(422).json({
+        error: 'Invalid claim',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    logger.error('Error coordinating benefits', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
@@ -0,0 +1,67 @@
+/**
+ * Eligibility Verification Endpoint
+ *
+ * Checks a patient's coverage with the payer through the configured
+ * eligibility provider. Answers are cached for a while; pass force to ask
+ * the payer again, e.g. after the patient updates their plan details.
+ *
+ * POST /api/eligibility
+ * {
+ *   "clinicId": "default",
+ *   "claim": { "payerId": "...", "subscriber": { "id": "..." }, "coverage": { ... }, "patient": { ... } },
+ *   "force": false
+ * }
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/eligibility');
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Supported methods: POST'
+    });
+  }
+
+  try {
+    const { clinicId, claim, force } = req.body || {};
+
+    if (!claim || !claim.payerId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['claim', 'claim.payerId']
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+
+    return res.status(200).json({
+      success: true,
+      data: await router.verifyEligibility(claim, { force: Boolean(force) })
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    if (error.name === 'EligibilityError') {
+      return res.status(503).json({
+        error: 'Eligibility verification unavailable',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    logger.error('Error verifying eligibility', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
@@ -0,0 +1,81 @@
+/**
+ * Fee Guides Endpoint
+ *
+ * Looks up procedure fees in the imported provincial fee guides. The guide
+ * used is the one in effect for the province on the given date; codes
+ * missing from the specialist schedule fall back to the GP schedule.
+ *
+ * GET /api/fee-guides                                          - List imported guides
+ * GET /api/fee-guides?code=D2740&province=ON                   - Today's GP fee for a code
+ * GET /api/fee-guides?code=D2740&province=ON&date=2025-06-01&schedule=specialist
+ */
+
+import { loadFeeGuides, SCHEDULES } from '../../lib/billing/feeGuides';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+
+const logger = getLogger('api/fee-guides');
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Supported methods: GET'
+    });
+  }
+
+  try {
+    const { code, province, date, schedule } = req.query;
+    const registry = loadFeeGuides();
+
+    if (!code && !province) {
+      const guides = registry.list();
+      return res.status(200).json({
+        success: true,
+        data: guides,
+        total: guides.length
+      });
+    }
+
+    if (!code || !province) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['code', 'province']
+      });
+    }
+
+    if (schedule && !SCHEDULES.includes(schedule)) {
+      return res.status(400).json({
+        error: 'Invalid schedule',
+        message: `Schedule must be one of ${SCHEDULES.join(', ')}`
+      });
+    }
+
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'Date must be a valid date, e.g. 2026-01-15'
+      });
+    }
+
+    const fee = registry.lookup(code, { province, date: date || new Date(), schedule });
+    if (!fee) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No ${province.toUpperCase()} fee guide lists ${code} on ${date || 'today'}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: fee
+    });
+  } catch (error) {
+    logger.error('Error looking up fee guide', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
@@ -0,0 +1,50 @@
+/**
+ * Metrics Endpoint
+ * 
+ * Exposes billing router counters, routing time histograms and AI call
+ * metrics in OpenMetrics text format for Prometheus to scrape.
+ * 
+ * GET /api/metrics              - All clinics with a router in this instance
+ * GET /api/metrics?clinicId=abc - A single clinic
+ */
+
+import { getBillingRouter, listBillingRouters } from '../../lib/billingRouter';
+import { getAiMetrics } from '../../lib/ai/aiMetrics';
+import { renderOpenMetrics, OPENMETRICS_CONTENT_TYPE } from '../../lib/metrics/openMetrics';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/metrics');
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Always report the default clinic, even before it has routed anything
+    const routers = req.query.clinicId
+      ? [getBillingRouter({ clinicId: req.query.clinicId })]
+      : [getBillingRouter(), ...listBillingRouters()].filter((router, i, all) => all.indexOf(router) === i);
+
+    const clinics = await Promise.all(routers.map(async router => ({
+      clinicId: router.options.clinicId,
+      metrics: await router.getMetrics()
+    })));
+
+    res.setHeader('Content-Type', OPENMETRICS_CONTENT_TYPE);
+    return res.status(200).send(renderOpenMetrics(clinics, getAiMetrics()));
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    logger.error('Error rendering metrics', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
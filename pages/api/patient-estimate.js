@@ -0,0 +1,79 @@
+/**
+ * Patient Portion Estimate Endpoint
+ *
+ * Estimates, per procedure, what the insurer pays and what the patient owes
+ * under the patient's plan: coverage by category, deductible, and annual and
+ * lifetime maximums less what previous claims have used.
+ *
+ * POST /api/patient-estimate
+ * {
+ *   "clinicId": "default",
+ *   "claim": { ..., "previousClaims": [ ... ] },
+ *   "plan": {                  // optional when the claim carries claim.plan
+ *     "coverage": { "preventive": 100, "basic": 80, "major": 50, "ortho": 50 },
+ *     "deductible": { "amount": 50 },
+ *     "annualMaximum": 1500,
+ *     "lifetimeMaximums": { "ortho": 2000 }
+ *   }
+ * }
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/patient-estimate');
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Supported methods: POST'
+    });
+  }
+
+  try {
+    const { clinicId, claim, plan } = req.body || {};
+
+    if (!claim || !(plan || claim.plan)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['claim', 'plan']
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+
+    return res.status(200).json({
+      success: true,
+      data: router.getPatientEstimate(claim, plan || claim.plan)
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    if (error.name === 'ClaimValidationError') {
+      return res.status(422).json({
+        error: 'Invalid claim',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    if (error.name === 'BenefitsError') {
+      return res.status(422).json({
+        error: 'Invalid benefit plan',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    logger.error('Error estimating patient portion', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
@@ -0,0 +1,104 @@
+/**
+ * Payer Profiles Endpoint
+ * 
+ * Lists the payer profiles used by the billing router and validates
+ * candidate profiles before they are added to the registry.
+ * 
+ * GET  /api/payer-profiles            - List all profiles
+ * GET  /api/payer-profiles?id=nihb    - Get a single profile by payer ID or alias
+ * GET  /api/payer-profiles?country=CA - List profiles for a country
+ * POST /api/payer-profiles            - Validate a profile or a full profiles file
+ */
+
+import {
+  loadPayerRegistry,
+  validatePayerProfile,
+  validatePayerProfiles
+} from '../../lib/billing/payerProfiles';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+
+const logger = getLogger('api/payer-profiles');
+
+async function handler(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return listPayerProfiles(req, res);
+    case 'POST':
+      return validateProfiles(req, res);
+    default:
+      return res.status(405).json({ 
+        error: 'Method not allowed',
+        message: 'Supported methods: GET, POST'
+      });
+  }
+}
+
+/**
+ * List payer profiles
+ */
+async function listPayerProfiles(req, res) {
+  try {
+    const { id, country } = req.query;
+    const registry = loadPayerRegistry();
+    
+    if (id) {
+      if (!registry.has(id)) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `No payer profile for "${id}"`
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: registry.get(id)
+      });
+    }
+    
+    const profiles = registry.list({ country });
+    
+    return res.status(200).json({
+      success: true,
+      data: profiles,
+      total: profiles.length
+    });
+  } catch (error) {
+    logger.error('Error listing payer profiles', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Validate a single profile, or a full profiles file when `profiles` is present
+ */
+async function validateProfiles(req, res) {
+  try {
+    if (!req.body || typeof req.body !== 'object') {
+      return res.status(400).json({
+        error: 'Missing request body',
+        message: 'Send a payer profile, or an object with a profiles array'
+      });
+    }
+    
+    const errors = Array.isArray(req.body.profiles)
+      ? validatePayerProfiles(req.body)
+      : validatePayerProfile(req.body);
+    
+    return res.status(200).json({
+      success: true,
+      valid: errors.length === 0,
+      errors
+    });
+  } catch (error) {
+    logger.error('Error validating payer profiles', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
@@ -0,0 +1,112 @@
+/**
+ * Claim Routing Endpoint
+ *
+ * Routes a single claim. Claims that fail schema validation are answered
+ * with 422 and the field-level errors, so the PMS can highlight the fields
+ * to fix before resubmitting. Duplicates of claims already routed are
+ * answered with 409 and a pointer to the original claim; set allowDuplicate
+ * to route an intended resubmission.
+ *
+ * Send an Idempotency-Key header to make retries safe: a retry with the same
+ * key gets the first response back (with Idempotent-Replayed: true). Keys are
+ * remembered by the instance that answered, for up to a day. A retry that
+ * reaches another instance is only caught as a duplicate if that instance
+ * has seen the claim's fingerprint: with the default in-memory duplicate
+ * store it has not, and the claim is routed again. Catching those retries
+ * needs a duplicate store every instance shares; the file-backed store
+ * (DUPLICATE_STORE=file) survives restarts but is read once per process,
+ * so it cannot be shared between instances.
+ *
+ * POST /api/route-claim
+ * {
+ *   "clinicId": "default",
+ *   "explainAsText": false,
+ *   "allowDuplicate": false,
+ *   "claim": { ... }
+ * }
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/route-claim');
+
+// Longest idempotency key accepted
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { claim, clinicId, explainAsText, allowDuplicate } = req.body || {};
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    if (!claim) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['claim']
+      });
+    }
+
+    if (idempotencyKey !== undefined && (!idempotencyKey || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+    const options = { explainAsText: Boolean(explainAsText), allowDuplicate: Boolean(allowDuplicate) };
+    const { response: result, replayed } = await router.withIdempotencyKey(
+      idempotencyKey,
+      { claim, ...options },
+      () => router.routeClaim(claim, options)
+    );
+
+    if (replayed) {
+      res.setHeader('Idempotent-Replayed', 'true');
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    if (error.name === 'ClaimValidationError') {
+      return res.status(422).json({
+        error: 'Invalid claim',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    if (error.name === 'DuplicateClaimError') {
+      return res.status(409).json({
+        error: 'Duplicate claim',
+        message: error.message,
+        duplicate: error.duplicate
+      });
+    }
+    if (error.name === 'IdempotencyError') {
+      return res.status(error.code === 'IN_PROGRESS' ? 409 : 422).json({
+        error: 'Idempotency key conflict',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    logger.error('Error routing claim', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
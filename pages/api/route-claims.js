@@ -0,0 +1,138 @@
+/**
+ * Batch Claim Routing Endpoint
+ * 
+ * Routes an end-of-day batch of claims from the practice management system.
+ * Each claim is routed independently, so a bad claim is reported as a
+ * failure without stopping the rest of the batch. Claims that fail schema
+ * validation carry field-level `validationErrors`; when every claim in the
+ * batch is invalid the endpoint answers 422. Duplicates of claims already
+ * routed are not routed again; their entries have status "duplicate" and
+ * point to the original claim in `duplicateOf`.
+ * 
+ * Send an Idempotency-Key header to make retries safe: a retry with the same
+ * key gets the first response back (with Idempotent-Replayed: true). Keys are
+ * remembered by the instance that answered, for up to a day. A retry that
+ * reaches another instance is only caught as a duplicate if that instance
+ * has seen the claim's fingerprint: with the default in-memory duplicate
+ * store it has not, and the claim is routed again. Catching those retries
+ * needs a duplicate store every instance shares; the file-backed store
+ * (DUPLICATE_STORE=file) survives restarts but is read once per process,
+ * so it cannot be shared between instances.
+ * 
+ * POST /api/route-claims
+ * {
+ *   "clinicId": "default",
+ *   "concurrency": 5,
+ *   "explainAsText": false,
+ *   "allowDuplicate": false,
+ *   "claims": [ ... ]
+ * }
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/route-claims');
+
+// Longest idempotency key accepted
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Largest batch accepted in a single request
+const MAX_BATCH_SIZE = 1000;
+
+// Upper bound on claims routed at once
+const MAX_CONCURRENCY = 20;
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '10mb'
+    }
+  }
+};
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { claims, clinicId, concurrency, explainAsText, allowDuplicate } = req.body || {};
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    // Validate required fields
+    if (!Array.isArray(claims) || claims.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['claims']
+      });
+    }
+
+    if (claims.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: 'Batch too large',
+        message: `A batch may contain at most ${MAX_BATCH_SIZE} claims`
+      });
+    }
+
+    if (idempotencyKey !== undefined && (!idempotencyKey || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+    const options = {
+      concurrency: Math.min(Math.max(parseInt(concurrency, 10) || 5, 1), MAX_CONCURRENCY),
+      explainAsText: Boolean(explainAsText),
+      allowDuplicate: Boolean(allowDuplicate)
+    };
+    const { response: batch, replayed } = await router.withIdempotencyKey(
+      idempotencyKey,
+      { claims, ...options },
+      () => router.routeClaims(claims, options)
+    );
+
+    if (replayed) {
+      res.setHeader('Idempotent-Replayed', 'true');
+    }
+
+    const invalid = batch.results.filter(result => result.validationErrors).length;
+    if (invalid === batch.results.length) {
+      return res.status(422).json({
+        error: 'Invalid claims',
+        message: 'No claim in the batch passed validation',
+        summary: batch.summary,
+        results: batch.results
+      });
+    }
+
+    return res.status(200).json({
+      success: batch.summary.failed === 0,
+      summary: batch.summary,
+      results: batch.results
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    if (error.name === 'IdempotencyError') {
+      return res.status(error.code === 'IN_PROGRESS' ? 409 : 422).json({
+        error: 'Idempotency key conflict',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    logger.error('Error routing claim batch', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
@@ -0,0 +1,60 @@
+/**
+ * Routing Metrics Endpoint
+ * 
+ * Returns BillingRouter metrics for a date range, optionally broken down
+ * into hourly or daily buckets.
+ * 
+ * GET /api/routing-metrics?clinicId=default&from=2025-04-01&to=2025-04-30&granularity=day
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { GRANULARITIES } from '../../lib/billing/metricsStore';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/routing-metrics');
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { clinicId, from, to, granularity } = req.query;
+
+    if (granularity && !GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: `granularity must be one of ${GRANULARITIES.join(', ')}`
+      });
+    }
+
+    const invalidDate = [from, to].find(value => value && isNaN(new Date(value).getTime()));
+    if (invalidDate) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: `"${invalidDate}" is not a valid date`
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+    const metrics = await router.getMetrics({ from, to, granularity });
+
+    return res.status(200).json({
+      success: true,
+      data: metrics
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    logger.error('Error retrieving routing metrics', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
@@ -0,0 +1,123 @@
+/**
+ * Shadow Routing Endpoint
+ *
+ * Tries candidate routing configurations on live claims without changing how
+ * they are routed, and reports how the candidates would have routed them
+ * compared with the live rules.
+ *
+ * GET /api/shadow-routing?clinicId=default&from=2025-04-01&to=2025-04-30 - Shadow report
+ * PUT /api/shadow-routing                                                - Set the candidates
+ * {
+ *   "clinicId": "default",
+ *   "configs": [{ "name": "lower-value-threshold", "rules": { ...routing rules... } }]
+ * }
+ * Send an empty configs array to stop shadow routing. The candidates are
+ * saved next to the clinic's routing rules (`<clinicId>.shadow.json`), so
+ * they survive restarts; other running instances pick them up when their
+ * routing rules are reloaded.
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/shadow-routing');
+
+async function handler(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return getReport(req, res);
+    case 'PUT':
+      return setConfigs(req, res);
+    default:
+      return res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Supported methods: GET, PUT'
+      });
+  }
+}
+
+/**
+ * Compare the live routing with the candidates
+ */
+async function getReport(req, res) {
+  try {
+    const { clinicId, from, to } = req.query;
+
+    const invalidDate = [from, to].find(value => value && isNaN(new Date(value).getTime()));
+    if (invalidDate) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: `"${invalidDate}" is not a valid date`
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+
+    return res.status(200).json({
+      success: true,
+      data: await router.getShadowReport({ from, to })
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    logger.error('Error building shadow routing report', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Replace the candidate routing configs
+ */
+async function setConfigs(req, res) {
+  try {
+    const { clinicId, configs } = req.body || {};
+
+    if (!Array.isArray(configs)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['configs']
+      });
+    }
+
+    // Rules files are server configuration; over the API candidates are inline
+    if (configs.some(config => config && config.file !== undefined)) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: 'Candidates must give their rules inline'
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+
+    return res.status(200).json({
+      success: true,
+      data: { shadowConfigs: await router.setShadowConfigs(configs) }
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    if (error.name === 'RoutingRulesError') {
+      return res.status(422).json({
+        error: 'Invalid routing rules',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    logger.error('Error setting shadow routing configs', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
@@ -5,10 +5,14 @@
  * SOAP (Subjective, Objective, Assessment, Plan) clinical notes.
  */
 
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+
+const logger = getLogger('api/soap-notes');
+
 /**
  * SOAP Notes API Handler
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Route based on HTTP method
   switch (req.method) {
     case 'GET':
@@ -99,7 +103,7 @@ async function getSoapNotes(req, res) {
       }
     });
   } catch (error) {
-    console.error('Error retrieving SOAP notes:', error);
+    logger.error('Error retrieving SOAP notes', { error });
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -146,12 +150,13 @@ async function createSoapNote(req, res) {
       updatedAt: new Date().toISOString()
     };
     
-    // In a real implementation, this would save to a database
-    console.log('Creating new SOAP note:', newNote);
+    // In a real implementation, this would save to a database.
+    // Note contents are PHI, so only the note ID is logged
+    logger.info('Creating SOAP note', { noteId });
     
     // Enhance note with AI (async, non-blocking)
     enhanceNoteWithAI(noteId).catch(err => {
-      console.error('Error enhancing note with AI:', err);
+      logger.error('Error enhancing note with AI', { noteId, error: err });
     });
     
     return res.status(201).json({
@@ -160,7 +165,7 @@ async function createSoapNote(req, res) {
       message: 'SOAP note created successfully. AI enhancements will be added shortly.'
     });
   } catch (error) {
-    console.error('Error creating SOAP note:', error);
+    logger.error('Error creating SOAP note', { error });
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -201,12 +206,12 @@ async function updateSoapNote(req, res) {
       updatedAt: new Date().toISOString()
     };
     
-    console.log('Updating SOAP note:', updatedNote);
+    logger.info('Updating SOAP note', { noteId: id });
     
     // Re-enhance note with AI if content changed (async, non-blocking)
     if (subjective || objective || assessment || plan) {
       enhanceNoteWithAI(id).catch(err => {
-        console.error('Error re-enhancing note with AI:', err);
+        logger.error('Error re-enhancing note with AI', { noteId: id, error: err });
       });
     }
     
@@ -216,7 +221,7 @@ async function updateSoapNote(req, res) {
       message: 'SOAP note updated successfully. AI enhancements will be refreshed shortly.'
     });
   } catch (error) {
-    console.error('Error updating SOAP note:', error);
+    logger.error('Error updating SOAP note', { error });
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -229,7 +234,7 @@ async function updateSoapNote(req, res) {
  * @param {string} noteId - The ID of the note to enhance
  */
 async function enhanceNoteWithAI(noteId) {
-  console.log(`Enhancing note ${noteId} with AI...`);
+  logger.info('Enhancing note with AI', { noteId });
   
   // In a real implementation, this would:
   // 1. Fetch the full note data from the database
@@ -252,7 +257,12 @@ async function enhanceNoteWithAI(noteId) {
   };
   
   // In a real implementation, this would update the note in the database
-  console.log(`AI enhancements generated for note ${noteId}:`, aiEnhancements);
+  logger.info('AI enhancements generated', { 
+    noteId, 
+    clinicalSuggestions: clinicalSuggestions.length, 
+    billingSuggestions: billingSuggestions.length, 
+    followUpSuggestions: followUpSuggestions.length 
+  });
   
   return aiEnhancements;
 }
@@ -300,4 +310,6 @@ function generateFollowUpSuggestions(note) {
     'Consider referral to specialist if symptoms persist',
     'Document treatment outcomes at next appointment'
   ];
-}
\ No newline at end of file
+}
+
+export default withRequestLogging(handler);
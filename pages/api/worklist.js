@@ -0,0 +1,140 @@
+/**
+ * Reviewer Worklist Endpoint
+ *
+ * Work queues for the route processors. Routed claims land in their
+ * processor's queue; reviewers claim them, hold or release them, and mark
+ * them submitted. Listing the worklist escalates items that have sat too
+ * long, so stale items rise to the top.
+ *
+ * GET  /api/worklist?clinicId=default&processor=&state=&assignee= - Worklist and queue counts
+ * POST /api/worklist
+ * {
+ *   "clinicId": "default",
+ *   "action": "claim" | "claimNext" | "release" | "hold" | "resume" | "submit",
+ *   "itemId": "...",          // all actions but claimNext
+ *   "processor": "...",       // claimNext
+ *   "reviewer": "jsmith",
+ *   "reason": "..."           // hold
+ * }
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/worklist');
+
+const ACTIONS = ['claim', 'claimNext', 'release', 'hold', 'resume', 'submit'];
+
+// HTTP status for each WorkQueueError code
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_TRANSITION: 409,
+  NOT_ASSIGNEE: 403
+};
+
+async function handler(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return getWorklist(req, res);
+    case 'POST':
+      return updateWorkItem(req, res);
+    default:
+      return res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Supported methods: GET, POST'
+      });
+  }
+}
+
+/**
+ * List work items
+ */
+async function getWorklist(req, res) {
+  try {
+    const { clinicId, processor, state, assignee, claimId } = req.query;
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+
+    return res.status(200).json({
+      success: true,
+      data: await router.getWorklist({
+        processor,
+        state: state ? state.split(',') : undefined,
+        assignee,
+        claimId
+      })
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    logger.error('Error retrieving worklist', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Apply a reviewer action to a work item
+ */
+async function updateWorkItem(req, res) {
+  try {
+    const { clinicId, action, itemId, processor, reviewer, reason } = req.body || {};
+
+    if (!ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Invalid action',
+        message: `Action must be one of ${ACTIONS.join(', ')}`
+      });
+    }
+
+    const required = action === 'claimNext' ? ['processor', 'reviewer'] : ['itemId', 'reviewer'];
+    if (required.some(field => !req.body[field])) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required
+      });
+    }
+
+    const queue = getBillingRouter({ clinicId: clinicId || 'default' }).workQueue;
+    let item;
+    switch (action) {
+      case 'claimNext':
+        item = await queue.claimNext(processor, reviewer);
+        break;
+      case 'hold':
+        item = await queue.hold(itemId, reviewer, reason);
+        break;
+      default:
+        item = await queue[action](itemId, reviewer);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    if (error.name === 'WorkQueueError') {
+      return res.status(ERROR_STATUS[error.code] || 409).json({
+        error: error.code,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    logger.error('Error updating work item', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
@@ -0,0 +1,69 @@
+/**
+ * X12 835 Remittance Import Endpoint
+ *
+ * Parses an ANSI X12 835 remittance file into per-claim payment and
+ * denial records, with adjustment (CARC) and remark (RARC) codes in plain
+ * language, and records each claim's outcome in the router's metrics.
+ *
+ * POST /api/x12-835?clinicId=default
+ *   Content-Type: text/plain         - body is the 835 file
+ *   Content-Type: application/json   - { "clinicId": "default", "file": "ISA*..." }
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/x12-835');
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Supported methods: POST'
+    });
+  }
+
+  try {
+    const raw = typeof req.body === 'string';
+    const file = raw ? req.body : (req.body || {}).file;
+    const clinicId = (raw ? req.query.clinicId : (req.body || {}).clinicId) || 'default';
+
+    if (!file) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['file']
+      });
+    }
+
+    const router = getBillingRouter({ clinicId });
+    const { remittance, recorded, failed } = await router.importRemittance(file);
+
+    return res.status(200).json({
+      success: failed.length === 0,
+      data: remittance,
+      recorded,
+      failed
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    if (error.name === 'X12Error') {
+      return res.status(422).json({
+        error: 'Invalid 835 file',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    logger.error('Error importing 835 remittance', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
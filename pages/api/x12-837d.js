@@ -0,0 +1,95 @@
+/**
+ * X12 837D Export Endpoint
+ *
+ * Routes a batch of claims and returns them as an ANSI X12 837D dental
+ * claim file for clinics submitting to US payers. Claims that fail routing
+ * are left out of the file and listed in the response.
+ *
+ * Exporting does not record the routing (no metrics, duplicate fingerprints
+ * or work items), so claims already routed can be exported, and exported
+ * again, without counting twice.
+ *
+ * POST /api/x12-837d
+ * {
+ *   "clinicId": "default",
+ *   "submitter": { "id": "...", "name": "...", "contactName": "...", "phone": "..." },
+ *   "receiver": { "id": "...", "name": "..." },
+ *   "billingProvider": { "npi": "...", "taxId": "...", "name": "...", "address": { ... } },
+ *   "test": false,
+ *   "claims": [ ... ]
+ * }
+ */
+
+import { getBillingRouter } from '../../lib/billingRouter';
+import { getLogger, withRequestLogging } from '../../lib/logging/logger';
+import { sendClinicIdError } from '../../lib/billing/routingRules';
+
+const logger = getLogger('api/x12-837d');
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Supported methods: POST'
+    });
+  }
+
+  try {
+    const { clinicId, claims, submitter, receiver, billingProvider, test } = req.body || {};
+
+    if (!Array.isArray(claims) || claims.length === 0 || !submitter || !receiver) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['claims', 'submitter', 'receiver']
+      });
+    }
+
+    const router = getBillingRouter({ clinicId: clinicId || 'default' });
+    const { results } = await router.routeClaims(claims, { record: false });
+    const routed = results.filter(entry => entry.status === 'routed');
+    const failed = results.filter(entry => entry.status === 'failed');
+
+    if (routed.length === 0) {
+      return res.status(422).json({
+        error: 'No claims could be routed',
+        failed
+      });
+    }
+
+    const file = router.exportX12(routed.map(entry => entry.result), {
+      submitter,
+      receiver,
+      billingProvider,
+      test: Boolean(test)
+    });
+
+    return res.status(200).json({
+      success: failed.length === 0,
+      data: {
+        file,
+        claims: routed.map(entry => entry.result.originalClaim.id)
+      },
+      failed
+    });
+  } catch (error) {
+    if (error.name === 'ClinicIdError') {
+      return sendClinicIdError(res, error);
+    }
+
+    if (error.name === 'X12Error') {
+      return res.status(422).json({
+        error: 'Invalid 837D data',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    logger.error('Error building 837D file', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withRequestLogging(handler);
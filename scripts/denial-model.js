@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * ReVu Systems - Denial Model CLI
+ *
+ * Trains and evaluates the denial risk model from historical claims and
+ * their adjudication outcomes.
+ *
+ *   node scripts/denial-model.js train --claims claims.json --outcomes outcomes.json
+ *     [--clinic default] [--model path] [--epochs 500] [--learning-rate 0.1]
+ *     [--l2 0.001] [--holdout 0.2] [--min-code-count 5]
+ *
+ *   node scripts/denial-model.js evaluate --claims claims.json --outcomes outcomes.json
+ *     [--clinic default] [--model path]
+ *
+ * claims.json is an array of claims in the routing API format. outcomes.json
+ * is an array of outcomes as reported to /api/claim-outcomes ({ claimId,
+ * status, ... }); the latest outcome per claim wins and pended claims are
+ * skipped. Denied claims are the positive class. A claim counts as submitted
+ * on its submissionDate, else its outcome's submittedAt, else its date of
+ * service.
+ *
+ * Training holds out a fixed fraction of claims (chosen by claim ID) and
+ * reports AUC on them. The new model gets the next version number and the
+ * model it replaces is kept as denial-model.v<version>.json.
+ */
+
+const fs = require('fs');
+const { BillingRouter } = require('../lib/billingRouter');
+const { validateClaim } = require('../lib/billing/claimSchema');
+const {
+  DEFAULT_TRAINING,
+  defaultModelFile,
+  extractFeatures,
+  isHoldout,
+  trainDenialModel,
+  evaluateModel,
+  loadDenialModel,
+  saveDenialModel
+} = require('../lib/billing/denialModel');
+
+const USAGE = 'Usage: node scripts/denial-model.js <train|evaluate> --claims <file> --outcomes <file> ' +
+  '[--clinic <id>] [--model <file>] [--epochs <n>] [--learning-rate <n>] [--l2 <n>] ' +
+  '[--holdout <fraction>] [--min-code-count <n>]';
+
+/**
+ * Parse --name value pairs
+ * @private
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = { command };
+  for (let i = 0; i < rest.length; i += 2) {
+    if (!rest[i].startsWith('--') || rest[i + 1] === undefined) {
+      throw new Error(`Unexpected argument "${rest[i]}"\n${USAGE}`);
+    }
+    args[rest[i].slice(2)] = rest[i + 1];
+  }
+  return args;
+}
+
+/**
+ * Read a JSON array from a file
+ * @private
+ */
+function readArray(file, label) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(data)) {
+    throw new Error(`${label} file ${file} must contain a JSON array`);
+  }
+  return data;
+}
+
+/**
+ * Join claims to their outcomes and extract features
+ * @private
+ */
+async function buildSamples(args) {
+  const claims = readArray(args.claims, 'Claims');
+  const outcomes = new Map();
+  readArray(args.outcomes, 'Outcomes').forEach(outcome => {
+    outcomes.set(String(outcome.claimId), outcome);
+  });
+
+  const router = new BillingRouter({
+    clinicId: args.clinic || 'default',
+    useAdvancedAI: false,
+    trackMetrics: false,
+    enqueueRoutedClaims: false,
+    denialModel: null
+  });
+
+  const samples = [];
+  const skipped = { invalid: 0, noOutcome: 0, pended: 0 };
+  for (const claim of claims) {
+    const outcome = outcomes.get(String(claim.id));
+    const status = outcome && outcome.status;
+    if (validateClaim(claim).length > 0 || claim.id === undefined) {
+      skipped.invalid++;
+    } else if (!status) {
+      skipped.noOutcome++;
+    } else if (status === 'pended') {
+      skipped.pended++;
+    } else {
+      const characteristics = await router.analyzeClaimCharacteristics(claim);
+      samples.push({
+        claimId: claim.id,
+        features: extractFeatures(claim, characteristics, {
+          submittedAt: claim.submissionDate || outcome.submittedAt || claim.serviceDate
+        }),
+        label: status === 'denied' ? 1 : 0
+      });
+    }
+  }
+
+  return { samples, skipped };
+}
+
+/**
+ * Print a metrics row
+ * @private
+ */
+function printMetrics(label, metrics) {
+  const format = value => (value === null ? 'n/a' : value);
+  console.log(`${label.padEnd(10)} claims=${metrics.size} denialRate=${format(metrics.denialRate)} ` +
+    `AUC=${format(metrics.auc)} logLoss=${format(metrics.logLoss)} accuracy=${format(metrics.accuracy)}`);
+}
+
+async function train(args) {
+  const file = args.model || defaultModelFile();
+  const { samples, skipped } = await buildSamples(args);
+  console.log(`Loaded ${samples.length} labelled claims (skipped ${skipped.invalid} invalid, ` +
+    `${skipped.noOutcome} without outcome, ${skipped.pended} pended)`);
+
+  const previous = loadDenialModel(file);
+  const model = trainDenialModel(samples, {
+    version: previous ? previous.version + 1 : 1,
+    epochs: Number(args.epochs || DEFAULT_TRAINING.epochs),
+    learningRate: Number(args['learning-rate'] || DEFAULT_TRAINING.learningRate),
+    l2: Number(args.l2 || DEFAULT_TRAINING.l2),
+    holdoutFraction: Number(args.holdout || DEFAULT_TRAINING.holdoutFraction),
+    minCodeCount: Number(args['min-code-count'] || DEFAULT_TRAINING.minCodeCount)
+  });
+
+  printMetrics('training', model.metrics.training);
+  printMetrics('holdout', model.metrics.holdout);
+  if (previous && previous.metrics) {
+    printMetrics(`v${previous.version} hold`, previous.metrics.holdout);
+  }
+
+  saveDenialModel(model, file);
+  console.log(`Saved denial model v${model.version} (${model.featureNames.length} features) to ${file}`);
+}
+
+async function evaluate(args) {
+  const file = args.model || defaultModelFile();
+  const model = loadDenialModel(file);
+  if (!model) {
+    throw new Error(`No denial model at ${file}; train one first`);
+  }
+
+  const { samples } = await buildSamples(args);
+  const fraction = model.training.holdoutFraction;
+  console.log(`Denial model v${model.version}, trained ${model.trainedAt}`);
+  printMetrics('all', evaluateModel(model, samples));
+  printMetrics('holdout', evaluateModel(model, samples.filter(sample => isHoldout(sample.claimId, fraction))));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!['train', 'evaluate'].includes(args.command) || !args.claims || !args.outcomes) {
+    throw new Error(USAGE);
+  }
+  await (args.command === 'train' ? train(args) : evaluate(args));
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
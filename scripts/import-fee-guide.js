@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * ReVu Systems - Fee Guide Import
+ *
+ * Imports a provincial fee guide CSV (see lib/billing/feeGuides.js for the
+ * columns) into lib/config/fee-guides, one JSON file per province and year.
+ * Each schedule in the CSV replaces that schedule in an existing guide for
+ * the same province and year; other schedules are kept.
+ *
+ *   node scripts/import-fee-guide.js <file.csv> [--province ON] [--year 2026]
+ *     [--schedule gp|specialist] [--dir lib/config/fee-guides]
+ *
+ * --province, --year and --schedule fill in columns the CSV leaves out, so a
+ * GP and a specialist schedule published as separate files can be imported
+ * one after the other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { importFeeGuides, mergeFeeGuides, guideFileName } = require('../lib/billing/feeGuides');
+
+const USAGE = 'Usage: node scripts/import-fee-guide.js <file.csv> [--province <code>] [--year <year>] ' +
+  '[--schedule gp|specialist] [--dir <guides dir>]';
+
+function main() {
+  const [file, ...rest] = process.argv.slice(2);
+  if (!file || file.startsWith('--')) {
+    throw new Error(USAGE);
+  }
+
+  const args = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    if (!rest[i].startsWith('--') || rest[i + 1] === undefined) {
+      throw new Error(`Unexpected argument "${rest[i]}"\n${USAGE}`);
+    }
+    args[rest[i].slice(2)] = rest[i + 1];
+  }
+
+  const guides = importFeeGuides(fs.readFileSync(file, 'utf8'), {
+    province: args.province,
+    year: args.year ? Number(args.year) : undefined,
+    schedule: args.schedule,
+    source: path.basename(file)
+  });
+
+  const dir = args.dir || process.env.FEE_GUIDES_DIR || path.join(process.cwd(), 'lib', 'config', 'fee-guides');
+  fs.mkdirSync(dir, { recursive: true });
+
+  guides.forEach(imported => {
+    const target = path.join(dir, guideFileName(imported));
+    const existing = fs.existsSync(target) ? JSON.parse(fs.readFileSync(target, 'utf8')) : null;
+    const guide = mergeFeeGuides(existing, imported);
+    fs.writeFileSync(target, `${JSON.stringify(guide, null, 2)}\n`);
+    console.log(`Imported ${guide.province} ${guide.year} fee guide ` +
+      `(${Object.keys(guide.schedules.gp).length} GP, ${Object.keys(guide.schedules.specialist).length} specialist fees) to ${target}`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  (error.errors || []).slice(10).forEach(message => console.error(`  ${message}`));
+  process.exit(1);
+}
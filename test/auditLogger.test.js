@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+process.env.AUDIT_LOG_FILE = path.join(dir, 'audit.jsonl');
+process.env.AUDIT_CACHE_SIZE = '3';
+
+const { REDACTED } = require('../lib/logging/logger');
+const { logAudit, flushAudit, getLogs, redactEntry } = require('../lib/audit/logger');
+
+// Entries are appended in the background; let them land before removing the file
+test.after(async () => {
+  await flushAudit();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('entries are appended to the file and older ones are still found once the cache is full', async () => {
+  for (let i = 0; i < 5; i++) {
+    logAudit({ module: 'billing-router', action: 'claim.change', details: { claimId: `C${i}` } });
+  }
+  await flushAudit();
+
+  const lines = fs.readFileSync(process.env.AUDIT_LOG_FILE, 'utf8').trim().split('\n');
+  assert.equal(lines.length, 5);
+  assert.deepEqual(getLogs({ claimId: 'C0' }).map(entry => entry.details.claimId), ['C0']);
+  assert.deepEqual(getLogs({}, 2).map(entry => entry.details.claimId), ['C4', 'C3']);
+  assert.equal(getLogs().length, 5);
+});
+
+test('exported entries hide the claim values recorded by provenance', () => {
+  const entry = logAudit({
+    module: 'billing-router',
+    action: 'claim.change',
+    details: { claimId: 'C9', path: '/narrative', value: 'Tooth 36 fractured', previousValue: null, patient: { name: 'Ann Bee' } }
+  });
+
+  const { details } = redactEntry(entry);
+  assert.equal(details.value, REDACTED);
+  assert.equal(details.previousValue, REDACTED);
+  assert.equal(details.patient.name, REDACTED);
+  assert.equal(details.path, '/narrative');
+  assert.equal(entry.details.value, 'Tooth 36 fractured');
+});
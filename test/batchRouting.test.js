@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { runWithConcurrency, summarizeBatch } = require('../lib/billing/batchRouting');
+const { BillingRouter } = require('../lib/billingRouter');
+
+/**
+ * Run items through runWithConcurrency and report the most in flight at once
+ */
+async function peakConcurrency(count, concurrency) {
+  let active = 0;
+  let peak = 0;
+  const results = await runWithConcurrency(Array.from({ length: count }, (_, i) => i), concurrency, async item => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, (count - item) % 3));
+    active--;
+    return item * 2;
+  });
+  return { peak, results };
+}
+
+test('no more than the given number of items run at once, and results keep input order', async () => {
+  const { peak, results } = await peakConcurrency(10, 3);
+  assert.equal(peak, 3);
+  assert.deepEqual(results, [0, 2, 4, 6, 8, 10, 12, 14, 16, 18]);
+});
+
+test('concurrency is clamped to at least one and at most the number of items', async () => {
+  assert.equal((await peakConcurrency(4, 0)).peak, 1);
+  assert.equal((await peakConcurrency(4, -2)).peak, 1);
+  assert.equal((await peakConcurrency(2, 50)).peak, 2);
+  assert.deepEqual(await runWithConcurrency([], 5, async () => 1), []);
+});
+
+test('the summary counts routes, failures and duplicates and lists the slowest claims', () => {
+  const routed = (index, type, fees, durationMs) => ({
+    index,
+    claimId: `C${index}`,
+    status: 'routed',
+    durationMs,
+    result: { route: { type }, originalClaim: { procedures: fees.map(fee => ({ fee })) } }
+  });
+  const summary = summarizeBatch([
+    routed(0, 'STANDARD', [60, 100], 5),
+    routed(1, 'STANDARD', [40], 30),
+    routed(2, 'HIGH_VALUE', [2500], 10),
+    { index: 3, claimId: null, status: 'failed', durationMs: 1, error: 'Claim failed validation', validationErrors: [{ path: 'procedures' }] },
+    { index: 4, claimId: 'C4', status: 'duplicate', durationMs: 2, duplicateOf: { type: 'exact', originalClaimId: 'C0' } }
+  ], { slowestCount: 2 });
+
+  assert.equal(summary.total, 5);
+  assert.equal(summary.routed, 3);
+  assert.equal(summary.failed, 1);
+  assert.equal(summary.duplicates, 1);
+  assert.deepEqual(summary.routes, {
+    STANDARD: { count: 2, totalValue: 200 },
+    HIGH_VALUE: { count: 1, totalValue: 2500 }
+  });
+  assert.equal(summary.totalValue, 2700);
+  assert.deepEqual(summary.failures, [
+    { index: 3, claimId: null, reason: 'Claim failed validation', validationErrors: [{ path: 'procedures' }] }
+  ]);
+  assert.deepEqual(summary.duplicateClaims, [{ index: 4, claimId: 'C4', type: 'exact', originalClaimId: 'C0' }]);
+  assert.deepEqual(summary.slowest.map(entry => entry.claimId), ['C1', 'C2']);
+  assert.equal(summary.totalDurationMs, 48);
+});
+
+test('one bad claim does not stop the rest of the batch', async () => {
+  const router = new BillingRouter({
+    clinicId: 'batch',
+    rulesDir: path.join(__dirname, '..', 'lib', 'config', 'routing'),
+    enqueueRoutedClaims: false,
+    denialModel: null
+  });
+  const claim = (id, procedures) => ({ id, payerId: 'sunlife', serviceDate: '2025-03-04', patient: { id: 'P1' }, procedures });
+
+  const { results, summary } = await router.routeClaims([
+    claim('C1', [{ code: 'D0120', fee: 60 }]),
+    claim('C2', [{ code: 'bad' }]),
+    null,
+    claim('C3', [{ code: 'D0120', fee: 60 }]),
+    claim('C4', [{ code: 'D1110', fee: 120 }])
+  ], { concurrency: 2 });
+
+  assert.deepEqual(results.map(entry => [entry.claimId, entry.status]), [
+    ['C1', 'routed'],
+    ['C2', 'failed'],
+    [null, 'failed'],
+    ['C3', 'duplicate'],
+    ['C4', 'routed']
+  ]);
+  assert.deepEqual(results[1].validationErrors.map(error => error.path), ['procedures[0].code']);
+  assert.equal(results[3].duplicateOf.originalClaimId, 'C1');
+  assert.equal(summary.routed, 2);
+  assert.equal(summary.failed, 2);
+  assert.equal(summary.duplicates, 1);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { categorizeProcedure, estimatePatientPortion } = require('../lib/billing/benefits');
+
+const plan = {
+  coverage: { preventive: 100, basic: 80, major: 50 },
+  deductible: { amount: 50, categories: ['basic', 'major'] },
+  annualMaximum: 1000
+};
+
+const claim = (procedures, overrides = {}) => ({ serviceDate: '2025-06-02', procedures, ...overrides });
+
+test('procedures are categorized by CDT or CDA code, with plan overrides first', () => {
+  assert.equal(categorizeProcedure('D0120'), 'preventive');
+  assert.equal(categorizeProcedure('D2740'), 'major');
+  assert.equal(categorizeProcedure('21211'), 'basic');
+  assert.equal(categorizeProcedure('D2391', { categories: { major: ['D23*'] } }), 'major');
+});
+
+test('the deductible applies once to covered basic and major work, then coverage percentages', () => {
+  const estimate = estimatePatientPortion(claim([
+    { code: 'D0120', fee: 60 },
+    { code: 'D2391', fee: 200 },
+    { code: 'D2740', fee: 1200 }
+  ]), plan);
+
+  assert.deepEqual(estimate.procedures.map(p => [p.category, p.deductible, p.insurerPortion, p.patientPortion]), [
+    ['preventive', 0, 60, 0],
+    ['basic', 50, 120, 80],
+    ['major', 0, 600, 600]
+  ]);
+  assert.equal(estimate.benefitYearStart, '2025-01-01');
+  assert.deepEqual(estimate.remainingAfterClaim, { deductible: 0, annualMaximum: 220, lifetimeMaximums: {} });
+});
+
+test('payments on earlier claims in the benefit year count towards the annual maximum', () => {
+  const estimate = estimatePatientPortion(claim([{ code: 'D2740', fee: 1200 }], {
+    previousClaims: [
+      { serviceDate: '2025-02-01', procedures: [{ code: 'D2750', fee: 1800, paidAmount: 900 }], deductibleApplied: 50 },
+      { serviceDate: '2024-11-01', procedures: [{ code: 'D2750', fee: 1800, paidAmount: 900 }] }
+    ]
+  }), plan);
+
+  assert.deepEqual(estimate.remainingBeforeClaim, { deductible: 0, annualMaximum: 100, lifetimeMaximums: {} });
+  assert.equal(estimate.procedures[0].insurerPortion, 100);
+  assert.equal(estimate.procedures[0].limitedBy, 'annual-maximum');
+  assert.equal(estimate.estimatedUsage, false);
+});
+
+test('procedures over a frequency limit are left to the patient', () => {
+  const estimate = estimatePatientPortion(claim([{ code: 'D0120', fee: 60 }], {
+    previousClaims: [{ serviceDate: '2025-03-01', procedures: [{ code: 'D0120', fee: 60, paidAmount: 60 }] }]
+  }), plan, { frequencyLimits: [{ id: 'EXAMS', codes: ['D0120'], max: 1, periodMonths: 6 }] });
+
+  assert.equal(estimate.procedures[0].insurerPortion, 0);
+  assert.equal(estimate.procedures[0].limitedBy, 'frequency-limit');
+});
+
+test('an invalid plan is rejected with every problem listed', () => {
+  assert.throws(() => estimatePatientPortion(claim([{ code: 'D0120', fee: 60 }]), { coverage: { preventive: 120, cosmetic: 50 } }),
+    error => {
+      assert.equal(error.name, 'BenefitsError');
+      assert.deepEqual(error.errors, [
+        'plan.coverage.preventive: must be a percentage from 0 to 100',
+        'plan.coverage.cosmetic: unknown category; use preventive, basic, major, ortho'
+      ]);
+      return true;
+    });
+});
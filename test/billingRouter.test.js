@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { BillingRouter, getBillingRouter } = require('../lib/billingRouter');
+const { logAudit } = require('../lib/audit/logger');
+
+const RULES_DIR = path.join(__dirname, '..', 'lib', 'config', 'routing');
+
+const options = clinicId => ({
+  clinicId,
+  rulesDir: RULES_DIR,
+  enqueueRoutedClaims: false,
+  denialModel: null
+});
+
+test('getBillingRouter shares routers only for known clinics', () => {
+  const previous = process.env.CLINIC_IDS;
+  process.env.CLINIC_IDS = 'clinic-a, clinic-b';
+  try {
+    assert.equal(getBillingRouter(options('default')), getBillingRouter(options('default')));
+    assert.equal(getBillingRouter(options('clinic-b')), getBillingRouter(options('clinic-b')));
+    assert.notEqual(getBillingRouter(options('unlisted')), getBillingRouter(options('unlisted')));
+    assert.equal(getBillingRouter(options('unlisted')).options.clinicId, 'unlisted');
+  } finally {
+    if (previous === undefined) {
+      delete process.env.CLINIC_IDS;
+    } else {
+      process.env.CLINIC_IDS = previous;
+    }
+  }
+});
+
+test('getBillingRouter rejects clinic IDs that are not safe file names', () => {
+  assert.throws(() => getBillingRouter({ clinicId: '../default' }), { name: 'ClinicIdError' });
+});
+
+test('shadow routing configs are saved next to the clinic\'s rules and loaded by new routers', async () => {
+  const rulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-rules-'));
+  try {
+    fs.copyFileSync(path.join(RULES_DIR, 'default.json'), path.join(rulesDir, 'default.json'));
+    const rules = JSON.parse(fs.readFileSync(path.join(RULES_DIR, 'default.json'), 'utf8'));
+    const router = new BillingRouter({ ...options('clinic-1'), rulesDir });
+
+    assert.deepEqual(await router.setShadowConfigs([{ name: 'candidate', rules }]), ['candidate']);
+    assert.ok(fs.existsSync(path.join(rulesDir, 'clinic-1.shadow.json')));
+    assert.deepEqual(new BillingRouter({ ...options('clinic-1'), rulesDir }).shadowConfigs.map(config => config.name),
+      ['candidate']);
+
+    await assert.rejects(router.setShadowConfigs([{ name: 'live', rules }]), { name: 'RoutingRulesError' });
+    assert.deepEqual(router.shadowConfigs.map(config => config.name), ['candidate']);
+
+    await router.setShadowConfigs([]);
+    assert.deepEqual(new BillingRouter({ ...options('clinic-1'), rulesDir }).shadowConfigs, []);
+  } finally {
+    fs.rmSync(rulesDir, { recursive: true, force: true });
+  }
+});
+
+test('routing with record: false leaves metrics, duplicate fingerprints and the work queue untouched', async () => {
+  const router = new BillingRouter({ ...options('record-off'), enqueueRoutedClaims: true });
+  const claim = {
+    id: 'C1',
+    payerId: 'sunlife',
+    serviceDate: '2025-03-04',
+    patient: { id: 'P1', firstName: 'Ann', lastName: 'Bee' },
+    procedures: [{ code: 'D0120', fee: 60 }]
+  };
+
+  const result = await router.routeClaim(claim, { record: false });
+  assert.ok(result.optimizedClaim);
+  assert.equal((await router.getMetrics()).totalClaims, 0);
+  assert.deepEqual(await router.workQueue.list(), []);
+
+  // The fingerprint was not kept, so routing the claim for real is not a duplicate
+  await router.routeClaim(claim);
+  assert.equal((await router.getMetrics()).totalClaims, 1);
+  assert.equal((await router.workQueue.list()).length, 1);
+  await assert.rejects(router.routeClaim({ ...claim, id: 'C2' }), { name: 'DuplicateClaimError' });
+});
+
+test('claim provenance only lists changes recorded by the same clinic', () => {
+  const change = clinicId => ({
+    module: 'billing-router',
+    action: 'claim.change',
+    details: { id: `${clinicId}-1`, claimId: 'SHARED-1', op: 'add', path: '/narrative', value: 'x', clinicId }
+  });
+  logAudit(change('provenance-a'));
+  logAudit(change('provenance-b'));
+
+  const provenance = new BillingRouter(options('provenance-a')).getClaimProvenance('SHARED-1');
+  assert.deepEqual(provenance.map(entry => entry.id), ['provenance-a-1']);
+  assert.equal(provenance[0].status, 'applied');
+  assert.equal('clinicId' in provenance[0], false);
+});
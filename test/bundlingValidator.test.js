@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateBundling } = require('../lib/billing/bundlingValidator');
+
+const claim = procedures => ({ serviceDate: '2025-03-04', procedures });
+const ruleIds = edits => edits.map(edit => edit.ruleId);
+
+test('the same procedure on the same tooth, surface and date is a duplicate line', () => {
+  const edits = validateBundling(claim([
+    { code: 'D2391', tooth: '30', surface: 'mo' },
+    { code: 'D2391', tooth: '30', surface: 'MO' }
+  ]));
+
+  assert.deepEqual(ruleIds(edits), ['DUPLICATE_LINE']);
+  assert.deepEqual(edits[0].procedureIndexes, [0, 1]);
+});
+
+test('scaling and root planing in different quadrants is not a duplicate', () => {
+  assert.deepEqual(validateBundling(claim([
+    { code: 'D4341', tooth: 'UR' },
+    { code: 'D4341', tooth: 'ul' },
+    { code: 'D4342', tooth: 'LL' }
+  ])), []);
+  assert.deepEqual(ruleIds(validateBundling(claim([
+    { code: 'D4341', tooth: 'UR' },
+    { code: 'D4341', tooth: 'ur' }
+  ]))), ['DUPLICATE_LINE']);
+});
+
+test('repeatable codes billed without a tooth or area are not duplicates', () => {
+  assert.deepEqual(validateBundling(claim([{ code: 'D0230' }, { code: 'D0230' }, { code: 'D4341' }, { code: 'D4341' }])), []);
+  assert.deepEqual(ruleIds(validateBundling(claim([{ code: 'D0120' }, { code: 'D0120' }]))), ['DUPLICATE_LINE']);
+});
+
+test('mutually exclusive procedures on the same day are errors', () => {
+  const edits = validateBundling(claim([{ code: 'D1110' }, { code: 'D4341', tooth: 'UR' }]));
+
+  assert.deepEqual(ruleIds(edits), ['PROPHY_VS_SRP']);
+  assert.equal(edits[0].type, 'MUTUALLY_EXCLUSIVE');
+  assert.deepEqual(validateBundling(claim([{ code: 'D1110' }, { code: 'D4341', tooth: 'UR', date: '2025-03-11' }])), []);
+});
+
+test('a component billed with the procedure that includes it is unbundling', () => {
+  const [edit] = validateBundling(claim([{ code: 'D0272' }, { code: 'D0210' }]));
+
+  assert.equal(edit.ruleId, 'FMX_INCLUDES_INTRAORAL_IMAGES');
+  assert.deepEqual(edit.codes, ['D0272', 'D0210']);
+  assert.equal(edit.recommendation, 'Remove D0272 and bill D0210 only');
+});
+
+test('tooth-day rules only apply to the same tooth', () => {
+  assert.deepEqual(ruleIds(validateBundling(claim([{ code: 'D7140', tooth: '19' }, { code: 'D7210', tooth: '19' }]))),
+    ['SIMPLE_EXTRACTION_IN_SURGICAL']);
+  assert.deepEqual(validateBundling(claim([{ code: 'D7140', tooth: '19' }, { code: 'D7210', tooth: '30' }])), []);
+});
+
+test('same-tooth conflicts are warnings, listed after errors', () => {
+  const edits = validateBundling(claim([
+    { code: 'D2391', tooth: '3', surface: 'O' },
+    { code: 'D2740', tooth: '3' },
+    { code: 'D0120' },
+    { code: 'D0150' }
+  ]));
+
+  assert.deepEqual(edits.map(edit => [edit.ruleId, edit.severity]), [
+    ['EXAM_PERIODIC_VS_COMPREHENSIVE', 'error'],
+    ['CROWN_AND_FILLING_SAME_TOOTH', 'warning']
+  ]);
+});
+
+test('service dates given as Date objects are compared by day', () => {
+  const edits = validateBundling({
+    serviceDate: new Date('2025-03-04T00:00:00Z'),
+    procedures: [
+      { code: 'D2391', tooth: '30', surface: 'MO' },
+      { code: 'D2391', tooth: '30', surface: 'MO', date: '2025-03-04' },
+      { code: 'D2391', tooth: '30', surface: 'MO', date: new Date('2025-03-05T00:00:00Z') }
+    ]
+  });
+
+  assert.deepEqual(ruleIds(edits), ['DUPLICATE_LINE']);
+  assert.deepEqual(edits[0].procedureIndexes, [0, 1]);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BusinessCalendar, getHolidays } = require('../lib/billing/businessCalendar');
+
+// Payer turnaround calendars count whole weekdays that are not holidays
+const payerCalendar = region => new BusinessCalendar({ region, timeZone: 'America/Toronto', hours: null });
+
+test('due dates skip the weekend and keep the time of day across a clock change', () => {
+  const calendar = payerCalendar('ON');
+
+  // Friday 10:00 EST; clocks go forward on Sunday 9 March
+  const due = calendar.addBusinessDays('2025-03-07T15:00:00Z', 1);
+  assert.equal(due.toISOString(), '2025-03-10T14:00:00.000Z');
+  assert.equal(calendar.isBusinessDay('2025-03-08T15:00:00Z'), false);
+  assert.equal(calendar.businessDaysBetween('2025-03-07T15:00:00Z', due), 1);
+});
+
+test('due dates skip the region\'s statutory holidays only', () => {
+  // Family Day (third Monday of February) is an Ontario holiday, not a Quebec one
+  assert.equal(payerCalendar('ON').addBusinessDays('2025-02-14T15:00:00Z', 1).toISOString(), '2025-02-18T15:00:00.000Z');
+  assert.equal(payerCalendar('QC').addBusinessDays('2025-02-14T15:00:00Z', 1).toISOString(), '2025-02-17T15:00:00.000Z');
+});
+
+test('due dates carry across the year boundary and its holidays', () => {
+  const calendar = payerCalendar('ON');
+
+  // Christmas, Boxing Day, a weekend and New Year's Day are all skipped
+  const due = calendar.addBusinessDays('2025-12-24T15:00:00Z', 4);
+  assert.equal(due.toISOString(), '2026-01-02T15:00:00.000Z');
+  assert.equal(calendar.businessDaysBetween('2025-12-24T15:00:00Z', due), 4);
+  assert.deepEqual(getHolidays(2026, 'ON').slice(0, 1).map(holiday => holiday.date), ['2026-01-01']);
+});
+
+test('clinic hours carry over the weekend to the next opening', () => {
+  const calendar = new BusinessCalendar({ region: 'ON', timeZone: 'America/Toronto' });
+
+  // Friday 16:00 with an hour left before the 17:00 close
+  const due = calendar.addBusinessHours('2025-03-07T21:00:00Z', 2);
+  assert.equal(due.toISOString(), '2025-03-10T13:00:00.000Z');
+  assert.equal(calendar.businessHoursBetween('2025-03-07T21:00:00Z', due), 2);
+});
+
+test('a calendar without a holiday region counts every weekday, and unknown regions are rejected', () => {
+  const calendar = payerCalendar(null);
+
+  assert.equal(calendar.isBusinessDay('2025-12-25T15:00:00Z'), true);
+  assert.equal(calendar.addBusinessDays('2025-12-24T15:00:00Z', 1).toISOString(), '2025-12-25T15:00:00.000Z');
+  assert.throws(() => payerCalendar('XX'), /calendar\.region: must be one of/);
+  assert.throws(() => getHolidays(2025, 'XX'), /No holiday set for region XX/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  encodeClaim,
+  encodeEligibility,
+  encodeResponse,
+  decodeMessage,
+  decodeResponse
+} = require('../lib/billing/cdanet');
+const { respondToMessage } = require('../lib/billing/cdanetMockCarrier');
+
+const claim = (overrides = {}) => ({
+  id: 'C1',
+  serviceDate: '2025-03-04',
+  provider: { cdaNumber: '123456789', officeNumber: '1234' },
+  coverage: { policyNumber: 'P12345' },
+  subscriber: { id: 'S98765', address: { line1: '12 rue Sainte-Catherine', city: 'Montréal', province: 'QC', postalCode: 'H2X 1Z4' } },
+  patient: { firstName: 'Zoë', lastName: 'Gagné', birthDate: '1980-05-06', sex: 'F' },
+  procedures: [
+    { code: '01202', fee: 55.5 },
+    { code: '21211', tooth: '16', surface: 'mo', fee: 150 }
+  ],
+  ...overrides
+});
+
+const options = { carrierId: '000051', officeSequence: 42 };
+
+test('a claim round-trips through encode and decode', () => {
+  const message = encodeClaim(claim(), options);
+  const { type, fields } = decodeMessage(message);
+
+  assert.equal(type, 'claim');
+  assert.equal(fields.messageLength, message.length);
+  assert.equal(fields.carrierId, '000051');
+  assert.equal(fields.officeSequence, 42);
+  assert.equal(fields.patientBirthDate, '1980-05-06');
+  assert.deepEqual(fields.procedures.map(p => [p.code, p.tooth, p.surface, p.fee]),
+    [['01202', '00', '', 55.5], ['21211', '16', 'MO', 150]]);
+});
+
+test('accented names are sent as ASCII, so the header length is the length in bytes', () => {
+  const message = encodeClaim(claim(), options);
+  const { fields } = decodeMessage(message);
+
+  assert.equal(Buffer.byteLength(message, 'utf8'), message.length);
+  assert.equal(fields.messageLength, Buffer.byteLength(message, 'utf8'));
+  assert.equal(fields.patientFirstName, 'Zoe');
+  assert.equal(fields.patientLastName, 'Gagne');
+  assert.equal(fields.subscriberCity, 'Montreal');
+});
+
+test('text with no ASCII form is rejected', () => {
+  assert.throws(() => encodeClaim(claim({ patient: { ...claim().patient, lastName: '王' } }), options), error => {
+    assert.equal(error.name, 'CdanetError');
+    assert.ok(error.errors.some(message => message.startsWith('patientLastName: must be text that can be written in ASCII')));
+    return true;
+  });
+});
+
+test('decodeMessage rejects messages whose length does not match the header', () => {
+  const message = encodeEligibility(claim(), options);
+
+  assert.throws(() => decodeMessage(`${message} `), { name: 'CdanetError' });
+  assert.throws(() => decodeMessage(message.slice(0, -1)), { name: 'CdanetError' });
+});
+
+test('the mock carrier adjudicates a claim with an explanation of benefits', () => {
+  const response = decodeResponse(respondToMessage(encodeClaim(claim(), options), { now: new Date('2025-03-04') }));
+
+  assert.equal(response.type, 'eob');
+  assert.equal(response.accepted, true);
+  assert.equal(response.totalAmount, 205.5);
+  assert.equal(response.totalBenefit, 175.5);
+  assert.equal(response.expectedPaymentDate, '2025-03-18');
+});
+
+test('the mock carrier rejects responses sent to it with error 997', () => {
+  const eob = encodeResponse('eob', { transactionReference: 'REF1', responseStatus: 'A' });
+  const response = decodeResponse(respondToMessage(eob));
+
+  assert.equal(response.type, 'claimAcknowledgement');
+  assert.equal(response.accepted, false);
+  assert.deepEqual(response.errors, ['997']);
+});
+
+test('the mock carrier rejects unreadable messages with error 997', () => {
+  const response = decodeResponse(respondToMessage('not a CDAnet message'));
+
+  assert.deepEqual(response.errors, ['997']);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateClaim } = require('../lib/billing/claimSchema');
+
+const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const claim = (overrides = {}) => ({
+  id: 'C1',
+  payerId: 'sunlife',
+  serviceDate: '2025-03-04',
+  procedures: [{ code: 'D0120', fee: 60 }],
+  ...overrides
+});
+
+test('a valid claim has no errors', () => {
+  assert.deepEqual(validateClaim(claim()), []);
+});
+
+test('field errors carry their path and code', () => {
+  const errors = validateClaim(claim({ payerId: 'sun life', procedures: [{ code: 'X1', surface: 'MM', fee: -1 }] }));
+
+  assert.deepEqual(errors.map(error => [error.path, error.code]), [
+    ['payerId', 'invalid_format'],
+    ['procedures[0].code', 'invalid_format'],
+    ['procedures[0].surface', 'invalid_format'],
+    ['procedures[0].fee', 'out_of_range']
+  ]);
+});
+
+test('service dates and procedure dates must not be in the future', () => {
+  const errors = validateClaim(claim({ serviceDate: tomorrow, procedures: [{ code: 'D0120', date: tomorrow }] }));
+
+  assert.deepEqual(errors.map(error => [error.path, error.code]), [
+    ['serviceDate', 'out_of_range'],
+    ['procedures[0].date', 'out_of_range']
+  ]);
+});
+
+test('predeterminations and planned treatment may be dated in the future', () => {
+  const future = { serviceDate: tomorrow, procedures: [{ code: 'D2740', date: tomorrow }] };
+
+  assert.deepEqual(validateClaim(claim({ ...future, requiresPreauth: true })), []);
+  assert.deepEqual(validateClaim(claim(future), { planned: true }), []);
+});
+
+test('previous claims\' procedures are validated like the claim\'s, without the future-date check', () => {
+  const errors = validateClaim(claim({
+    previousClaims: [
+      { procedures: [null] },
+      { serviceDate: '2025-06-01', procedures: [{ code: 'D1110', date: 'garbage' }] },
+      { serviceDate: 'someday', procedures: [{ code: 'X1', fee: -1 }, { code: 'D1110', date: tomorrow }] }
+    ]
+  }));
+
+  assert.deepEqual(errors.map(error => [error.path, error.code]), [
+    ['previousClaims[0].procedures[0]', 'invalid_type'],
+    ['previousClaims[1].procedures[0].date', 'invalid_date'],
+    ['previousClaims[2].serviceDate', 'invalid_date'],
+    ['previousClaims[2].procedures[0].code', 'invalid_format'],
+    ['previousClaims[2].procedures[0].fee', 'out_of_range']
+  ]);
+});
+
+test('the claim\'s benefit plan is validated', () => {
+  assert.deepEqual(validateClaim(claim({ plan: { coverage: { preventive: 100 } } })), []);
+
+  const errors = validateClaim(claim({ plan: { coverage: { preventive: 150 }, benefitYearStartMonth: 13 } }));
+  assert.deepEqual(errors.map(error => [error.path, error.code]), [
+    ['plan.coverage.preventive', 'invalid_value'],
+    ['plan.benefitYearStartMonth', 'invalid_value']
+  ]);
+  assert.deepEqual(validateClaim(claim({ plan: 'gold' })).map(error => error.path), ['plan']);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { suggestCodingChanges } = require('../lib/billing/codingCompliance');
+
+const inflamedClaim = attachments => ({
+  procedures: [{ code: 'D1110' }],
+  clinicalFindings: { gingivalInflammation: 'severe' },
+  attachments
+});
+
+test('a perio chart attached under the payer profile type supports the D4346 suggestion', () => {
+  const { suggestions, blocked } = suggestCodingChanges(inflamedClaim([{ type: 'perio-chart' }]));
+
+  assert.equal(blocked.length, 0);
+  assert.equal(suggestions.length, 1);
+  assert.equal(suggestions[0].toCode, 'D4346');
+  assert.deepEqual(suggestions[0].missing, []);
+  assert.deepEqual(suggestions[0].evidence[1], { path: 'attachments[0]', value: 'perio-chart' });
+});
+
+test('without a perio chart the D4346 suggestion is blocked as unsupported', () => {
+  const { suggestions, blocked } = suggestCodingChanges(inflamedClaim(['radiograph']));
+
+  assert.equal(suggestions.length, 0);
+  assert.equal(blocked.length, 1);
+  assert.deepEqual(blocked[0].missing, ['perio-chart']);
+});
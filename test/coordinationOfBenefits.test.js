@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { orderCoverages, buildSecondaryClaim } = require('../lib/billing/coordinationOfBenefits');
+
+const claim = payerId => ({
+  id: 'C1',
+  payerId,
+  procedures: [{ code: '01202', fee: 100 }, { code: '27201', fee: 900 }],
+  coverages: [
+    { payerId: 'sunlife', relationship: 'self', policyNumber: 'P1' },
+    { payerId: 'manulife', relationship: 'spouse', policyNumber: 'P2' }
+  ]
+});
+
+const order = (coverages, options) => orderCoverages(coverages, options)
+  .map(coverage => [coverage.payerId, coverage.sequence, coverage.basis && coverage.basis.rule]);
+
+test('coverage as the subscriber pays before coverage as a dependant', () => {
+  assert.deepEqual(order([
+    { payerId: 'spouse-plan', relationship: 'spouse' },
+    { payerId: 'own-plan', relationship: 'self' }
+  ]), [['own-plan', 'primary', null], ['spouse-plan', 'secondary', 'subscriber-first']]);
+});
+
+test('active coverage pays before retiree coverage', () => {
+  assert.deepEqual(order([
+    { payerId: 'retiree-plan', status: 'retiree' },
+    { payerId: 'work-plan', status: 'active' }
+  ]).map(([payerId, , rule]) => [payerId, rule]), [['work-plan', null], ['retiree-plan', 'active-first']]);
+});
+
+test('for a child, the parent whose birthday comes first in the year pays first', () => {
+  assert.deepEqual(order([
+    { payerId: 'dad-plan', relationship: 'child', subscriber: { birthDate: '1980-09-15' } },
+    { payerId: 'mum-plan', relationship: 'child', subscriber: { birthDate: '1985-03-02' } }
+  ]).map(([payerId, , rule]) => [payerId, rule]), [['mum-plan', null], ['dad-plan', 'birthday-rule']]);
+});
+
+test('payers of last resort pay after all other coverage, and ties keep the listed order', () => {
+  const isPayerOfLastResort = payerId => payerId === 'provincial';
+
+  assert.deepEqual(order([
+    { payerId: 'provincial' },
+    { payerId: 'first' },
+    { payerId: 'second' }
+  ], { isPayerOfLastResort }), [
+    ['first', 'primary', null],
+    ['second', 'secondary', 'listed-order'],
+    ['provincial', 'tertiary', 'payer-of-last-resort']
+  ]);
+});
+
+const eob = { procedures: [{ line: 1, paidAmount: 80 }, { line: 2, paidAmount: 450 }] };
+
+test('the secondary claim bills the next coverage and carries what the primary paid', () => {
+  const { claim: secondary, amounts, coverage } = buildSecondaryClaim(claim('sunlife'), eob);
+
+  assert.equal(coverage.payerId, 'manulife');
+  assert.equal(secondary.id, 'C1-secondary');
+  assert.equal(secondary.payerId, 'manulife');
+  assert.deepEqual(secondary.procedures.map(procedure => procedure.priorPaid), [80, 450]);
+  assert.deepEqual(amounts.totals, { fee: 1000, paid: 530, priorPaid: 530, balance: 470 });
+  assert.equal(secondary.cob.previousPayerId, 'sunlife');
+});
+
+test('the claim\'s payer is found among the coverages under an alias', () => {
+  const payerKey = payerId => (payerId === 'sun-life' ? 'sunlife' : payerId);
+
+  assert.throws(() => buildSecondaryClaim(claim('sun-life'), eob), { name: 'CoordinationError' });
+  assert.equal(buildSecondaryClaim(claim('sun-life'), eob, { payerKey }).coverage.payerId, 'manulife');
+});
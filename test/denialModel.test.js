@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractFeatures } = require('../lib/billing/denialModel');
+
+const characteristics = {
+  complexity: 1,
+  urgency: 0,
+  value: 0,
+  patientRisk: 0,
+  payerProfile: 'sunlife',
+  missingAttachments: [],
+  frequencyFindings: [],
+  submissionWindow: { deadline: '2024-12-31T00:00:00.000Z', daysRemaining: -300, expired: true }
+};
+
+const claim = (overrides = {}) => ({ serviceDate: '2024-01-01', procedures: [{ code: 'D0120', fee: 60 }], ...overrides });
+
+test('the submission window is judged at the claim\'s submission date, not today', () => {
+  assert.equal(extractFeatures(claim({ submissionDate: '2024-02-01' }), characteristics).submissionWindowExpired, 0);
+  assert.equal(extractFeatures(claim({ submissionDate: '2025-02-01' }), characteristics).submissionWindowExpired, 1);
+  assert.equal(extractFeatures(claim(), characteristics, { submittedAt: '2024-02-01' }).submissionWindowExpired, 0);
+});
+
+test('a claim without a submission date is judged as submitted now', () => {
+  assert.equal(extractFeatures(claim(), characteristics).submissionWindowExpired, 1);
+  assert.equal(extractFeatures(claim(), { ...characteristics, submissionWindow: null }).submissionWindowExpired, 0);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  fingerprintClaim,
+  MemoryDuplicateStore,
+  FileDuplicateStore
+} = require('../lib/billing/duplicateDetection');
+
+const claim = (overrides = {}) => ({
+  id: 'C1',
+  payerId: 'sunlife',
+  serviceDate: '2025-03-04',
+  patient: { id: 'P1', firstName: 'Ann', lastName: 'Bee' },
+  procedures: [{ code: 'D0120', fee: 60 }, { code: 'D2391', tooth: '30', surface: 'mo', fee: 200 }],
+  ...overrides
+});
+
+test('fingerprints ignore procedure order and surface letter order, and hold no patient details', () => {
+  const a = fingerprintClaim(claim());
+  const b = fingerprintClaim(claim({ procedures: [{ code: 'D2391', tooth: '30', surface: 'OM', fee: 200 }, { code: 'D0120', fee: 60 }] }));
+
+  assert.equal(a.exact, b.exact);
+  assert.match(a.patient, /^[0-9a-f]{64}$/);
+  assert.ok(!JSON.stringify(a).includes('Bee'));
+});
+
+test('the same claim under another ID is an exact duplicate, a fee change or an overlap', async () => {
+  const store = new MemoryDuplicateStore();
+  const { key, duplicate } = await store.reserve(fingerprintClaim(claim()));
+  assert.equal(duplicate, null);
+  await store.complete(key, 'STANDARD');
+
+  const exact = await store.reserve(fingerprintClaim(claim({ id: 'C2' })));
+  assert.equal(exact.duplicate.type, 'exact');
+  assert.equal(exact.duplicate.originalClaimId, 'C1');
+  assert.equal(exact.duplicate.originalRoute, 'STANDARD');
+
+  const feeChanged = await store.reserve(fingerprintClaim(claim({
+    id: 'C3',
+    procedures: [{ code: 'D0120', fee: 65 }, { code: 'D2391', tooth: '30', surface: 'mo', fee: 200 }]
+  })));
+  assert.equal(feeChanged.duplicate.type, 'fee-changed');
+  assert.deepEqual(feeChanged.duplicate.feeChanges, [{ procedure: 'd0120', tooth: null, originalFee: 60, fee: 65 }]);
+
+  const overlap = await store.reserve(fingerprintClaim(claim({ id: 'C4', procedures: [{ code: 'D0120', fee: 60 }] })));
+  assert.equal(overlap.duplicate.type, 'procedure-overlap');
+  assert.deepEqual(overlap.duplicate.overlappingProcedures, ['d0120']);
+
+  const otherPatient = await store.reserve(fingerprintClaim(claim({ id: 'C5', patient: { id: 'P2' } })));
+  assert.equal(otherPatient.duplicate, null);
+});
+
+test('re-routing a claim under its own ID is a correction unless nothing changed', async () => {
+  const store = new MemoryDuplicateStore();
+  await store.reserve(fingerprintClaim(claim()));
+
+  assert.equal((await store.reserve(fingerprintClaim(claim()))).duplicate.type, 'exact');
+  assert.equal((await store.reserve(fingerprintClaim(claim({ procedures: [{ code: 'D0120', fee: 60 }] })))).duplicate, null);
+});
+
+test('an idempotency key replays its response and cannot be reused for another request', async () => {
+  const store = new MemoryDuplicateStore();
+
+  assert.equal(await store.beginRequest('key-1', 'hash-a'), null);
+  await assert.rejects(store.beginRequest('key-1', 'hash-a'), { name: 'IdempotencyError', code: 'IN_PROGRESS' });
+  await store.completeRequest('key-1', { success: true });
+  assert.deepEqual(await store.beginRequest('key-1', 'hash-a'), { success: true });
+  await assert.rejects(store.beginRequest('key-1', 'hash-b'), { name: 'IdempotencyError', code: 'KEY_REUSED' });
+
+  await store.beginRequest('key-2', 'hash-a');
+  await store.abandonRequest('key-2');
+  assert.equal(await store.beginRequest('key-2', 'hash-a'), null);
+});
+
+test('the file store keeps fingerprints but not idempotency responses', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicates-'));
+  try {
+    const file = path.join(dir, 'claim-fingerprints.json');
+    const store = new FileDuplicateStore({ file });
+    await store.reserve(fingerprintClaim(claim()));
+    await store.beginRequest('key-1', 'hash-a');
+    await store.completeRequest('key-1', { success: true });
+
+    const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(Object.keys(contents), ['claims']);
+    assert.equal((await new FileDuplicateStore({ file }).reserve(fingerprintClaim(claim({ id: 'C2' })))).duplicate.type, 'exact');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const {
+  EligibilityService,
+  MockEligibilityProvider,
+  createEligibilityProvider
+} = require('../lib/billing/eligibility');
+const { BillingRouter } = require('../lib/billingRouter');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const claim = (subscriberId, overrides = {}) => ({
+  id: `C-${subscriberId}`,
+  payerId: 'sunlife',
+  serviceDate: '2025-03-04',
+  subscriber: { id: subscriberId },
+  patient: { id: 'P1', firstName: 'Ann', lastName: 'Bee', birthDate: '1980-05-01' },
+  procedures: [{ code: 'D0120', fee: 60 }],
+  ...overrides
+});
+
+/**
+ * Provider that counts its checks, answering active by default
+ */
+function countingProvider(answer = async () => ({ status: 'active' })) {
+  const provider = { name: 'test', checks: 0 };
+  provider.check = async request => {
+    provider.checks++;
+    return answer(request);
+  };
+  return provider;
+}
+
+test('answers are cached for the TTL, then checked again', async () => {
+  let now = Date.parse('2025-03-04T12:00:00Z');
+  const provider = countingProvider();
+  const service = new EligibilityService({ provider, ttlHours: 2, now: () => now });
+
+  const first = await service.verify(claim('S1'));
+  assert.equal(first.status, 'verified');
+  assert.equal(first.cached, false);
+  assert.equal(first.expiresAt, '2025-03-04T14:00:00.000Z');
+
+  now += HOUR_MS;
+  assert.equal((await service.verify(claim('S1', { id: 'C2' }))).cached, true);
+  assert.equal((await service.verify(claim('S1'), { force: true })).cached, false);
+  assert.equal(provider.checks, 2);
+
+  now += 2 * HOUR_MS;
+  assert.equal((await service.verify(claim('S1'))).cached, false);
+  assert.equal(provider.checks, 3);
+
+  // Another subscriber is checked on its own
+  await service.verify(claim('S2'));
+  assert.equal(provider.checks, 4);
+});
+
+test('failed checks and claims without a subscriber are unverified and not cached', async () => {
+  let fail = true;
+  const provider = countingProvider(async () => {
+    if (fail) throw new Error('payer unreachable');
+    return { status: 'active' };
+  });
+  const service = new EligibilityService({ provider });
+
+  const failed = await service.verify(claim('S1'));
+  assert.equal(failed.status, 'unverified');
+  assert.equal(failed.message, 'Eligibility check failed: payer unreachable');
+  fail = false;
+  assert.equal((await service.verify(claim('S1'))).status, 'verified');
+
+  const anonymous = await service.verify(claim(null));
+  assert.equal(anonymous.status, 'unverified');
+  assert.equal(provider.checks, 2);
+});
+
+test('claims whose coverage is inactive or unverified are held', async () => {
+  const router = new BillingRouter({
+    clinicId: 'eligibility',
+    rulesDir: path.join(__dirname, '..', 'lib', 'config', 'routing'),
+    enqueueRoutedClaims: false,
+    denialModel: null,
+    eligibilityProvider: new MockEligibilityProvider()
+  });
+  const route = async subscriberId => (await router.routeClaim(claim(subscriberId), { record: false }));
+
+  const active = await route('S123');
+  assert.equal(active.eligibility.status, 'verified');
+  assert.notEqual(active.route.type, 'ELIGIBILITY_HOLD');
+
+  for (const [subscriberId, status] of [['X123', 'inactive'], ['E123', 'unverified']]) {
+    const held = await route(subscriberId);
+    assert.equal(held.eligibility.status, status);
+    assert.equal(held.route.type, 'ELIGIBILITY_HOLD');
+    const { specialHandling } = held.processingInstructions;
+    assert.ok(specialHandling.some(instruction => instruction.startsWith(`Coverage ${status}`)));
+  }
+});
+
+test('with the "none" provider coverage is not checked', async () => {
+  assert.equal(createEligibilityProvider('none'), null);
+  assert.throws(() => createEligibilityProvider('acme'), { name: 'EligibilityError' });
+
+  const router = new BillingRouter({
+    clinicId: 'eligibility-off',
+    rulesDir: path.join(__dirname, '..', 'lib', 'config', 'routing'),
+    enqueueRoutedClaims: false,
+    denialModel: null,
+    eligibilityProvider: createEligibilityProvider('none')
+  });
+
+  const result = await router.routeClaim(claim('X123'), { record: false });
+  assert.equal(result.eligibility, null);
+  assert.notEqual(result.route.type, 'ELIGIBILITY_HOLD');
+  await assert.rejects(router.verifyEligibility(claim('X123')), { name: 'EligibilityError' });
+});
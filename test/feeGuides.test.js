@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { importFeeGuides, mergeFeeGuides } = require('../lib/billing/feeGuides');
+
+test('importFeeGuides groups rows by province and year and reports bad rows by line', () => {
+  const [guide] = importFeeGuides('code,fee,schedule\n01202,"$1,055.50",gp\n27201,900,specialist\n', { province: 'on', year: 2026 });
+
+  assert.equal(guide.province, 'ON');
+  assert.equal(guide.effectiveFrom, '2026-01-01');
+  assert.deepEqual(guide.schedules.gp['01202'], { fee: 1055.5, description: null });
+  assert.deepEqual(Object.keys(guide.schedules.specialist), ['27201']);
+
+  assert.throws(() => importFeeGuides('code,fee\nX1,abc\n', { province: 'ON', year: 2026 }), error => {
+    assert.equal(error.name, 'FeeGuideError');
+    assert.deepEqual(error.errors, [
+      'line 2: code "X1" is not a CDT or CDA procedure code',
+      'line 2: fee must be a non-negative amount'
+    ]);
+    return true;
+  });
+});
+
+test('importing a specialist schedule keeps the GP schedule already on file', () => {
+  const [gp] = importFeeGuides('code,fee\n01202,50\n', { province: 'ON', year: 2026, schedule: 'gp' });
+  const [specialist] = importFeeGuides('code,fee\n01202,70\n', { province: 'ON', year: 2026, schedule: 'specialist' });
+
+  const merged = mergeFeeGuides(gp, specialist);
+  assert.equal(merged.schedules.gp['01202'].fee, 50);
+  assert.equal(merged.schedules.specialist['01202'].fee, 70);
+
+  const [newGp] = importFeeGuides('code,fee\n01202,55\n', { province: 'ON', year: 2026 });
+  const remerged = mergeFeeGuides(merged, newGp);
+  assert.equal(remerged.schedules.gp['01202'].fee, 55);
+  assert.equal(remerged.schedules.specialist['01202'].fee, 70);
+  assert.equal(mergeFeeGuides(null, gp), gp);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateFrequencyLimits, checkFrequencyLimits } = require('../lib/billing/frequencyLimits');
+
+const BITEWINGS = { id: 'BITEWINGS', codes: ['D0272', '0214*'], max: 1, periodMonths: 12 };
+
+test('validateFrequencyLimits reports malformed limits instead of throwing', () => {
+  assert.deepEqual(validateFrequencyLimits([BITEWINGS]), []);
+  assert.deepEqual(validateFrequencyLimits([null, 'x', []]), [
+    'frequencyLimits[0]: must be an object',
+    'frequencyLimits[1]: must be an object',
+    'frequencyLimits[2]: must be an object'
+  ]);
+  assert.deepEqual(validateFrequencyLimits([{ ...BITEWINGS, codes: [null] }]),
+    ['frequencyLimits[0].codes: must be a non-empty array of code patterns']);
+  assert.deepEqual(validateFrequencyLimits('x'), ['frequencyLimits: must be an array']);
+});
+
+test('a service within the period exceeds the limit until the period has passed', () => {
+  const [finding] = checkFrequencyLimits({
+    serviceDate: '2025-06-01',
+    procedures: [{ code: 'D0272' }],
+    previousClaims: [{ serviceDate: '2025-01-15', procedures: [{ code: 'D0272' }] }]
+  }, [BITEWINGS]);
+
+  assert.equal(finding.exceeded, true);
+  assert.equal(finding.used, 1);
+  assert.equal(finding.eligibleDate, '2026-01-15');
+});
+
+test('earlier lines on the same claim count towards later ones', () => {
+  const findings = checkFrequencyLimits({
+    serviceDate: '2025-06-01',
+    procedures: [{ code: '02142' }, { code: 'D0272' }]
+  }, [BITEWINGS]);
+
+  assert.deepEqual(findings.map(finding => finding.exceeded), [false, true]);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const winston = require('winston');
+
+const {
+  REDACTED,
+  redact,
+  runWithCorrelationId,
+  configureLogging,
+  getLogger
+} = require('../lib/logging/logger');
+
+test('redact replaces patient names, IDs and dates of birth', () => {
+  const redacted = redact({
+    claimId: 'C1',
+    patient: { id: 'P1', name: 'Ann Bee', firstName: 'Ann', birthDate: '1980-01-01', address: '1 Main St' },
+    subscriber: { subscriberId: 'S1', healthCard: '1234-567-890' },
+    payerId: 'sunlife'
+  });
+
+  assert.deepEqual(redacted, {
+    claimId: 'C1',
+    patient: { id: REDACTED, name: REDACTED, firstName: REDACTED, birthDate: REDACTED, address: REDACTED },
+    subscriber: { subscriberId: REDACTED, healthCard: REDACTED },
+    payerId: 'sunlife'
+  });
+});
+
+test('redact matches keys regardless of case, "_" and "-"', () => {
+  const redacted = redact({
+    first_name: 'Ann',
+    LAST_NAME: 'Bee',
+    date_of_birth: '1980-01-01',
+    'health-card-number': '1234',
+    Patient_Id: 'P1'
+  });
+
+  Object.values(redacted).forEach(value => assert.equal(value, REDACTED));
+});
+
+test('redact covers guarantors and other people responsible for the patient', () => {
+  const redacted = redact({
+    guarantor: { name: 'Carl Bee', address: { street: '1 Main St' }, phone: '555-0100' },
+    responsible_party: { id: 'G1', email: 'carl@example.com' }
+  });
+
+  assert.deepEqual(redacted, {
+    guarantor: { name: REDACTED, address: REDACTED, phone: REDACTED },
+    responsible_party: { id: REDACTED, email: REDACTED }
+  });
+});
+
+test('redact keeps names, IDs and addresses that are not a person\'s', () => {
+  const redacted = redact({ payer: { id: 'sunlife', name: 'Sun Life', address: '1 York St' }, route: { name: 'DEFAULT' } });
+
+  assert.deepEqual(redacted, { payer: { id: 'sunlife', name: 'Sun Life', address: '1 York St' }, route: { name: 'DEFAULT' } });
+});
+
+test('redact removes clinical text, including lists of strings, but not structured values', () => {
+  const redacted = redact({
+    notes: ['Pain on biting', 'Fractured cusp'],
+    chief_complaint: ['Toothache'],
+    narrative: 'Tooth 36 fractured',
+    plan: { annualMaximum: 1500 },
+    history: [{ code: 'D0120', date: '2025-01-01' }]
+  });
+
+  assert.deepEqual(redacted, {
+    notes: REDACTED,
+    chief_complaint: REDACTED,
+    narrative: REDACTED,
+    plan: { annualMaximum: 1500 },
+    history: [{ code: 'D0120', date: '2025-01-01' }]
+  });
+});
+
+test('redact serializes errors without their request details and survives cycles', () => {
+  const error = new Error('Request failed');
+  error.code = 'ECONNRESET';
+  error.config = { headers: { authorization: 'Bearer secret' } };
+  const value = { error };
+  value.self = value;
+
+  const redacted = redact(value);
+  assert.deepEqual(Object.keys(redacted.error), ['name', 'message', 'code', 'stack']);
+  assert.equal(redacted.self, '[Circular]');
+});
+
+test('logged entries are redacted and carry the correlation ID', () => {
+  const lines = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      lines.push(JSON.parse(chunk.toString()));
+      callback();
+    }
+  });
+  configureLogging({ level: 'info', transports: [new winston.transports.Stream({ stream })] });
+
+  try {
+    runWithCorrelationId('req-1', () => {
+      getLogger('test').info('Claim routed', { claimId: 'C1', first_name: 'Ann', patient: { dob: '1980-01-01' } });
+    });
+  } finally {
+    configureLogging({ transports: 'none' });
+  }
+
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].message, 'Claim routed');
+  assert.equal(lines[0].service, 'test');
+  assert.equal(lines[0].correlationId, 'req-1');
+  assert.equal(lines[0].claimId, 'C1');
+  assert.equal(lines[0].first_name, REDACTED);
+  assert.deepEqual(lines[0].patient, { dob: REDACTED });
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryMetricsStore, RedisMetricsStore } = require('../lib/billing/metricsStore');
+const { RedisRestClient } = require('../lib/billing/redisRest');
+
+const at = minute => new Date(Date.UTC(2025, 0, 1, 0, minute)).toISOString();
+
+test('routing records past the limit are pruned oldest first, in a batch', async () => {
+  const store = new MemoryMetricsStore({ maxTrackedClaims: 10 });
+  for (let i = 0; i < 10; i++) {
+    await store.saveRoutedClaim(`C${i}`, { routedAt: at(i) });
+  }
+  assert.equal(Object.keys(store.state.routedClaims).length, 10);
+
+  await store.saveRoutedClaim('C10', { routedAt: at(10) });
+  assert.deepEqual(Object.keys(store.state.routedClaims), ['C2', 'C3', 'C4', 'C5', 'C6', 'C7', 'C8', 'C9', 'C10']);
+});
+
+test('outcomes are capped like routing records, by the time they were recorded', async () => {
+  const store = new MemoryMetricsStore({ maxTrackedClaims: 10 });
+  for (let i = 0; i < 11; i++) {
+    await store.saveOutcome({ claimId: `C${10 - i}`, status: 'paid', recordedAt: at(i) });
+  }
+
+  const outcomes = await store.listOutcomes();
+  assert.equal(outcomes.length, 9);
+  assert.ok(!outcomes.some(outcome => ['C10', 'C9'].includes(outcome.claimId)));
+});
+
+/**
+ * In-memory stand-in for a Redis REST client, answering the commands the
+ * metrics store sends the way the REST API does (strings, flat arrays)
+ */
+function fakeRedis() {
+  const keys = new Map();
+  const hash = key => keys.get(key) || keys.set(key, new Map()).get(key);
+  const zset = key => [...(keys.get(key) || new Map())].sort((a, b) => a[1] - b[1]).map(([member]) => member);
+  const score = bound => (bound === '-inf' ? -Infinity : bound === '+inf' ? Infinity : Number(String(bound).replace('(', '')));
+  const run = ([name, key, ...args]) => {
+    switch (name) {
+      case 'HINCRBY':
+      case 'HINCRBYFLOAT': {
+        const value = Number(hash(key).get(args[0]) || 0) + Number(args[1]);
+        hash(key).set(args[0], String(value));
+        return name === 'HINCRBY' ? value : String(value);
+      }
+      case 'HSET':
+        hash(key).set(args[0], args[1]);
+        return 1;
+      case 'HGET':
+        return hash(key).get(args[0]) ?? null;
+      case 'HMGET':
+        return args.map(field => hash(key).get(field) ?? null);
+      case 'HGETALL':
+        return [...hash(key)].flat();
+      case 'HDEL':
+      case 'ZREM':
+        args.forEach(field => hash(key).delete(field));
+        return args.length;
+      case 'ZADD':
+        hash(key).set(args[1], Number(args[0]));
+        return 1;
+      case 'ZCARD':
+        return hash(key).size;
+      case 'ZRANGE':
+        return zset(key).slice(Number(args[0]), Number(args[1]) === -1 ? undefined : Number(args[1]) + 1);
+      case 'ZRANGEBYSCORE': {
+        const [min, max] = args;
+        return zset(key).filter(member => {
+          const value = hash(key).get(member);
+          return (String(min).startsWith('(') ? value > score(min) : value >= score(min)) && value <= score(max);
+        });
+      }
+      case 'DEL':
+        [key, ...args].forEach(name => keys.delete(name));
+        return 1;
+      default:
+        throw new Error(`Unsupported command ${name}`);
+    }
+  };
+  return {
+    keys,
+    pipeline: async commands => commands.map(run),
+    command: async (...command) => run(command)
+  };
+}
+
+test('instances sharing a Redis store add up each other\'s metrics', async () => {
+  const redis = fakeRedis();
+  const first = new RedisMetricsStore({ name: 'clinic-a', client: redis });
+  const second = new RedisMetricsStore({ name: 'clinic-a', client: redis });
+
+  await first.record({ type: 'routed', route: 'STANDARD', processingTime: 4, at: at(5) });
+  await second.record({ type: 'routed', route: 'STANDARD', processingTime: 7.5, at: at(20) });
+  await second.record({ type: 'routed', route: 'HIGH_VALUE', processingTime: 600, at: at(75) });
+  await first.record({ type: 'optimization', at: at(75) });
+  await assert.rejects(first.record({ type: 'unknown' }), /Unknown metrics event type/);
+
+  // Both instances read the same totals a single in-memory store would
+  const memory = new MemoryMetricsStore();
+  await memory.record({ type: 'routed', route: 'STANDARD', processingTime: 4, at: at(5) });
+  await memory.record({ type: 'routed', route: 'STANDARD', processingTime: 7.5, at: at(20) });
+  await memory.record({ type: 'routed', route: 'HIGH_VALUE', processingTime: 600, at: at(75) });
+  await memory.record({ type: 'optimization', at: at(75) });
+
+  for (const range of [{}, { from: at(30), granularity: 'hour' }, { to: at(59), granularity: 'day' }]) {
+    assert.deepEqual(await second.query(range), await memory.query(range));
+  }
+  const totals = await first.query();
+  assert.equal(totals.totalClaims, 3);
+  assert.deepEqual(totals.averageProcessingTime, { STANDARD: 5.75, HIGH_VALUE: 600 });
+  assert.deepEqual(totals.processingTimeHistogram.STANDARD.counts, [1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+  // Another clinic's keys are its own
+  assert.equal((await new RedisMetricsStore({ name: 'clinic-b', client: redis }).query()).totalClaims, 0);
+});
+
+test('Redis routing records, outcomes and shadow decisions are capped and listed by date', async () => {
+  const redis = fakeRedis();
+  const store = new RedisMetricsStore({ client: redis, maxTrackedClaims: 10 });
+  for (let i = 0; i < 11; i++) {
+    await store.saveRoutedClaim(`C${i}`, { route: 'STANDARD', routedAt: at(i) });
+    await store.saveOutcome({ claimId: `C${i}`, status: 'paid', recordedAt: at(i) });
+  }
+  await store.saveShadowDecision('C1', { claimId: 'C1', routedAt: at(1) });
+
+  assert.equal(await store.getRoutedClaim('C0'), null);
+  assert.equal(await store.getRoutedClaim('C1'), null);
+  assert.deepEqual(await store.getRoutedClaim('C10'), { route: 'STANDARD', routedAt: at(10) });
+  assert.equal((await store.listOutcomes()).length, 9);
+  assert.deepEqual((await store.listOutcomes({ from: at(4), to: at(6) })).map(outcome => outcome.claimId), ['C4', 'C5', 'C6']);
+  assert.deepEqual(await store.listShadowDecisions({ to: at(0) }), []);
+  assert.equal((await store.listShadowDecisions()).length, 1);
+
+  await store.record({ type: 'optimization', at: at(1) });
+  await store.reset();
+  assert.equal(redis.keys.size, 0);
+  assert.equal((await store.query()).aiOptimizations, 0);
+});
+
+test('the Redis REST client sends pipelines with the token and reports failed commands', async () => {
+  const requests = [];
+  const http = {
+    post: async (url, body, config) => {
+      requests.push({ url, body, authorization: config.headers.Authorization });
+      return { data: body.map(([name]) => (name === 'BAD' ? { error: 'ERR unknown command' } : { result: 'OK' })) };
+    }
+  };
+  const client = new RedisRestClient({ url: 'https://kv.example.com/', token: 'secret', http });
+
+  assert.equal(await client.command('SET', 'key', 1), 'OK');
+  assert.deepEqual(requests[0], { url: 'https://kv.example.com/pipeline', body: [['SET', 'key', '1']], authorization: 'Bearer secret' });
+  await assert.rejects(client.pipeline([['SET', 'a', 'b'], ['BAD']]), { name: 'RedisRestError', message: 'Redis command failed: BAD: ERR unknown command' });
+  assert.deepEqual(await client.pipeline([]), []);
+  assert.equal(requests.length, 2);
+
+  assert.throws(() => new RedisRestClient({ url: null, token: null, http }), { name: 'RedisRestError' });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findTemplate, generateNarrative, polishNarrative } = require('../lib/billing/narrativeGenerator');
+
+const crownClaim = {
+  id: 'C1',
+  diagnosis: [{ code: 'K02.52', description: 'Recurrent caries', tooth: '30' }],
+  procedures: [
+    { code: 'D2740', tooth: '30', reason: 'fractured cusp' },
+    { code: 'D0220' }
+  ],
+  clinicalFindings: { teeth: { 30: { remainingStructure: 'less than 50%' } } },
+  attachments: ['periapical radiograph', { type: 'intraoral photo' }],
+  previousClaims: [
+    { serviceDate: '2019-05-02', procedures: [{ code: 'D2393', tooth: '30' }] },
+    { serviceDate: '2021-01-10', status: 'denied', procedures: [{ code: 'D2394', tooth: '30' }] }
+  ]
+};
+
+test('procedures are matched to their templates, falling back to the generic one', () => {
+  assert.equal(findTemplate('D4341').id, 'scaling-root-planing');
+  assert.equal(findTemplate('D2740').id, 'crown');
+  assert.equal(findTemplate('27201').id, 'crown');
+  assert.equal(findTemplate('D6010').id, 'implant');
+  assert.equal(findTemplate('D7140').id, 'extraction');
+  assert.equal(findTemplate('D0220').id, 'generic');
+});
+
+test('the narrative is built from the claim and lists the facts each sentence used', () => {
+  const narrative = generateNarrative(crownClaim);
+
+  assert.equal(narrative.text, [
+    'Diagnosis: Recurrent caries (tooth 30).',
+    'Crown (D2740) on tooth 30.',
+    'Indication: fractured cusp.',
+    'Remaining tooth structure: less than 50%.',
+    'History on this tooth: D2393 (2019-05-02).',
+    'Procedure D0220.',
+    'Enclosed: periapical radiograph and intraoral photo.'
+  ].join(' '));
+  assert.equal(narrative.source, 'template');
+  assert.deepEqual(narrative.templates, ['crown', 'generic']);
+  assert.deepEqual(narrative.facts.map(fact => [fact.name, fact.path]), [
+    ['diagnosis', 'diagnosis[0]'],
+    ['tooth', 'procedures[0].tooth'],
+    ['procedureCode', 'procedures[0].code'],
+    ['reason', 'procedures[0].reason'],
+    ['remainingStructure', 'clinicalFindings.teeth.30.remainingStructure'],
+    ['previousRestoration', 'previousClaims[0].procedures[0]'],
+    ['procedureCode', 'procedures[1].code'],
+    ['attachment', 'attachments[0]'],
+    ['attachment', 'attachments[1]']
+  ]);
+  assert.deepEqual(generateNarrative(crownClaim), narrative);
+});
+
+test('only procedures the payer needs a narrative for are described', () => {
+  const payerProfile = { narrative: { required: false, codes: ['D27*'] } };
+  assert.deepEqual(generateNarrative(crownClaim, { payerProfile }).templates, ['crown']);
+
+  // When none match, everything is described rather than nothing
+  const none = { narrative: { required: false, codes: ['D6*'] } };
+  assert.deepEqual(generateNarrative(crownClaim, { payerProfile: none }).templates, ['crown', 'generic']);
+});
+
+test('scaling and root planing narratives cite pocket depths and earlier periodontal treatment', () => {
+  const narrative = generateNarrative({
+    procedures: [{ code: 'D4341', tooth: 'UR' }],
+    clinicalFindings: { pocketDepths: { UR: [5, 6, 4] }, boneLoss: 'moderate horizontal' },
+    previousClaims: [{ serviceDate: '2023-02-01', procedures: [{ code: 'D4910', tooth: 'UR' }] }]
+  });
+
+  assert.equal(narrative.text, [
+    'Scaling and root planing (D4341) in the upper right quadrant.',
+    'Periodontal charting shows probing depths of 4-6 mm.',
+    'Radiographs show moderate horizontal bone loss.',
+    'Previous periodontal treatment in this area: D4910 on 2023-02-01.'
+  ].join(' '));
+});
+
+test('polished text is kept only when it still names every tooth and code', async () => {
+  const draft = generateNarrative({ procedures: [{ code: 'D7140', tooth: '14', reason: 'non-restorable' }] });
+
+  const kept = await polishNarrative(draft, async () => 'Tooth 14 was extracted (D7140) as it was non-restorable.');
+  assert.equal(kept.polished, true);
+  assert.equal(kept.source, 'template+llm');
+  assert.equal(kept.draft, draft.text);
+
+  const dropped = await polishNarrative(draft, async () => 'The tooth was extracted as it was non-restorable.');
+  assert.equal(dropped.polished, false);
+  assert.equal(dropped.text, draft.text);
+  assert.equal(dropped.polishError, 'Polished text dropped 14, D7140');
+
+  const failed = await polishNarrative(draft, async () => { throw new Error('timeout'); });
+  assert.equal(failed.polished, false);
+  assert.equal(failed.polishError, 'timeout');
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// openMetrics is an ES module, like the AI metrics it reads
+const load = () => import('../lib/metrics/openMetrics.js');
+
+const metrics = (overrides = {}) => ({
+  routedClaims: { STANDARD: 3 },
+  processingTimeHistogram: {},
+  aiOptimizations: 1,
+  approvalRates: {
+    byRoute: {
+      STANDARD: { paid: 2, partiallyPaid: 0, denied: 1, pended: 0, approvalRate: 0.6667 }
+    }
+  },
+  ...overrides
+});
+
+test('every family has TYPE and HELP lines and the exposition ends with # EOF', async () => {
+  const { renderOpenMetrics } = await load();
+  const text = renderOpenMetrics([{ clinicId: 'default', metrics: metrics() }]);
+  const lines = text.split('\n');
+
+  assert.equal(lines.at(-2), '# EOF');
+  assert.equal(lines.at(-1), '');
+
+  const types = lines.filter(line => line.startsWith('# TYPE ')).map(line => line.split(' ')[2]);
+  const helps = lines.filter(line => line.startsWith('# HELP ')).map(line => line.split(' ')[2]);
+  assert.deepEqual(helps, types);
+  assert.equal(new Set(types).size, types.length);
+
+  // Samples belong to the family declared above them
+  let current = null;
+  lines.filter(line => line && line !== '# EOF').forEach(line => {
+    if (line.startsWith('# TYPE ')) {
+      current = line.split(' ')[2];
+    } else if (!line.startsWith('#')) {
+      assert.ok(line.startsWith(current), `${line} is not in family ${current}`);
+    }
+  });
+});
+
+test('counters end in _total and claim outcomes are a gauge', async () => {
+  const { renderOpenMetrics } = await load();
+  const text = renderOpenMetrics([{ clinicId: 'default', metrics: metrics() }]);
+
+  assert.match(text, /^# TYPE revu_billing_claims_routed counter$/m);
+  assert.match(text, /^revu_billing_claims_routed_total\{clinic="default",route="STANDARD"\} 3$/m);
+  assert.match(text, /^# TYPE revu_billing_claim_outcomes gauge$/m);
+  assert.match(text, /^revu_billing_claim_outcomes\{clinic="default",route="STANDARD",status="denied"\} 1$/m);
+  assert.doesNotMatch(text, /revu_billing_claim_outcomes_total/);
+});
+
+test('label values are escaped', async () => {
+  const { renderOpenMetrics } = await load();
+  const text = renderOpenMetrics([{
+    clinicId: 'default',
+    metrics: metrics({ routedClaims: { 'say "hi"\\\n': 1 }, approvalRates: { byRoute: {} } })
+  }]);
+
+  assert.ok(text.includes('revu_billing_claims_routed_total{clinic="default",route="say \\"hi\\"\\\\\\n"} 1\n'));
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const {
+  PayerRegistry,
+  validatePayerProfile,
+  validatePayerProfiles,
+  loadPayerRegistry,
+  findMissingAttachments
+} = require('../lib/billing/payerProfiles');
+
+const profile = (overrides = {}) => ({
+  id: 'sunlife',
+  name: 'Sun Life',
+  aliases: ['sun-life'],
+  narrative: { required: false, codes: ['D27*'] },
+  preauth: { amountThreshold: 1000, codes: [] },
+  attachments: [{ codes: ['4*'], types: ['perio-chart'] }],
+  submissionWindowDays: 365,
+  ...overrides
+});
+
+test('the shipped payer profiles are valid', () => {
+  const registry = loadPayerRegistry(path.join(__dirname, '..', 'lib', 'config', 'payers.json'));
+
+  assert.equal(registry.get('unknown-payer').id, registry.getDefault().id);
+});
+
+test('the registry finds profiles by ID or alias, ignoring case', () => {
+  const registry = new PayerRegistry({ defaultProfile: 'sunlife', profiles: [profile()] });
+
+  assert.equal(registry.get('SUN-LIFE').id, 'sunlife');
+  assert.equal(registry.has('sun-life'), true);
+  assert.equal(registry.has('manulife'), false);
+});
+
+test('validatePayerProfiles reports malformed entries instead of throwing', () => {
+  const errors = validatePayerProfiles({
+    defaultProfile: 'sunlife',
+    profiles: [null, profile({ aliases: 5 }), profile({ id: 'other', attachments: [null] }), [], 'x']
+  });
+
+  assert.deepEqual(errors, [
+    'profiles[0]: must be an object',
+    'profiles[1].aliases: must be an array of payer IDs',
+    'profiles[2].attachments[0]: must be an object',
+    'profiles[3]: must be an object',
+    'profiles[4]: must be an object'
+  ]);
+});
+
+test('validatePayerProfiles rejects IDs and aliases used twice', () => {
+  const errors = validatePayerProfiles({
+    defaultProfile: 'sunlife',
+    profiles: [profile(), profile({ id: 'other', aliases: ['Sun-Life'] })]
+  });
+
+  assert.deepEqual(errors, ['profiles[1]: payer id or alias "Sun-Life" is already used']);
+});
+
+test('validatePayerProfile checks the type of every field', () => {
+  assert.deepEqual(validatePayerProfile(profile({ cdanetCarrierId: 123456 })),
+    ['profile.cdanetCarrierId: must be a six-digit CDAnet carrier ID']);
+  assert.deepEqual(validatePayerProfile(profile({ cdanetCarrierId: '123456' })), []);
+  assert.deepEqual(validatePayerProfile(profile({ aliases: ['ok', ''] })),
+    ['profile.aliases: must be an array of payer IDs']);
+  assert.deepEqual(validatePayerProfile(profile({ preauth: 5 })), ['profile.preauth: must be an object']);
+  assert.deepEqual(validatePayerProfile(profile({ attachments: [{ codes: ['4*'], types: ['perio chart'] }] })),
+    ['profile.attachments[0].types: must be from radiograph, perio-chart']);
+  assert.deepEqual(validatePayerProfile(profile({ frequencyLimits: [null] })),
+    ['profile.frequencyLimits[0]: must be an object']);
+});
+
+test('findMissingAttachments lists the attachments required by the claim\'s procedures', () => {
+  const missing = findMissingAttachments(profile(), { procedures: [{ code: '43421' }, { code: '01202' }] });
+
+  assert.deepEqual(missing, [{ type: 'perio-chart', codes: ['43421'], description: null }]);
+  assert.deepEqual(findMissingAttachments(profile(), {
+    procedures: [{ code: '43421' }],
+    attachments: [{ type: 'Perio-Chart' }]
+  }), []);
+});
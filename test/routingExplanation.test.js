@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createFactor, scoreFromFactors, formatRoutingExplanation } = require('../lib/billing/routingExplanation');
+const { BillingRouter } = require('../lib/billingRouter');
+
+test('factor contributions are rounded and scores are capped at 1', () => {
+  const factor = createFactor('totalFee', 'Total billed fees', 1500, 1, 1 / 3);
+  assert.deepEqual(factor, { name: 'totalFee', description: 'Total billed fees', value: 1500, weight: 1, contribution: 0.3333 });
+
+  assert.equal(scoreFromFactors([factor, createFactor('a', '', 0, 0.2, 0.2)]), 0.5333);
+  assert.equal(scoreFromFactors([createFactor('a', '', 0, 1, 0.8), createFactor('b', '', 0, 1, 0.7)]), 1);
+  assert.equal(scoreFromFactors([]), 0);
+});
+
+test('the text explanation shows the selected rule, the rules that did not match and every factor', () => {
+  const text = formatRoutingExplanation({
+    claimId: 'C1',
+    routeType: 'EMERGENCY',
+    confidence: 0.8,
+    rule: {
+      id: 'emergency-urgency',
+      priority: 400,
+      description: 'Emergency claims get expedited',
+      conditions: {
+        all: [
+          { fact: 'urgency', operator: 'gt', expected: 0.7, actual: 0.8, result: true },
+          { not: { fact: 'procedureCodes', operator: 'includes', expected: ['D9110'], actual: ['D0140'], result: false }, result: true }
+        ],
+        result: true
+      }
+    },
+    rulesEvaluated: [
+      { id: 'coverage-not-verified', route: 'ELIGIBILITY_HOLD', priority: 450, matched: false,
+        conditions: { fact: 'coverageVerification', operator: 'eq', expected: 'inactive', actual: null, result: false } },
+      { id: 'emergency-urgency', route: 'EMERGENCY', priority: 400, matched: true, conditions: {} }
+    ],
+    scores: {
+      urgency: {
+        score: 0.8,
+        factors: [createFactor('emergency', 'Claim is flagged as an emergency', true, 0.5, 0.5),
+          createFactor('painIndicated', 'Patient reported pain', true, 0.3, 0.3)]
+      }
+    }
+  });
+
+  assert.equal(text, [
+    'Claim C1 routed to EMERGENCY (confidence 0.80)',
+    'Selected by rule "emergency-urgency" (priority 400): Emergency claims get expedited',
+    '  all of (yes):',
+    '    urgency gt 0.70 (actual 0.80): yes',
+    '    not (yes):',
+    '      procedureCodes includes [D9110] (actual [D0140]): no',
+    'Rules checked that did not match:',
+    '  coverage-not-verified -> ELIGIBILITY_HOLD (priority 450)',
+    '    coverageVerification eq inactive (actual null): no',
+    'Scores:',
+    '  urgency = 0.80',
+    '    emergency: true -> +0.50 (max 0.50) Claim is flagged as an emergency',
+    '    painIndicated: true -> +0.30 (max 0.30) Patient reported pain'
+  ].join('\n'));
+});
+
+test('a routed claim\'s explanation names the matched rule and adds up its scores', async () => {
+  const router = new BillingRouter({
+    clinicId: 'explanation',
+    rulesDir: path.join(__dirname, '..', 'lib', 'config', 'routing'),
+    enqueueRoutedClaims: false,
+    denialModel: null
+  });
+  const result = await router.routeClaim({
+    id: 'C1',
+    payerId: 'sunlife',
+    serviceDate: '2025-03-04',
+    emergency: true,
+    painIndicated: true,
+    patientStatus: 'new',
+    procedures: [{ code: 'D0140', fee: 80 }]
+  }, { explainAsText: true, record: false });
+
+  const { explanation } = result;
+  assert.equal(explanation.routeType, 'EMERGENCY');
+  assert.equal(explanation.rule.id, 'emergency-urgency');
+  assert.deepEqual(explanation.rulesEvaluated.filter(rule => rule.matched).map(rule => rule.id), ['emergency-urgency']);
+  Object.values(explanation.scores).forEach(breakdown => {
+    assert.equal(breakdown.score, scoreFromFactors(breakdown.factors));
+  });
+  assert.match(result.explanationText, /^Claim C1 routed to EMERGENCY/);
+  assert.match(result.explanationText, /Selected by rule "emergency-urgency"/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  RoutingRulesError,
+  assertValidClinicId,
+  hasRoutingRules,
+  compileRoutingRules,
+  loadRoutingRules,
+  matchRule,
+  traceRules
+} = require('../lib/billing/routingRules');
+
+const rulesConfig = (rules = []) => ({
+  defaultRoute: 'DEFAULT',
+  routes: {
+    DEFAULT: { processor: 'standardProcessor', priority: 'normal', validation: 'basic' },
+    EMERGENCY: { processor: 'expeditedProcessor', priority: 'high', validation: 'minimal' }
+  },
+  rules
+});
+
+test('compileRoutingRules sorts rules by priority, highest first', () => {
+  const compiled = compileRoutingRules(rulesConfig([
+    { id: 'low', route: 'DEFAULT', priority: 1, when: { fact: 'urgency', operator: 'gte', value: 0 } },
+    { id: 'high', route: 'EMERGENCY', priority: 10, when: { fact: 'urgency', operator: 'gt', value: 0.7 } }
+  ]));
+
+  assert.deepEqual(compiled.rules.map(rule => rule.id), ['high', 'low']);
+});
+
+test('compileRoutingRules reports every problem in the config', () => {
+  assert.throws(
+    () => compileRoutingRules(rulesConfig([
+      { id: 'a', route: 'MISSING', priority: 1, when: { fact: 'colour', operator: 'eq', value: 'red' } },
+      { id: 'a', route: 'DEFAULT', priority: 'high', when: { fact: 'payer', operator: 'in', value: 'x' } }
+    ])),
+    error => {
+      assert.ok(error instanceof RoutingRulesError);
+      assert.ok(error.errors.includes('rules[0].route: "MISSING" is not a defined route'));
+      assert.ok(error.errors.includes('rules[0].when.fact: unknown fact "colour"'));
+      assert.ok(error.errors.some(message => message.startsWith('rules[1].id')));
+      assert.ok(error.errors.includes('rules[1].priority: must be a number'));
+      assert.ok(error.errors.includes('rules[1].when.value: must be an array for operator "in"'));
+      return true;
+    }
+  );
+});
+
+test('matchRule and traceRules stop at the first matching rule', () => {
+  const compiled = compileRoutingRules(rulesConfig([
+    { id: 'urgent', route: 'EMERGENCY', priority: 10, when: { fact: 'urgency', operator: 'gt', value: 0.7 } },
+    {
+      id: 'payer',
+      route: 'DEFAULT',
+      priority: 5,
+      when: { all: [{ fact: 'payer', operator: 'in', value: ['sunlife'] }, { not: { fact: 'emergency', operator: 'eq', value: true } }] }
+    }
+  ]));
+
+  assert.equal(matchRule(compiled, { urgency: 0.9 }).id, 'urgent');
+  assert.equal(matchRule(compiled, { urgency: 0.1, payer: 'sunlife', emergency: false }).id, 'payer');
+  assert.equal(matchRule(compiled, { urgency: 0.1, payer: 'manulife' }), null);
+
+  const { rule, evaluated } = traceRules(compiled, { urgency: 0.1, payer: 'sunlife', emergency: false });
+  assert.equal(rule.id, 'payer');
+  assert.deepEqual(evaluated.map(entry => [entry.id, entry.matched]), [['urgent', false], ['payer', true]]);
+  assert.equal(evaluated[0].conditions.actual, 0.1);
+});
+
+test('loadRoutingRules falls back to the default rules file', () => {
+  const rulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-rules-'));
+  try {
+    fs.writeFileSync(path.join(rulesDir, 'default.json'), JSON.stringify(rulesConfig()));
+    fs.writeFileSync(path.join(rulesDir, 'clinic-1.json'), JSON.stringify({ ...rulesConfig(), defaultRoute: 'EMERGENCY' }));
+
+    assert.equal(loadRoutingRules('clinic-1', { rulesDir }).defaultRoute, 'EMERGENCY');
+    assert.equal(loadRoutingRules('clinic-2', { rulesDir }).defaultRoute, 'DEFAULT');
+    assert.equal(hasRoutingRules('clinic-1', { rulesDir }), true);
+    assert.equal(hasRoutingRules('clinic-2', { rulesDir }), false);
+  } finally {
+    fs.rmSync(rulesDir, { recursive: true, force: true });
+  }
+});
+
+test('clinic IDs that are not safe file names are rejected', () => {
+  assert.equal(assertValidClinicId('clinic_1-a'), 'clinic_1-a');
+  ['../default', 'a/b', 'a.b', '', 'x'.repeat(65), 5, null].forEach(clinicId => {
+    assert.throws(() => assertValidClinicId(clinicId), { name: 'ClinicIdError' });
+  });
+  assert.throws(() => loadRoutingRules('../../etc/passwd'), { name: 'ClinicIdError' });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { summarizeShadowDecisions } = require('../lib/billing/shadowRouting');
+
+const decision = (claimId, live, candidates) => ({
+  claimId,
+  routedAt: '2025-03-04T10:00:00.000Z',
+  live: { route: live, ruleId: null },
+  candidates: Object.fromEntries(Object.entries(candidates).map(([name, route]) => [name, { route, ruleId: null }]))
+});
+
+// "lenient" was added after C3 was routed; C5 has no outcome yet
+const decisions = [
+  decision('C1', 'STANDARD', { strict: 'COMPLEX' }),
+  decision('C2', 'STANDARD', { strict: 'STANDARD' }),
+  decision('C3', 'HIGH_VALUE', { strict: 'COMPLEX' }),
+  decision('C4', 'STANDARD', { strict: 'STANDARD', lenient: 'STANDARD' }),
+  decision('C5', 'STANDARD', { strict: 'COMPLEX', lenient: 'STANDARD' })
+];
+
+const outcomes = [
+  { claimId: 'C1', status: 'denied', reasonCode: '16' },
+  { claimId: 'C2', status: 'paid' },
+  { claimId: 'C3', status: 'partially_paid' },
+  { claimId: 'C4', status: 'pended' }
+];
+
+const rates = bucket => bucket && [bucket.total, bucket.approvalRate, bucket.denialRate];
+
+test('shadow reports count each config\'s routes and the claims adjudicated', () => {
+  const summary = summarizeShadowDecisions(decisions, outcomes);
+
+  assert.equal(summary.claims, 5);
+  assert.equal(summary.adjudicated, 3);
+  assert.deepEqual(Object.keys(summary.configs), ['live', 'strict', 'lenient']);
+  assert.deepEqual(summary.configs.live.routes, { STANDARD: 4, HIGH_VALUE: 1 });
+  assert.deepEqual(summary.configs.strict.routes, { COMPLEX: 3, STANDARD: 2 });
+  assert.equal(summary.configs.lenient.claims, 2);
+});
+
+test('approval rates are per config and route, leaving pended claims out of the rates', () => {
+  const { configs } = summarizeShadowDecisions(decisions, outcomes);
+
+  assert.deepEqual(rates(configs.live.approvalRates.STANDARD), [3, 0.5, 0.5]);
+  assert.deepEqual(rates(configs.live.approvalRates.HIGH_VALUE), [1, 1, 0]);
+  assert.deepEqual(rates(configs.strict.approvalRates.COMPLEX), [2, 0.5, 0.5]);
+  assert.deepEqual(rates(configs.strict.approvalRates.STANDARD), [2, 1, 0]);
+  assert.deepEqual(configs.strict.approvalRates.COMPLEX.denialReasons, { 16: 1 });
+  assert.deepEqual(rates(configs.lenient.approvalRates.STANDARD), [1, null, null]);
+});
+
+test('candidates report how often and where they disagree with the live routing', () => {
+  const { configs } = summarizeShadowDecisions(decisions, outcomes);
+
+  assert.equal(configs.strict.disagreements, 3);
+  assert.equal(configs.strict.disagreementRate, 0.6);
+  assert.deepEqual(configs.strict.changes, { 'STANDARD -> COMPLEX': 2, 'HIGH_VALUE -> COMPLEX': 1 });
+  assert.deepEqual(rates(configs.strict.disagreementOutcomes.disagreed), [2, 0.5, 0.5]);
+  assert.deepEqual(rates(configs.strict.disagreementOutcomes.agreed), [2, 1, 0]);
+
+  assert.equal(configs.lenient.disagreements, 0);
+  assert.equal(configs.lenient.disagreementRate, 0);
+  assert.equal('disagreements' in configs.live, false);
+  assert.equal(summarizeShadowDecisions([], []).claims, 0);
+});
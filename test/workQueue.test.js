@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryWorkQueue } = require('../lib/billing/workQueue');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const entry = (claimId, overrides = {}) => ({
+  claimId,
+  processor: 'standardProcessor',
+  route: 'STANDARD',
+  priority: 'normal',
+  ...overrides
+});
+
+test('items are claimed, released, held, resumed and submitted', async () => {
+  const queue = new MemoryWorkQueue();
+  const { id } = await queue.enqueue(entry('C1'));
+
+  assert.equal((await queue.claim(id, 'jsmith')).assignee, 'jsmith');
+  assert.equal((await queue.release(id, 'jsmith')).state, 'queued');
+  assert.equal((await queue.claimNext('standardProcessor', 'adoe')).id, id);
+
+  const held = await queue.hold(id, 'adoe', 'Waiting for x-rays');
+  assert.equal(held.state, 'held');
+  assert.equal(held.holdReason, 'Waiting for x-rays');
+
+  const resumed = await queue.resume(id, 'adoe');
+  assert.equal(resumed.state, 'queued');
+  assert.equal(resumed.assignee, null);
+  assert.equal(resumed.holdReason, null);
+
+  await queue.claim(id, 'adoe');
+  const submitted = await queue.submit(id, 'adoe');
+  assert.equal(submitted.state, 'submitted');
+  assert.deepEqual(submitted.history.map(change => change.action),
+    ['enqueue', 'claim', 'release', 'claim', 'hold', 'resume', 'claim', 'submit']);
+  assert.equal(await queue.claimNext('standardProcessor', 'adoe'), null);
+});
+
+test('only the reviewer who claimed an item may release, hold or submit it', async () => {
+  const queue = new MemoryWorkQueue();
+  const { id } = await queue.enqueue(entry('C1'));
+  await queue.claim(id, 'jsmith');
+
+  for (const act of [() => queue.release(id, 'adoe'), () => queue.hold(id, 'adoe'), () => queue.submit(id, 'adoe')]) {
+    await assert.rejects(act(), { name: 'WorkQueueError', code: 'NOT_ASSIGNEE' });
+  }
+  assert.equal((await queue.get(id)).state, 'in_review');
+});
+
+test('actions not allowed in the item\'s state are invalid transitions', async () => {
+  const queue = new MemoryWorkQueue();
+  const { id } = await queue.enqueue(entry('C1'));
+
+  await assert.rejects(queue.submit(id, 'jsmith'), error => {
+    assert.equal(error.code, 'INVALID_TRANSITION');
+    assert.deepEqual(error.errors, ['state: must be one of in_review to submit']);
+    return true;
+  });
+  await assert.rejects(queue.resume(id, 'jsmith'), { code: 'INVALID_TRANSITION' });
+  await queue.claim(id, 'jsmith');
+  await assert.rejects(queue.claim(id, 'adoe'), { code: 'INVALID_TRANSITION' });
+});
+
+test('unknown item IDs are not found, including names of object properties', async () => {
+  const queue = new MemoryWorkQueue();
+
+  for (const itemId of ['missing', 'constructor', '__proto__', 'toString']) {
+    await assert.rejects(queue.claim(itemId, 'jsmith'), { name: 'WorkQueueError', code: 'NOT_FOUND' });
+    assert.equal(await queue.get(itemId), null);
+  }
+});
+
+test('re-routing an open claim updates its item instead of adding another', async () => {
+  const queue = new MemoryWorkQueue();
+  const first = await queue.enqueue(entry('C1'));
+  await queue.claim(first.id, 'jsmith');
+
+  const requeued = await queue.enqueue(entry('C1', { processor: 'expeditedProcessor', route: 'EXPEDITED', priority: 'high' }));
+  assert.equal(requeued.id, first.id);
+  assert.equal(requeued.processor, 'expeditedProcessor');
+  assert.equal(requeued.state, 'in_review');
+  assert.equal(requeued.history.at(-1).action, 'requeue');
+  assert.equal((await queue.list()).length, 1);
+
+  // Once submitted, routing the claim again starts a new item
+  await queue.submit(first.id, 'jsmith');
+  assert.notEqual((await queue.enqueue(entry('C1'))).id, first.id);
+});
+
+test('stale items are escalated and rise up the worklist', async () => {
+  const queue = new MemoryWorkQueue();
+  const normal = await queue.enqueue(entry('C1'));
+  const low = await queue.enqueue(entry('C2', { priority: 'low' }));
+
+  const later = new Date(Date.now() + 25 * HOUR_MS);
+  assert.deepEqual((await queue.escalateStale(later)).map(item => item.id), [normal.id]);
+  assert.deepEqual((await queue.escalateStale(later)).map(item => item.id), []);
+
+  const escalated = await queue.get(normal.id);
+  assert.equal(escalated.escalationLevel, 1);
+  assert.equal(escalated.history.at(-1).action, 'escalate');
+  assert.deepEqual((await queue.list()).map(item => item.id), [normal.id, low.id]);
+  assert.equal((await queue.summary()).standardProcessor.escalated, 1);
+});
+
+test('the oldest submitted items are dropped once the queue is over its limit', async () => {
+  const queue = new MemoryWorkQueue({ maxItems: 2 });
+  const submitted = await queue.enqueue(entry('C1'));
+  await queue.claim(submitted.id, 'jsmith');
+  await queue.submit(submitted.id, 'jsmith');
+  await queue.enqueue(entry('C2'));
+  await queue.enqueue(entry('C3'));
+
+  assert.deepEqual((await queue.list()).map(item => item.claimId), ['C2', 'C3']);
+
+  // Open items are never dropped
+  await queue.enqueue(entry('C4'));
+  assert.equal((await queue.list()).length, 3);
+});
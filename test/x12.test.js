@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { build837D, parse835 } = require('../lib/billing/x12');
+
+const ISA = 'ISA*00*          *00*          *ZZ*PAYER          *ZZ*CLINIC         ' +
+  '*250320*1200*^*00501*000000001*0*P*:~';
+
+const remittance = segments => `${ISA}\n${segments.map(segment => `${segment}~`).join('\n')}`;
+
+const FILE = remittance([
+  'GS*HP*PAYER*CLINIC*20250320*1200*1*X*005010X221A1',
+  'ST*835*0001',
+  'BPR*I*130*C*ACH*CCP*01*999999999*DA*123456*1512345678**01*999999999*DA*654321*20250321',
+  'TRN*1*EFT123*1512345678',
+  'DTM*405*20250320',
+  'N1*PR*SUN LIFE*XV*sunlife',
+  'N1*PE*MAIN STREET DENTAL*XX*1234567890',
+  'CLP*C1*1*200*130*20*12*PCN1',
+  'NM1*QC*1*BEE*ANN****MI*S98765',
+  'DTM*232*20250304',
+  'SVC*AD:D0120*60*60**1',
+  'AMT*B6*60',
+  'SVC*AD:D1110*140*70**1',
+  'CAS*CO*45*50',
+  'CAS*PR*2*20',
+  'CLP*C2*4*300*0*0*12*PCN2',
+  'CAS*CO*29*300',
+  'MOA***N211',
+  'CLP*C3*22*-100*-100**12*PCN3',
+  'SE*20*0001',
+  'GE*1*1',
+  'IEA*1*000000001'
+]);
+
+test('parse835 reads the payer, payment and each claim payment', () => {
+  assert.equal(ISA.length, 106);
+  const parsed = parse835(FILE);
+
+  assert.deepEqual(parsed.payer, { name: 'SUN LIFE', id: 'sunlife' });
+  assert.equal(parsed.payment.amount, 130);
+  assert.equal(parsed.payment.traceNumber, 'EFT123');
+  assert.equal(parsed.payment.date, '2025-03-21');
+  assert.equal(parsed.productionDate, '2025-03-20');
+  assert.deepEqual(parsed.claims.map(claim => claim.claimId), ['C1', 'C2', 'C3']);
+
+  const [paid] = parsed.claims;
+  assert.equal(paid.serviceDate, '2025-03-04');
+  assert.deepEqual(paid.patient, { lastName: 'BEE', firstName: 'ANN', id: 'S98765' });
+  assert.deepEqual(paid.services.map(service => [service.procedureCode, service.paidAmount, service.allowedAmount]),
+    [['D0120', 60, 60], ['D1110', 70, null]]);
+  assert.deepEqual(paid.services[1].adjustments.map(adjustment => [adjustment.group, adjustment.reasonCode, adjustment.amount]),
+    [['CO', '45', 50], ['PR', '2', 20]]);
+});
+
+test('parse835 turns claim payments into outcomes', () => {
+  const [paid, denied, reversal] = parse835(FILE).claims;
+
+  assert.deepEqual(paid.outcome, { claimId: 'C1', paidAmount: 130, adjudicatedAt: '2025-03-20', status: 'paid', reasonCode: null });
+  assert.equal(denied.outcome.status, 'denied');
+  assert.equal(denied.outcome.reasonCode, 'CO-29');
+  assert.deepEqual(denied.remarks.map(remark => remark.code), ['N211']);
+  assert.equal(reversal.outcome, null);
+});
+
+test('parse835 rejects files that are not 835 remittances', () => {
+  assert.throws(() => parse835('not x12'), { name: 'X12Error' });
+  assert.throws(() => parse835(remittance(['ST*837*0001', 'SE*1*0001'])), error => {
+    assert.equal(error.name, 'X12Error');
+    assert.deepEqual(error.errors, ['ST: transaction set must be 835']);
+    return true;
+  });
+});
+
+const FILE_OPTIONS = {
+  submitter: { id: 'CLINIC', name: 'MAIN STREET DENTAL' },
+  receiver: { id: 'PAYER', name: 'SUN LIFE' },
+  billingProvider: {
+    npi: '1234567890',
+    taxId: '123456789',
+    name: 'MAIN STREET DENTAL',
+    address: { line1: '1 Main St', city: 'Springfield', state: 'IL', postalCode: '62701' }
+  },
+  controlNumber: 1,
+  now: new Date('2025-03-20T12:00:00Z')
+};
+
+const dentalClaim = (overrides = {}) => ({
+  id: 'C1',
+  payerId: 'sunlife',
+  serviceDate: '2025-03-04',
+  subscriber: { id: 'S98765' },
+  patient: { firstName: 'Ann', lastName: 'Bee', birthDate: '1980-05-01', sex: 'F' },
+  procedures: [{ code: 'D0120', fee: 60 }],
+  ...overrides
+});
+
+test('build837D writes birth and service dates as CCYYMMDD', () => {
+  const file = build837D([dentalClaim({ patient: { firstName: 'Ann', lastName: 'Bee', birthDate: new Date('1980-05-01') } })],
+    FILE_OPTIONS);
+
+  assert.match(file, /^DMG\*D8\*19800501\*U~$/m);
+  assert.match(file, /^DTP\*472\*D8\*20250304~$/m);
+});
+
+test('build837D reports unparseable birth and service dates as X12 errors', () => {
+  const claims = [
+    dentalClaim({ patient: { firstName: 'Ann', lastName: 'Bee', birthDate: 'unknown' } }),
+    dentalClaim({ id: 'C2', procedures: [{ code: 'D0120', date: '2025-13-45', fee: 60 }] })
+  ];
+
+  assert.throws(() => build837D(claims, FILE_OPTIONS), error => {
+    assert.equal(error.name, 'X12Error');
+    assert.deepEqual(error.errors, [
+      'claims[0].patient.birthDate: must be a valid date',
+      'claims[1].procedures[0].date: must be a valid date'
+    ]);
+    return true;
+  });
+});